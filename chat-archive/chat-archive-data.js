@@ -0,0 +1,1247 @@
+/**
+ * 聊天记录管理中心 - 数据层
+ *
+ * @description
+ * 使用 SillyTavern 的文件 API 将收藏数据持久化到 JSON 文件。
+ * 收藏会保存消息文本快照，角色卡或聊天被删除后仍可查看。
+ * 同时提供读取当前角色全部聊天文件的接口（搜索、阅读等页面共用）。
+ *
+ * 文件位置:
+ * - data/default-user/user/files/acsus-paws-puffs-chat-archive.json
+ *
+ * 数据结构：
+ * - favorites[avatar][chatId][mesId] = FavoriteItem（三层）
+ * - groups = FavoriteGroup[]（用户自定义分组，按 order 排序）
+ * - notes[avatar][chatId] = ArchiveNote[]（笔记，挂在单条消息或楼层区间上）
+ * - reader[avatar][chatId] = ReaderChatState（阅读模式的阅读位置和书签）
+ * - readerOptions = ReaderOptions（阅读模式设置，全局共用）
+ */
+
+import { getRequestHeaders } from '../../../../../script.js';
+import { getContext } from '../../../../extensions.js';
+import { download } from '../../../../utils.js';
+import logger from '../logger.js';
+
+// ========================================
+// [CONST] 常量定义
+// ========================================
+
+/** 存储文件名 */
+const STORAGE_FILENAME = 'acsus-paws-puffs-chat-archive.json';
+
+/** 文件路径 */
+const FILE_PATH = `/user/files/${STORAGE_FILENAME}`;
+
+/** 默认分组 ID */
+export const DEFAULT_GROUP_ID = 'default';
+
+/** 导入备份时不接受的键名（会改到对象原型上） */
+const UNSAFE_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+// ========================================
+// [TYPE] 数据结构
+// ========================================
+
+/**
+ * 收藏条目
+ * @typedef {Object} FavoriteItem
+ * @property {string} avatar - 角色头像文件名（群聊为 group_{groupId}）
+ * @property {string} chatId - 聊天文件名
+ * @property {number} mesId - 消息楼层号（从 0 开始）
+ * @property {string} characterName - 收藏时的角色名
+ * @property {string} senderName - 发送者名称
+ * @property {boolean} isUser - 是否是用户消息
+ * @property {string} text - 消息文本快照
+ * @property {number} swipeId - 收藏时的 swipe 索引
+ * @property {string} title - 收藏标题
+ * @property {string} group - 分组 ID
+ * @property {number} createdAt - 收藏时间戳
+ */
+
+/**
+ * 收藏分组
+ * @typedef {Object} FavoriteGroup
+ * @property {string} id - 分组 ID
+ * @property {string} name - 分组名称
+ * @property {string} color - 分组颜色（CSS 颜色值）
+ * @property {number} order - 排序序号（越小越靠前）
+ */
+
+/**
+ * 收藏条目定位（批量操作用）
+ * @typedef {Object} FavoriteRef
+ * @property {string} avatar - 角色头像文件名
+ * @property {string} chatId - 聊天文件名
+ * @property {number|string} mesId - 消息楼层号
+ */
+
+/**
+ * 笔记
+ * @typedef {Object} ArchiveNote
+ * @property {string} id - 笔记 ID
+ * @property {string} avatar - 角色头像文件名（群聊为 group_{groupId}）
+ * @property {string} chatId - 聊天文件名
+ * @property {string} characterName - 创建时的角色名
+ * @property {number} startMesId - 起始楼层（含）
+ * @property {number} endMesId - 结束楼层（含，单条消息时与起始楼层相同）
+ * @property {string} body - Markdown 正文
+ * @property {string[]} tags - 标签
+ * @property {number} createdAt - 创建时间戳
+ * @property {number} updatedAt - 修改时间戳
+ */
+
+/**
+ * 阅读书签
+ * @typedef {Object} ReaderBookmark
+ * @property {string} id - 书签 ID
+ * @property {number} mesId - 书签所在楼层
+ * @property {string} label - 书签名称
+ * @property {number} createdAt - 创建时间戳
+ */
+
+/**
+ * 单个聊天的阅读状态
+ * @typedef {Object} ReaderChatState
+ * @property {number} position - 上次阅读到的楼层（所在页的第一条消息）
+ * @property {ReaderBookmark[]} bookmarks - 书签（按楼层升序）
+ */
+
+/**
+ * 阅读模式设置
+ * @typedef {Object} ReaderOptions
+ * @property {'fold'|'interval'} chapterMode - 分章方式：按折叠栏标题 / 按固定楼层数
+ * @property {number} chapterSize - 固定分章时每章的楼层数
+ * @property {boolean} hideUser - 隐藏用户消息
+ * @property {boolean} hideSystem - 隐藏系统消息
+ */
+
+/**
+ * 存储文件结构
+ * @typedef {Object} ArchiveStorageData
+ * @property {number} version - 数据版本号
+ * @property {Object<string, Object<string, Object<string, FavoriteItem>>>} favorites - 收藏数据
+ * @property {FavoriteGroup[]} groups - 收藏分组
+ * @property {Object<string, Object<string, ArchiveNote[]>>} notes - 笔记数据
+ * @property {Object<string, Object<string, ReaderChatState>>} reader - 阅读状态
+ * @property {ReaderOptions} readerOptions - 阅读模式设置
+ */
+
+/**
+ * 默认分组（与旧版弹窗里写死的四个分组 ID 一致，旧收藏无需迁移）
+ * @type {FavoriteGroup[]}
+ */
+const DEFAULT_GROUPS = [
+    { id: DEFAULT_GROUP_ID, name: '默认分组', color: '#0099ff', order: 0 },
+    { id: 'important', name: '重要', color: '#ff4d4f', order: 1 },
+    { id: 'funny', name: '有趣', color: '#ffc107', order: 2 },
+    { id: 'memorable', name: '难忘', color: '#4caf50', order: 3 }
+];
+
+/** @type {ReaderOptions} */
+const DEFAULT_READER_OPTIONS = {
+    chapterMode: 'fold',
+    chapterSize: 50,
+    hideUser: false,
+    hideSystem: true
+};
+
+/** @type {ArchiveStorageData} */
+const DEFAULT_DATA = {
+    version: 4,
+    favorites: {},
+    groups: DEFAULT_GROUPS,
+    notes: {},
+    reader: {},
+    readerOptions: DEFAULT_READER_OPTIONS
+};
+
+// ========================================
+// [STATE] 内存缓存
+// ========================================
+
+/** @type {ArchiveStorageData|null} */
+let cachedData = null;
+
+/** @type {Promise<ArchiveStorageData>|null} 进行中的加载（避免并发重复请求） */
+let loadingPromise = null;
+
+/** @type {boolean} 存储文件读取失败（非404），读成功之前不写回，免得默认数据覆盖真实文件 */
+let loadFailed = false;
+
+/** @type {boolean} */
+let isDirty = false;
+
+/** @type {number|null} */
+let saveTimeout = null;
+
+// ========================================
+// [CORE] 加载与保存
+// ========================================
+
+/**
+ * 加载收藏存储数据
+ *
+ * @description
+ * 只有 404 算没有存储文件，从默认数据开始。
+ * 其他错误（HTTP 错误、文件内容损坏）返回不缓存的默认数据，下次调用重新读取，
+ * 期间 saveArchiveData 拒绝写入。
+ *
+ * @async
+ * @returns {Promise<ArchiveStorageData>}
+ */
+export async function loadArchiveData() {
+    if (cachedData) {
+        return cachedData;
+    }
+    if (loadingPromise) {
+        return loadingPromise;
+    }
+
+    loadingPromise = (async () => {
+        try {
+            logger.debug('archive', '[ChatArchive.Data] 尝试加载存储文件...');
+
+            const response = await fetch(FILE_PATH, {
+                method: 'GET',
+                headers: getRequestHeaders()
+            });
+
+            if (response.ok) {
+                const data = JSON.parse(await response.text());
+                cachedData = { ...JSON.parse(JSON.stringify(DEFAULT_DATA)), ...data };
+                logger.info('archive', '[ChatArchive.Data] 存储文件加载成功');
+            } else if (response.status === 404) {
+                logger.info('archive', '[ChatArchive.Data] 存储文件不存在，使用默认数据');
+                cachedData = JSON.parse(JSON.stringify(DEFAULT_DATA));
+            } else {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            loadFailed = false;
+        } catch (error) {
+            logger.error('archive', '[ChatArchive.Data] 加载失败，暂不保存收藏数据:', error.message);
+            if (!loadFailed) {
+                toastr.error('收藏数据读取失败，修改暂时不会保存');
+            }
+            loadFailed = true;
+            return JSON.parse(JSON.stringify(DEFAULT_DATA));
+        } finally {
+            loadingPromise = null;
+        }
+        return cachedData;
+    })();
+
+    return loadingPromise;
+}
+
+/**
+ * 保存收藏存储数据
+ *
+ * @async
+ * @returns {Promise<boolean>}
+ */
+export async function saveArchiveData() {
+    if (loadFailed) {
+        logger.error('archive', '[ChatArchive.Data] 存储文件没有读取成功，拒绝保存（避免覆盖文件）');
+        toastr.error('收藏数据没有读取成功，本次修改未保存');
+        return false;
+    }
+    if (!cachedData) {
+        logger.warn('archive', '[ChatArchive.Data] 没有数据可保存');
+        return false;
+    }
+
+    try {
+        const jsonString = JSON.stringify(cachedData, null, 2);
+        const base64Data = btoa(unescape(encodeURIComponent(jsonString)));
+
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                name: STORAGE_FILENAME,
+                data: base64Data
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        isDirty = false;
+        logger.debug('archive', '[ChatArchive.Data] 数据已保存');
+        return true;
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.Data] 保存失败:', error.message);
+        return false;
+    }
+}
+
+/**
+ * 延迟保存（防抖）
+ */
+export function saveArchiveDataDebounced() {
+    isDirty = true;
+
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+    }
+
+    saveTimeout = setTimeout(async () => {
+        saveTimeout = null;
+        if (isDirty) {
+            await saveArchiveData();
+        }
+    }, 300);
+}
+
+// ========================================
+// [UTIL] 当前聊天定位
+// ========================================
+
+/**
+ * 获取当前聊天的定位信息
+ *
+ * @description
+ * 单人聊天用角色头像文件名作为键（与折叠功能一致），
+ * 群聊用 group_{groupId} 作为键。
+ *
+ * @returns {{avatar: string, chatId: string, characterName: string}|null} 没有打开聊天时返回 null
+ */
+export function getCurrentChatKey() {
+    const context = getContext();
+    const chatId = context.chatId;
+    if (!chatId) return null;
+
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        return {
+            avatar: `group_${context.groupId}`,
+            chatId: String(chatId),
+            characterName: group?.name || '群聊'
+        };
+    }
+
+    const character = context.characters?.[context.characterId];
+    if (!character?.avatar) return null;
+
+    return {
+        avatar: character.avatar,
+        chatId: String(chatId),
+        characterName: character.name || ''
+    };
+}
+
+// ========================================
+// [CORE] 收藏增删改查
+// ========================================
+
+/**
+ * 添加（或覆盖）收藏
+ *
+ * @async
+ * @param {Omit<FavoriteItem, 'createdAt'> & {createdAt?: number}} item - 收藏条目
+ * @returns {Promise<FavoriteItem>} 保存后的条目
+ */
+export async function addFavorite(item) {
+    const data = await loadArchiveData();
+    const { avatar, chatId, mesId } = item;
+
+    if (!data.favorites[avatar]) data.favorites[avatar] = {};
+    if (!data.favorites[avatar][chatId]) data.favorites[avatar][chatId] = {};
+
+    /** @type {FavoriteItem} */
+    const favorite = {
+        ...item,
+        group: item.group || DEFAULT_GROUP_ID,
+        createdAt: item.createdAt ?? Date.now()
+    };
+    data.favorites[avatar][chatId][String(mesId)] = favorite;
+    saveArchiveDataDebounced();
+
+    logger.info('archive', '[ChatArchive.Data] 已添加收藏:', avatar, chatId, mesId);
+    return favorite;
+}
+
+/**
+ * 删除收藏
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {number|string} mesId - 消息楼层号
+ * @returns {Promise<boolean>} 是否删除了条目
+ */
+export async function removeFavorite(avatar, chatId, mesId) {
+    const data = await loadArchiveData();
+    const chatFavorites = data.favorites[avatar]?.[chatId];
+    if (!chatFavorites?.[String(mesId)]) {
+        return false;
+    }
+
+    delete chatFavorites[String(mesId)];
+
+    // 清理空层级，避免文件里残留空对象
+    if (Object.keys(chatFavorites).length === 0) {
+        delete data.favorites[avatar][chatId];
+    }
+    if (Object.keys(data.favorites[avatar]).length === 0) {
+        delete data.favorites[avatar];
+    }
+
+    saveArchiveDataDebounced();
+    logger.info('archive', '[ChatArchive.Data] 已删除收藏:', avatar, chatId, mesId);
+    return true;
+}
+
+/**
+ * 更新收藏的标题或分组
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {number|string} mesId - 消息楼层号
+ * @param {Partial<Pick<FavoriteItem, 'title'|'group'>>} updates - 要更新的字段
+ * @returns {Promise<FavoriteItem|null>} 更新后的条目，不存在时返回 null
+ */
+export async function updateFavorite(avatar, chatId, mesId, updates) {
+    const data = await loadArchiveData();
+    const favorite = data.favorites[avatar]?.[chatId]?.[String(mesId)];
+    if (!favorite) {
+        logger.warn('archive', '[ChatArchive.Data] 要更新的收藏不存在:', avatar, chatId, mesId);
+        return null;
+    }
+
+    if (updates.title !== undefined) favorite.title = updates.title;
+    if (updates.group !== undefined) favorite.group = updates.group;
+    saveArchiveDataDebounced();
+    return favorite;
+}
+
+/**
+ * 获取单条收藏（从缓存同步读取）
+ *
+ * @description
+ * 供消息按钮注入使用，注入是同步的 DOM 操作。
+ * 缓存未加载时返回 null，调用方应先 await loadArchiveData()。
+ *
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {number|string} mesId - 消息楼层号
+ * @returns {FavoriteItem|null}
+ */
+export function getCachedFavorite(avatar, chatId, mesId) {
+    return cachedData?.favorites[avatar]?.[chatId]?.[String(mesId)] || null;
+}
+
+/**
+ * 获取某个聊天的全部收藏
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @returns {Promise<FavoriteItem[]>} 按楼层号升序
+ */
+export async function getChatFavorites(avatar, chatId) {
+    const data = await loadArchiveData();
+    const chatFavorites = data.favorites[avatar]?.[chatId] || {};
+    return Object.values(chatFavorites).sort((a, b) => a.mesId - b.mesId);
+}
+
+/**
+ * 获取全部收藏（扁平列表）
+ *
+ * @async
+ * @returns {Promise<FavoriteItem[]>} 按收藏时间倒序
+ */
+export async function getAllFavorites() {
+    const data = await loadArchiveData();
+    /** @type {FavoriteItem[]} */
+    const list = [];
+    forEachFavorite(data, favorite => list.push(favorite));
+    return list.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// ========================================
+// [CORE] 聊天文件读取
+// ========================================
+
+/**
+ * 聊天文件摘要
+ * @typedef {Object} ChatFileInfo
+ * @property {string} chatId - 聊天文件名（不含 .jsonl 后缀）
+ * @property {number} messageCount - 消息数量（服务器统计，可能为 0）
+ * @property {string} lastDate - 最后一条消息时间（服务器返回的原始字符串）
+ */
+
+/**
+ * 获取当前角色（或群聊）的全部聊天文件
+ *
+ * @async
+ * @returns {Promise<ChatFileInfo[]>} 没有打开角色时返回空数组
+ */
+export async function getCurrentCharacterChats() {
+    const context = getContext();
+
+    // 群聊：聊天列表保存在群组对象上
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        return (group?.chats || []).map(chatId => ({
+            chatId: String(chatId),
+            messageCount: 0,
+            lastDate: ''
+        }));
+    }
+
+    const character = context.characters?.[context.characterId];
+    if (!character?.avatar) {
+        return [];
+    }
+
+    try {
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: character.avatar })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const list = await response.json();
+        // 没有聊天时服务器返回 { error: true }
+        if (!Array.isArray(list)) {
+            return [];
+        }
+
+        return list.map(item => ({
+            chatId: String(item.file_name).replace(/\.jsonl$/, ''),
+            messageCount: Number(item.chat_items) || 0,
+            lastDate: item.last_mes ? String(item.last_mes) : ''
+        }));
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.Data] 获取聊天列表失败:', error.message);
+        return [];
+    }
+}
+
+/**
+ * 读取某个聊天文件的全部消息
+ *
+ * @description
+ * 当前打开的聊天直接返回内存里的 chat 数组（包含未保存的最新消息），
+ * 其他聊天从服务器读取，并去掉文件首行的元数据，使下标与 mesId 一致。
+ *
+ * @async
+ * @param {string} chatId - 聊天文件名（不含 .jsonl 后缀）
+ * @returns {Promise<Object[]>} 消息数组，下标即 mesId
+ */
+export async function loadChatMessages(chatId) {
+    const context = getContext();
+
+    if (String(context.chatId) === String(chatId)) {
+        return context.chat || [];
+    }
+
+    try {
+        let response;
+        if (context.groupId) {
+            response = await fetch('/api/chats/group/get', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ id: chatId })
+            });
+        } else {
+            const character = context.characters?.[context.characterId];
+            if (!character) return [];
+
+            response = await fetch('/api/chats/get', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    ch_name: character.name,
+                    file_name: chatId,
+                    avatar_url: character.avatar
+                })
+            });
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            return [];
+        }
+
+        // 首行是元数据（没有 mes 字段），不算消息楼层
+        if (data.length > 0 && data[0] && !('mes' in data[0])) {
+            return data.slice(1);
+        }
+        return data;
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.Data] 读取聊天文件失败:', chatId, error.message);
+        return [];
+    }
+}
+
+// ========================================
+// [CORE] 分组管理
+// ========================================
+
+/**
+ * 获取全部分组（按 order 排序）
+ *
+ * @async
+ * @returns {Promise<FavoriteGroup[]>}
+ */
+export async function getGroups() {
+    const data = await loadArchiveData();
+    return [...data.groups].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * 新建分组
+ *
+ * @async
+ * @param {string} name - 分组名称
+ * @param {string} [color='#0099ff'] - 分组颜色
+ * @returns {Promise<FavoriteGroup>}
+ */
+export async function createGroup(name, color = '#0099ff') {
+    const data = await loadArchiveData();
+    const maxOrder = data.groups.reduce((max, g) => Math.max(max, g.order), -1);
+
+    /** @type {FavoriteGroup} */
+    const group = {
+        id: `group_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+        name: name.trim() || '未命名分组',
+        color,
+        order: maxOrder + 1
+    };
+    data.groups.push(group);
+    saveArchiveDataDebounced();
+
+    logger.info('archive', '[ChatArchive.Data] 已新建分组:', group.name);
+    return group;
+}
+
+/**
+ * 更新分组名称或颜色
+ *
+ * @async
+ * @param {string} groupId - 分组 ID
+ * @param {Partial<Pick<FavoriteGroup, 'name'|'color'>>} updates - 要更新的字段
+ * @returns {Promise<FavoriteGroup|null>} 不存在时返回 null
+ */
+export async function updateGroup(groupId, updates) {
+    const data = await loadArchiveData();
+    const group = data.groups.find(g => g.id === groupId);
+    if (!group) {
+        logger.warn('archive', '[ChatArchive.Data] 要更新的分组不存在:', groupId);
+        return null;
+    }
+
+    if (updates.name !== undefined) group.name = updates.name.trim() || group.name;
+    if (updates.color !== undefined) group.color = updates.color;
+    saveArchiveDataDebounced();
+    return group;
+}
+
+/**
+ * 按给定顺序重排分组
+ *
+ * @async
+ * @param {string[]} orderedIds - 排好序的分组 ID（未列出的分组排在最后）
+ */
+export async function reorderGroups(orderedIds) {
+    const data = await loadArchiveData();
+    data.groups.forEach(group => {
+        const index = orderedIds.indexOf(group.id);
+        group.order = index === -1 ? orderedIds.length + group.order : index;
+    });
+    saveArchiveDataDebounced();
+}
+
+/**
+ * 删除分组
+ *
+ * @description
+ * 默认分组不能删除；被删分组里的收藏移回默认分组，不会丢失。
+ *
+ * @async
+ * @param {string} groupId - 分组 ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteGroup(groupId) {
+    if (groupId === DEFAULT_GROUP_ID) {
+        logger.warn('archive', '[ChatArchive.Data] 默认分组不能删除');
+        return false;
+    }
+
+    const data = await loadArchiveData();
+    const index = data.groups.findIndex(g => g.id === groupId);
+    if (index === -1) return false;
+
+    data.groups.splice(index, 1);
+    let moved = 0;
+    forEachFavorite(data, favorite => {
+        if (favorite.group === groupId) {
+            favorite.group = DEFAULT_GROUP_ID;
+            moved++;
+        }
+    });
+    saveArchiveDataDebounced();
+
+    logger.info('archive', '[ChatArchive.Data] 已删除分组:', groupId, '移回默认分组的收藏数:', moved);
+    return true;
+}
+
+/**
+ * 批量移动收藏到指定分组
+ *
+ * @async
+ * @param {FavoriteRef[]} refs - 要移动的收藏
+ * @param {string} groupId - 目标分组 ID
+ * @returns {Promise<number>} 实际移动的数量
+ */
+export async function moveFavoritesToGroup(refs, groupId) {
+    const data = await loadArchiveData();
+    if (!data.groups.some(g => g.id === groupId)) {
+        logger.warn('archive', '[ChatArchive.Data] 目标分组不存在:', groupId);
+        return 0;
+    }
+
+    let moved = 0;
+    refs.forEach(({ avatar, chatId, mesId }) => {
+        const favorite = data.favorites[avatar]?.[chatId]?.[String(mesId)];
+        if (favorite && favorite.group !== groupId) {
+            favorite.group = groupId;
+            moved++;
+        }
+    });
+
+    if (moved > 0) {
+        saveArchiveDataDebounced();
+    }
+    return moved;
+}
+
+/**
+ * 遍历全部收藏
+ *
+ * @param {ArchiveStorageData} data - 存储数据
+ * @param {(favorite: FavoriteItem) => void} callback - 回调
+ */
+function forEachFavorite(data, callback) {
+    for (const chats of Object.values(data.favorites)) {
+        for (const messages of Object.values(chats)) {
+            Object.values(messages).forEach(callback);
+        }
+    }
+}
+
+// ========================================
+// [CORE] 笔记
+// ========================================
+
+/**
+ * 新建笔记
+ *
+ * @async
+ * @param {Omit<ArchiveNote, 'id'|'createdAt'|'updatedAt'>} note - 笔记内容
+ * @returns {Promise<ArchiveNote>}
+ */
+export async function addNote(note) {
+    const data = await loadArchiveData();
+    const { avatar, chatId } = note;
+
+    if (!data.notes[avatar]) data.notes[avatar] = {};
+    if (!data.notes[avatar][chatId]) data.notes[avatar][chatId] = [];
+
+    const now = Date.now();
+    /** @type {ArchiveNote} */
+    const saved = {
+        ...note,
+        ...normalizeNoteRange(note.startMesId, note.endMesId),
+        tags: normalizeTags(note.tags),
+        id: `note_${now}_${Math.random().toString(36).substring(2, 7)}`,
+        createdAt: now,
+        updatedAt: now
+    };
+    data.notes[avatar][chatId].push(saved);
+    saveArchiveDataDebounced();
+
+    logger.info('archive', '[ChatArchive.Data] 已新建笔记:', saved.id, `#${saved.startMesId}-#${saved.endMesId}`);
+    return saved;
+}
+
+/**
+ * 修改笔记
+ *
+ * @async
+ * @param {string} noteId - 笔记 ID
+ * @param {Partial<Pick<ArchiveNote, 'startMesId'|'endMesId'|'body'|'tags'>>} updates - 要更新的字段
+ * @returns {Promise<ArchiveNote|null>} 不存在时返回 null
+ */
+export async function updateNote(noteId, updates) {
+    const data = await loadArchiveData();
+    const note = findNote(data, noteId);
+    if (!note) {
+        logger.warn('archive', '[ChatArchive.Data] 要修改的笔记不存在:', noteId);
+        return null;
+    }
+
+    if (updates.body !== undefined) note.body = updates.body;
+    if (updates.tags !== undefined) note.tags = normalizeTags(updates.tags);
+    if (updates.startMesId !== undefined || updates.endMesId !== undefined) {
+        Object.assign(note, normalizeNoteRange(
+            updates.startMesId ?? note.startMesId,
+            updates.endMesId ?? note.endMesId
+        ));
+    }
+    note.updatedAt = Date.now();
+    saveArchiveDataDebounced();
+    return note;
+}
+
+/**
+ * 删除笔记
+ *
+ * @async
+ * @param {string} noteId - 笔记 ID
+ * @returns {Promise<boolean>} 是否删除了笔记
+ */
+export async function deleteNote(noteId) {
+    const data = await loadArchiveData();
+    for (const [avatar, chats] of Object.entries(data.notes)) {
+        for (const [chatId, notes] of Object.entries(chats)) {
+            const index = notes.findIndex(n => n.id === noteId);
+            if (index === -1) continue;
+
+            notes.splice(index, 1);
+            if (notes.length === 0) delete chats[chatId];
+            if (Object.keys(chats).length === 0) delete data.notes[avatar];
+
+            saveArchiveDataDebounced();
+            logger.info('archive', '[ChatArchive.Data] 已删除笔记:', noteId);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 获取某个聊天的笔记
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @returns {Promise<ArchiveNote[]>} 按起始楼层升序
+ */
+export async function getChatNotes(avatar, chatId) {
+    const data = await loadArchiveData();
+    return [...(data.notes[avatar]?.[chatId] || [])].sort((a, b) => a.startMesId - b.startMesId);
+}
+
+/**
+ * 获取某个角色全部聊天的笔记
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @returns {Promise<ArchiveNote[]>} 按修改时间倒序
+ */
+export async function getCharacterNotes(avatar) {
+    const data = await loadArchiveData();
+    return Object.values(data.notes[avatar] || {})
+        .flat()
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 获取全部笔记
+ *
+ * @async
+ * @returns {Promise<ArchiveNote[]>} 按修改时间倒序
+ */
+export async function getAllNotes() {
+    const data = await loadArchiveData();
+    return Object.values(data.notes)
+        .flatMap(chats => Object.values(chats).flat())
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 获取覆盖某条消息的笔记（从缓存同步读取）
+ *
+ * @description
+ * 供消息按钮角标使用，缓存未加载时返回空数组。
+ *
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {number|string} mesId - 消息楼层号
+ * @returns {ArchiveNote[]}
+ */
+export function getCachedNotesForMessage(avatar, chatId, mesId) {
+    const notes = cachedData?.notes[avatar]?.[chatId];
+    if (!notes) return [];
+
+    const floor = Number(mesId);
+    return notes.filter(n => floor >= n.startMesId && floor <= n.endMesId);
+}
+
+/**
+ * 查找笔记
+ *
+ * @param {ArchiveStorageData} data - 存储数据
+ * @param {string} noteId - 笔记 ID
+ * @returns {ArchiveNote|null}
+ */
+function findNote(data, noteId) {
+    for (const chats of Object.values(data.notes)) {
+        for (const notes of Object.values(chats)) {
+            const note = notes.find(n => n.id === noteId);
+            if (note) return note;
+        }
+    }
+    return null;
+}
+
+/**
+ * 规范化楼层区间（保证起始 <= 结束，且为非负整数）
+ *
+ * @param {number} start - 起始楼层
+ * @param {number} end - 结束楼层
+ * @returns {{startMesId: number, endMesId: number}}
+ */
+function normalizeNoteRange(start, end) {
+    const a = Math.max(0, Math.floor(Number(start) || 0));
+    const b = Math.max(0, Math.floor(Number(end ?? start) || 0));
+    return { startMesId: Math.min(a, b), endMesId: Math.max(a, b) };
+}
+
+/**
+ * 规范化标签（去空白、去重）
+ *
+ * @param {string[]} tags - 标签
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+    return [...new Set((tags || []).map(t => String(t).trim()).filter(Boolean))];
+}
+
+// ========================================
+// [CORE] 阅读模式
+// ========================================
+
+/**
+ * 获取阅读模式设置
+ *
+ * @async
+ * @returns {Promise<ReaderOptions>}
+ */
+export async function getReaderOptions() {
+    const data = await loadArchiveData();
+    return { ...DEFAULT_READER_OPTIONS, ...data.readerOptions };
+}
+
+/**
+ * 修改阅读模式设置
+ *
+ * @async
+ * @param {Partial<ReaderOptions>} updates - 要更新的字段
+ * @returns {Promise<ReaderOptions>} 更新后的设置
+ */
+export async function updateReaderOptions(updates) {
+    const data = await loadArchiveData();
+    data.readerOptions = { ...DEFAULT_READER_OPTIONS, ...data.readerOptions, ...updates };
+    data.readerOptions.chapterSize = Math.max(1, Math.floor(Number(data.readerOptions.chapterSize) || DEFAULT_READER_OPTIONS.chapterSize));
+    saveArchiveDataDebounced();
+    return { ...data.readerOptions };
+}
+
+/**
+ * 获取某个聊天的阅读状态
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @returns {Promise<ReaderChatState>} 没有记录时返回从头开始、无书签
+ */
+export async function getReaderState(avatar, chatId) {
+    const data = await loadArchiveData();
+    const state = data.reader[avatar]?.[chatId];
+    return {
+        position: state?.position ?? 0,
+        bookmarks: [...(state?.bookmarks || [])]
+    };
+}
+
+/**
+ * 记录阅读位置
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {number} mesId - 当前页第一条消息的楼层
+ */
+export async function saveReadingPosition(avatar, chatId, mesId) {
+    const data = await loadArchiveData();
+    const state = ensureReaderState(data, avatar, chatId);
+    if (state.position === mesId) return;
+
+    state.position = mesId;
+    saveArchiveDataDebounced();
+}
+
+/**
+ * 添加书签
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {number} mesId - 书签所在楼层
+ * @param {string} label - 书签名称
+ * @returns {Promise<ReaderBookmark>}
+ */
+export async function addBookmark(avatar, chatId, mesId, label) {
+    const data = await loadArchiveData();
+    const state = ensureReaderState(data, avatar, chatId);
+
+    const now = Date.now();
+    /** @type {ReaderBookmark} */
+    const bookmark = {
+        id: `bookmark_${now}_${Math.random().toString(36).substring(2, 7)}`,
+        mesId,
+        label,
+        createdAt: now
+    };
+    state.bookmarks.push(bookmark);
+    state.bookmarks.sort((a, b) => a.mesId - b.mesId);
+    saveArchiveDataDebounced();
+
+    logger.info('archive', '[ChatArchive.Data] 已添加书签:', chatId, `#${mesId}`);
+    return bookmark;
+}
+
+/**
+ * 删除书签
+ *
+ * @async
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @param {string} bookmarkId - 书签 ID
+ * @returns {Promise<boolean>} 是否删除了书签
+ */
+export async function removeBookmark(avatar, chatId, bookmarkId) {
+    const data = await loadArchiveData();
+    const state = data.reader[avatar]?.[chatId];
+    const index = state?.bookmarks.findIndex(b => b.id === bookmarkId) ?? -1;
+    if (index === -1) return false;
+
+    state.bookmarks.splice(index, 1);
+    saveArchiveDataDebounced();
+    logger.info('archive', '[ChatArchive.Data] 已删除书签:', bookmarkId);
+    return true;
+}
+
+/**
+ * 获取（不存在时创建）某个聊天的阅读状态
+ *
+ * @param {ArchiveStorageData} data - 存储数据
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @returns {ReaderChatState}
+ */
+function ensureReaderState(data, avatar, chatId) {
+    if (!data.reader[avatar]) data.reader[avatar] = {};
+    if (!data.reader[avatar][chatId]) data.reader[avatar][chatId] = { position: 0, bookmarks: [] };
+    return data.reader[avatar][chatId];
+}
+
+// ========================================
+// [CORE] 导入导出
+// ========================================
+
+/**
+ * 下载收藏备份文件（包含分组定义）
+ *
+ * @async
+ */
+export async function downloadArchiveBackup() {
+    const data = await loadArchiveData();
+    const exportData = {
+        version: data.version,
+        exportDate: new Date().toISOString(),
+        groups: data.groups,
+        favorites: data.favorites,
+        notes: data.notes
+    };
+
+    const json = JSON.stringify(exportData, null, 2);
+    const filename = `chat-archive_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    download(new Blob([json], { type: 'application/json' }), filename, 'application/json');
+
+    logger.info('archive', '[ChatArchive.Data] 已导出备份:', filename);
+}
+
+/**
+ * 导入收藏备份
+ *
+ * @description
+ * 合并导入：分组按 ID 合并（已存在的保留本地名称和颜色），
+ * 收藏按 avatar/chatId/mesId 合并（已存在的跳过）。
+ * 收藏引用了备份中不存在的分组时，归入默认分组。
+ * 笔记按 ID 合并（已存在的跳过）。
+ *
+ * @async
+ * @param {string} json - 备份文件内容
+ * @returns {Promise<{groups: number, favorites: number, notes: number, skipped: number}>} 导入结果
+ * @throws {Error} 文件格式无效，或本地收藏数据读取失败时
+ */
+export async function importArchiveBackup(json) {
+    const imported = JSON.parse(json);
+    if (!isPlainObject(imported) || !isPlainObject(imported.favorites)) {
+        throw new Error('无效的收藏备份文件');
+    }
+
+    const data = await loadArchiveData();
+    if (loadFailed) {
+        throw new Error('收藏数据读取失败，请稍后重试');
+    }
+    const result = { groups: 0, favorites: 0, notes: 0, skipped: 0 };
+
+    // 先把备份里的条目逐个校验完，最后再写进 data，中途出错不会留下半截数据
+    const newGroups = [];
+    const importedGroups = Array.isArray(imported.groups) ? imported.groups : [];
+    let maxOrder = data.groups.reduce((max, g) => Math.max(max, g.order), -1);
+    importedGroups.forEach(group => {
+        if (!isPlainObject(group) || !group.id) return;
+        const id = String(group.id);
+        if (data.groups.some(g => g.id === id) || newGroups.some(g => g.id === id)) return;
+        newGroups.push({
+            id,
+            name: String(group.name || '未命名分组'),
+            color: String(group.color || '#0099ff'),
+            order: ++maxOrder
+        });
+    });
+
+    const knownGroupIds = new Set([...data.groups, ...newGroups].map(g => g.id));
+    const newFavorites = [];
+    for (const [avatar, chats] of Object.entries(imported.favorites)) {
+        if (!isSafeKey(avatar) || !isPlainObject(chats)) {
+            result.skipped++;
+            continue;
+        }
+        for (const [chatId, messages] of Object.entries(chats)) {
+            if (!isSafeKey(chatId) || !isPlainObject(messages)) {
+                result.skipped++;
+                continue;
+            }
+            for (const [mesId, favorite] of Object.entries(messages)) {
+                const floor = Number(mesId);
+                if (!isPlainObject(favorite) || !Number.isInteger(floor) || floor < 0
+                    || getOwn(getOwn(getOwn(data.favorites, avatar), chatId), mesId)) {
+                    result.skipped++;
+                    continue;
+                }
+                newFavorites.push({
+                    ...favorite,
+                    avatar,
+                    chatId,
+                    mesId: floor,
+                    group: knownGroupIds.has(favorite.group) ? favorite.group : DEFAULT_GROUP_ID
+                });
+            }
+        }
+    }
+
+    const newNotes = [];
+    const seenNoteIds = new Set();
+    const importedNotes = isPlainObject(imported.notes) ? imported.notes : {};
+    for (const [avatar, chats] of Object.entries(importedNotes)) {
+        if (!isSafeKey(avatar) || !isPlainObject(chats)) continue;
+        for (const [chatId, notes] of Object.entries(chats)) {
+            if (!isSafeKey(chatId) || !Array.isArray(notes)) continue;
+            notes.forEach(note => {
+                if (!isPlainObject(note) || !note.id || seenNoteIds.has(note.id) || findNote(data, note.id)) {
+                    result.skipped++;
+                    return;
+                }
+                seenNoteIds.add(note.id);
+                newNotes.push({
+                    ...note,
+                    avatar,
+                    chatId,
+                    tags: normalizeTags(Array.isArray(note.tags) ? note.tags : [])
+                });
+            });
+        }
+    }
+
+    data.groups.push(...newGroups);
+    result.groups = newGroups.length;
+
+    newFavorites.forEach(favorite => {
+        const { avatar, chatId, mesId } = favorite;
+        if (!getOwn(data.favorites, avatar)) data.favorites[avatar] = {};
+        if (!getOwn(data.favorites[avatar], chatId)) data.favorites[avatar][chatId] = {};
+        data.favorites[avatar][chatId][mesId] = favorite;
+    });
+    result.favorites = newFavorites.length;
+
+    newNotes.forEach(note => {
+        const { avatar, chatId } = note;
+        if (!getOwn(data.notes, avatar)) data.notes[avatar] = {};
+        if (!getOwn(data.notes[avatar], chatId)) data.notes[avatar][chatId] = [];
+        data.notes[avatar][chatId].push(note);
+    });
+    result.notes = newNotes.length;
+
+    saveArchiveDataDebounced();
+    logger.info('archive', '[ChatArchive.Data] 导入完成:', result);
+    return result;
+}
+
+/**
+ * 是否是普通对象（不是数组、null）
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 备份里的键名能否直接用作 favorites / notes 的键
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSafeKey(key) {
+    return key !== '' && !UNSAFE_KEYS.includes(key);
+}
+
+/**
+ * 读取对象自身的属性（不沿原型链，toString 之类的键取不到原型上的函数）
+ * @param {Object|undefined} obj
+ * @param {string} key
+ * @returns {any}
+ */
+function getOwn(obj, key) {
+    return obj && Object.hasOwn(obj, key) ? obj[key] : undefined;
+}
+
+/**
+ * 强制刷新缓存
+ */
+export function invalidateArchiveCache() {
+    cachedData = null;
+    loadFailed = false;
+    isDirty = false;
+    if (saveTimeout) {
+        clearTimeout(saveTimeout);
+        saveTimeout = null;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * 聊天记录管理中心 - 导出弹窗
+ *
+ * 职责：
+ * - 选择导出内容（当前聊天 / 楼层范围 / 收藏分组）和格式
+ * - 调用 chat-archive-export.js 生成并下载文件
+ */
+
+import logger from '../logger.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
+import { getContext } from '../../../../extensions.js';
+import { escapeHtml } from '../../../../utils.js';
+import { getGroups, getCurrentChatKey } from './chat-archive-data.js';
+import {
+    EXPORT_FORMATS,
+    collectChatDocument,
+    collectFavoritesDocument,
+    downloadDocument
+} from './chat-archive-export.js';
+
+/** 导出内容来源 */
+const SOURCES = {
+    CHAT: 'chat',
+    RANGE: 'range',
+    FAVORITES: 'favorites'
+};
+
+/**
+ * 显示导出弹窗
+ *
+ * @async
+ * @param {Object} [defaults] - 预设选项
+ * @param {string} [defaults.groupId] - 预选的收藏分组（从收藏夹打开时）
+ */
+export async function showExportDialog(defaults = {}) {
+    const chatKey = getCurrentChatKey();
+    const groups = await getGroups();
+    const lastMesId = Math.max(0, (getContext().chat?.length || 1) - 1);
+    const source = defaults.groupId || !chatKey ? SOURCES.FAVORITES : SOURCES.CHAT;
+
+    const html = `
+        <div class="chat-archive-export">
+            <div class="chat-archive-export-section">导出内容</div>
+            <label class="chat-archive-export-row">
+                <input type="radio" name="chat-archive-export-source" value="${SOURCES.CHAT}"
+                    ${source === SOURCES.CHAT ? 'checked' : ''} ${chatKey ? '' : 'disabled'}>
+                <span>当前聊天（全部楼层）</span>
+            </label>
+            <label class="chat-archive-export-row">
+                <input type="radio" name="chat-archive-export-source" value="${SOURCES.RANGE}" ${chatKey ? '' : 'disabled'}>
+                <span>楼层</span>
+                <input type="number" id="chat-archive-export-start" min="0" value="0">
+                <span>至</span>
+                <input type="number" id="chat-archive-export-end" min="0" value="${lastMesId}">
+            </label>
+            <label class="chat-archive-export-row">
+                <input type="radio" name="chat-archive-export-source" value="${SOURCES.FAVORITES}"
+                    ${source === SOURCES.FAVORITES ? 'checked' : ''}>
+                <span>收藏分组</span>
+                <select id="chat-archive-export-group">
+                    ${groups.map(g => `
+                        <option value="${escapeHtml(g.id)}" ${g.id === defaults.groupId ? 'selected' : ''}>${escapeHtml(g.name)}</option>
+                    `).join('')}
+                </select>
+            </label>
+
+            <div class="chat-archive-export-section">格式</div>
+            <select id="chat-archive-export-format">
+                <option value="${EXPORT_FORMATS.MARKDOWN}">Markdown (.md)</option>
+                <option value="${EXPORT_FORMATS.HTML}">网页 (.html)</option>
+                <option value="${EXPORT_FORMATS.EPUB}">电子书 (.epub)</option>
+            </select>
+
+            <div class="chat-archive-export-section">选项</div>
+            <label class="chat-archive-export-row">
+                <input type="checkbox" id="chat-archive-export-system">
+                <span>包含系统消息和隐藏的楼层</span>
+            </label>
+            <label class="chat-archive-export-row">
+                <input type="checkbox" id="chat-archive-export-theme">
+                <span>网页附带当前美化主题的样式</span>
+            </label>
+            <div class="chat-archive-export-hint">章节按折叠栏标题划分；收藏分组按聊天分章。</div>
+        </div>
+    `;
+
+    const result = await callGenericPopup(html, POPUP_TYPE.CONFIRM, '导出聊天记录', {
+        okButton: '导出',
+        cancelButton: '取消'
+    });
+    if (!result) return;
+
+    const sourceInput = /** @type {HTMLInputElement} */ (document.querySelector('input[name="chat-archive-export-source"]:checked'));
+    const startInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-export-start'));
+    const endInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-export-end'));
+    const groupSelect = /** @type {HTMLSelectElement} */ (document.getElementById('chat-archive-export-group'));
+    const formatSelect = /** @type {HTMLSelectElement} */ (document.getElementById('chat-archive-export-format'));
+    const systemInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-export-system'));
+    const themeInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-export-theme'));
+
+    const options = {
+        includeSystem: Boolean(systemInput?.checked),
+        includeTheme: Boolean(themeInput?.checked)
+    };
+    const format = formatSelect?.value || EXPORT_FORMATS.MARKDOWN;
+
+    toastr.info('正在生成导出文件...');
+    try {
+        let doc;
+        switch (sourceInput?.value) {
+            case SOURCES.RANGE: {
+                const a = Number(startInput?.value) || 0;
+                const b = Number(endInput?.value) || 0;
+                doc = await collectChatDocument({ start: Math.min(a, b), end: Math.max(a, b) }, options);
+                break;
+            }
+            case SOURCES.FAVORITES:
+                doc = await collectFavoritesDocument(groupSelect?.value);
+                break;
+            default:
+                doc = await collectChatDocument(undefined, options);
+        }
+
+        await downloadDocument(doc, format, options);
+        toastr.success('导出完成');
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.ExportDialog] 导出失败:', error);
+        toastr.error(error.message || '导出失败');
+    }
+}
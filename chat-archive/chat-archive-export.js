@@ -0,0 +1,644 @@
+/**
+ * 聊天记录管理中心 - 导出
+ *
+ * @description
+ * 把聊天记录整理成「文档」（标题 + 章节 + 消息），再写成三种格式：
+ * - Markdown
+ * - 独立 HTML（头像内嵌为 data URL，可选附带当前主题的 CSS）
+ * - EPUB 3（JSZip 打包，兼容只认 EPUB 2 目录的阅读器）
+ *
+ * 章节取自折叠栏标题（chat-tools-fold），全部在浏览器内生成，不依赖服务器接口。
+ */
+
+import logger from '../logger.js';
+import { messageFormatting, getThumbnailUrl } from '../../../../../script.js';
+import { getUserAvatar, user_avatar } from '../../../../personas.js';
+import { power_user } from '../../../../power-user.js';
+import { download, uuidv4, timestampToMoment } from '../../../../utils.js';
+import { getChatFoldTitles } from '../chat-tools/chat-tools-fold.js';
+import { getCurrentChatKey, loadChatMessages, getAllFavorites, getGroups } from './chat-archive-data.js';
+
+// ========================================
+// [CONST] 常量定义
+// ========================================
+
+/** 导出格式 */
+export const EXPORT_FORMATS = {
+    MARKDOWN: 'markdown',
+    HTML: 'html',
+    EPUB: 'epub'
+};
+
+/** 写入 HTML 的主题颜色变量（酒馆「美化主题」的颜色都落在这些变量上） */
+const THEME_VARIABLES = [
+    '--SmartThemeBodyColor',
+    '--SmartThemeEmColor',
+    '--SmartThemeUnderlineColor',
+    '--SmartThemeQuoteColor',
+    '--SmartThemeBlurTintColor',
+    '--SmartThemeChatTintColor',
+    '--SmartThemeUserMesBlurTintColor',
+    '--SmartThemeBotMesBlurTintColor',
+    '--SmartThemeShadowColor',
+    '--SmartThemeBorderColor',
+    '--mainFontSize',
+    '--mainFontFamily'
+];
+
+/** 导出文档的基础样式（主题变量缺省时使用后面的默认值） */
+const BASE_CSS = `
+body { margin: 0; padding: 2em 1em; font-family: var(--mainFontFamily, sans-serif); font-size: var(--mainFontSize, 16px);
+    color: var(--SmartThemeBodyColor, #333); background: var(--SmartThemeChatTintColor, #f7f7f7); }
+.export-book { max-width: 50em; margin: 0 auto; }
+.export-title { text-align: center; }
+.export-meta { text-align: center; opacity: 0.6; font-size: 0.85em; margin-bottom: 2em; }
+.export-toc a { color: inherit; }
+.export-chapter-title { margin: 2em 0 1em; padding-bottom: 0.3em; border-bottom: 1px solid var(--SmartThemeBorderColor, #ddd); }
+.mes { display: flex; gap: 0.8em; padding: 0.8em; margin-bottom: 0.8em; border-radius: 0.5em;
+    background: var(--SmartThemeBotMesBlurTintColor, #fff); }
+.mes[is_user="true"] { background: var(--SmartThemeUserMesBlurTintColor, #eef6ff); }
+.mes .avatar img, .mes .avatar span { width: 3em; height: 3em; border-radius: 50%; object-fit: cover; }
+.mes .avatar span { display: flex; align-items: center; justify-content: center; background: #999; color: #fff; }
+.mes_block { flex: 1; min-width: 0; }
+.ch_name { font-weight: 600; margin-bottom: 0.3em; }
+.mesIDDisplay { margin-left: 0.5em; font-weight: normal; opacity: 0.5; font-size: 0.8em; }
+.mes_text { line-height: 1.7; word-break: break-word; }
+.mes_text em { color: var(--SmartThemeEmColor, inherit); }
+.mes_text q { color: var(--SmartThemeQuoteColor, inherit); }
+.mes_text img { max-width: 100%; }
+`;
+
+/** EPUB 内的样式（阅读器自带排版，只保留最少的规则） */
+const EPUB_CSS = `
+body { line-height: 1.7; }
+h1 { text-align: center; }
+.mes { margin-bottom: 1em; }
+.ch_name { font-weight: bold; }
+.mesIDDisplay { font-weight: normal; color: #999; font-size: 0.8em; }
+.avatar { width: 2em; height: 2em; vertical-align: middle; margin-right: 0.4em; border-radius: 50%; }
+`;
+
+// ========================================
+// [TYPE] 数据结构
+// ========================================
+
+/**
+ * 导出消息
+ * @typedef {Object} ExportMessage
+ * @property {number} mesId - 楼层号
+ * @property {string} name - 发送者名称
+ * @property {boolean} isUser - 是否是用户消息
+ * @property {boolean} isSystem - 是否是系统消息
+ * @property {string} text - 原始消息文本
+ * @property {string} avatarUrl - 头像地址（没有时为空字符串）
+ * @property {string} sendDate - 发送时间（原始值）
+ */
+
+/**
+ * 导出章节
+ * @typedef {Object} ExportChapter
+ * @property {string} title - 章节标题
+ * @property {ExportMessage[]} messages - 消息
+ */
+
+/**
+ * 导出文档
+ * @typedef {Object} ExportDocument
+ * @property {string} title - 文档标题
+ * @property {string} subtitle - 副标题（角色名、楼层范围等）
+ * @property {ExportChapter[]} chapters - 章节
+ */
+
+/**
+ * 导出选项
+ * @typedef {Object} ExportOptions
+ * @property {boolean} [includeSystem=false] - 包含系统消息（被隐藏的楼层也是系统消息）
+ * @property {boolean} [includeTheme=false] - HTML 附带当前主题的颜色和自定义 CSS
+ */
+
+// ========================================
+// [CORE] 收集文档
+// ========================================
+
+/**
+ * 从当前聊天收集文档
+ *
+ * @async
+ * @param {Object} [range] - 楼层范围（不传则导出整个聊天）
+ * @param {number} range.start - 起始楼层（含）
+ * @param {number} range.end - 结束楼层（含）
+ * @param {ExportOptions} [options] - 导出选项
+ * @returns {Promise<ExportDocument>}
+ * @throws {Error} 没有打开聊天或范围内没有消息时
+ */
+export async function collectChatDocument(range, options = {}) {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        throw new Error('请先打开一个聊天');
+    }
+
+    const messages = await loadChatMessages(chatKey.chatId);
+    const start = Math.max(0, range?.start ?? 0);
+    const end = Math.min(messages.length - 1, range?.end ?? messages.length - 1);
+
+    /** @type {ExportMessage[]} */
+    const picked = [];
+    for (let mesId = start; mesId <= end; mesId++) {
+        const msg = messages[mesId];
+        if (!msg || typeof msg.mes !== 'string') continue;
+        if (msg.is_system && !options.includeSystem) continue;
+        picked.push(toExportMessage(msg, mesId, chatKey.avatar));
+    }
+
+    if (picked.length === 0) {
+        throw new Error('所选范围内没有可导出的消息');
+    }
+
+    const folds = getChatFoldTitles(chatKey.avatar, chatKey.chatId);
+    return {
+        title: chatKey.characterName || chatKey.chatId,
+        subtitle: range ? `${chatKey.chatId} · #${start}–#${end}` : chatKey.chatId,
+        chapters: splitByFolds(picked, folds, chatKey.chatId)
+    };
+}
+
+/**
+ * 从收藏分组收集文档（每个聊天一章）
+ *
+ * @async
+ * @param {string} groupId - 分组 ID
+ * @returns {Promise<ExportDocument>}
+ * @throws {Error} 分组不存在或为空时
+ */
+export async function collectFavoritesDocument(groupId) {
+    const [groups, favorites] = await Promise.all([getGroups(), getAllFavorites()]);
+    const group = groups.find(g => g.id === groupId);
+    if (!group) {
+        throw new Error('收藏分组不存在');
+    }
+
+    const items = favorites
+        .filter(f => f.group === groupId)
+        .sort((a, b) => a.characterName.localeCompare(b.characterName) || a.chatId.localeCompare(b.chatId) || a.mesId - b.mesId);
+    if (items.length === 0) {
+        throw new Error('该分组没有收藏');
+    }
+
+    /** @type {Map<string, ExportChapter>} */
+    const chapters = new Map();
+    items.forEach(item => {
+        const key = `${item.avatar}\u0000${item.chatId}`;
+        if (!chapters.has(key)) {
+            chapters.set(key, { title: `${item.characterName} · ${item.chatId}`, messages: [] });
+        }
+        chapters.get(key).messages.push({
+            mesId: item.mesId,
+            name: item.senderName,
+            isUser: item.isUser,
+            isSystem: false,
+            text: item.text,
+            avatarUrl: getAvatarUrl({ is_user: item.isUser }, item.avatar),
+            sendDate: ''
+        });
+    });
+
+    return {
+        title: group.name,
+        subtitle: `收藏分组 · ${items.length} 条`,
+        chapters: [...chapters.values()]
+    };
+}
+
+/**
+ * 转换为导出消息
+ *
+ * @param {Object} msg - 酒馆消息对象
+ * @param {number} mesId - 楼层号
+ * @param {string} avatar - 当前角色头像文件名（群聊为 group_{groupId}）
+ * @returns {ExportMessage}
+ */
+function toExportMessage(msg, mesId, avatar) {
+    return {
+        mesId,
+        name: msg.name || (msg.is_user ? '用户' : '角色'),
+        isUser: Boolean(msg.is_user),
+        isSystem: Boolean(msg.is_system),
+        text: msg.mes,
+        avatarUrl: getAvatarUrl(msg, avatar),
+        sendDate: msg.send_date ? String(msg.send_date) : ''
+    };
+}
+
+/**
+ * 获取消息头像地址
+ *
+ * @param {Object} msg - 消息对象（至少含 is_user，可含 force_avatar）
+ * @param {string} avatar - 角色头像文件名
+ * @returns {string} 没有头像（如群聊的角色消息缺少 force_avatar）时返回空字符串
+ */
+function getAvatarUrl(msg, avatar) {
+    if (msg.force_avatar) return msg.force_avatar;
+    if (msg.is_user) return user_avatar ? getUserAvatar(user_avatar) : '';
+    if (avatar && !avatar.startsWith('group_')) return getThumbnailUrl('avatar', avatar);
+    return '';
+}
+
+/**
+ * 按折叠栏标题划分章节
+ *
+ * @description
+ * 每个带标题的折叠栏开始一章。导出范围从某章中间开始时，
+ * 沿用范围之前最近的折叠栏标题；之前没有折叠栏则用默认标题。
+ *
+ * @param {ExportMessage[]} messages - 按楼层升序的消息
+ * @param {{mesId: number, title: string}[]} folds - 折叠栏标题（按楼层升序）
+ * @param {string} defaultTitle - 没有折叠栏时的章节标题
+ * @returns {ExportChapter[]}
+ */
+function splitByFolds(messages, folds, defaultTitle) {
+    /** @type {ExportChapter[]} */
+    const chapters = [];
+    let current = null;
+
+    messages.forEach(message => {
+        const fold = [...folds].reverse().find(f => f.mesId <= message.mesId);
+        const title = fold?.title || (folds.length > 0 ? '序章' : defaultTitle);
+        if (!current || current.title !== title) {
+            current = { title, messages: [] };
+            chapters.push(current);
+        }
+        current.messages.push(message);
+    });
+
+    return chapters;
+}
+
+// ========================================
+// [CORE] Markdown
+// ========================================
+
+/**
+ * 生成 Markdown
+ *
+ * @param {ExportDocument} doc - 文档
+ * @returns {string}
+ */
+export function toMarkdown(doc) {
+    const lines = [`# ${doc.title}`, '', `> ${doc.subtitle}`, ''];
+
+    doc.chapters.forEach(chapter => {
+        lines.push(`## ${chapter.title}`, '');
+        chapter.messages.forEach(message => {
+            const date = message.sendDate ? ` · ${formatDate(message.sendDate)}` : '';
+            lines.push(`**${message.name}** · #${message.mesId}${date}`, '', message.text.trim(), '', '---', '');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+// ========================================
+// [CORE] HTML
+// ========================================
+
+/**
+ * 生成独立 HTML（头像内嵌）
+ *
+ * @async
+ * @param {ExportDocument} doc - 文档
+ * @param {ExportOptions} [options] - 导出选项
+ * @returns {Promise<string>}
+ */
+export async function toHtml(doc, options = {}) {
+    const avatars = await embedAvatars(doc);
+
+    const toc = doc.chapters.length > 1
+        ? `<nav class="export-toc"><ol>${doc.chapters.map((c, i) => `<li><a href="#chapter-${i + 1}">${escapeXml(c.title)}</a></li>`).join('')}</ol></nav>`
+        : '';
+
+    const body = doc.chapters.map((chapter, index) => `
+        <section id="chapter-${index + 1}">
+            <h2 class="export-chapter-title">${escapeXml(chapter.title)}</h2>
+            ${chapter.messages.map(message => renderMessageHtml(message, avatars.get(message.avatarUrl))).join('')}
+        </section>
+    `).join('');
+
+    const themeCss = options.includeTheme ? getThemeCss() : '';
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(doc.title)}</title>
+<style>${BASE_CSS}</style>
+${themeCss ? `<style>${themeCss}</style>` : ''}
+</head>
+<body>
+<div class="export-book">
+<h1 class="export-title">${escapeXml(doc.title)}</h1>
+<div class="export-meta">${escapeXml(doc.subtitle)} · 导出于 ${escapeXml(new Date().toLocaleString())}</div>
+${toc}
+${body}
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * 渲染单条消息（沿用酒馆的类名，主题 CSS 可以直接生效）
+ *
+ * @param {ExportMessage} message - 消息
+ * @param {string} [avatarDataUrl] - 内嵌头像
+ * @returns {string}
+ */
+function renderMessageHtml(message, avatarDataUrl) {
+    const avatar = avatarDataUrl
+        ? `<img src="${avatarDataUrl}" alt="">`
+        : `<span>${escapeXml(message.name.charAt(0))}</span>`;
+
+    return `
+        <div class="mes" is_user="${message.isUser}" is_system="${message.isSystem}" mesid="${message.mesId}">
+            <div class="avatar">${avatar}</div>
+            <div class="mes_block">
+                <div class="ch_name"><span class="name_text">${escapeXml(message.name)}</span><span class="mesIDDisplay">#${message.mesId}</span></div>
+                <div class="mes_text">${formatMessageHtml(message)}</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 用酒馆的消息格式化（Markdown、引号高亮、正则脚本）渲染正文
+ *
+ * @param {ExportMessage} message - 消息
+ * @returns {string} HTML
+ */
+function formatMessageHtml(message) {
+    return messageFormatting(message.text, message.name, message.isSystem, message.isUser, message.mesId);
+}
+
+/**
+ * 读取当前主题的颜色变量和自定义 CSS
+ *
+ * @returns {string}
+ */
+function getThemeCss() {
+    const computed = getComputedStyle(document.documentElement);
+    const variables = THEME_VARIABLES
+        .map(name => [name, computed.getPropertyValue(name).trim()])
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${value};`)
+        .join(' ');
+
+    // 自定义 CSS 原样写入，</style> 会提前结束样式块，需要断开
+    const customCss = String(power_user.custom_css || '').replace(/<\/style/gi, '<\\/style');
+    return `:root { ${variables} }\n${customCss}`;
+}
+
+/**
+ * 把文档中用到的头像下载为 data URL
+ *
+ * @async
+ * @param {ExportDocument} doc - 文档
+ * @returns {Promise<Map<string, string>>} 头像地址 → data URL（下载失败的不在其中）
+ */
+async function embedAvatars(doc) {
+    const urls = new Set(doc.chapters.flatMap(c => c.messages.map(m => m.avatarUrl)).filter(Boolean));
+    const avatars = new Map();
+
+    await Promise.all([...urls].map(async url => {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            avatars.set(url, await blobToDataUrl(await response.blob()));
+        } catch (error) {
+            logger.warn('archive', '[ChatArchive.Export] 头像下载失败，改用文字头像:', url, error.message);
+        }
+    }));
+
+    return avatars;
+}
+
+/**
+ * Blob 转 data URL
+ *
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ========================================
+// [CORE] EPUB
+// ========================================
+
+/**
+ * 生成 EPUB
+ *
+ * @description
+ * 每章一个 XHTML 文件；正文先用酒馆格式化成 HTML，
+ * 再经 DOMParser + XMLSerializer 转成格式良好的 XHTML。
+ * 头像作为图片资源打包（下载失败的直接省略）。
+ *
+ * @async
+ * @param {ExportDocument} doc - 文档
+ * @returns {Promise<Blob>}
+ */
+export async function toEpub(doc) {
+    if (!window.JSZip) {
+        await import('../../../../../../lib/jszip.min.js');
+    }
+
+    const avatars = await embedAvatars(doc);
+    const bookId = `urn:uuid:${uuidv4()}`;
+    const zip = new JSZip();
+
+    // mimetype 必须是第一个文件且不压缩
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`);
+
+    // 头像资源
+    /** @type {Map<string, {path: string, mediaType: string}>} */
+    const images = new Map();
+    [...avatars.entries()].forEach(([url, dataUrl], index) => {
+        const match = /^data:([^;]+);base64,(.*)$/.exec(dataUrl);
+        if (!match) return;
+        const [, mediaType, base64] = match;
+        const ext = mediaType.split('/')[1]?.replace('jpeg', 'jpg') || 'png';
+        const path = `images/avatar-${index + 1}.${ext}`;
+        zip.file(`OEBPS/${path}`, base64, { base64: true });
+        images.set(url, { path, mediaType });
+    });
+
+    zip.file('OEBPS/style.css', EPUB_CSS);
+
+    const chapterFiles = doc.chapters.map((chapter, index) => {
+        const file = `chapter-${index + 1}.xhtml`;
+        const body = chapter.messages.map(message => {
+            const image = images.get(message.avatarUrl);
+            const avatar = image ? `<img class="avatar" src="${image.path}" alt=""/>` : '';
+            return `<div class="mes">
+<p class="ch_name">${avatar}${escapeXml(message.name)} <span class="mesIDDisplay">#${message.mesId}</span></p>
+<div class="mes_text">${htmlToXhtml(formatMessageHtml(message))}</div>
+</div>`;
+        }).join('\n');
+
+        zip.file(`OEBPS/${file}`, xhtmlPage(chapter.title, `<h2>${escapeXml(chapter.title)}</h2>\n${body}`));
+        return { file, title: chapter.title };
+    });
+
+    const titlePage = `<h1>${escapeXml(doc.title)}</h1>\n<p style="text-align: center;">${escapeXml(doc.subtitle)}</p>`;
+    zip.file('OEBPS/title.xhtml', xhtmlPage(doc.title, titlePage));
+
+    zip.file('OEBPS/nav.xhtml', `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="zh-CN">
+<head><meta charset="UTF-8"/><title>目录</title></head>
+<body>
+<nav epub:type="toc" id="toc"><h1>目录</h1><ol>
+${chapterFiles.map(c => `<li><a href="${c.file}">${escapeXml(c.title)}</a></li>`).join('\n')}
+</ol></nav>
+</body>
+</html>`);
+
+    zip.file('OEBPS/toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${bookId}"/></head>
+<docTitle><text>${escapeXml(doc.title)}</text></docTitle>
+<navMap>
+${chapterFiles.map((c, i) => `<navPoint id="nav-${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(c.title)}</text></navLabel><content src="${c.file}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>`);
+
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="zh-CN">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${bookId}</dc:identifier>
+<dc:title>${escapeXml(doc.title)}</dc:title>
+<dc:language>zh-CN</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="css" href="style.css" media-type="text/css"/>
+<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>
+${chapterFiles.map((c, i) => `<item id="chapter-${i + 1}" href="${c.file}" media-type="application/xhtml+xml"/>`).join('\n')}
+${[...images.values()].map((img, i) => `<item id="image-${i + 1}" href="${img.path}" media-type="${img.mediaType}"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="title"/>
+${chapterFiles.map((c, i) => `<itemref idref="chapter-${i + 1}"/>`).join('\n')}
+</spine>
+</package>`);
+
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+}
+
+/**
+ * 包装为 XHTML 页面
+ *
+ * @param {string} title - 页面标题
+ * @param {string} body - 正文（必须是 XHTML）
+ * @returns {string}
+ */
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" lang="zh-CN">
+<head><meta charset="UTF-8"/><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * HTML 片段转 XHTML（闭合空标签、转义实体）
+ *
+ * @param {string} html - HTML 片段
+ * @returns {string}
+ */
+function htmlToXhtml(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    // 外部图片、脚本在 EPUB 里无法加载，去掉
+    doc.body.querySelectorAll('script, style, iframe, img, video, audio').forEach(el => el.remove());
+
+    const serializer = new XMLSerializer();
+    return [...doc.body.childNodes].map(node => serializer.serializeToString(node)).join('');
+}
+
+// ========================================
+// [CORE] 下载
+// ========================================
+
+/**
+ * 按格式生成文件并下载
+ *
+ * @async
+ * @param {ExportDocument} doc - 文档
+ * @param {string} format - 导出格式（EXPORT_FORMATS）
+ * @param {ExportOptions} [options] - 导出选项
+ */
+export async function downloadDocument(doc, format, options = {}) {
+    const baseName = `${doc.title}_${timestampToMoment(Date.now()).format('YYYYMMDD-HHmmss')}`.replace(/[\\/:*?"<>|]/g, '_');
+
+    switch (format) {
+        case EXPORT_FORMATS.MARKDOWN:
+            download(toMarkdown(doc), `${baseName}.md`, 'text/markdown');
+            break;
+        case EXPORT_FORMATS.HTML:
+            download(await toHtml(doc, options), `${baseName}.html`, 'text/html');
+            break;
+        case EXPORT_FORMATS.EPUB:
+            download(await toEpub(doc), `${baseName}.epub`, 'application/epub+zip');
+            break;
+        default:
+            throw new Error(`未知的导出格式: ${format}`);
+    }
+
+    logger.info('archive', '[ChatArchive.Export] 已导出:', format, doc.title, `${doc.chapters.length} 章`);
+}
+
+// ========================================
+// [UTIL] 工具函数
+// ========================================
+
+/**
+ * 转义 XML / HTML 特殊字符
+ *
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 格式化发送时间
+ *
+ * @param {string} sendDate - 消息的 send_date
+ * @returns {string}
+ */
+function formatDate(sendDate) {
+    const moment = timestampToMoment(sendDate);
+    return moment.isValid() ? moment.format('YYYY-MM-DD HH:mm') : sendDate;
+}
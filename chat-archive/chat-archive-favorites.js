@@ -0,0 +1,522 @@
+/**
+ * 聊天记录管理中心 - 收藏夹页
+ *
+ * 职责：
+ * - 以文件夹形式列出收藏分组及数量
+ * - 拖拽或多选后批量移动收藏到其他分组
+ * - 分组管理（新建、重命名、改颜色、排序、删除）
+ * - 收藏备份的导入导出（包含分组定义）
+ *
+ * 依赖：
+ * - chat-archive-data.js
+ */
+
+import logger from '../logger.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
+import { escapeHtml } from '../../../../utils.js';
+import {
+    getAllFavorites,
+    getGroups,
+    createGroup,
+    updateGroup,
+    reorderGroups,
+    deleteGroup,
+    moveFavoritesToGroup,
+    removeFavorite,
+    getCurrentChatKey,
+    downloadArchiveBackup,
+    importArchiveBackup,
+    DEFAULT_GROUP_ID
+} from './chat-archive-data.js';
+import { showExportDialog } from './chat-archive-export-dialog.js';
+
+// ========================================
+// [CONST] 常量定义
+// ========================================
+
+/** 拖拽数据类型 */
+const DRAG_MIME = 'application/x-chat-archive-favorites';
+
+// ========================================
+// [STATE] 页面状态
+// ========================================
+
+/**
+ * 收藏夹页状态
+ * @type {{collapsed: Set<string>, selectMode: boolean, selected: Set<string>, managing: boolean}}
+ */
+const state = {
+    collapsed: new Set(),
+    selectMode: false,
+    selected: new Set(),
+    managing: false
+};
+
+/**
+ * 生成收藏条目的唯一键
+ *
+ * @param {{avatar: string, chatId: string, mesId: number|string}} ref - 收藏定位
+ * @returns {string}
+ */
+function toKey({ avatar, chatId, mesId }) {
+    return JSON.stringify([avatar, chatId, String(mesId)]);
+}
+
+/**
+ * 从唯一键还原收藏定位
+ *
+ * @param {string} key - toKey 生成的键
+ * @returns {import('./chat-archive-data.js').FavoriteRef}
+ */
+function fromKey(key) {
+    const [avatar, chatId, mesId] = JSON.parse(key);
+    return { avatar, chatId, mesId };
+}
+
+// ========================================
+// [RENDER] 页面渲染
+// ========================================
+
+/**
+ * 渲染收藏夹页
+ *
+ * @param {HTMLElement} page - 收藏夹页容器 (#chat-archive-page-favorites)
+ * @param {Object} actions - 框架提供的操作
+ * @param {(chatId: string, mesId: number) => Promise<void>} actions.jumpTo - 打开聊天并跳转到消息
+ */
+export function renderFavoritesPage(page, { jumpTo }) {
+    page.innerHTML = `
+        <div class="chat-archive-fav-toolbar">
+            <div class="chat-archive-fav-tool" data-action="select" title="多选">
+                <i class="fa-solid fa-list-check"></i>
+            </div>
+            <div class="chat-archive-fav-tool" data-action="manage" title="管理分组">
+                <i class="fa-solid fa-folder-tree"></i>
+            </div>
+            <div class="chat-archive-fav-tool" data-action="export" title="导出备份">
+                <i class="fa-solid fa-file-export"></i>
+            </div>
+            <div class="chat-archive-fav-tool" data-action="import" title="导入备份">
+                <i class="fa-solid fa-file-import"></i>
+            </div>
+            <input type="file" class="chat-archive-fav-import-file" accept=".json" hidden>
+        </div>
+        <div class="chat-archive-fav-body"></div>
+        <div class="chat-archive-fav-selection-bar" style="display: none;"></div>
+    `;
+
+    bindToolbarEvents(page);
+    bindListEvents(page, jumpTo);
+
+    refreshFavoritesPage(page);
+    logger.debug('archive', '[ChatArchive.Favorites] 收藏夹页渲染完成');
+}
+
+/**
+ * 重新渲染收藏夹内容（数据变化后调用）
+ *
+ * @async
+ * @param {HTMLElement} page - 收藏夹页容器
+ */
+export async function refreshFavoritesPage(page) {
+    const body = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-fav-body'));
+    if (!body) return;
+
+    const [groups, favorites] = await Promise.all([getGroups(), getAllFavorites()]);
+
+    page.querySelector('[data-action="select"]')?.classList.toggle('active', state.selectMode);
+    page.querySelector('[data-action="manage"]')?.classList.toggle('active', state.managing);
+
+    if (state.managing) {
+        body.innerHTML = renderGroupManager(groups);
+    } else {
+        body.innerHTML = renderGroupFolders(groups, favorites);
+    }
+
+    renderSelectionBar(page, groups);
+}
+
+/**
+ * 渲染分组文件夹列表
+ *
+ * @param {import('./chat-archive-data.js').FavoriteGroup[]} groups - 分组
+ * @param {import('./chat-archive-data.js').FavoriteItem[]} favorites - 全部收藏
+ * @returns {string} HTML
+ */
+function renderGroupFolders(groups, favorites) {
+    // 分组已被删除的收藏（如导入的旧数据）归入默认分组显示
+    const knownIds = new Set(groups.map(g => g.id));
+    /** @type {Map<string, import('./chat-archive-data.js').FavoriteItem[]>} */
+    const byGroup = new Map(groups.map(g => [g.id, []]));
+    favorites.forEach(favorite => {
+        const groupId = knownIds.has(favorite.group) ? favorite.group : DEFAULT_GROUP_ID;
+        byGroup.get(groupId)?.push(favorite);
+    });
+
+    const currentAvatar = getCurrentChatKey()?.avatar;
+
+    return groups.map(group => {
+        const items = byGroup.get(group.id) || [];
+        const collapsed = state.collapsed.has(group.id);
+
+        return `
+            <div class="chat-archive-fav-group ${collapsed ? 'collapsed' : ''}" data-group-id="${escapeHtml(group.id)}">
+                <div class="chat-archive-fav-group-header">
+                    <i class="fa-solid fa-caret-down chat-archive-fav-group-arrow"></i>
+                    <i class="fa-solid fa-folder chat-archive-fav-group-icon" style="color: ${escapeHtml(group.color)};"></i>
+                    <div class="chat-archive-fav-group-title">${escapeHtml(group.name)}</div>
+                    <div class="chat-archive-fav-group-count">${items.length}</div>
+                    ${items.length === 0
+                        ? ''
+                        : '<div class="chat-archive-fav-group-export" title="导出为文档"><i class="fa-solid fa-file-export"></i></div>'}
+                </div>
+                <div class="chat-archive-fav-group-items">
+                    ${items.length === 0
+                        ? '<div class="chat-archive-fav-empty">拖拽收藏到这里</div>'
+                        : items.map(item => renderFavoriteItem(item, item.avatar === currentAvatar)).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 渲染单条收藏
+ *
+ * @param {import('./chat-archive-data.js').FavoriteItem} item - 收藏条目
+ * @param {boolean} jumpable - 是否属于当前角色（可跳转）
+ * @returns {string} HTML
+ */
+function renderFavoriteItem(item, jumpable) {
+    const key = toKey(item);
+    const selected = state.selected.has(key);
+    const preview = item.text.length > 80 ? item.text.substring(0, 80) + '...' : item.text;
+    const date = new Date(item.createdAt).toLocaleDateString();
+
+    return `
+        <div class="chat-archive-fav-item ${selected ? 'selected' : ''}" draggable="true"
+            data-key="${escapeHtml(key)}" data-jumpable="${jumpable}">
+            ${state.selectMode
+                ? `<input type="checkbox" class="chat-archive-fav-item-check" ${selected ? 'checked' : ''}>`
+                : ''}
+            <div class="chat-archive-fav-item-content">
+                <div class="chat-archive-fav-item-title">${escapeHtml(item.title || `${item.senderName} #${item.mesId}`)}</div>
+                <div class="chat-archive-fav-item-preview">${escapeHtml(preview)}</div>
+                <div class="chat-archive-fav-item-meta">${escapeHtml(item.characterName)} · #${item.mesId} · ${escapeHtml(date)}</div>
+            </div>
+            ${state.selectMode
+                ? ''
+                : '<div class="chat-archive-fav-item-delete" title="取消收藏"><i class="fa-solid fa-trash-can"></i></div>'}
+        </div>
+    `;
+}
+
+/**
+ * 渲染分组管理视图
+ *
+ * @param {import('./chat-archive-data.js').FavoriteGroup[]} groups - 分组
+ * @returns {string} HTML
+ */
+function renderGroupManager(groups) {
+    return `
+        <div class="chat-archive-group-manager">
+            ${groups.map((group, index) => `
+                <div class="chat-archive-group-row" data-group-id="${escapeHtml(group.id)}">
+                    <input type="color" class="chat-archive-group-color" value="${escapeHtml(group.color)}">
+                    <input type="text" class="chat-archive-group-name" value="${escapeHtml(group.name)}">
+                    <div class="chat-archive-group-btn" data-action="up" title="上移" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fa-solid fa-arrow-up"></i>
+                    </div>
+                    <div class="chat-archive-group-btn" data-action="down" title="下移" ${index === groups.length - 1 ? 'disabled' : ''}>
+                        <i class="fa-solid fa-arrow-down"></i>
+                    </div>
+                    ${group.id === DEFAULT_GROUP_ID
+                        ? '<div class="chat-archive-group-btn" disabled title="默认分组不能删除"><i class="fa-solid fa-lock"></i></div>'
+                        : '<div class="chat-archive-group-btn danger" data-action="delete" title="删除分组"><i class="fa-solid fa-trash-can"></i></div>'}
+                </div>
+            `).join('')}
+            <div class="chat-archive-group-add" data-action="add">
+                <i class="fa-solid fa-folder-plus"></i><span>新建分组</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 渲染多选操作栏
+ *
+ * @param {HTMLElement} page - 收藏夹页容器
+ * @param {import('./chat-archive-data.js').FavoriteGroup[]} groups - 分组
+ */
+function renderSelectionBar(page, groups) {
+    const bar = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-fav-selection-bar'));
+    if (!state.selectMode || state.managing) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    bar.style.display = '';
+    bar.innerHTML = `
+        <span class="chat-archive-fav-selection-count">已选 ${state.selected.size} 条</span>
+        <select class="chat-archive-fav-move-target">
+            ${groups.map(g => `<option value="${escapeHtml(g.id)}">${escapeHtml(g.name)}</option>`).join('')}
+        </select>
+        <button class="chat-archive-fav-btn" data-action="move" ${state.selected.size === 0 ? 'disabled' : ''}>移动</button>
+        <button class="chat-archive-fav-btn danger" data-action="remove" ${state.selected.size === 0 ? 'disabled' : ''}>删除</button>
+    `;
+}
+
+// ========================================
+// [EVENT] 事件绑定
+// ========================================
+
+/**
+ * 绑定工具栏事件
+ *
+ * @param {HTMLElement} page - 收藏夹页容器
+ */
+function bindToolbarEvents(page) {
+    const fileInput = /** @type {HTMLInputElement} */ (page.querySelector('.chat-archive-fav-import-file'));
+
+    page.querySelector('.chat-archive-fav-toolbar')?.addEventListener('click', async (e) => {
+        const tool = /** @type {HTMLElement} */ (e.target).closest('.chat-archive-fav-tool');
+        const action = tool?.getAttribute('data-action');
+        if (!action) return;
+
+        switch (action) {
+            case 'select':
+                state.selectMode = !state.selectMode;
+                state.selected.clear();
+                state.managing = false;
+                break;
+            case 'manage':
+                state.managing = !state.managing;
+                state.selectMode = false;
+                state.selected.clear();
+                break;
+            case 'export':
+                await downloadArchiveBackup();
+                return;
+            case 'import':
+                fileInput.click();
+                return;
+        }
+        refreshFavoritesPage(page);
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const result = await importArchiveBackup(await file.text());
+            toastr.success(`导入完成：${result.favorites} 条收藏，${result.groups} 个分组，${result.notes} 条笔记，跳过 ${result.skipped} 条`);
+            refreshFavoritesPage(page);
+        } catch (error) {
+            logger.error('archive', '[ChatArchive.Favorites] 导入失败:', error);
+            toastr.error(`导入失败：${error.message}`);
+        }
+    });
+
+    // 多选操作栏
+    page.querySelector('.chat-archive-fav-selection-bar')?.addEventListener('click', async (e) => {
+        const button = /** @type {HTMLElement} */ (e.target).closest('[data-action]');
+        const action = button?.getAttribute('data-action');
+        if (!action || state.selected.size === 0) return;
+
+        const refs = [...state.selected].map(fromKey);
+
+        if (action === 'move') {
+            const target = /** @type {HTMLSelectElement} */ (page.querySelector('.chat-archive-fav-move-target')).value;
+            const moved = await moveFavoritesToGroup(refs, target);
+            toastr.success(`已移动 ${moved} 条收藏`);
+        } else if (action === 'remove') {
+            const confirmed = await callGenericPopup(`确定要删除选中的 ${refs.length} 条收藏吗？`, POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            for (const ref of refs) {
+                await removeFavorite(ref.avatar, ref.chatId, ref.mesId);
+            }
+        }
+
+        state.selected.clear();
+        refreshFavoritesPage(page);
+    });
+}
+
+/**
+ * 绑定列表事件（折叠、选择、跳转、拖拽、分组管理）
+ *
+ * @param {HTMLElement} page - 收藏夹页容器
+ * @param {(chatId: string, mesId: number) => Promise<void>} jumpTo - 跳转回调
+ */
+function bindListEvents(page, jumpTo) {
+    const body = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-fav-body'));
+
+    body.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+
+        if (state.managing) {
+            await handleManagerClick(page, target);
+            return;
+        }
+
+        // 导出分组（Markdown / HTML / EPUB）
+        const exportBtn = target.closest('.chat-archive-fav-group-export');
+        if (exportBtn) {
+            const groupId = exportBtn.closest('.chat-archive-fav-group')?.getAttribute('data-group-id');
+            await showExportDialog({ groupId });
+            return;
+        }
+
+        // 折叠分组
+        const header = target.closest('.chat-archive-fav-group-header');
+        if (header) {
+            const groupId = header.parentElement?.getAttribute('data-group-id');
+            if (groupId) {
+                if (state.collapsed.has(groupId)) {
+                    state.collapsed.delete(groupId);
+                } else {
+                    state.collapsed.add(groupId);
+                }
+                header.parentElement.classList.toggle('collapsed');
+            }
+            return;
+        }
+
+        const item = /** @type {HTMLElement|null} */ (target.closest('.chat-archive-fav-item'));
+        if (!item) return;
+        const key = item.getAttribute('data-key');
+        const ref = fromKey(key);
+
+        // 多选模式：切换选中
+        if (state.selectMode) {
+            if (state.selected.has(key)) {
+                state.selected.delete(key);
+            } else {
+                state.selected.add(key);
+            }
+            refreshFavoritesPage(page);
+            return;
+        }
+
+        // 取消收藏
+        if (target.closest('.chat-archive-fav-item-delete')) {
+            const confirmed = await callGenericPopup('确定要取消这条收藏吗？', POPUP_TYPE.CONFIRM);
+            if (confirmed) {
+                await removeFavorite(ref.avatar, ref.chatId, ref.mesId);
+                refreshFavoritesPage(page);
+            }
+            return;
+        }
+
+        // 跳转到原消息（只能跳转当前角色的聊天）
+        if (item.getAttribute('data-jumpable') !== 'true') {
+            toastr.info('请先打开该收藏所属的角色，再跳转到原消息');
+            return;
+        }
+        jumpTo(ref.chatId, Number(ref.mesId));
+    });
+
+    // 分组名称、颜色修改
+    body.addEventListener('change', async (e) => {
+        const input = /** @type {HTMLInputElement} */ (e.target);
+        const groupId = input.closest('.chat-archive-group-row')?.getAttribute('data-group-id');
+        if (!groupId) return;
+
+        if (input.classList.contains('chat-archive-group-name')) {
+            await updateGroup(groupId, { name: input.value });
+        } else if (input.classList.contains('chat-archive-group-color')) {
+            await updateGroup(groupId, { color: input.value });
+        }
+    });
+
+    // 拖拽移动
+    body.addEventListener('dragstart', (e) => {
+        const item = /** @type {HTMLElement} */ (e.target).closest?.('.chat-archive-fav-item');
+        if (!item || !e.dataTransfer) return;
+
+        const key = item.getAttribute('data-key');
+        // 拖动已选中的条目时，连同其他选中条目一起移动
+        const keys = state.selected.has(key) ? [...state.selected] : [key];
+        e.dataTransfer.setData(DRAG_MIME, JSON.stringify(keys));
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    body.addEventListener('dragover', (e) => {
+        const group = /** @type {HTMLElement} */ (e.target).closest?.('.chat-archive-fav-group');
+        if (!group || !e.dataTransfer?.types.includes(DRAG_MIME)) return;
+        e.preventDefault();
+        body.querySelectorAll('.chat-archive-fav-group.drag-over').forEach(el => el !== group && el.classList.remove('drag-over'));
+        group.classList.add('drag-over');
+    });
+
+    body.addEventListener('dragleave', (e) => {
+        const group = /** @type {HTMLElement} */ (e.target).closest?.('.chat-archive-fav-group');
+        if (group && !group.contains(/** @type {Node} */ (e.relatedTarget))) {
+            group.classList.remove('drag-over');
+        }
+    });
+
+    body.addEventListener('drop', async (e) => {
+        const group = /** @type {HTMLElement} */ (e.target).closest?.('.chat-archive-fav-group');
+        const raw = e.dataTransfer?.getData(DRAG_MIME);
+        if (!group || !raw) return;
+        e.preventDefault();
+        group.classList.remove('drag-over');
+
+        const groupId = group.getAttribute('data-group-id');
+        const refs = JSON.parse(raw).map(fromKey);
+        const moved = await moveFavoritesToGroup(refs, groupId);
+        logger.info('archive', '[ChatArchive.Favorites] 拖拽移动收藏:', moved, '→', groupId);
+
+        state.selected.clear();
+        refreshFavoritesPage(page);
+    });
+}
+
+/**
+ * 处理分组管理视图中的点击
+ *
+ * @async
+ * @param {HTMLElement} page - 收藏夹页容器
+ * @param {HTMLElement} target - 点击目标
+ */
+async function handleManagerClick(page, target) {
+    const button = target.closest('[data-action]');
+    if (!button || button.hasAttribute('disabled')) return;
+
+    const action = button.getAttribute('data-action');
+
+    if (action === 'add') {
+        const name = await callGenericPopup('输入分组名称', POPUP_TYPE.INPUT, '');
+        if (typeof name === 'string' && name.trim()) {
+            await createGroup(name);
+            refreshFavoritesPage(page);
+        }
+        return;
+    }
+
+    const groupId = button.closest('.chat-archive-group-row')?.getAttribute('data-group-id');
+    if (!groupId) return;
+
+    if (action === 'delete') {
+        const confirmed = await callGenericPopup('删除分组后，其中的收藏会移回默认分组。确定删除吗？', POPUP_TYPE.CONFIRM);
+        if (confirmed) {
+            await deleteGroup(groupId);
+            refreshFavoritesPage(page);
+        }
+        return;
+    }
+
+    if (action === 'up' || action === 'down') {
+        const ids = (await getGroups()).map(g => g.id);
+        const index = ids.indexOf(groupId);
+        const swapWith = action === 'up' ? index - 1 : index + 1;
+        if (index === -1 || swapWith < 0 || swapWith >= ids.length) return;
+
+        [ids[index], ids[swapWith]] = [ids[swapWith], ids[index]];
+        await reorderGroups(ids);
+        refreshFavoritesPage(page);
+    }
+}
@@ -2,13 +2,27 @@
  * 聊天记录管理中心 - 消息按钮注入
  *
  * 职责：
- * - 在消息的 extraMesButtons 中注入收藏按钮
+ * - 在消息的 extraMesButtons 中注入收藏按钮和笔记按钮
  * - 处理收藏按钮点击事件
  * - 显示收藏弹窗
+ * - 根据数据层恢复每条消息的收藏状态和笔记角标
  */
 
 import logger from '../logger.js';
 import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
+import { getContext } from '../../../../extensions.js';
+import { escapeHtml } from '../../../../utils.js';
+import {
+    loadArchiveData,
+    addFavorite,
+    removeFavorite,
+    getCachedFavorite,
+    getCurrentChatKey,
+    getGroups,
+    getCachedNotesForMessage,
+    DEFAULT_GROUP_ID
+} from './chat-archive-data.js';
+import { showNoteEditor } from './chat-archive-note-editor.js';
 
 // ========================================
 // [CONST] 常量定义
@@ -17,6 +31,8 @@ const BUTTON_CLASS = 'mes_button mes_favorite';
 const BUTTON_ICON = 'fa-regular fa-star';
 const BUTTON_ICON_ACTIVE = 'fa-solid fa-star';
 const BUTTON_TITLE = '收藏消息';
+const NOTE_BUTTON_CLASS = 'mes_button mes_archive_note fa-solid fa-note-sticky';
+const NOTE_BUTTON_TITLE = '添加笔记';
 
 /** @type {MutationObserver|null} */
 let messageObserver = null;
@@ -27,6 +43,9 @@ let globalClickBound = false;
 /** @type {((event: JQuery.ClickEvent) => void)|null} 收藏按钮点击处理器引用（用于解绑） */
 let favoriteClickHandler = null;
 
+/** @type {((event: JQuery.ClickEvent) => void)|null} 笔记按钮点击处理器引用（用于解绑） */
+let noteClickHandler = null;
+
 /**
  * 初始化消息按钮注入
  *
@@ -34,6 +53,7 @@ let favoriteClickHandler = null;
  * 1. 绑定全局点击事件（事件委托，只绑定一次）
  * 2. 为已有消息注入收藏按钮
  * 3. 启动 MutationObserver 监听新消息
+ * 4. 收藏数据加载完成后，再刷新一次已有按钮的收藏状态
  */
 export function initMessageInject() {
     logger.info('archive', '[ChatArchive.Inject] 初始化消息按钮注入');
@@ -47,6 +67,11 @@ export function initMessageInject() {
     // 监听新消息
     startObserver();
 
+    // 数据层是异步加载的，加载完成后恢复星标状态
+    loadArchiveData()
+        .then(() => injectToExistingMessages())
+        .catch(error => logger.error('archive', '[ChatArchive.Inject] 加载收藏数据失败:', error));
+
     logger.info('archive', '[ChatArchive.Inject] 消息按钮注入已启动');
 }
 
@@ -69,13 +94,15 @@ export function stopMessageInject() {
 
     if (globalClickBound && favoriteClickHandler) {
         $(document).off('click', '.mes_favorite', favoriteClickHandler);
+        $(document).off('click', '.mes_archive_note', noteClickHandler);
         favoriteClickHandler = null;
+        noteClickHandler = null;
         globalClickBound = false;
         logger.debug('archive', '[ChatArchive.Inject] 已解绑全局收藏点击事件');
     }
 
-    // .mes_favorite 仅由本扩展注入，禁用时可安全回收
-    const injectedButtons = document.querySelectorAll('.mes_favorite');
+    // .mes_favorite / .mes_archive_note 仅由本扩展注入，禁用时可安全回收
+    const injectedButtons = document.querySelectorAll('.mes_favorite, .mes_archive_note');
     if (injectedButtons.length > 0) {
         injectedButtons.forEach(button => button.remove());
         logger.debug('archive', '[ChatArchive.Inject] 已回收收藏按钮数量:', injectedButtons.length);
@@ -84,9 +111,21 @@ export function stopMessageInject() {
     logger.info('archive', '[ChatArchive.Inject] 消息按钮注入已停止');
 }
 
+/**
+ * 刷新页面上所有消息的收藏状态和笔记角标
+ *
+ * @description
+ * 在管理界面里修改了收藏或笔记后调用，让聊天里的按钮立即同步。
+ */
+export function refreshMessageButtons() {
+    injectToExistingMessages();
+}
+
 /**
  * 为已有的消息注入收藏按钮
- * @description 遍历页面上所有 .mes 元素，为每条消息注入收藏按钮
+ * @description
+ * 遍历页面上所有 .mes 元素，为每条消息注入收藏按钮，
+ * 并根据数据层恢复已注入按钮的收藏状态和笔记角标
  */
 function injectToExistingMessages() {
     const messages = document.querySelectorAll('.mes');
@@ -95,6 +134,15 @@ function injectToExistingMessages() {
     messages.forEach(mes => {
         if (injectButtonToMessage(mes)) {
             count++;
+        } else {
+            const button = mes.querySelector('.mes_favorite');
+            if (button) {
+                syncButtonState(mes, /** @type {HTMLElement} */ (button));
+            }
+            const noteButton = mes.querySelector('.mes_archive_note');
+            if (noteButton) {
+                syncNoteBadge(mes, /** @type {HTMLElement} */ (noteButton));
+            }
         }
     });
 
@@ -160,6 +208,13 @@ function injectButtonToMessage(messageElement) {
         return false;
     }
 
+    // 创建笔记按钮（先插入，最终排在收藏按钮后面）
+    const noteBtn = document.createElement('div');
+    noteBtn.className = NOTE_BUTTON_CLASS;
+    noteBtn.title = NOTE_BUTTON_TITLE;
+    extraButtons.insertBefore(noteBtn, extraButtons.firstChild);
+    syncNoteBadge(messageElement, noteBtn);
+
     // 创建收藏按钮
     const favoriteBtn = document.createElement('div');
     favoriteBtn.className = `${BUTTON_CLASS} ${BUTTON_ICON}`;
@@ -169,9 +224,78 @@ function injectButtonToMessage(messageElement) {
     // 插入到 extraMesButtons 的第一个位置
     extraButtons.insertBefore(favoriteBtn, extraButtons.firstChild);
 
+    // 恢复收藏状态
+    syncButtonState(messageElement, favoriteBtn);
+
     return true;
 }
 
+/**
+ * 根据数据层同步笔记按钮的角标
+ *
+ * @description
+ * 消息落在任意笔记的楼层区间内时显示角标（笔记数量）。
+ *
+ * @param {Element} messageElement - 消息元素 (.mes)
+ * @param {HTMLElement} buttonElement - 笔记按钮
+ */
+function syncNoteBadge(messageElement, buttonElement) {
+    const chatKey = getCurrentChatKey();
+    const mesId = messageElement.getAttribute('mesid');
+    const notes = chatKey && mesId !== null
+        ? getCachedNotesForMessage(chatKey.avatar, chatKey.chatId, mesId)
+        : [];
+
+    if (notes.length > 0) {
+        buttonElement.classList.add('has-notes');
+        buttonElement.setAttribute('data-note-count', String(notes.length));
+        buttonElement.title = `${notes.length} 条笔记`;
+    } else {
+        buttonElement.classList.remove('has-notes');
+        buttonElement.removeAttribute('data-note-count');
+        buttonElement.title = NOTE_BUTTON_TITLE;
+    }
+}
+
+/**
+ * 根据数据层同步按钮的收藏状态
+ *
+ * @description
+ * 只读内存缓存（同步），缓存未加载时保持未收藏样式，
+ * 等 initMessageInject 中的加载完成后会再刷新一次。
+ *
+ * @param {Element} messageElement - 消息元素 (.mes)
+ * @param {HTMLElement} buttonElement - 收藏按钮
+ */
+function syncButtonState(messageElement, buttonElement) {
+    const chatKey = getCurrentChatKey();
+    const mesId = messageElement.getAttribute('mesid');
+    const favorite = chatKey && mesId !== null
+        ? getCachedFavorite(chatKey.avatar, chatKey.chatId, mesId)
+        : null;
+
+    setButtonFavorited(buttonElement, Boolean(favorite));
+}
+
+/**
+ * 设置按钮的收藏样式
+ *
+ * @param {HTMLElement} buttonElement - 收藏按钮
+ * @param {boolean} favorited - 是否已收藏
+ */
+function setButtonFavorited(buttonElement, favorited) {
+    // 分开移除/添加类名（fa-star 两种状态共用）
+    if (favorited) {
+        buttonElement.classList.remove('fa-regular');
+        buttonElement.classList.add('fa-solid', 'fa-star');
+        buttonElement.title = '已收藏';
+    } else {
+        buttonElement.classList.remove('fa-solid');
+        buttonElement.classList.add('fa-regular', 'fa-star');
+        buttonElement.title = BUTTON_TITLE;
+    }
+}
+
 /**
  * 绑定全局点击事件（使用事件委托）
  *
@@ -198,8 +322,21 @@ function bindGlobalClickEvent() {
         }
     };
 
+    noteClickHandler = function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+
+        const button = /** @type {HTMLElement} */ (this);
+        const messageElement = button.closest('.mes');
+
+        if (messageElement) {
+            handleNoteClick(messageElement, button);
+        }
+    };
+
     // 使用 jQuery 事件委托（和 SillyTavern 官方一样）
     $(document).on('click', '.mes_favorite', favoriteClickHandler);
+    $(document).on('click', '.mes_archive_note', noteClickHandler);
 
     globalClickBound = true;
     logger.debug('archive', '[ChatArchive.Inject] 全局点击事件已绑定');
@@ -208,18 +345,30 @@ function bindGlobalClickEvent() {
 /**
  * 处理收藏按钮点击
  *
+ * @description
+ * 未收藏：弹出收藏弹窗；已收藏：确认后取消收藏。
+ * 消息文本从 chat 数组读取原文，DOM 文本只作兜底（DOM 里是渲染后的内容）。
+ *
  * @param {Element} messageElement - 消息元素
  * @param {HTMLElement} buttonElement - 按钮元素
  */
 async function handleFavoriteClick(messageElement, buttonElement) {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        logger.warn('archive', '[ChatArchive.Inject] 当前没有打开的聊天，无法收藏');
+        toastr.warning('请先打开一个聊天');
+        return;
+    }
+
     // 获取消息信息
     const mesId = messageElement.getAttribute('mesid');
     const isUser = messageElement.classList.contains('user_mes');
     const nameElement = messageElement.querySelector('.name_text');
     const textElement = messageElement.querySelector('.mes_text');
+    const chatMessage = getContext().chat?.[Number(mesId)];
 
-    const senderName = nameElement?.textContent?.trim() || (isUser ? '用户' : 'AI');
-    const messageText = textElement?.textContent?.trim() || '';
+    const senderName = chatMessage?.name || nameElement?.textContent?.trim() || (isUser ? '用户' : 'AI');
+    const messageText = chatMessage?.mes ?? textElement?.textContent?.trim() ?? '';
     const messagePreview = messageText.length > 100
         ? messageText.substring(0, 100) + '...'
         : messageText;
@@ -231,16 +380,73 @@ async function handleFavoriteClick(messageElement, buttonElement) {
         preview: messagePreview.substring(0, 50)
     });
 
+    // 已收藏 → 取消收藏
+    await loadArchiveData();
+    if (getCachedFavorite(chatKey.avatar, chatKey.chatId, mesId)) {
+        const confirmed = await callGenericPopup('确定要取消收藏这条消息吗？', POPUP_TYPE.CONFIRM, '取消收藏', {
+            okButton: '取消收藏',
+            cancelButton: '保留'
+        });
+        if (confirmed) {
+            await removeFavorite(chatKey.avatar, chatKey.chatId, mesId);
+            setButtonFavorited(buttonElement, false);
+            toastr.info('已取消收藏');
+        }
+        return;
+    }
+
     // 显示收藏弹窗
     await showFavoritePopup({
         mesId,
         isUser,
         senderName,
         messagePreview,
-        buttonElement
+        buttonElement,
+        onConfirm: ({ title, group }) => addFavorite({
+            avatar: chatKey.avatar,
+            chatId: chatKey.chatId,
+            mesId: Number(mesId),
+            characterName: chatKey.characterName,
+            senderName,
+            isUser,
+            text: messageText,
+            swipeId: chatMessage?.swipe_id ?? 0,
+            title,
+            group
+        })
     });
 }
 
+/**
+ * 处理笔记按钮点击
+ *
+ * @description
+ * 打开笔记编辑弹窗，默认挂在这条消息上；
+ * 已有笔记会在弹窗顶部只读展示，编辑和删除在管理界面的笔记页进行。
+ *
+ * @param {Element} messageElement - 消息元素
+ * @param {HTMLElement} buttonElement - 按钮元素
+ */
+async function handleNoteClick(messageElement, buttonElement) {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        toastr.warning('请先打开一个聊天');
+        return;
+    }
+
+    await loadArchiveData();
+    const mesId = Number(messageElement.getAttribute('mesid'));
+    const existingNotes = getCachedNotesForMessage(chatKey.avatar, chatKey.chatId, mesId);
+
+    const saved = await showNoteEditor({ chatKey, startMesId: mesId, existingNotes });
+    if (saved) {
+        // 区间笔记会影响多条消息，整体刷新
+        injectToExistingMessages();
+    } else {
+        syncNoteBadge(messageElement, buttonElement);
+    }
+}
+
 /**
  * 显示收藏弹窗
  *
@@ -250,8 +456,15 @@ async function handleFavoriteClick(messageElement, buttonElement) {
  * @param {string} params.senderName - 发送者名称
  * @param {string} params.messagePreview - 消息预览
  * @param {HTMLElement} params.buttonElement - 按钮元素
+ * @param {(result: {title: string, group: string}) => Promise<any>} params.onConfirm - 用户确认后的保存回调
  */
-async function showFavoritePopup({ mesId, isUser, senderName, messagePreview, buttonElement }) {
+async function showFavoritePopup({ mesId, isUser, senderName, messagePreview, buttonElement, onConfirm }) {
+    // 分组由用户在收藏夹中自定义
+    const groups = await getGroups();
+    const groupOptions = groups
+        .map(group => `<option value="${escapeHtml(group.id)}">${escapeHtml(group.name)}</option>`)
+        .join('');
+
     // 构建弹窗 HTML
     const html = `
         <div class="chat-archive-favorite-popup" style="padding: 10px; text-align: left;">
@@ -259,10 +472,10 @@ async function showFavoritePopup({ mesId, isUser, senderName, messagePreview, bu
             <div style="margin-bottom: 15px; padding: 10px; background: var(--black30a); border-radius: 8px; border-left: 3px solid var(--SmartThemeQuoteColor);">
                 <div style="font-size: 0.85em; color: var(--SmartThemeQuoteColor); margin-bottom: 5px;">
                     <i class="fa-solid ${isUser ? 'fa-user' : 'fa-robot'}" style="margin-right: 5px;"></i>
-                    ${senderName}
+                    ${escapeHtml(senderName)}
                 </div>
                 <div style="font-size: 0.9em; opacity: 0.9; line-height: 1.5;">
-                    ${messagePreview}
+                    ${escapeHtml(messagePreview)}
                 </div>
             </div>
 
@@ -285,10 +498,7 @@ async function showFavoritePopup({ mesId, isUser, senderName, messagePreview, bu
                 <select id="favorite-group-select"
                     style="width: 100%; padding: 8px 10px; border: 1px solid var(--SmartThemeBorderColor);
                            border-radius: 4px; background: var(--black30a); color: var(--SmartThemeBodyColor);">
-                    <option value="default">默认分组</option>
-                    <option value="important">重要</option>
-                    <option value="funny">有趣</option>
-                    <option value="memorable">难忘</option>
+                    ${groupOptions}
                 </select>
             </div>
 
@@ -313,7 +523,7 @@ async function showFavoritePopup({ mesId, isUser, senderName, messagePreview, bu
         const groupSelect = /** @type {HTMLSelectElement} */ (document.getElementById('favorite-group-select'));
 
         const title = titleInput?.value?.trim() || '';
-        const group = groupSelect?.value || 'default';
+        const group = groupSelect?.value || DEFAULT_GROUP_ID;
 
         logger.info('archive', '[ChatArchive.Inject] 用户确认收藏:', {
             mesId,
@@ -321,13 +531,16 @@ async function showFavoritePopup({ mesId, isUser, senderName, messagePreview, bu
             group
         });
 
-        // TODO: 调用数据层保存收藏
-        // await addFavorite({ mesId, title, group, ... });
+        try {
+            await onConfirm({ title, group });
+        } catch (error) {
+            logger.error('archive', '[ChatArchive.Inject] 保存收藏失败:', error);
+            toastr.error('收藏失败');
+            return;
+        }
 
-        // 更新按钮状态为已收藏（分开移除/添加类名）
-        buttonElement.classList.remove('fa-regular', 'fa-star');
-        buttonElement.classList.add('fa-solid', 'fa-star');
-        buttonElement.title = '已收藏';
+        // 更新按钮状态为已收藏
+        setButtonFavorited(buttonElement, true);
 
         // 显示成功提示
         toastr.success('消息已收藏');
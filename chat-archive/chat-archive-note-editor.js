@@ -0,0 +1,133 @@
+/**
+ * 聊天记录管理中心 - 笔记编辑弹窗
+ *
+ * 职责：
+ * - 新建 / 编辑笔记（楼层区间、标签、Markdown 正文）
+ * - 渲染笔记 Markdown
+ *
+ * 消息按钮（chat-archive-inject.js）和笔记页（chat-archive-notes.js）共用。
+ */
+
+import logger from '../logger.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
+import { escapeHtml } from '../../../../utils.js';
+import { showdown, DOMPurify } from '../../../../../lib.js';
+import { addNote, updateNote } from './chat-archive-data.js';
+
+/** @type {Object|null} showdown 转换器（首次使用时创建） */
+let converter = null;
+
+/**
+ * 将笔记 Markdown 渲染为安全的 HTML
+ *
+ * @param {string} markdown - Markdown 文本
+ * @returns {string} 经过 DOMPurify 清理的 HTML
+ */
+export function renderNoteMarkdown(markdown) {
+    if (!converter) {
+        converter = new showdown.Converter({
+            simpleLineBreaks: true,
+            strikethrough: true,
+            tables: true
+        });
+    }
+    return DOMPurify.sanitize(converter.makeHtml(markdown || ''));
+}
+
+/**
+ * 格式化楼层区间
+ *
+ * @param {{startMesId: number, endMesId: number}} note - 笔记
+ * @returns {string} 如 "#120" 或 "#120–#145"
+ */
+export function formatNoteRange(note) {
+    return note.startMesId === note.endMesId
+        ? `#${note.startMesId}`
+        : `#${note.startMesId}–#${note.endMesId}`;
+}
+
+/**
+ * 显示笔记编辑弹窗
+ *
+ * @async
+ * @param {Object} params - 参数
+ * @param {{avatar: string, chatId: string, characterName: string}} params.chatKey - 笔记所属聊天
+ * @param {number} params.startMesId - 默认起始楼层
+ * @param {number} [params.endMesId] - 默认结束楼层
+ * @param {import('./chat-archive-data.js').ArchiveNote} [params.note] - 要编辑的笔记（不传则新建）
+ * @param {import('./chat-archive-data.js').ArchiveNote[]} [params.existingNotes] - 该位置已有的笔记（只读展示）
+ * @returns {Promise<import('./chat-archive-data.js').ArchiveNote|null>} 保存后的笔记，取消时返回 null
+ */
+export async function showNoteEditor({ chatKey, startMesId, endMesId, note, existingNotes = [] }) {
+    const start = note?.startMesId ?? startMesId;
+    const end = note?.endMesId ?? endMesId ?? startMesId;
+
+    const existingHtml = existingNotes.length === 0 ? '' : `
+        <div class="chat-archive-note-existing">
+            <div class="chat-archive-note-existing-title">
+                <i class="fa-solid fa-note-sticky"></i> 这条消息已有 ${existingNotes.length} 条笔记
+            </div>
+            ${existingNotes.map(n => `
+                <div class="chat-archive-note-existing-item">
+                    <div class="chat-archive-note-existing-range">${formatNoteRange(n)}</div>
+                    <div class="chat-archive-note-markdown">${renderNoteMarkdown(n.body)}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const html = `
+        <div class="chat-archive-note-editor">
+            ${existingHtml}
+            <div class="chat-archive-note-editor-row">
+                <label>楼层</label>
+                <input type="number" id="chat-archive-note-start" min="0" value="${start}">
+                <span>至</span>
+                <input type="number" id="chat-archive-note-end" min="0" value="${end}">
+            </div>
+            <div class="chat-archive-note-editor-row">
+                <label>标签</label>
+                <input type="text" id="chat-archive-note-tags" placeholder="用逗号分隔，如：伏笔, 世界观"
+                    value="${escapeHtml((note?.tags || []).join(', '))}">
+            </div>
+            <textarea id="chat-archive-note-body" rows="8" placeholder="支持 Markdown...">${escapeHtml(note?.body || '')}</textarea>
+        </div>
+    `;
+
+    const result = await callGenericPopup(html, POPUP_TYPE.CONFIRM, note ? '编辑笔记' : '添加笔记', {
+        okButton: '保存',
+        cancelButton: '取消',
+        wide: true
+    });
+    if (!result) return null;
+
+    const startInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-note-start'));
+    const endInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-note-end'));
+    const tagsInput = /** @type {HTMLInputElement} */ (document.getElementById('chat-archive-note-tags'));
+    const bodyInput = /** @type {HTMLTextAreaElement} */ (document.getElementById('chat-archive-note-body'));
+
+    const body = bodyInput?.value?.trim() || '';
+    if (!body) {
+        toastr.warning('笔记内容不能为空');
+        return null;
+    }
+
+    const fields = {
+        startMesId: Number(startInput?.value ?? start),
+        endMesId: Number(endInput?.value ?? end),
+        tags: (tagsInput?.value || '').split(/[,，]/),
+        body
+    };
+
+    try {
+        const saved = note
+            ? await updateNote(note.id, fields)
+            : await addNote({ ...fields, avatar: chatKey.avatar, chatId: chatKey.chatId, characterName: chatKey.characterName });
+        toastr.success('笔记已保存');
+        return saved;
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.NoteEditor] 保存笔记失败:', error);
+        toastr.error('保存笔记失败');
+        return null;
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * 聊天记录管理中心 - 笔记页
+ *
+ * 职责：
+ * - 按当前聊天 / 当前角色 / 全部 三种范围列出笔记
+ * - 按标签筛选
+ * - 新建、编辑、删除笔记，跳转回笔记所在的消息
+ *
+ * 依赖：
+ * - chat-archive-data.js
+ * - chat-archive-note-editor.js
+ * - chat-archive-inject.js（修改后刷新消息上的笔记角标）
+ */
+
+import logger from '../logger.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
+import { getContext } from '../../../../extensions.js';
+import { escapeHtml } from '../../../../utils.js';
+import {
+    getChatNotes,
+    getCharacterNotes,
+    getAllNotes,
+    deleteNote,
+    getCurrentChatKey
+} from './chat-archive-data.js';
+import { showNoteEditor, renderNoteMarkdown, formatNoteRange } from './chat-archive-note-editor.js';
+import { refreshMessageButtons } from './chat-archive-inject.js';
+
+// ========================================
+// [CONST] 常量定义
+// ========================================
+
+/** 笔记列表范围 */
+const SCOPES = {
+    CHAT: 'chat',
+    CHARACTER: 'character',
+    ALL: 'all'
+};
+
+// ========================================
+// [STATE] 页面状态
+// ========================================
+
+/** @type {{scope: string, tag: string|null}} */
+const state = {
+    scope: SCOPES.CHAT,
+    tag: null
+};
+
+/** @type {import('./chat-archive-data.js').ArchiveNote[]} 当前列表中的笔记（用于按 ID 查找） */
+let visibleNotes = [];
+
+// ========================================
+// [RENDER] 页面渲染
+// ========================================
+
+/**
+ * 渲染笔记页
+ *
+ * @param {HTMLElement} page - 笔记页容器 (#chat-archive-page-notes)
+ * @param {Object} actions - 框架提供的操作
+ * @param {(chatId: string, mesId: number) => Promise<void>} actions.jumpTo - 打开聊天并跳转到消息
+ */
+export function renderNotesPage(page, { jumpTo }) {
+    page.innerHTML = `
+        <div class="chat-archive-notes-scope">
+            <div class="chat-archive-notes-scope-item" data-scope="${SCOPES.CHAT}">当前聊天</div>
+            <div class="chat-archive-notes-scope-item" data-scope="${SCOPES.CHARACTER}">当前角色</div>
+            <div class="chat-archive-notes-scope-item" data-scope="${SCOPES.ALL}">全部</div>
+            <div class="chat-archive-notes-add" title="添加笔记"><i class="fa-solid fa-plus"></i></div>
+        </div>
+        <div class="chat-archive-notes-filter"></div>
+        <div class="chat-archive-notes-list"></div>
+    `;
+
+    bindNotesEvents(page, jumpTo);
+    refreshNotesPage(page);
+    logger.debug('archive', '[ChatArchive.Notes] 笔记页渲染完成');
+}
+
+/**
+ * 重新渲染笔记列表
+ *
+ * @async
+ * @param {HTMLElement} page - 笔记页容器
+ */
+async function refreshNotesPage(page) {
+    const chatKey = getCurrentChatKey();
+
+    /** @type {import('./chat-archive-data.js').ArchiveNote[]} */
+    let notes = [];
+    if (state.scope === SCOPES.ALL) {
+        notes = await getAllNotes();
+    } else if (chatKey) {
+        notes = state.scope === SCOPES.CHAT
+            ? await getChatNotes(chatKey.avatar, chatKey.chatId)
+            : await getCharacterNotes(chatKey.avatar);
+    }
+
+    page.querySelectorAll('.chat-archive-notes-scope-item').forEach(item => {
+        item.classList.toggle('active', item.getAttribute('data-scope') === state.scope);
+    });
+
+    // 标签筛选（只列出当前范围内出现过的标签）
+    const tags = [...new Set(notes.flatMap(n => n.tags))].sort();
+    if (state.tag && !tags.includes(state.tag)) {
+        state.tag = null;
+    }
+    const filter = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-notes-filter'));
+    filter.innerHTML = tags.length === 0 ? '' : `
+        <div class="chat-archive-notes-tag ${state.tag === null ? 'active' : ''}" data-tag="">全部</div>
+        ${tags.map(tag => `
+            <div class="chat-archive-notes-tag ${state.tag === tag ? 'active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</div>
+        `).join('')}
+    `;
+
+    visibleNotes = state.tag ? notes.filter(n => n.tags.includes(state.tag)) : notes;
+
+    const list = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-notes-list'));
+    if (!chatKey && state.scope !== SCOPES.ALL) {
+        list.innerHTML = renderEmpty('请先打开一个角色的聊天');
+        return;
+    }
+    if (visibleNotes.length === 0) {
+        list.innerHTML = renderEmpty('还没有笔记，点击消息上的 <i class="fa-solid fa-note-sticky"></i> 添加');
+        return;
+    }
+
+    list.innerHTML = visibleNotes.map(note => renderNoteItem(note, note.avatar === chatKey?.avatar)).join('');
+}
+
+/**
+ * 渲染空状态
+ *
+ * @param {string} messageHtml - 提示内容（HTML）
+ * @returns {string}
+ */
+function renderEmpty(messageHtml) {
+    return `
+        <div class="chat-archive-placeholder">
+            <i class="fa-solid fa-note-sticky"></i>
+            <p>${messageHtml}</p>
+        </div>
+    `;
+}
+
+/**
+ * 渲染单条笔记
+ *
+ * @param {import('./chat-archive-data.js').ArchiveNote} note - 笔记
+ * @param {boolean} jumpable - 是否属于当前角色（可跳转）
+ * @returns {string} HTML
+ */
+function renderNoteItem(note, jumpable) {
+    const source = state.scope === SCOPES.ALL
+        ? `${note.characterName} · ${note.chatId}`
+        : note.chatId;
+
+    return `
+        <div class="chat-archive-note-item" data-note-id="${escapeHtml(note.id)}">
+            <div class="chat-archive-note-item-header">
+                <div class="chat-archive-note-item-range">${formatNoteRange(note)}</div>
+                <div class="chat-archive-note-item-source">${escapeHtml(source)}</div>
+                <div class="chat-archive-note-item-actions">
+                    ${jumpable
+                        ? '<div class="chat-archive-note-item-action" data-action="jump" title="跳转到消息"><i class="fa-solid fa-arrow-up-right-from-square"></i></div>'
+                        : ''}
+                    <div class="chat-archive-note-item-action" data-action="edit" title="编辑"><i class="fa-solid fa-pen"></i></div>
+                    <div class="chat-archive-note-item-action danger" data-action="delete" title="删除"><i class="fa-solid fa-trash-can"></i></div>
+                </div>
+            </div>
+            ${note.tags.length === 0 ? '' : `
+                <div class="chat-archive-note-item-tags">
+                    ${note.tags.map(tag => `<span class="chat-archive-note-item-tag">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+            `}
+            <div class="chat-archive-note-markdown">${renderNoteMarkdown(note.body)}</div>
+        </div>
+    `;
+}
+
+// ========================================
+// [EVENT] 事件绑定
+// ========================================
+
+/**
+ * 绑定笔记页事件
+ *
+ * @param {HTMLElement} page - 笔记页容器
+ * @param {(chatId: string, mesId: number) => Promise<void>} jumpTo - 跳转回调
+ */
+function bindNotesEvents(page, jumpTo) {
+    page.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+
+        const scopeItem = target.closest('.chat-archive-notes-scope-item');
+        if (scopeItem) {
+            state.scope = scopeItem.getAttribute('data-scope');
+            refreshNotesPage(page);
+            return;
+        }
+
+        const tagItem = target.closest('.chat-archive-notes-tag');
+        if (tagItem) {
+            state.tag = tagItem.getAttribute('data-tag') || null;
+            refreshNotesPage(page);
+            return;
+        }
+
+        if (target.closest('.chat-archive-notes-add')) {
+            await handleAddNote(page);
+            return;
+        }
+
+        const action = target.closest('.chat-archive-note-item-action')?.getAttribute('data-action');
+        const noteId = target.closest('.chat-archive-note-item')?.getAttribute('data-note-id');
+        const note = visibleNotes.find(n => n.id === noteId);
+        if (!action || !note) return;
+
+        switch (action) {
+            case 'jump':
+                jumpTo(note.chatId, note.startMesId);
+                break;
+            case 'edit': {
+                const chatKey = { avatar: note.avatar, chatId: note.chatId, characterName: note.characterName };
+                if (await showNoteEditor({ chatKey, startMesId: note.startMesId, note })) {
+                    refreshMessageButtons();
+                    refreshNotesPage(page);
+                }
+                break;
+            }
+            case 'delete': {
+                const confirmed = await callGenericPopup('确定要删除这条笔记吗？', POPUP_TYPE.CONFIRM);
+                if (confirmed) {
+                    await deleteNote(note.id);
+                    refreshMessageButtons();
+                    refreshNotesPage(page);
+                }
+                break;
+            }
+        }
+    });
+}
+
+/**
+ * 为当前聊天新建笔记（默认挂在最后一条消息上）
+ *
+ * @async
+ * @param {HTMLElement} page - 笔记页容器
+ */
+async function handleAddNote(page) {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        toastr.warning('请先打开一个聊天');
+        return;
+    }
+
+    const lastMesId = Math.max(0, (getContext().chat?.length || 1) - 1);
+    if (await showNoteEditor({ chatKey, startMesId: lastMesId })) {
+        refreshMessageButtons();
+        refreshNotesPage(page);
+    }
+}
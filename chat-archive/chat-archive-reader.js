@@ -0,0 +1,715 @@
+/**
+ * 聊天记录管理中心 - 阅读模式
+ *
+ * 职责：
+ * - 列出当前角色的聊天文件，选择后以「书」的形式分页阅读
+ * - 按折叠栏标题（chat-tools-fold）或固定楼层数划分章节
+ * - 记住每个聊天的阅读位置，支持书签
+ * - 可隐藏用户消息 / 系统消息
+ *
+ * 依赖：
+ * - chat-archive-data.js（聊天读取、阅读状态）
+ * - chat-tools-fold.js（折叠栏标题）
+ */
+
+import logger from '../logger.js';
+import { messageFormatting } from '../../../../../script.js';
+import { escapeHtml, timestampToMoment } from '../../../../utils.js';
+import { getChatFoldTitles } from '../chat-tools/chat-tools-fold.js';
+import {
+    getCurrentCharacterChats,
+    getCurrentChatKey,
+    loadChatMessages,
+    getReaderOptions,
+    updateReaderOptions,
+    getReaderState,
+    saveReadingPosition,
+    addBookmark,
+    removeBookmark
+} from './chat-archive-data.js';
+
+// ========================================
+// [CONST] 常量定义
+// ========================================
+
+/** 每页最多字符数（超过后换页，单条消息不拆分） */
+const PAGE_CHAR_BUDGET = 3000;
+
+/** 每页最多消息条数 */
+const PAGE_MAX_MESSAGES = 20;
+
+/** 侧面板类型 */
+const PANELS = {
+    TOC: 'toc',
+    SETTINGS: 'settings'
+};
+
+// ========================================
+// [TYPE] 数据结构
+// ========================================
+
+/**
+ * 章节
+ * @typedef {Object} ReaderChapter
+ * @property {string} title - 章节标题
+ * @property {number} startMesId - 起始楼层（含）
+ * @property {number} endMesId - 结束楼层（含）
+ * @property {number} firstPage - 章节第一页的下标
+ */
+
+/**
+ * 页
+ * @typedef {Object} ReaderPage
+ * @property {number} chapterIndex - 所属章节下标
+ * @property {number[]} mesIds - 本页显示的楼层
+ */
+
+// ========================================
+// [STATE] 页面状态
+// ========================================
+
+/**
+ * 当前打开的书
+ * @type {{
+ *   avatar: string,
+ *   chatId: string,
+ *   messages: Object[],
+ *   chapters: ReaderChapter[],
+ *   pages: ReaderPage[],
+ *   pageIndex: number,
+ *   bookmarks: import('./chat-archive-data.js').ReaderBookmark[],
+ *   options: import('./chat-archive-data.js').ReaderOptions
+ * }|null}
+ */
+let book = null;
+
+// ========================================
+// [RENDER] 页面渲染
+// ========================================
+
+/**
+ * 渲染阅读页
+ *
+ * @param {HTMLElement} page - 阅读页容器 (#chat-archive-page-reader)
+ * @param {Object} actions - 框架提供的操作
+ * @param {(chatId: string, mesId: number) => Promise<void>} actions.jumpTo - 打开聊天并跳转到消息
+ */
+export function renderReaderPage(page, { jumpTo }) {
+    book = null;
+    page.innerHTML = `
+        <div class="chat-archive-reader-chats"></div>
+        <div class="chat-archive-reader-view" tabindex="-1" style="display: none;">
+            <div class="chat-archive-reader-toolbar">
+                <div class="chat-archive-reader-tool" data-action="back" title="返回聊天列表">
+                    <i class="fa-solid fa-chevron-left"></i>
+                </div>
+                <div class="chat-archive-reader-chapter-title"></div>
+                <div class="chat-archive-reader-tool" data-action="bookmark" title="书签">
+                    <i class="fa-regular fa-bookmark"></i>
+                </div>
+                <div class="chat-archive-reader-tool" data-action="toc" title="目录与书签">
+                    <i class="fa-solid fa-list"></i>
+                </div>
+                <div class="chat-archive-reader-tool" data-action="settings" title="阅读设置">
+                    <i class="fa-solid fa-sliders"></i>
+                </div>
+            </div>
+            <div class="chat-archive-reader-content"></div>
+            <div class="chat-archive-reader-bottom">
+                <div class="chat-archive-reader-tool" data-action="prev" title="上一页">
+                    <i class="fa-solid fa-chevron-left"></i>
+                </div>
+                <div class="chat-archive-reader-progress">
+                    <div class="chat-archive-reader-progress-bar"><div class="chat-archive-reader-progress-fill"></div></div>
+                    <div class="chat-archive-reader-progress-text"></div>
+                </div>
+                <div class="chat-archive-reader-tool" data-action="jump" title="在聊天中打开">
+                    <i class="fa-solid fa-arrow-up-right-from-square"></i>
+                </div>
+                <div class="chat-archive-reader-tool" data-action="next" title="下一页">
+                    <i class="fa-solid fa-chevron-right"></i>
+                </div>
+            </div>
+            <div class="chat-archive-reader-panel" style="display: none;"></div>
+        </div>
+    `;
+
+    bindReaderEvents(page, jumpTo);
+    renderChatList(page);
+    logger.debug('archive', '[ChatArchive.Reader] 阅读页渲染完成');
+}
+
+/**
+ * 渲染聊天文件列表
+ *
+ * @async
+ * @param {HTMLElement} page - 阅读页容器
+ */
+async function renderChatList(page) {
+    const list = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-chats'));
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        list.innerHTML = renderEmpty('请先打开一个角色的聊天');
+        return;
+    }
+
+    list.innerHTML = renderEmpty('正在读取聊天列表...');
+    const chats = await getCurrentCharacterChats();
+    if (chats.length === 0) {
+        list.innerHTML = renderEmpty('没有聊天记录');
+        return;
+    }
+
+    list.innerHTML = chats.map(chat => {
+        const meta = [
+            chat.messageCount ? `${chat.messageCount} 条消息` : '',
+            chat.lastDate ? timestampToMoment(chat.lastDate).format('YYYY-MM-DD HH:mm') : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="chat-archive-reader-chat-item" data-chat-id="${escapeHtml(chat.chatId)}">
+                <div class="chat-archive-reader-chat-icon"><i class="fa-solid fa-book"></i></div>
+                <div class="chat-archive-reader-chat-info">
+                    <div class="chat-archive-reader-chat-name">${escapeHtml(chat.chatId)}</div>
+                    <div class="chat-archive-reader-chat-meta">${escapeHtml(meta)}</div>
+                </div>
+                <i class="fa-solid fa-chevron-right"></i>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 渲染空状态
+ *
+ * @param {string} message - 提示文字
+ * @returns {string}
+ */
+function renderEmpty(message) {
+    return `
+        <div class="chat-archive-placeholder">
+            <i class="fa-solid fa-book-open"></i>
+            <p>${escapeHtml(message)}</p>
+        </div>
+    `;
+}
+
+/**
+ * 渲染当前页
+ *
+ * @param {HTMLElement} page - 阅读页容器
+ */
+function renderCurrentPage(page) {
+    const content = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-content'));
+    const titleEl = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-chapter-title'));
+    const progressFill = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-progress-fill'));
+    const progressText = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-progress-text'));
+
+    if (book.pages.length === 0) {
+        titleEl.textContent = '';
+        content.innerHTML = renderEmpty('没有可显示的消息（检查阅读设置中的隐藏选项）');
+        progressFill.style.width = '0%';
+        progressText.textContent = '0 / 0';
+        updateBookmarkButton(page);
+        return;
+    }
+
+    const current = book.pages[book.pageIndex];
+    const chapter = book.chapters[current.chapterIndex];
+    titleEl.textContent = chapter.title;
+
+    // 章节第一页显示章节标题
+    const heading = chapter.firstPage === book.pageIndex
+        ? `<div class="chat-archive-reader-heading">${escapeHtml(chapter.title)}</div>`
+        : '';
+    content.innerHTML = heading + current.mesIds.map(mesId => renderMessage(book.messages[mesId], mesId)).join('');
+    content.scrollTop = 0;
+
+    const total = book.pages.length;
+    progressFill.style.width = `${((book.pageIndex + 1) / total) * 100}%`;
+    progressText.textContent = `${book.pageIndex + 1} / ${total}`;
+
+    updateBookmarkButton(page);
+}
+
+/**
+ * 渲染单条消息
+ *
+ * @param {Object} msg - 消息对象
+ * @param {number} mesId - 楼层号
+ * @returns {string} HTML
+ */
+function renderMessage(msg, mesId) {
+    const name = msg.name || (msg.is_user ? '用户' : '角色');
+    const senderClass = msg.is_user ? 'user' : (msg.is_system ? 'system' : '');
+    const text = messageFormatting(msg.mes, name, Boolean(msg.is_system), Boolean(msg.is_user), mesId);
+
+    return `
+        <div class="chat-archive-reader-message" data-mesid="${mesId}">
+            <div class="chat-archive-reader-message-sender ${senderClass}">
+                【${escapeHtml(name)}】<span class="chat-archive-reader-message-floor">#${mesId}</span>
+            </div>
+            <div class="chat-archive-reader-message-text">${text}</div>
+        </div>
+    `;
+}
+
+/**
+ * 同步书签按钮状态（当前页有书签时高亮）
+ *
+ * @param {HTMLElement} page - 阅读页容器
+ */
+function updateBookmarkButton(page) {
+    const icon = page.querySelector('.chat-archive-reader-tool[data-action="bookmark"] i');
+    const marked = Boolean(findPageBookmark());
+    icon?.classList.toggle('fa-solid', marked);
+    icon?.classList.toggle('fa-regular', !marked);
+}
+
+/**
+ * 渲染目录与书签面板
+ *
+ * @returns {string} HTML
+ */
+function renderTocPanel() {
+    const currentChapter = book.pages[book.pageIndex]?.chapterIndex;
+
+    const chaptersHtml = book.chapters.map((chapter, index) => `
+        <div class="chat-archive-reader-panel-item ${index === currentChapter ? 'active' : ''}" data-page-index="${chapter.firstPage}">
+            <span class="chat-archive-reader-panel-item-title">${escapeHtml(chapter.title)}</span>
+            <span class="chat-archive-reader-panel-item-meta">#${chapter.startMesId}</span>
+        </div>
+    `).join('');
+
+    const bookmarksHtml = book.bookmarks.length === 0
+        ? '<div class="chat-archive-reader-panel-empty">还没有书签</div>'
+        : book.bookmarks.map(bookmark => `
+            <div class="chat-archive-reader-panel-item" data-bookmark-mesid="${bookmark.mesId}">
+                <i class="fa-solid fa-bookmark"></i>
+                <span class="chat-archive-reader-panel-item-title">${escapeHtml(bookmark.label)}</span>
+                <span class="chat-archive-reader-panel-item-meta">#${bookmark.mesId}</span>
+                <span class="chat-archive-reader-panel-item-delete" data-bookmark-id="${escapeHtml(bookmark.id)}" title="删除书签">
+                    <i class="fa-solid fa-xmark"></i>
+                </span>
+            </div>
+        `).join('');
+
+    return `
+        <div class="chat-archive-reader-panel-section">目录</div>
+        ${chaptersHtml}
+        <div class="chat-archive-reader-panel-section">书签</div>
+        ${bookmarksHtml}
+    `;
+}
+
+/**
+ * 渲染阅读设置面板
+ *
+ * @returns {string} HTML
+ */
+function renderSettingsPanel() {
+    const { chapterMode, chapterSize, hideUser, hideSystem } = book.options;
+    return `
+        <div class="chat-archive-reader-panel-section">分章方式</div>
+        <label class="chat-archive-reader-setting">
+            <input type="radio" name="chat-archive-reader-chapter-mode" value="fold" ${chapterMode === 'fold' ? 'checked' : ''}>
+            <span>按折叠栏标题（没有折叠栏时按楼层数）</span>
+        </label>
+        <label class="chat-archive-reader-setting">
+            <input type="radio" name="chat-archive-reader-chapter-mode" value="interval" ${chapterMode === 'interval' ? 'checked' : ''}>
+            <span>每</span>
+            <input type="number" class="chat-archive-reader-chapter-size" min="1" value="${chapterSize}">
+            <span>楼一章</span>
+        </label>
+        <div class="chat-archive-reader-panel-section">显示</div>
+        <label class="chat-archive-reader-setting">
+            <input type="checkbox" class="chat-archive-reader-hide-user" ${hideUser ? 'checked' : ''}>
+            <span>隐藏用户消息</span>
+        </label>
+        <label class="chat-archive-reader-setting">
+            <input type="checkbox" class="chat-archive-reader-hide-system" ${hideSystem ? 'checked' : ''}>
+            <span>隐藏系统消息</span>
+        </label>
+    `;
+}
+
+/**
+ * 显示 / 切换侧面板
+ *
+ * @param {HTMLElement} page - 阅读页容器
+ * @param {string|null} panel - 面板类型，null 或与当前相同时关闭
+ */
+function togglePanel(page, panel) {
+    const panelEl = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-panel'));
+    if (!panel || panelEl.getAttribute('data-panel') === panel) {
+        panelEl.style.display = 'none';
+        panelEl.removeAttribute('data-panel');
+        return;
+    }
+
+    panelEl.setAttribute('data-panel', panel);
+    panelEl.innerHTML = panel === PANELS.TOC ? renderTocPanel() : renderSettingsPanel();
+    panelEl.style.display = '';
+}
+
+// ========================================
+// [CORE] 分章与分页
+// ========================================
+
+/**
+ * 划分章节
+ *
+ * @description
+ * 折叠模式：每个有标题的折叠栏开始一章，第一个折叠栏之前的消息归入「序章」；
+ * 该聊天没有带标题的折叠栏时退回固定楼层数分章。
+ *
+ * @param {number} messageCount - 消息总数
+ * @param {import('./chat-archive-data.js').ReaderOptions} options - 阅读设置
+ * @param {{mesId: number, title: string}[]} folds - 折叠栏标题（按楼层升序）
+ * @returns {Omit<ReaderChapter, 'firstPage'>[]}
+ */
+function buildChapters(messageCount, options, folds) {
+    if (messageCount === 0) return [];
+
+    const starts = folds.filter(f => f.mesId < messageCount);
+    if (options.chapterMode === 'fold' && starts.length > 0) {
+        if (starts[0].mesId > 0) {
+            starts.unshift({ mesId: 0, title: '序章' });
+        }
+        return starts.map((fold, index) => ({
+            title: fold.title,
+            startMesId: fold.mesId,
+            endMesId: (starts[index + 1]?.mesId ?? messageCount) - 1
+        }));
+    }
+
+    const size = options.chapterSize;
+    const chapters = [];
+    for (let start = 0; start < messageCount; start += size) {
+        const end = Math.min(start + size, messageCount) - 1;
+        chapters.push({
+            title: `第 ${chapters.length + 1} 章（#${start}–#${end}）`,
+            startMesId: start,
+            endMesId: end
+        });
+    }
+    return chapters;
+}
+
+/**
+ * 判断消息是否在阅读中显示
+ *
+ * @param {Object} msg - 消息对象
+ * @param {import('./chat-archive-data.js').ReaderOptions} options - 阅读设置
+ * @returns {boolean}
+ */
+function isMessageVisible(msg, options) {
+    if (!msg || typeof msg.mes !== 'string') return false;
+    if (options.hideSystem && msg.is_system) return false;
+    if (options.hideUser && msg.is_user) return false;
+    return true;
+}
+
+/**
+ * 按章节和字数分页
+ *
+ * @description
+ * 一页不跨章节，单条消息不拆分；全部消息都被隐藏的章节不出现在目录中。
+ *
+ * @param {Object[]} messages - 消息数组（下标即楼层）
+ * @param {Omit<ReaderChapter, 'firstPage'>[]} rawChapters - 章节
+ * @param {import('./chat-archive-data.js').ReaderOptions} options - 阅读设置
+ * @returns {{chapters: ReaderChapter[], pages: ReaderPage[]}}
+ */
+function paginate(messages, rawChapters, options) {
+    /** @type {ReaderChapter[]} */
+    const chapters = [];
+    /** @type {ReaderPage[]} */
+    const pages = [];
+
+    rawChapters.forEach(raw => {
+        const chapterIndex = chapters.length;
+        const firstPage = pages.length;
+        let current = null;
+        let chars = 0;
+
+        for (let mesId = raw.startMesId; mesId <= raw.endMesId; mesId++) {
+            const msg = messages[mesId];
+            if (!isMessageVisible(msg, options)) continue;
+
+            const length = msg.mes.length;
+            if (!current || current.mesIds.length >= PAGE_MAX_MESSAGES || (chars > 0 && chars + length > PAGE_CHAR_BUDGET)) {
+                current = { chapterIndex, mesIds: [] };
+                pages.push(current);
+                chars = 0;
+            }
+            current.mesIds.push(mesId);
+            chars += length;
+        }
+
+        if (pages.length > firstPage) {
+            chapters.push({ ...raw, firstPage });
+        }
+    });
+
+    return { chapters, pages };
+}
+
+/**
+ * 重新分章分页，并尽量停留在原来的楼层
+ *
+ * @param {number} mesId - 要停留的楼层
+ */
+function rebuildBook(mesId) {
+    const folds = getChatFoldTitles(book.avatar, book.chatId);
+    const rawChapters = buildChapters(book.messages.length, book.options, folds);
+    const { chapters, pages } = paginate(book.messages, rawChapters, book.options);
+
+    book.chapters = chapters;
+    book.pages = pages;
+    book.pageIndex = findPageIndex(mesId);
+}
+
+/**
+ * 查找包含（或最接近）某楼层的页
+ *
+ * @param {number} mesId - 楼层号
+ * @returns {number} 页下标
+ */
+function findPageIndex(mesId) {
+    let index = 0;
+    book.pages.forEach((p, i) => {
+        if (p.mesIds[0] <= mesId) index = i;
+    });
+    return index;
+}
+
+/**
+ * 查找落在当前页内的书签
+ *
+ * @returns {import('./chat-archive-data.js').ReaderBookmark|undefined}
+ */
+function findPageBookmark() {
+    const current = book?.pages[book.pageIndex];
+    if (!current) return undefined;
+
+    const first = current.mesIds[0];
+    const last = current.mesIds[current.mesIds.length - 1];
+    return book.bookmarks.find(b => b.mesId >= first && b.mesId <= last);
+}
+
+// ========================================
+// [CORE] 打开与翻页
+// ========================================
+
+/**
+ * 打开聊天文件进入阅读视图
+ *
+ * @async
+ * @param {HTMLElement} page - 阅读页容器
+ * @param {string} chatId - 聊天文件名
+ */
+async function openBook(page, chatId) {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) return;
+
+    const list = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-chats'));
+    const view = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-view'));
+
+    try {
+        const [messages, options, readerState] = await Promise.all([
+            loadChatMessages(chatId),
+            getReaderOptions(),
+            getReaderState(chatKey.avatar, chatId)
+        ]);
+
+        book = {
+            avatar: chatKey.avatar,
+            chatId,
+            messages,
+            chapters: [],
+            pages: [],
+            pageIndex: 0,
+            bookmarks: readerState.bookmarks,
+            options
+        };
+        rebuildBook(readerState.position);
+
+        list.style.display = 'none';
+        view.style.display = '';
+        view.focus();
+        togglePanel(page, null);
+        renderCurrentPage(page);
+
+        logger.info('archive', '[ChatArchive.Reader] 打开阅读:', chatId, `${book.chapters.length} 章 / ${book.pages.length} 页`);
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.Reader] 打开阅读失败:', error);
+        toastr.error('读取聊天失败');
+    }
+}
+
+/**
+ * 关闭阅读视图，回到聊天列表
+ *
+ * @param {HTMLElement} page - 阅读页容器
+ */
+function closeBook(page) {
+    book = null;
+    /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-view')).style.display = 'none';
+    /** @type {HTMLElement} */ (page.querySelector('.chat-archive-reader-chats')).style.display = '';
+}
+
+/**
+ * 跳到指定页并记录阅读位置
+ *
+ * @param {HTMLElement} page - 阅读页容器
+ * @param {number} pageIndex - 页下标
+ */
+function goToPage(page, pageIndex) {
+    if (!book || book.pages.length === 0) return;
+
+    book.pageIndex = Math.max(0, Math.min(pageIndex, book.pages.length - 1));
+    renderCurrentPage(page);
+    saveReadingPosition(book.avatar, book.chatId, book.pages[book.pageIndex].mesIds[0]);
+}
+
+/**
+ * 切换当前页的书签
+ *
+ * @async
+ * @param {HTMLElement} page - 阅读页容器
+ */
+async function toggleBookmark(page) {
+    const current = book?.pages[book.pageIndex];
+    if (!current) return;
+
+    const existing = findPageBookmark();
+    if (existing) {
+        await removeBookmark(book.avatar, book.chatId, existing.id);
+        book.bookmarks = book.bookmarks.filter(b => b.id !== existing.id);
+        toastr.info('已移除书签');
+    } else {
+        const mesId = current.mesIds[0];
+        const label = book.chapters[current.chapterIndex].title;
+        const bookmark = await addBookmark(book.avatar, book.chatId, mesId, label);
+        book.bookmarks = [...book.bookmarks, bookmark].sort((a, b) => a.mesId - b.mesId);
+        toastr.success('已添加书签');
+    }
+    updateBookmarkButton(page);
+}
+
+/**
+ * 应用阅读设置并重新分页
+ *
+ * @async
+ * @param {HTMLElement} page - 阅读页容器
+ */
+async function applySettings(page) {
+    const panelEl = page.querySelector('.chat-archive-reader-panel');
+    const mode = /** @type {HTMLInputElement} */ (panelEl.querySelector('input[name="chat-archive-reader-chapter-mode"]:checked'));
+    const size = /** @type {HTMLInputElement} */ (panelEl.querySelector('.chat-archive-reader-chapter-size'));
+    const hideUser = /** @type {HTMLInputElement} */ (panelEl.querySelector('.chat-archive-reader-hide-user'));
+    const hideSystem = /** @type {HTMLInputElement} */ (panelEl.querySelector('.chat-archive-reader-hide-system'));
+
+    const currentMesId = book.pages[book.pageIndex]?.mesIds[0] ?? 0;
+    book.options = await updateReaderOptions({
+        chapterMode: /** @type {'fold'|'interval'} */ (mode?.value || 'fold'),
+        chapterSize: Number(size?.value),
+        hideUser: Boolean(hideUser?.checked),
+        hideSystem: Boolean(hideSystem?.checked)
+    });
+
+    rebuildBook(currentMesId);
+    renderCurrentPage(page);
+    logger.debug('archive', '[ChatArchive.Reader] 阅读设置已更新:', book.options);
+}
+
+// ========================================
+// [EVENT] 事件绑定
+// ========================================
+
+/**
+ * 绑定阅读页事件
+ *
+ * @param {HTMLElement} page - 阅读页容器
+ * @param {(chatId: string, mesId: number) => Promise<void>} jumpTo - 跳转回调
+ */
+function bindReaderEvents(page, jumpTo) {
+    page.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+
+        const chatItem = target.closest('.chat-archive-reader-chat-item');
+        if (chatItem) {
+            await openBook(page, chatItem.getAttribute('data-chat-id'));
+            return;
+        }
+
+        if (!book) return;
+
+        // 删除书签（要在跳转书签之前判断）
+        const deleteBtn = target.closest('.chat-archive-reader-panel-item-delete');
+        if (deleteBtn) {
+            const bookmarkId = deleteBtn.getAttribute('data-bookmark-id');
+            await removeBookmark(book.avatar, book.chatId, bookmarkId);
+            book.bookmarks = book.bookmarks.filter(b => b.id !== bookmarkId);
+            page.querySelector('.chat-archive-reader-panel').innerHTML = renderTocPanel();
+            updateBookmarkButton(page);
+            return;
+        }
+
+        const panelItem = target.closest('.chat-archive-reader-panel-item');
+        if (panelItem) {
+            const bookmarkMesId = panelItem.getAttribute('data-bookmark-mesid');
+            const pageIndex = bookmarkMesId !== null
+                ? findPageIndex(Number(bookmarkMesId))
+                : Number(panelItem.getAttribute('data-page-index'));
+            togglePanel(page, null);
+            goToPage(page, pageIndex);
+            return;
+        }
+
+        const action = target.closest('.chat-archive-reader-tool')?.getAttribute('data-action');
+        switch (action) {
+            case 'back':
+                closeBook(page);
+                break;
+            case 'prev':
+                goToPage(page, book.pageIndex - 1);
+                break;
+            case 'next':
+                goToPage(page, book.pageIndex + 1);
+                break;
+            case 'bookmark':
+                await toggleBookmark(page);
+                break;
+            case 'toc':
+                togglePanel(page, PANELS.TOC);
+                break;
+            case 'settings':
+                togglePanel(page, PANELS.SETTINGS);
+                break;
+            case 'jump': {
+                const mesId = book.pages[book.pageIndex]?.mesIds[0];
+                if (mesId !== undefined) {
+                    jumpTo(book.chatId, mesId);
+                }
+                break;
+            }
+        }
+    });
+
+    // 设置面板的输入变化立即生效
+    page.addEventListener('change', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        if (book && target.closest('.chat-archive-reader-panel[data-panel="settings"]')) {
+            applySettings(page);
+        }
+    });
+
+    // 左右方向键翻页（输入框内不处理）
+    page.addEventListener('keydown', (e) => {
+        if (!book || /** @type {HTMLElement} */ (e.target).closest('input')) return;
+        if (e.key === 'ArrowLeft') goToPage(page, book.pageIndex - 1);
+        if (e.key === 'ArrowRight') goToPage(page, book.pageIndex + 1);
+    });
+}
@@ -0,0 +1,371 @@
+/**
+ * 聊天记录管理中心 - 全文搜索页
+ *
+ * 职责：
+ * - 搜索当前角色（或群聊）的全部聊天文件，而不只是已加载的聊天
+ * - 支持按发言者、日期范围筛选，支持正则搜索
+ * - 渲染带高亮片段的搜索结果，并提供跳转到原消息的入口
+ *
+ * 依赖：
+ * - chat-archive-data.js（读取聊天文件）
+ */
+
+import logger from '../logger.js';
+import { escapeHtml, timestampToMoment } from '../../../../utils.js';
+import { getCurrentCharacterChats, loadChatMessages, getCurrentChatKey } from './chat-archive-data.js';
+
+// ========================================
+// [CONST] 常量定义
+// ========================================
+
+/** 最多显示的结果数（避免一次渲染过多 DOM） */
+const MAX_RESULTS = 300;
+
+/** 片段中关键词前后保留的字数 */
+const SNIPPET_CONTEXT = 30;
+
+/** 发言者筛选选项 */
+const SPEAKER_FILTERS = {
+    ALL: 'all',
+    USER: 'user',
+    CHARACTER: 'character'
+};
+
+// ========================================
+// [STATE] 页面状态
+// ========================================
+
+/**
+ * 已读取的聊天文件缓存（chatId → 消息数组）
+ * 同一次打开界面内重复搜索不再请求服务器，切换角色时清空
+ * @type {Map<string, Object[]>}
+ */
+const chatCache = new Map();
+
+/** @type {string|null} 缓存所属的角色键 */
+let cacheOwner = null;
+
+/** @type {number} 搜索序号（新搜索开始后丢弃旧搜索的结果） */
+let searchToken = 0;
+
+// ========================================
+// [RENDER] 页面渲染
+// ========================================
+
+/**
+ * 渲染搜索页
+ *
+ * @param {HTMLElement} page - 搜索页容器 (#chat-archive-page-search)
+ * @param {Object} actions - 框架提供的操作
+ * @param {(chatId: string, mesId: number) => Promise<void>} actions.jumpTo - 打开聊天并跳转到消息
+ */
+export function renderSearchPage(page, { jumpTo }) {
+    page.innerHTML = `
+        <div class="chat-archive-search-bar">
+            <div class="chat-archive-search-input-wrapper">
+                <i class="fa-solid fa-magnifying-glass"></i>
+                <input type="text" class="chat-archive-search-input" placeholder="搜索当前角色的所有聊天记录...">
+                <i class="fa-solid fa-sliders chat-archive-search-filter-toggle" title="筛选"></i>
+            </div>
+            <div class="chat-archive-search-filters" style="display: none;">
+                <label class="chat-archive-search-filter">
+                    <span>发言者</span>
+                    <select class="chat-archive-search-speaker">
+                        <option value="${SPEAKER_FILTERS.ALL}">全部</option>
+                        <option value="${SPEAKER_FILTERS.USER}">仅用户</option>
+                        <option value="${SPEAKER_FILTERS.CHARACTER}">仅角色</option>
+                    </select>
+                </label>
+                <label class="chat-archive-search-filter">
+                    <span>从</span>
+                    <input type="date" class="chat-archive-search-date-from">
+                    <span>到</span>
+                    <input type="date" class="chat-archive-search-date-to">
+                </label>
+                <label class="chat-archive-search-filter">
+                    <input type="checkbox" class="chat-archive-search-regex">
+                    <span>正则表达式</span>
+                </label>
+            </div>
+        </div>
+        <div class="chat-archive-search-status"></div>
+        <div class="chat-archive-search-results">
+            <div class="chat-archive-placeholder">
+                <i class="fa-solid fa-magnifying-glass"></i>
+                <p>输入关键词后按回车搜索</p>
+            </div>
+        </div>
+    `;
+
+    const input = /** @type {HTMLInputElement} */ (page.querySelector('.chat-archive-search-input'));
+    const filters = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-search-filters'));
+
+    page.querySelector('.chat-archive-search-filter-toggle')?.addEventListener('click', () => {
+        filters.style.display = filters.style.display === 'none' ? '' : 'none';
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            runSearch(page);
+        }
+    });
+
+    // 结果点击（事件委托）
+    page.querySelector('.chat-archive-search-results')?.addEventListener('click', (e) => {
+        const item = /** @type {HTMLElement} */ (e.target).closest('.chat-archive-search-result-item');
+        if (!item) return;
+
+        const chatId = item.getAttribute('data-chat-id');
+        const mesId = Number(item.getAttribute('data-mesid'));
+        logger.info('archive', '[ChatArchive.Search] 跳转到搜索结果:', chatId, mesId);
+        jumpTo(chatId, mesId);
+    });
+
+    logger.debug('archive', '[ChatArchive.Search] 搜索页渲染完成');
+}
+
+// ========================================
+// [CORE] 搜索逻辑
+// ========================================
+
+/**
+ * 读取当前页面的筛选条件
+ *
+ * @param {HTMLElement} page - 搜索页容器
+ * @returns {{query: string, speaker: string, dateFrom: number|null, dateTo: number|null, useRegex: boolean}}
+ */
+function readFilters(page) {
+    const query = /** @type {HTMLInputElement} */ (page.querySelector('.chat-archive-search-input')).value.trim();
+    const speaker = /** @type {HTMLSelectElement} */ (page.querySelector('.chat-archive-search-speaker')).value;
+    const fromValue = /** @type {HTMLInputElement} */ (page.querySelector('.chat-archive-search-date-from')).value;
+    const toValue = /** @type {HTMLInputElement} */ (page.querySelector('.chat-archive-search-date-to')).value;
+    const useRegex = /** @type {HTMLInputElement} */ (page.querySelector('.chat-archive-search-regex')).checked;
+
+    return {
+        query,
+        speaker,
+        // 日期输入是本地日期，结束日期包含当天
+        dateFrom: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+        dateTo: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+        useRegex
+    };
+}
+
+/**
+ * 构建匹配用的正则
+ *
+ * @param {string} query - 搜索词
+ * @param {boolean} useRegex - 是否按正则解析
+ * @returns {RegExp} 全局、不区分大小写的正则
+ * @throws {SyntaxError} 正则语法错误时
+ */
+function buildMatcher(query, useRegex) {
+    const source = useRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, 'gi');
+}
+
+/**
+ * 执行搜索
+ *
+ * @async
+ * @param {HTMLElement} page - 搜索页容器
+ */
+async function runSearch(page) {
+    const filters = readFilters(page);
+    const status = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-search-status'));
+    const resultsEl = /** @type {HTMLElement} */ (page.querySelector('.chat-archive-search-results'));
+
+    if (!filters.query) {
+        status.textContent = '';
+        return;
+    }
+
+    /** @type {RegExp} */
+    let matcher;
+    try {
+        matcher = buildMatcher(filters.query, filters.useRegex);
+    } catch (error) {
+        status.textContent = `正则表达式无效：${error.message}`;
+        return;
+    }
+
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        status.textContent = '请先打开一个角色的聊天';
+        return;
+    }
+
+    // 切换角色后清空缓存
+    if (cacheOwner !== chatKey.avatar) {
+        chatCache.clear();
+        cacheOwner = chatKey.avatar;
+    }
+
+    const token = ++searchToken;
+    const chats = await getCurrentCharacterChats();
+    logger.info('archive', '[ChatArchive.Search] 开始搜索:', filters.query, '聊天文件数:', chats.length);
+
+    /** @type {SearchResult[]} */
+    const results = [];
+    for (let i = 0; i < chats.length; i++) {
+        if (token !== searchToken) return;
+        status.textContent = `正在搜索 ${i + 1} / ${chats.length} 个聊天...`;
+
+        const { chatId } = chats[i];
+        let messages = chatCache.get(chatId);
+        if (!messages) {
+            messages = await loadChatMessages(chatId);
+            // 当前聊天还会变化，不缓存
+            if (chatId !== chatKey.chatId) {
+                chatCache.set(chatId, messages);
+            }
+        }
+
+        results.push(...searchMessages(chatId, messages, matcher, filters));
+    }
+
+    if (token !== searchToken) return;
+
+    // 最新的聊天排在前面，同一聊天内按楼层顺序
+    results.sort((a, b) => (b.timestamp - a.timestamp) || (a.mesId - b.mesId));
+
+    status.textContent = results.length > MAX_RESULTS
+        ? `找到 ${results.length} 条结果，仅显示前 ${MAX_RESULTS} 条`
+        : `找到 ${results.length} 条结果`;
+    renderResults(resultsEl, results.slice(0, MAX_RESULTS));
+}
+
+/**
+ * 搜索结果
+ * @typedef {Object} SearchResult
+ * @property {string} chatId - 聊天文件名
+ * @property {number} mesId - 楼层号
+ * @property {string} name - 发言者
+ * @property {boolean} isUser - 是否用户消息
+ * @property {number} timestamp - 发送时间（毫秒，未知为 0）
+ * @property {string} snippetHtml - 已转义并高亮的片段
+ */
+
+/**
+ * 在一个聊天的消息中搜索
+ *
+ * @param {string} chatId - 聊天文件名
+ * @param {Object[]} messages - 消息数组（下标即 mesId）
+ * @param {RegExp} matcher - 匹配正则
+ * @param {ReturnType<typeof readFilters>} filters - 筛选条件
+ * @returns {SearchResult[]}
+ */
+function searchMessages(chatId, messages, matcher, filters) {
+    /** @type {SearchResult[]} */
+    const results = [];
+
+    messages.forEach((msg, mesId) => {
+        if (!msg || typeof msg.mes !== 'string' || msg.is_system) return;
+
+        if (filters.speaker === SPEAKER_FILTERS.USER && !msg.is_user) return;
+        if (filters.speaker === SPEAKER_FILTERS.CHARACTER && msg.is_user) return;
+
+        const timestamp = getMessageTimestamp(msg);
+        if (filters.dateFrom !== null && (!timestamp || timestamp < filters.dateFrom)) return;
+        if (filters.dateTo !== null && (!timestamp || timestamp > filters.dateTo)) return;
+
+        matcher.lastIndex = 0;
+        const match = matcher.exec(msg.mes);
+        if (!match) return;
+
+        results.push({
+            chatId,
+            mesId,
+            name: msg.name || (msg.is_user ? '用户' : '角色'),
+            isUser: Boolean(msg.is_user),
+            timestamp,
+            snippetHtml: buildSnippet(msg.mes, match.index, matcher)
+        });
+    });
+
+    return results;
+}
+
+/**
+ * 获取消息的发送时间
+ *
+ * @param {Object} msg - 消息对象
+ * @returns {number} 毫秒时间戳，无法解析时返回 0
+ */
+function getMessageTimestamp(msg) {
+    if (!msg.send_date) return 0;
+    const moment = timestampToMoment(msg.send_date);
+    return moment?.isValid() ? moment.valueOf() : 0;
+}
+
+/**
+ * 生成高亮片段
+ *
+ * @description
+ * 以第一个匹配位置为中心截取一段文本，先转义 HTML 再包裹 <mark>，
+ * 避免消息里的 HTML 被渲染出来。
+ *
+ * @param {string} text - 消息原文
+ * @param {number} matchIndex - 第一个匹配的位置
+ * @param {RegExp} matcher - 匹配正则（全局）
+ * @returns {string} 片段 HTML
+ */
+function buildSnippet(text, matchIndex, matcher) {
+    const start = Math.max(0, matchIndex - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, matchIndex + SNIPPET_CONTEXT * 3);
+    const slice = text.substring(start, end);
+
+    let html = '';
+    let cursor = 0;
+    matcher.lastIndex = 0;
+    let match;
+    while ((match = matcher.exec(slice)) !== null) {
+        // 空匹配（如 /a*/）会死循环，跳过
+        if (match[0].length === 0) {
+            matcher.lastIndex++;
+            continue;
+        }
+        html += escapeHtml(slice.substring(cursor, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        cursor = match.index + match[0].length;
+    }
+    html += escapeHtml(slice.substring(cursor));
+
+    return (start > 0 ? '...' : '') + html + (end < text.length ? '...' : '');
+}
+
+/**
+ * 渲染搜索结果列表
+ *
+ * @param {HTMLElement} container - 结果容器
+ * @param {SearchResult[]} results - 搜索结果
+ */
+function renderResults(container, results) {
+    if (results.length === 0) {
+        container.innerHTML = `
+            <div class="chat-archive-placeholder">
+                <i class="fa-solid fa-face-meh"></i>
+                <p>没有找到匹配的消息</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = results.map(result => `
+        <div class="chat-archive-search-result-item" data-chat-id="${escapeHtml(result.chatId)}" data-mesid="${result.mesId}">
+            <div class="chat-archive-search-result-header">
+                <div class="chat-archive-search-result-meta">
+                    <div class="chat-archive-search-result-name ${result.isUser ? 'user' : ''}">
+                        ${escapeHtml(result.name)}
+                        <span class="chat-archive-search-result-floor">#${result.mesId}</span>
+                    </div>
+                    <div class="chat-archive-search-result-chat">${escapeHtml(result.chatId)}</div>
+                </div>
+                <div class="chat-archive-search-result-action" title="跳转到原消息">
+                    <i class="fa-solid fa-arrow-up-right-from-square"></i>
+                </div>
+            </div>
+            <div class="chat-archive-search-result-content">${result.snippetHtml}</div>
+        </div>
+    `).join('');
+}
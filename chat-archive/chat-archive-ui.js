@@ -5,9 +5,19 @@
  * - 渲染全屏页面框架
  * - 管理四个标签页的切换
  * - 处理 UI 交互事件
+ * - 提供「打开聊天并跳转到消息」的公共操作给各页面
  */
 
 import logger from '../logger.js';
+import { openCharacterChat } from '../../../../../script.js';
+import { openGroupChat } from '../../../../group-chats.js';
+import { getContext } from '../../../../extensions.js';
+import { jumpToMessageNumber } from '../chat-tools/chat-tools-nav.js';
+import { renderSearchPage } from './chat-archive-search.js';
+import { renderFavoritesPage } from './chat-archive-favorites.js';
+import { renderNotesPage } from './chat-archive-notes.js';
+import { renderReaderPage } from './chat-archive-reader.js';
+import { showExportDialog } from './chat-archive-export-dialog.js';
 
 // ========================================
 // [CONST] 页面 ID 常量
@@ -42,44 +52,24 @@ export function renderArchiveFrame() {
                 <i class="fa-solid fa-chevron-left"></i>
             </div>
             <div class="chat-archive-header-title">聊天记录管理</div>
-            <div class="chat-archive-header-action">
-                <i class="fa-solid fa-ellipsis-vertical"></i>
+            <div class="chat-archive-header-action" id="chat-archive-export" title="导出">
+                <i class="fa-solid fa-file-export"></i>
             </div>
         </div>
 
         <!-- 内容区域 -->
         <div class="chat-archive-content">
             <!-- 搜索页面 -->
-            <div class="chat-archive-page active" id="chat-archive-page-search">
-                <div class="chat-archive-placeholder">
-                    <i class="fa-solid fa-magnifying-glass"></i>
-                    <p>搜索功能开发中...</p>
-                </div>
-            </div>
+            <div class="chat-archive-page active" id="chat-archive-page-search"></div>
 
             <!-- 收藏夹页面 -->
-            <div class="chat-archive-page" id="chat-archive-page-favorites">
-                <div class="chat-archive-placeholder">
-                    <i class="fa-solid fa-star"></i>
-                    <p>收藏夹功能开发中...</p>
-                </div>
-            </div>
+            <div class="chat-archive-page" id="chat-archive-page-favorites"></div>
 
             <!-- 笔记页面 -->
-            <div class="chat-archive-page" id="chat-archive-page-notes">
-                <div class="chat-archive-placeholder">
-                    <i class="fa-solid fa-note-sticky"></i>
-                    <p>笔记功能开发中...</p>
-                </div>
-            </div>
+            <div class="chat-archive-page" id="chat-archive-page-notes"></div>
 
             <!-- 阅读模式页面 -->
-            <div class="chat-archive-page" id="chat-archive-page-reader">
-                <div class="chat-archive-placeholder">
-                    <i class="fa-solid fa-book-open"></i>
-                    <p>阅读模式开发中...</p>
-                </div>
-            </div>
+            <div class="chat-archive-page" id="chat-archive-page-reader"></div>
         </div>
 
         <!-- 底部导航栏 -->
@@ -105,6 +95,13 @@ export function renderArchiveFrame() {
 
     overlay.appendChild(container);
 
+    // 渲染各页面内容
+    const actions = { jumpTo: openChatAtMessage };
+    renderSearchPage(container.querySelector('#chat-archive-page-search'), actions);
+    renderFavoritesPage(container.querySelector('#chat-archive-page-favorites'), actions);
+    renderNotesPage(container.querySelector('#chat-archive-page-notes'), actions);
+    renderReaderPage(container.querySelector('#chat-archive-page-reader'), actions);
+
     // 绑定事件
     bindFrameEvents(overlay);
 
@@ -126,6 +123,14 @@ function bindFrameEvents(overlay) {
         });
     }
 
+    // 导出按钮
+    const exportBtn = overlay.querySelector('#chat-archive-export');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            showExportDialog();
+        });
+    }
+
     // 底部导航切换
     const navItems = overlay.querySelectorAll('.chat-archive-nav-item');
     navItems.forEach(item => {
@@ -175,6 +180,41 @@ function switchPage(overlay, pageId) {
     logger.debug('archive', '[ChatArchive.UI] 切换到页面:', pageId);
 }
 
+/**
+ * 打开聊天并跳转到指定消息
+ *
+ * @description
+ * 1. 关闭管理界面（否则跳转后的聊天被遮挡）
+ * 2. 目标不是当前聊天时，先切换到该聊天文件
+ * 3. 复用导航功能的跳转逻辑（会处理未渲染的旧消息）
+ *
+ * @async
+ * @param {string} chatId - 聊天文件名（不含 .jsonl 后缀）
+ * @param {number} mesId - 楼层号（从 0 开始）
+ */
+export async function openChatAtMessage(chatId, mesId) {
+    closeArchiveUI();
+
+    try {
+        const context = getContext();
+        if (String(context.chatId) !== String(chatId)) {
+            logger.info('archive', '[ChatArchive.UI] 切换到聊天:', chatId);
+            if (context.groupId) {
+                await openGroupChat(context.groupId, chatId);
+            } else {
+                await openCharacterChat(chatId);
+            }
+            // 等待新聊天渲染
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+
+        await jumpToMessageNumber(mesId);
+    } catch (error) {
+        logger.error('archive', '[ChatArchive.UI] 跳转到消息失败:', error);
+        toastr.error('跳转失败');
+    }
+}
+
 /**
  * 关闭聊天记录管理界面
  */
@@ -130,6 +130,20 @@ function getCurrentChatFolds() {
   return all?.[avatar]?.[chatId] ?? {};
 }
 
+/**
+ * 获取指定聊天中有标题的折叠栏（供聊天记录管理的阅读、导出按章节划分）
+ * @param {string} avatar - 角色头像文件名
+ * @param {string} chatId - 聊天文件名
+ * @returns {{mesId: number, title: string}[]} 按楼层升序
+ */
+export function getChatFoldTitles(avatar, chatId) {
+  const folds = getAllFoldsStorage()?.[avatar]?.[chatId] ?? {};
+  return Object.entries(folds)
+    .filter(([, fold]) => fold?.title?.trim())
+    .map(([mesId, fold]) => ({ mesId: Number(mesId), title: fold.title.trim() }))
+    .sort((a, b) => a.mesId - b.mesId);
+}
+
 /**
  * 保存当前聊天的折叠数据到两层结构
  */
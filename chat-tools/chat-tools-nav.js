@@ -588,7 +588,7 @@ function handleJumpKeydown(event) {
  * 使用官方 showMoreMessages 函数加载消息
  * @param {number} number - 消息楼层号（mesId，从0开始）
  */
-async function jumpToMessageNumber(number) {
+export async function jumpToMessageNumber(number) {
   logger.info(MODULE_NAME, `${LOG_PREFIX} === jumpToMessageNumber 开始 ===`);
 
   const context = getContext();
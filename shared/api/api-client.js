@@ -9,6 +9,15 @@
  *
  * ST后端会根据 chat_completion_source 自动路由到对应provider，
  * 自动做消息格式转换，前端只管发OpenAI风格的messages。
+ *
+ * 自定义API模式下，可重试的错误会沿备用配置链(api-fallback.js)切换配置，
+ * 返回值里的 answeredBy 说明实际是哪个配置回答的。
+ *
+ * 每次成功的请求都会记录token用量(api-usage.js)，请求前检查模块预算。
+ * 开启请求检查器(api-inspector.js)后，发出的请求和原始响应会被记录下来，可以编辑后重新发送。
+ *
+ * generate / generateWithDefault 传入 options.schema 时进入结构化输出模式(api-structured.js)，
+ * 返回值额外带有解析好的 data。
  */
 
 import {
@@ -18,15 +27,52 @@ import {
 import {
     sendOpenAIRequest,
     getStreamingReply,
+    getChatCompletionModel,
 } from '../../../../../openai.js';
 import { getEventSourceStream } from '../../../../../sse-stream.js';
 import logger from '../../logger.js';
 import { buildGenerateData } from './api-request-builder.js';
 import { ApiError, API_ERROR_TYPES, classifyError } from './api-errors.js';
-import { validateConfig } from './api-config-schema.js';
+import { validateConfig, resolveSource } from './api-config-schema.js';
+import {
+    getFallbackChain,
+    isRetryableError,
+    getBackoffDelay,
+    recordAnswer,
+} from './api-fallback.js';
+import {
+    BUDGET_MODES,
+    BUDGET_PERIODS,
+    DEFAULT_CONFIG_LABEL,
+    USAGE_MODULES,
+    checkBudget,
+    extractUsage,
+    getPeriodStart,
+    mergeUsage,
+    recordUsage,
+    sumUsage,
+} from './api-usage.js';
+import {
+    startRecord,
+    appendChunk,
+    recordResponse,
+    finishRecord,
+    buildReplayData,
+} from './api-inspector.js';
+import {
+    supportsNativeSchema,
+    buildJsonSchemaField,
+    appendSchemaPrompt,
+    buildRepairMessages,
+    checkStructuredText,
+    extractNativeStructuredText,
+} from './api-structured.js';
 
 const GENERATE_URL = '/api/backends/chat-completions/generate';
 
+/** 本周期已经提醒过的预算(提醒模式) */
+const budgetWarned = new Set();
+
 /**
  * 非流式调用AI (自定义API模式)
  *
@@ -36,10 +82,73 @@ const GENERATE_URL = '/api/backends/chat-completions/generate';
  * @param {Object} [options={}] - 可选参数
  * @param {AbortSignal} [options.signal] - 中止信号
  * @param {string} [options.module='api'] - 调用方模块名(用于日志)
- * @returns {Promise<{text: string, raw: Object}>} AI回复
- * @throws {ApiError} 各类API错误
+ * @param {boolean} [options.fallback=true] - 失败时是否尝试备用配置(测试连接等场景应关闭)
+ * @param {Object} [options.schema] - JSON Schema，传入后要求AI输出符合它的JSON
+ * @param {string} [options.schemaName='response'] - schema 名称
+ * @param {string} [options.schemaDescription] - schema 说明
+ * @returns {Promise<{text: string, raw: Object, usage: Object|null, answeredBy: import('./api-fallback.js').AnsweredBy, data?: *, structured?: {mode: string, repaired: boolean}}>} AI回复(结构化模式带 data)
+ * @throws {ApiError} 各类API错误(备用链全部失败时抛出最后一个错误；修复后仍不合格为 schema 类型)
  */
 export async function generate(config, messages, options = {}) {
+    enforceBudget(options.module || 'api');
+
+    const result = await runWithFallback(config, options, (chainConfig, configName) => (
+        options.schema
+            ? generateStructuredOnce(chainConfig, messages, { ...options, configName })
+            : generateOnce(chainConfig, messages, { ...options, configName })
+    ));
+    await trackUsage(options.module || 'api', result, messages);
+    return result;
+}
+
+/**
+ * 流式调用AI (自定义API模式)
+ *
+ * @async
+ * @param {Object} config - API配置(stream字段会被强制设为true)
+ * @param {Array<Object>} messages - OpenAI风格消息数组
+ * @param {Object} [options={}] - 可选参数
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @param {Function} [options.onChunk] - 每收到一块文本的回调 (text: string) => void
+ * @param {string} [options.module='api'] - 调用方模块名
+ * @param {boolean} [options.fallback=true] - 失败时是否尝试备用配置
+ * @returns {Promise<{text: string, raw: null, usage: Object|null, answeredBy: import('./api-fallback.js').AnsweredBy}>} 完整AI回复
+ * @throws {ApiError}
+ *
+ * @description
+ * 只有在还没收到任何文本块时才会切换备用配置，
+ * 已经输出了一部分再换配置会让调用方拿到拼接错乱的文本。
+ */
+export async function generateStream(config, messages, options = {}) {
+    enforceBudget(options.module || 'api');
+
+    let receivedChunk = false;
+    const onChunk = (chunk) => {
+        receivedChunk = true;
+        options.onChunk?.(chunk);
+    };
+
+    const result = await runWithFallback(
+        config,
+        options,
+        (chainConfig, configName) => generateStreamOnce(chainConfig, messages, { ...options, onChunk, configName }),
+        () => !receivedChunk
+    );
+    await trackUsage(options.module || 'api', result, messages);
+    return result;
+}
+
+/**
+ * 单个配置的非流式请求
+ *
+ * @async
+ * @param {Object} config - API配置
+ * @param {Array<Object>} messages - OpenAI风格消息数组
+ * @param {Object} options - 同 generate
+ * @returns {Promise<{text: string, raw: Object, usage: Object|null}>}
+ * @throws {ApiError}
+ */
+async function generateOnce(config, messages, options) {
     const mod = options.module || 'api';
     const validation = validateConfig(config);
     if (!validation.valid) {
@@ -50,39 +159,48 @@ export async function generate(config, messages, options = {}) {
         config.source, config.model);
 
     const generateData = buildGenerateData(config, messages);
-    const response = await fetchGenerate(generateData, options.signal);
-    const data = await response.json();
+    const result = await sendGenerateData(generateData, config, options);
 
-    if (data.error) {
-        const msg = data.error.message || '未知错误';
-        throw new ApiError(API_ERROR_TYPES.SERVER, msg, 0, data);
-    }
+    logger.info('api', `[generate] ${mod} 完成, 长度:`, result.text.length);
+    return result;
+}
 
-    const text = extractMessageFromData(data);
-    if (!text) {
-        throw new ApiError(
-            API_ERROR_TYPES.SERVER, 'API返回空响应', 0, data
-        );
-    }
+/**
+ * 单个配置的结构化输出请求
+ *
+ * @async
+ * @param {Object} config - API配置
+ * @param {Array<Object>} messages - OpenAI风格消息数组
+ * @param {Object} options - 同 generate(必须带 schema)
+ * @returns {Promise<Object>} generateOnce 的结果，附加 data 和 structured
+ * @throws {ApiError}
+ *
+ * @description
+ * 原生支持的来源把 schema 放进请求体的 json_schema 字段；
+ * 其余来源把 schema 写进提示词。两种方式的结果都会再校验一遍。
+ */
+async function generateStructuredOnce(config, messages, options) {
+    const native = supportsNativeSchema(resolveSource(config.source));
+    const requestConfig = native
+        ? { ...config, jsonSchema: buildJsonSchemaField(options) }
+        : config;
+    const requestMessages = native ? messages : appendSchemaPrompt(messages, options);
 
-    logger.info('api', `[generate] ${mod} 完成, 长度:`, text.length);
-    return { text, raw: data };
+    return runStructured(requestMessages, options, native ? 'native' : 'prompt',
+        (attemptMessages) => generateOnce(requestConfig, attemptMessages, options));
 }
 
 /**
- * 流式调用AI (自定义API模式)
+ * 单个配置的流式请求
  *
  * @async
  * @param {Object} config - API配置(stream字段会被强制设为true)
  * @param {Array<Object>} messages - OpenAI风格消息数组
- * @param {Object} [options={}] - 可选参数
- * @param {AbortSignal} [options.signal] - 中止信号
- * @param {Function} [options.onChunk] - 每收到一块文本的回调 (text: string) => void
- * @param {string} [options.module='api'] - 调用方模块名
- * @returns {Promise<{text: string, raw: null}>} 完整AI回复
+ * @param {Object} options - 同 generateStream
+ * @returns {Promise<{text: string, raw: null, usage: Object|null}>}
  * @throws {ApiError}
  */
-export async function generateStream(config, messages, options = {}) {
+async function generateStreamOnce(config, messages, options) {
     const mod = options.module || 'api';
     const validation = validateConfig(config);
     if (!validation.valid) {
@@ -94,45 +212,52 @@ export async function generateStream(config, messages, options = {}) {
         config.source, config.model);
 
     const generateData = buildGenerateData(streamConfig, messages);
-    const response = await fetchGenerate(generateData, options.signal);
+    const result = await sendGenerateData(generateData, config, options);
 
-    const eventStream = getEventSourceStream();
-    response.body.pipeThrough(eventStream);
-    const reader = eventStream.readable.getReader();
-
-    let fullText = '';
-    const state = { reasoning: '', image: '' };
-
-    try {
-        while (true) {
-            if (options.signal?.aborted) break;
-
-            const { done, value } = await reader.read();
-            if (done || !value?.data || value.data === '[DONE]') break;
+    logger.info('api', `[generateStream] ${mod} 完成, 长度:`, result.text.length);
+    return result;
+}
 
-            let parsed;
-            try {
-                parsed = JSON.parse(value.data);
-            } catch {
-                continue;
-            }
+/**
+ * 重新发送检查器里的一条请求
+ *
+ * @async
+ * @param {Object} payload - (可能已编辑的)generate_data，打码的密钥会被目标配置的替换
+ * @param {Object} config - 目标配置(共享API层格式)
+ * @param {Object} [options={}] - 可选参数
+ * @param {boolean} [options.keepModel=false] - 保留 payload 里的来源和模型(发回原配置时使用)
+ * @param {string} [options.configName='重放'] - 记录里显示的配置名
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<{text: string, raw: Object|null, usage: Object|null}>}
+ * @throws {ApiError}
+ *
+ * @description
+ * 不走备用链，也不检查预算(这是用户手动发起的调试请求)，但用量照常记入「请求检查器」模块。
+ */
+export async function replayGenerateData(payload, config, options = {}) {
+    const mod = 'inspector';
+    const generateData = buildReplayData(payload, config, Boolean(options.keepModel));
+    logger.info('api', '[replay] 重新发送:', generateData.chat_completion_source, generateData.model);
 
-            const chunk = getStreamingReply(parsed, state, {
-                chatCompletionSource: streamConfig.chat_completion_source
-                    || config.source,
-            });
+    const result = await sendGenerateData(generateData, config, {
+        module: mod,
+        signal: options.signal,
+        configName: options.configName || '重放',
+    });
 
-            if (typeof chunk === 'string' && chunk) {
-                fullText += chunk;
-                options.onChunk?.(chunk);
-            }
-        }
-    } finally {
-        try { reader.releaseLock?.(); } catch { /* 静默 */ }
+    try {
+        await recordUsage({
+            module: mod,
+            config: options.configName || '重放',
+            model: generateData.model || '未知模型',
+            messages: generateData.messages,
+            text: result.text,
+            usage: result.usage,
+        });
+    } catch (error) {
+        logger.warn('api', '[replay] 记录用量失败:', error.message);
     }
-
-    logger.info('api', `[generateStream] ${mod} 完成, 长度:`, fullText.length);
-    return { text: fullText, raw: null };
+    return result;
 }
 
 /**
@@ -143,7 +268,8 @@ export async function generateStream(config, messages, options = {}) {
  * @param {Object} [options={}] - 可选参数
  * @param {AbortSignal} [options.signal] - 中止信号
  * @param {string} [options.module='api'] - 调用方模块名
- * @returns {Promise<{text: string, raw: Object}>} AI回复
+ * @param {Object} [options.schema] - JSON Schema(同 generate，默认模式下总是写进提示词)
+ * @returns {Promise<{text: string, raw: Object, usage: Object|null, data?: *, structured?: {mode: string, repaired: boolean}}>} AI回复
  * @throws {ApiError}
  *
  * @description
@@ -154,6 +280,28 @@ export async function generateStream(config, messages, options = {}) {
 export async function generateWithDefault(messages, options = {}) {
     const mod = options.module || 'api';
     logger.info('api', `[generateWithDefault] ${mod} 使用ST默认设置`);
+    enforceBudget(mod);
+
+    const result = options.schema
+        ? await runStructured(appendSchemaPrompt(messages, options), options, 'prompt',
+            (attemptMessages) => generateWithDefaultOnce(attemptMessages, options))
+        : await generateWithDefaultOnce(messages, options);
+
+    await trackUsage(mod, result, messages);
+    return result;
+}
+
+/**
+ * 使用ST默认设置的单次请求
+ *
+ * @async
+ * @param {Array<Object>} messages - OpenAI风格消息数组
+ * @param {Object} options - 同 generateWithDefault
+ * @returns {Promise<{text: string, raw: Object, usage: Object|null}>}
+ * @throws {ApiError}
+ */
+async function generateWithDefaultOnce(messages, options) {
+    const mod = options.module || 'api';
 
     try {
         const signal = options.signal || new AbortController().signal;
@@ -176,7 +324,11 @@ export async function generateWithDefault(messages, options = {}) {
 
         logger.info('api',
             `[generateWithDefault] ${mod} 完成, 长度:`, text.length);
-        return { text, raw: response };
+        return {
+            text,
+            raw: response,
+            usage: typeof response === 'object' ? extractUsage(response) : null,
+        };
 
     } catch (error) {
         if (error instanceof ApiError) throw error;
@@ -193,6 +345,295 @@ export async function generateWithDefault(messages, options = {}) {
 // 内部函数
 // ========================================
 
+/**
+ * 沿备用配置链执行请求
+ *
+ * @async
+ * @param {Object} config - 主配置
+ * @param {Object} options - 调用选项(module/signal/fallback)
+ * @param {(config: Object, name: string) => Promise<Object>} request - 对单个配置发起请求
+ * @param {() => boolean} [canRetry] - 额外的重试条件(流式请求已有输出时返回false)
+ * @returns {Promise<Object>} request 的结果，附加 answeredBy
+ * @throws {ApiError} 不可重试的错误，或链上最后一个配置的错误
+ */
+async function runWithFallback(config, options, request, canRetry = () => true) {
+    const mod = options.module || 'api';
+    const chain = getFallbackChain(config, options.fallback !== false);
+
+    for (let index = 0; index < chain.length; index++) {
+        const { name, config: chainConfig } = chain[index];
+        try {
+            const result = await request(chainConfig, name);
+            const answeredBy = {
+                name,
+                source: chainConfig.source,
+                model: chainConfig.model,
+                index,
+                fallback: index > 0,
+            };
+            recordAnswer(mod, answeredBy);
+            return { ...result, answeredBy };
+        } catch (error) {
+            const next = chain[index + 1];
+            if (!next || !isRetryableError(error) || !canRetry() || options.signal?.aborted) {
+                throw error;
+            }
+
+            const delay = getBackoffDelay(index);
+            logger.warn('api', `[fallback] ${mod} 配置「${name}」失败(${error.type}): ${error.message}，`
+                + `${delay}ms 后改用「${next.name}」`);
+            await waitWithSignal(delay, options.signal);
+        }
+    }
+
+    // chain 至少包含主配置，循环内必然返回或抛出
+    throw new ApiError(API_ERROR_TYPES.CONFIG, '没有可用的API配置');
+}
+
+/**
+ * 结构化输出：解析并校验回复，不合格时带着错误信息修复重试一次
+ *
+ * @async
+ * @param {Array<Object>} messages - 已包含 schema 说明(提示词模式)的消息
+ * @param {Object} options - 调用选项(schema/module)
+ * @param {string} mode - native / prompt
+ * @param {(messages: Array<Object>) => Promise<Object>} send - 发送一次请求
+ * @returns {Promise<Object>} 最后一次请求的结果，附加 data 和 structured
+ * @throws {ApiError} 修复后仍不合格时为 schema 类型
+ */
+async function runStructured(messages, options, mode, send) {
+    const mod = options.module || 'api';
+    const first = await send(messages);
+    const firstCheck = checkStructuredText(first.text, options.schema);
+    if (firstCheck.ok) {
+        return { ...first, data: firstCheck.value, structured: { mode, repaired: false } };
+    }
+
+    logger.warn('api', `[structured] ${mod} 输出不符合schema，修复重试:`, firstCheck.errors.join('; '));
+    const second = await send(buildRepairMessages(messages, first.text, firstCheck.errors));
+    const secondCheck = checkStructuredText(second.text, options.schema);
+    if (!secondCheck.ok) {
+        throw new ApiError(
+            API_ERROR_TYPES.SCHEMA,
+            `AI输出不符合格式要求：${secondCheck.errors.join('；')}`,
+            0, second.text
+        );
+    }
+
+    logger.info('api', `[structured] ${mod} 修复重试成功`);
+    return {
+        ...second,
+        usage: sumUsage(first.usage, second.usage),
+        data: secondCheck.value,
+        structured: { mode, repaired: true },
+    };
+}
+
+/**
+ * 请求前检查模块预算
+ *
+ * @param {string} mod - 调用方模块名
+ * @throws {ApiError} 拦截模式下已超出预算
+ *
+ * @description
+ * 提醒模式每个周期只弹一次提示，避免每次请求都打扰用户。
+ */
+function enforceBudget(mod) {
+    const { exceeded, used, budget } = checkBudget(mod);
+    if (!exceeded) return;
+
+    const label = USAGE_MODULES[mod] || mod;
+    const periodLabel = budget.period === BUDGET_PERIODS.MONTH ? '本月' : '今日';
+    const message = `${label}${periodLabel}已用 ${used} tokens，超出预算 ${budget.tokens}`;
+
+    if (budget.mode === BUDGET_MODES.BLOCK) {
+        logger.warn('api', `[budget] ${message}，已拦截请求`);
+        throw new ApiError(API_ERROR_TYPES.BUDGET, `${message}，请在用量统计中调整预算`);
+    }
+
+    const warnKey = `${mod}|${budget.period}|${getPeriodStart(budget.period)}`;
+    if (!budgetWarned.has(warnKey)) {
+        budgetWarned.add(warnKey);
+        toastr.warning(message);
+    }
+}
+
+/**
+ * 记录一次成功请求的用量(记录失败不影响返回结果)
+ *
+ * @async
+ * @param {string} mod - 调用方模块名
+ * @param {Object} result - 请求结果(text/usage/answeredBy)
+ * @param {Array<Object>} messages - 请求消息
+ */
+async function trackUsage(mod, result, messages) {
+    try {
+        const answeredBy = result.answeredBy;
+        let config = DEFAULT_CONFIG_LABEL;
+        let model = '';
+        if (answeredBy) {
+            config = answeredBy.fallback ? answeredBy.name : `${answeredBy.source}（当前配置）`;
+            model = answeredBy.model;
+        } else {
+            model = getChatCompletionModel();
+        }
+
+        await recordUsage({
+            module: mod,
+            config,
+            model: model || '未知模型',
+            messages,
+            text: result.text,
+            usage: result.usage,
+        });
+    } catch (error) {
+        logger.warn('api', `[usage] ${mod} 记录用量失败:`, error.message);
+    }
+}
+
+/**
+ * 可中止的等待
+ *
+ * @param {number} ms - 等待毫秒数
+ * @param {AbortSignal} [signal] - 中止信号
+ * @returns {Promise<void>}
+ * @throws {ApiError} 等待期间被中止时
+ */
+function waitWithSignal(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new ApiError(API_ERROR_TYPES.ABORT, '生成已终止'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError(API_ERROR_TYPES.ABORT, '生成已终止'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * 发送 generate_data 并解析响应(流式/非流式)，同时写入请求检查器
+ *
+ * @async
+ * @param {Object} generateData - 请求体
+ * @param {Object} config - 产生这个请求体的配置
+ * @param {Object} options - 调用选项(module/signal/onChunk/configName)
+ * @returns {Promise<{text: string, raw: Object|null, usage: Object|null}>}
+ * @throws {ApiError}
+ */
+async function sendGenerateData(generateData, config, options) {
+    const record = startRecord({
+        module: options.module || 'api',
+        configName: options.configName,
+        config,
+        payload: generateData,
+    });
+
+    try {
+        const response = await fetchGenerate(generateData, options.signal);
+        const result = generateData.stream
+            ? await readStreamResponse(response, config, options, record)
+            : await readJsonResponse(response, generateData, record);
+        finishRecord(record, { text: result.text });
+        return result;
+    } catch (error) {
+        finishRecord(record, { error });
+        throw error;
+    }
+}
+
+/**
+ * 解析非流式响应
+ *
+ * @async
+ * @param {Response} response - fetch响应
+ * @param {Object} generateData - 请求体(用于判断是否为原生结构化输出)
+ * @param {Object|null} record - 检查器记录
+ * @returns {Promise<{text: string, raw: Object, usage: Object|null}>}
+ * @throws {ApiError}
+ */
+async function readJsonResponse(response, generateData, record) {
+    const data = await response.json();
+    recordResponse(record, data);
+
+    if (data.error) {
+        const msg = data.error.message || '未知错误';
+        throw new ApiError(API_ERROR_TYPES.SERVER, msg, 0, data);
+    }
+
+    let text = extractMessageFromData(data);
+    if (!text && generateData.json_schema) {
+        // Claude 强制工具调用时结果不在文本里
+        text = extractNativeStructuredText(data);
+    }
+    if (!text) {
+        throw new ApiError(
+            API_ERROR_TYPES.SERVER, 'API返回空响应', 0, data
+        );
+    }
+
+    return { text, raw: data, usage: extractUsage(data) };
+}
+
+/**
+ * 读取流式响应
+ *
+ * @async
+ * @param {Response} response - fetch响应
+ * @param {Object} config - API配置(用于判断流式格式)
+ * @param {Object} options - 调用选项(signal/onChunk)
+ * @param {Object|null} record - 检查器记录
+ * @returns {Promise<{text: string, raw: null, usage: Object|null}>}
+ */
+async function readStreamResponse(response, config, options, record) {
+    const eventStream = getEventSourceStream();
+    response.body.pipeThrough(eventStream);
+    const reader = eventStream.readable.getReader();
+
+    let fullText = '';
+    let usage = null;
+    const state = { reasoning: '', image: '' };
+
+    try {
+        while (true) {
+            if (options.signal?.aborted) break;
+
+            const { done, value } = await reader.read();
+            if (value?.data) appendChunk(record, value.data);
+            if (done || !value?.data || value.data === '[DONE]') break;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(value.data);
+            } catch {
+                continue;
+            }
+
+            // usage 通常在最后一块(OpenAI/Gemini)或首尾两块(Claude)里
+            usage = mergeUsage(usage, extractUsage(parsed));
+
+            const chunk = getStreamingReply(parsed, state, {
+                chatCompletionSource: config.source,
+            });
+
+            if (typeof chunk === 'string' && chunk) {
+                fullText += chunk;
+                options.onChunk?.(chunk);
+            }
+        }
+    } finally {
+        try { reader.releaseLock?.(); } catch { /* 静默 */ }
+    }
+
+    return { text: fullText, raw: null, usage };
+}
+
 /**
  * 发送POST请求到ST后端
  * @param {Object} generateData - 请求体
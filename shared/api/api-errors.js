@@ -10,6 +10,8 @@
  * - server: 服务器错误 → 提示服务不可用
  * - config: 配置错误 → 提示检查设置
  * - abort: 用户主动中止 → 静默处理
+ * - budget: 模块用量超出预算(拦截模式) → 提示用户调整预算
+ * - schema: 结构化输出修复重试后仍不符合 schema → 提示换模型或改用普通模式
  */
 
 /** API错误类型枚举 */
@@ -20,6 +22,8 @@ export const API_ERROR_TYPES = {
     SERVER: 'server',
     CONFIG: 'config',
     ABORT: 'abort',
+    BUDGET: 'budget',
+    SCHEMA: 'schema',
 };
 
 /**
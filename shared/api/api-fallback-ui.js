@@ -0,0 +1,151 @@
+/**
+ * 共享API层 - 备用配置链设置界面
+ *
+ * @module shared/api/api-fallback-ui
+ * @description
+ * 日记/手机/变量三个模块的API设置页都嵌入这一块：
+ * - 开关备用链、设置退避基础时间
+ * - 把当前配置加入备用链，调整顺序、停用、删除
+ * - 显示最近一次实际回答的配置
+ *
+ * 列表本身三个模块共用(存储见 api-fallback.js)。
+ */
+
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+import { escapeHtml } from '../../../../../utils.js';
+import logger from '../../logger.js';
+import {
+    getFallbackSettings,
+    updateFallbackOptions,
+    saveFallbackConfig,
+    removeFallbackConfig,
+    moveFallbackConfig,
+    setFallbackConfigEnabled,
+    getLastAnswer,
+} from './api-fallback.js';
+
+/**
+ * 渲染备用配置链设置
+ *
+ * @param {HTMLElement} container - 容器元素
+ * @param {Object} options - 选项
+ * @param {string} options.module - 所在模块名(用于日志)
+ * @param {() => Object|null} options.getCurrentConfig - 返回模块当前自定义配置(共享API层格式)，未配置时返回 null
+ */
+export function renderFallbackSection(container, { module, getCurrentConfig }) {
+    container.classList.add('api-fallback');
+    refresh(container);
+
+    container.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        const button = target.closest('[data-fallback-action]');
+        if (!button) return;
+
+        const action = button.getAttribute('data-fallback-action');
+        const id = button.closest('.api-fallback-item')?.getAttribute('data-id');
+
+        switch (action) {
+            case 'add':
+                await handleAdd(module, getCurrentConfig);
+                break;
+            case 'up':
+                moveFallbackConfig(id, -1);
+                break;
+            case 'down':
+                moveFallbackConfig(id, 1);
+                break;
+            case 'delete':
+                removeFallbackConfig(id);
+                break;
+            default:
+                return;
+        }
+        refresh(container);
+    });
+
+    container.addEventListener('change', (e) => {
+        const target = /** @type {HTMLInputElement} */ (e.target);
+        if (target.matches('.api-fallback-enabled')) {
+            updateFallbackOptions({ enabled: target.checked });
+        } else if (target.matches('.api-fallback-delay')) {
+            updateFallbackOptions({ baseDelayMs: target.value });
+        } else if (target.matches('.api-fallback-item-enabled')) {
+            const id = target.closest('.api-fallback-item')?.getAttribute('data-id');
+            setFallbackConfigEnabled(id, target.checked);
+        }
+    });
+}
+
+/**
+ * 重新渲染
+ *
+ * @param {HTMLElement} container - 容器元素
+ */
+function refresh(container) {
+    const settings = getFallbackSettings();
+    const last = getLastAnswer();
+
+    const items = settings.configs.length === 0
+        ? '<div class="api-fallback-empty">还没有备用配置</div>'
+        : settings.configs.map((item, index) => `
+            <div class="api-fallback-item ${item.enabled ? '' : 'disabled'}" data-id="${escapeHtml(item.id)}">
+                <input type="checkbox" class="api-fallback-item-enabled" ${item.enabled ? 'checked' : ''} title="参与备用链">
+                <div class="api-fallback-item-info">
+                    <div class="api-fallback-item-name">${index + 1}. ${escapeHtml(item.name)}</div>
+                    <div class="api-fallback-item-meta">${escapeHtml(item.config.source)} · ${escapeHtml(item.config.model || '')}</div>
+                </div>
+                <i class="fa-solid fa-arrow-up api-fallback-btn" data-fallback-action="up" title="上移"></i>
+                <i class="fa-solid fa-arrow-down api-fallback-btn" data-fallback-action="down" title="下移"></i>
+                <i class="fa-solid fa-trash-can api-fallback-btn" data-fallback-action="delete" title="删除"></i>
+            </div>
+        `).join('');
+
+    const lastHtml = last
+        ? `最近回答：${escapeHtml(last.name)}（${escapeHtml(last.model)}）· ${escapeHtml(last.module)} · ${new Date(last.time).toLocaleTimeString()}`
+        : '最近回答：暂无';
+
+    container.innerHTML = `
+        <div class="api-fallback-title">备用配置链（日记 / 手机 / 变量共用）</div>
+        <label class="api-fallback-row">
+            <input type="checkbox" class="api-fallback-enabled" ${settings.enabled ? 'checked' : ''}>
+            <span>当前配置限流、服务器或网络出错时依次改用下列配置</span>
+        </label>
+        <label class="api-fallback-row">
+            <span>首次重试等待</span>
+            <input type="number" class="api-fallback-delay text_pole" min="0" step="500" value="${settings.baseDelayMs}">
+            <span>毫秒（之后每次翻倍）</span>
+        </label>
+        <div class="api-fallback-list">${items}</div>
+        <button class="menu_button api-fallback-add" data-fallback-action="add">
+            <i class="fa-solid fa-plus"></i> 把当前配置加入备用链
+        </button>
+        <div class="api-fallback-last">${lastHtml}</div>
+    `;
+}
+
+/**
+ * 把模块当前配置加入备用链
+ *
+ * @async
+ * @param {string} module - 模块名
+ * @param {() => Object|null} getCurrentConfig - 获取当前配置
+ */
+async function handleAdd(module, getCurrentConfig) {
+    let config = null;
+    try {
+        config = getCurrentConfig();
+    } catch (error) {
+        logger.warn('api', `[FallbackUI] ${module} 读取当前配置失败:`, error.message);
+    }
+
+    if (!config?.source || !config?.model) {
+        toastr.warning('请先填好自定义API的类型和模型');
+        return;
+    }
+
+    const name = await callGenericPopup('给这个配置起个名字：', POPUP_TYPE.INPUT, `${config.source} · ${config.model}`);
+    if (!name || typeof name !== 'string' || !name.trim()) return;
+
+    saveFallbackConfig(name.trim(), config);
+    toastr.success(`已加入备用链：${name.trim()}`);
+}
@@ -0,0 +1,268 @@
+/**
+ * 共享API层 - 备用配置链
+ *
+ * @module shared/api/api-fallback
+ * @description
+ * 日记/手机/变量三个模块共用一份有序的备用API配置列表。
+ * 当前配置遇到可重试的错误(rateLimit/server/network)时，
+ * api-client 会按指数退避等待后依次尝试列表中的下一个配置。
+ *
+ * 存储位置: extension_settings.acsusPawsPuffs.sharedApi.fallback
+ */
+
+import { extension_settings } from '../../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../../script.js';
+import logger from '../../logger.js';
+import { API_ERROR_TYPES } from './api-errors.js';
+
+const EXT_ID = 'acsusPawsPuffs';
+
+/** 可以换配置重试的错误类型(认证/配置错误换了也没用，中止则不应重试) */
+export const RETRYABLE_ERROR_TYPES = [
+    API_ERROR_TYPES.RATE_LIMIT,
+    API_ERROR_TYPES.SERVER,
+    API_ERROR_TYPES.NETWORK,
+];
+
+/**
+ * 只属于单次请求、不属于配置本身的字段。
+ * 切换到备用配置时从主配置继承(例如手机模块的工具定义)。
+ */
+const REQUEST_KEYS = ['stream', 'tools', 'toolChoice'];
+
+/** 单次退避的最长等待(毫秒) */
+const MAX_BACKOFF_MS = 30000;
+
+const DEFAULT_FALLBACK_SETTINGS = {
+    enabled: true,
+    baseDelayMs: 1000,
+    configs: [],
+};
+
+/**
+ * 备用配置
+ * @typedef {Object} FallbackConfig
+ * @property {string} id - 配置ID
+ * @property {string} name - 显示名称
+ * @property {boolean} enabled - 是否参与备用链
+ * @property {Object} config - 共享API层配置(见 api-request-builder.js)
+ */
+
+/**
+ * 实际回答请求的配置
+ * @typedef {Object} AnsweredBy
+ * @property {string} name - 配置名称(主配置为「当前配置」)
+ * @property {string} source - API来源
+ * @property {string} model - 模型
+ * @property {number} index - 在链中的位置(0 为主配置)
+ * @property {boolean} fallback - 是否由备用配置回答
+ */
+
+/** @type {(AnsweredBy & {module: string, time: number})|null} 最近一次成功的回答 */
+let lastAnswer = null;
+
+// ========================================
+// 设置读写
+// ========================================
+
+/**
+ * 获取备用链设置(不存在时初始化)
+ *
+ * @returns {{enabled: boolean, baseDelayMs: number, configs: FallbackConfig[]}}
+ */
+export function getFallbackSettings() {
+    if (!extension_settings[EXT_ID]) {
+        extension_settings[EXT_ID] = {};
+    }
+    if (!extension_settings[EXT_ID].sharedApi) {
+        extension_settings[EXT_ID].sharedApi = {};
+    }
+    const sharedApi = extension_settings[EXT_ID].sharedApi;
+    if (!sharedApi.fallback) {
+        sharedApi.fallback = JSON.parse(JSON.stringify(DEFAULT_FALLBACK_SETTINGS));
+    }
+    return sharedApi.fallback;
+}
+
+/**
+ * 修改备用链选项
+ *
+ * @param {{enabled?: boolean, baseDelayMs?: number}} updates - 要更新的字段
+ */
+export function updateFallbackOptions(updates) {
+    const settings = getFallbackSettings();
+    if (updates.enabled !== undefined) {
+        settings.enabled = Boolean(updates.enabled);
+    }
+    if (updates.baseDelayMs !== undefined) {
+        settings.baseDelayMs = Math.max(0, Math.floor(Number(updates.baseDelayMs) || 0));
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * 把配置加入备用链(同名配置会被覆盖，位置不变)
+ *
+ * @param {string} name - 显示名称
+ * @param {Object} config - 共享API层配置
+ * @returns {FallbackConfig} 保存后的配置
+ */
+export function saveFallbackConfig(name, config) {
+    const settings = getFallbackSettings();
+    const snapshot = { ...config };
+    REQUEST_KEYS.forEach(key => delete snapshot[key]);
+
+    const existing = settings.configs.find(c => c.name === name);
+    if (existing) {
+        existing.config = snapshot;
+        saveSettingsDebounced();
+        logger.info('api', '[Fallback] 已更新备用配置:', name);
+        return existing;
+    }
+
+    /** @type {FallbackConfig} */
+    const saved = {
+        id: `fallback_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+        name,
+        enabled: true,
+        config: snapshot,
+    };
+    settings.configs.push(saved);
+    saveSettingsDebounced();
+    logger.info('api', '[Fallback] 已添加备用配置:', name, snapshot.source, snapshot.model);
+    return saved;
+}
+
+/**
+ * 删除备用配置
+ *
+ * @param {string} id - 配置ID
+ */
+export function removeFallbackConfig(id) {
+    const settings = getFallbackSettings();
+    settings.configs = settings.configs.filter(c => c.id !== id);
+    saveSettingsDebounced();
+}
+
+/**
+ * 调整备用配置顺序
+ *
+ * @param {string} id - 配置ID
+ * @param {number} delta - 移动量(-1 上移，1 下移)
+ */
+export function moveFallbackConfig(id, delta) {
+    const configs = getFallbackSettings().configs;
+    const from = configs.findIndex(c => c.id === id);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= configs.length) return;
+
+    const [item] = configs.splice(from, 1);
+    configs.splice(to, 0, item);
+    saveSettingsDebounced();
+}
+
+/**
+ * 启用/停用某个备用配置
+ *
+ * @param {string} id - 配置ID
+ * @param {boolean} enabled - 是否启用
+ */
+export function setFallbackConfigEnabled(id, enabled) {
+    const config = getFallbackSettings().configs.find(c => c.id === id);
+    if (!config) return;
+    config.enabled = Boolean(enabled);
+    saveSettingsDebounced();
+}
+
+// ========================================
+// 链与退避
+// ========================================
+
+/**
+ * 构建本次请求要依次尝试的配置链
+ *
+ * @param {Object} primary - 调用方传入的主配置
+ * @param {boolean} [useFallback=true] - 是否追加备用配置
+ * @returns {Array<{name: string, config: Object}>} 第一个总是主配置
+ *
+ * @description
+ * 备用配置继承主配置的请求级字段(stream/tools/toolChoice)；
+ * 与主配置(或前面的备用)来源、模型、地址都相同的会被跳过，避免对同一个端点重复请求。
+ */
+export function getFallbackChain(primary, useFallback = true) {
+    const chain = [{ name: '当前配置', config: primary }];
+    const settings = getFallbackSettings();
+    if (!useFallback || !settings.enabled) {
+        return chain;
+    }
+
+    const requestFields = {};
+    REQUEST_KEYS.forEach(key => {
+        if (primary[key] !== undefined) requestFields[key] = primary[key];
+    });
+
+    const seen = new Set([endpointKey(primary)]);
+    settings.configs
+        .filter(c => c.enabled && c.config)
+        .forEach(c => {
+            const key = endpointKey(c.config);
+            if (seen.has(key)) return;
+            seen.add(key);
+            chain.push({ name: c.name, config: { ...c.config, ...requestFields } });
+        });
+
+    return chain;
+}
+
+/**
+ * 判断错误是否值得换配置重试
+ *
+ * @param {*} error - 捕获的错误
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+    return RETRYABLE_ERROR_TYPES.includes(error?.type);
+}
+
+/**
+ * 计算第 attempt 次切换前的退避时间
+ *
+ * @param {number} attempt - 第几次切换(从 0 开始)
+ * @returns {number} 毫秒
+ */
+export function getBackoffDelay(attempt) {
+    const base = getFallbackSettings().baseDelayMs;
+    return Math.min(base * (2 ** attempt), MAX_BACKOFF_MS);
+}
+
+/**
+ * 记录实际回答的配置，并在由备用配置回答时提示用户
+ *
+ * @param {string} module - 调用方模块名
+ * @param {AnsweredBy} answeredBy - 回答的配置
+ */
+export function recordAnswer(module, answeredBy) {
+    lastAnswer = { ...answeredBy, module, time: Date.now() };
+    if (answeredBy.fallback) {
+        toastr.info(`当前配置请求失败，本次由备用配置「${answeredBy.name}」(${answeredBy.model}) 回答`);
+    }
+}
+
+/**
+ * 获取最近一次成功回答的配置
+ *
+ * @returns {(AnsweredBy & {module: string, time: number})|null}
+ */
+export function getLastAnswer() {
+    return lastAnswer;
+}
+
+/**
+ * 端点标识(来源 + 模型 + 地址)
+ *
+ * @param {Object} config - 共享API层配置
+ * @returns {string}
+ */
+function endpointKey(config) {
+    return [config.source, config.model, config.baseUrl || config.customUrl || ''].join('|');
+}
@@ -0,0 +1,329 @@
+/**
+ * 共享API层 - 请求检查器界面
+ *
+ * @module shared/api/api-inspector-ui
+ * @description
+ * - renderInspectorSection: 嵌在各模块API设置页里的开关 + 打开按钮
+ * - showInspectorPanel: 记录列表和详情，请求体可以编辑后发给任意已保存的配置
+ *
+ * 数据见 api-inspector.js。
+ */
+
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+import { escapeHtml } from '../../../../../utils.js';
+import logger from '../../logger.js';
+import {
+    getInspectorSettings,
+    updateInspectorOptions,
+    getInspectorEntries,
+    getInspectorEntry,
+    getRecordedConfig,
+    clearInspector,
+} from './api-inspector.js';
+import { getFallbackSettings } from './api-fallback.js';
+import { replayGenerateData } from './api-client.js';
+import { USAGE_MODULES } from './api-usage.js';
+
+/** 「原配置」在目标下拉框里的值 */
+const ORIGINAL_TARGET = '__original__';
+
+// ========================================
+// 设置页卡片
+// ========================================
+
+/**
+ * 渲染模块API设置页里的检查器卡片
+ *
+ * @param {HTMLElement} container - 容器元素
+ */
+export function renderInspectorSection(container) {
+    container.classList.add('api-inspector-section');
+
+    const refresh = () => {
+        const settings = getInspectorSettings();
+        container.innerHTML = `
+            <div class="api-inspector-section-title">请求检查器</div>
+            <label class="api-inspector-row">
+                <input type="checkbox" class="api-inspector-enabled" ${settings.enabled ? 'checked' : ''}>
+                <span>记录最近</span>
+                <input type="number" class="text_pole api-inspector-capacity" min="1" max="200" value="${settings.capacity}">
+                <span>次请求（只存在内存里，密钥会打码）</span>
+            </label>
+            <button class="menu_button api-inspector-open">
+                <i class="fa-solid fa-magnifying-glass"></i> 打开请求检查器（${getInspectorEntries().length}）
+            </button>
+        `;
+    };
+
+    refresh();
+
+    container.addEventListener('change', (e) => {
+        const target = /** @type {HTMLInputElement} */ (e.target);
+        if (target.matches('.api-inspector-enabled')) {
+            updateInspectorOptions({ enabled: target.checked });
+        } else if (target.matches('.api-inspector-capacity')) {
+            updateInspectorOptions({ capacity: target.value });
+            refresh();
+        }
+    });
+
+    container.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        if (!target.closest('.api-inspector-open')) return;
+        await showInspectorPanel();
+        refresh();
+    });
+}
+
+// ========================================
+// 检查器面板
+// ========================================
+
+/**
+ * 打开请求检查器
+ *
+ * @async
+ * @returns {Promise<void>} 面板关闭后 resolve
+ */
+export async function showInspectorPanel() {
+    const html = '<div class="api-inspector-panel" id="api-inspector-panel"></div>';
+    const popupPromise = callGenericPopup(html, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: '关闭' });
+
+    // 等待DOM更新后渲染和绑定事件
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const panel = /** @type {HTMLElement|null} */ (document.getElementById('api-inspector-panel'));
+    if (panel) {
+        const state = { selectedId: getInspectorEntries()[0]?.id || null, tab: 'request' };
+        renderPanel(panel, state);
+        bindPanelEvents(panel, state);
+    }
+
+    await popupPromise;
+}
+
+/**
+ * 渲染面板
+ *
+ * @param {HTMLElement} panel - 面板元素
+ * @param {{selectedId: string|null, tab: string}} state - 面板状态
+ */
+function renderPanel(panel, state) {
+    const entries = getInspectorEntries();
+    const enabled = getInspectorSettings().enabled;
+
+    const list = entries.length === 0
+        ? `<div class="api-inspector-empty">${enabled ? '还没有请求记录' : '请求检查器未开启，在API设置里勾选后开始记录'}</div>`
+        : entries.map(entry => `
+            <div class="api-inspector-item ${entry.id === state.selectedId ? 'active' : ''} ${entry.error ? 'error' : ''}" data-id="${entry.id}">
+                <div class="api-inspector-item-head">
+                    <span>${escapeHtml(USAGE_MODULES[entry.module] || entry.module)}</span>
+                    <span>${new Date(entry.time).toLocaleTimeString()}</span>
+                </div>
+                <div class="api-inspector-item-meta">
+                    ${escapeHtml(entry.model)} · ${entry.stream ? '流式' : '非流式'} · ${formatLatency(entry)}
+                    ${entry.error ? ` · <b>${escapeHtml(entry.error.type)}</b>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+    const selected = state.selectedId ? getInspectorEntry(state.selectedId) : null;
+
+    panel.innerHTML = `
+        <div class="api-inspector-header">
+            <span class="api-inspector-title">请求检查器</span>
+            <button class="menu_button api-inspector-clear"><i class="fa-solid fa-trash-can"></i> 清空</button>
+        </div>
+        <div class="api-inspector-body">
+            <div class="api-inspector-list">${list}</div>
+            <div class="api-inspector-detail">${selected ? renderDetail(selected, state.tab) : ''}</div>
+        </div>
+    `;
+}
+
+/**
+ * 渲染记录详情
+ *
+ * @param {import('./api-inspector.js').InspectorEntry} entry - 记录
+ * @param {string} tab - 当前标签(request/response/text)
+ * @returns {string} HTML
+ */
+function renderDetail(entry, tab) {
+    const tabs = [
+        { key: 'request', label: '请求' },
+        { key: 'response', label: entry.stream ? `数据块（${entry.chunks.length}）` : '响应' },
+        { key: 'text', label: '回复文本' },
+    ];
+
+    let content;
+    if (tab === 'request') {
+        content = `
+            <textarea class="text_pole api-inspector-payload" spellcheck="false">${escapeHtml(JSON.stringify(entry.payload, null, 2))}</textarea>
+            <div class="api-inspector-replay">
+                <span>发送到</span>
+                <select class="text_pole api-inspector-target">${renderTargetOptions(entry)}</select>
+                <button class="menu_button api-inspector-send"><i class="fa-solid fa-paper-plane"></i> 重新发送</button>
+            </div>
+            <div class="api-inspector-hint">打码的密钥会用目标配置的密钥替换；选择其他配置时来源和模型也会换成该配置的。</div>
+        `;
+    } else if (tab === 'response') {
+        const raw = entry.stream
+            ? entry.chunks.join('\n') + (entry.chunksTruncated ? '\n…（数据块过多，后续已省略）' : '')
+            : JSON.stringify(entry.response, null, 2);
+        content = `<pre class="api-inspector-pre">${escapeHtml(raw || '（无）')}</pre>`;
+    } else {
+        content = `<pre class="api-inspector-pre">${escapeHtml(entry.text || '（无）')}</pre>`;
+    }
+
+    return `
+        <div class="api-inspector-summary">
+            <span>${escapeHtml(USAGE_MODULES[entry.module] || entry.module)}</span>
+            <span>${escapeHtml(entry.configName)}</span>
+            <span>${escapeHtml(entry.source)} / ${escapeHtml(entry.model)}</span>
+            <span>${formatLatency(entry)}</span>
+        </div>
+        ${entry.error ? `<div class="api-inspector-error">${escapeHtml(entry.error.type)}${entry.error.status ? ` (${entry.error.status})` : ''}：${escapeHtml(entry.error.message)}</div>` : ''}
+        <div class="api-inspector-tabs">
+            ${tabs.map(t => `<button class="api-inspector-tab ${t.key === tab ? 'active' : ''}" data-tab="${t.key}">${t.label}</button>`).join('')}
+            <button class="api-inspector-tab api-inspector-copy" title="复制当前内容"><i class="fa-solid fa-copy"></i></button>
+        </div>
+        ${content}
+    `;
+}
+
+/**
+ * 重新发送的目标配置选项
+ *
+ * @param {import('./api-inspector.js').InspectorEntry} entry - 记录
+ * @returns {string} HTML
+ */
+function renderTargetOptions(entry) {
+    const options = [];
+    if (getRecordedConfig(entry.id)) {
+        options.push(`<option value="${ORIGINAL_TARGET}">原配置（${escapeHtml(entry.configName)}）</option>`);
+    }
+    getFallbackSettings().configs.forEach(c => {
+        options.push(`<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}（${escapeHtml(c.config.model || '')}）</option>`);
+    });
+    return options.length ? options.join('') : '<option value="">没有可用的配置</option>';
+}
+
+/**
+ * 绑定面板事件(事件委托)
+ *
+ * @param {HTMLElement} panel - 面板元素
+ * @param {{selectedId: string|null, tab: string}} state - 面板状态
+ */
+function bindPanelEvents(panel, state) {
+    panel.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+
+        const item = target.closest('.api-inspector-item');
+        if (item) {
+            state.selectedId = item.getAttribute('data-id');
+            state.tab = 'request';
+            renderPanel(panel, state);
+            return;
+        }
+
+        if (target.closest('.api-inspector-copy')) {
+            const content = panel.querySelector('.api-inspector-payload, .api-inspector-pre');
+            const text = content instanceof HTMLTextAreaElement ? content.value : content?.textContent || '';
+            await navigator.clipboard.writeText(text);
+            toastr.success('已复制');
+            return;
+        }
+
+        const tabBtn = target.closest('.api-inspector-tab');
+        if (tabBtn) {
+            state.tab = tabBtn.getAttribute('data-tab') || 'request';
+            renderPanel(panel, state);
+            return;
+        }
+
+        if (target.closest('.api-inspector-clear')) {
+            clearInspector();
+            state.selectedId = null;
+            renderPanel(panel, state);
+            return;
+        }
+
+        const sendBtn = /** @type {HTMLButtonElement|null} */ (target.closest('.api-inspector-send'));
+        if (sendBtn) {
+            sendBtn.disabled = true;
+            try {
+                await handleReplay(panel, state);
+            } finally {
+                sendBtn.disabled = false;
+            }
+        }
+    });
+}
+
+/**
+ * 重新发送当前记录
+ *
+ * @async
+ * @param {HTMLElement} panel - 面板元素
+ * @param {{selectedId: string|null, tab: string}} state - 面板状态
+ */
+async function handleReplay(panel, state) {
+    const entry = getInspectorEntry(state.selectedId);
+    if (!entry) return;
+
+    const textarea = /** @type {HTMLTextAreaElement|null} */ (panel.querySelector('.api-inspector-payload'));
+    const select = /** @type {HTMLSelectElement|null} */ (panel.querySelector('.api-inspector-target'));
+
+    let payload;
+    try {
+        payload = JSON.parse(textarea?.value || '');
+    } catch (error) {
+        toastr.error(`请求体不是合法的JSON：${error.message}`);
+        return;
+    }
+
+    const targetId = select?.value;
+    let config;
+    let configName;
+    if (targetId === ORIGINAL_TARGET) {
+        config = getRecordedConfig(entry.id);
+        configName = entry.configName;
+    } else {
+        const saved = getFallbackSettings().configs.find(c => c.id === targetId);
+        config = saved?.config;
+        configName = saved?.name;
+    }
+
+    if (!config) {
+        toastr.warning('请选择要发送到的配置');
+        return;
+    }
+
+    toastr.info('正在重新发送...');
+    try {
+        await replayGenerateData(payload, config, {
+            keepModel: targetId === ORIGINAL_TARGET,
+            configName: `重放 · ${configName}`,
+        });
+        toastr.success('重新发送完成');
+    } catch (error) {
+        logger.warn('api', '[InspectorUI] 重新发送失败:', error.message);
+        toastr.error(error.message || '重新发送失败');
+    }
+
+    // 重放本身也会被记录，选中最新一条
+    state.selectedId = getInspectorEntries()[0]?.id || state.selectedId;
+    state.tab = 'response';
+    renderPanel(panel, state);
+}
+
+/**
+ * 耗时显示
+ *
+ * @param {import('./api-inspector.js').InspectorEntry} entry - 记录
+ * @returns {string}
+ */
+function formatLatency(entry) {
+    if (entry.latencyMs === null) return '进行中';
+    return entry.latencyMs >= 1000 ? `${(entry.latencyMs / 1000).toFixed(1)}s` : `${entry.latencyMs}ms`;
+}
@@ -0,0 +1,308 @@
+/**
+ * 共享API层 - 请求检查器
+ *
+ * @module shared/api/api-inspector
+ * @description
+ * 可选开启的环形缓冲区，记录 api-client 发出的每个请求：
+ * - 最终发给ST后端的 generate_data(密钥已打码)
+ * - 原始响应，或流式的全部数据块
+ * - 耗时、错误类型
+ *
+ * 记录只存在内存里，刷新页面即清空；开关和容量保存在
+ * extension_settings.acsusPawsPuffs.sharedApi.inspector。
+ * 重新发送时需要的原始配置(含密钥)单独保存在模块私有的 Map 中，不会出现在记录里。
+ */
+
+import { extension_settings } from '../../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../../script.js';
+import logger from '../../logger.js';
+import { buildGenerateData } from './api-request-builder.js';
+
+const EXT_ID = 'acsusPawsPuffs';
+
+/** 单条记录最多保存的流式数据块 */
+const MAX_CHUNKS = 2000;
+
+/** 打码后的占位 */
+const REDACTED = '***';
+
+/** 需要打码的字段名 */
+const SECRET_KEY_PATTERN = /(password|api_?key|secret|authorization|service_account)/i;
+
+/** 重新发送时由目标配置决定的连接字段 */
+const CONNECTION_KEYS = [
+    'reverse_proxy',
+    'proxy_password',
+    'custom_url',
+    'azure_base_url',
+    'azure_deployment_name',
+    'azure_api_version',
+];
+
+const DEFAULT_INSPECTOR_SETTINGS = {
+    enabled: false,
+    capacity: 30,
+};
+
+/**
+ * 检查器记录
+ * @typedef {Object} InspectorEntry
+ * @property {string} id - 记录ID
+ * @property {number} time - 开始时间
+ * @property {string} module - 调用方模块名
+ * @property {string} configName - 配置名(主配置为「当前配置」，重新发送为「重放」)
+ * @property {string} source - API来源
+ * @property {string} model - 模型
+ * @property {boolean} stream - 是否流式
+ * @property {Object} payload - 打码后的 generate_data
+ * @property {Object|null} response - 非流式的原始响应
+ * @property {string[]} chunks - 流式的原始数据块
+ * @property {boolean} chunksTruncated - 数据块是否因超出上限被截断
+ * @property {string} text - 提取出的回复文本
+ * @property {number|null} latencyMs - 耗时(毫秒)，未完成为 null
+ * @property {{type: string, message: string, status: number}|null} error - 错误
+ */
+
+/** @type {InspectorEntry[]} 环形缓冲区(新的在前) */
+let entries = [];
+
+/** @type {Map<string, Object>} 记录ID → 原始配置(仅用于重新发送) */
+const configsById = new Map();
+
+// ========================================
+// 设置读写
+// ========================================
+
+/**
+ * 获取检查器设置(不存在时初始化)
+ *
+ * @returns {{enabled: boolean, capacity: number}}
+ */
+export function getInspectorSettings() {
+    if (!extension_settings[EXT_ID]) {
+        extension_settings[EXT_ID] = {};
+    }
+    if (!extension_settings[EXT_ID].sharedApi) {
+        extension_settings[EXT_ID].sharedApi = {};
+    }
+    const sharedApi = extension_settings[EXT_ID].sharedApi;
+    if (!sharedApi.inspector) {
+        sharedApi.inspector = JSON.parse(JSON.stringify(DEFAULT_INSPECTOR_SETTINGS));
+    }
+    return sharedApi.inspector;
+}
+
+/**
+ * 修改检查器选项
+ *
+ * @param {{enabled?: boolean, capacity?: number}} updates - 要更新的字段
+ */
+export function updateInspectorOptions(updates) {
+    const settings = getInspectorSettings();
+    if (updates.enabled !== undefined) {
+        settings.enabled = Boolean(updates.enabled);
+        logger.info('api', '[Inspector] 请求检查器已', settings.enabled ? '开启' : '关闭');
+    }
+    if (updates.capacity !== undefined) {
+        settings.capacity = Math.min(200, Math.max(1, Math.floor(Number(updates.capacity) || 1)));
+        trimEntries();
+    }
+    saveSettingsDebounced();
+}
+
+// ========================================
+// 记录
+// ========================================
+
+/**
+ * 开始记录一个请求(未开启时返回 null，调用方用可选链忽略)
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.module - 调用方模块名
+ * @param {string} [params.configName='当前配置'] - 配置名
+ * @param {Object} params.config - 原始配置(用于重新发送，不会被展示)
+ * @param {Object} params.payload - generate_data
+ * @returns {InspectorEntry|null}
+ */
+export function startRecord({ module, configName = '当前配置', config, payload }) {
+    const settings = getInspectorSettings();
+    if (!settings.enabled) return null;
+
+    /** @type {InspectorEntry} */
+    const entry = {
+        id: `inspect_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+        time: Date.now(),
+        module,
+        configName,
+        source: payload.chat_completion_source || config?.source || '',
+        model: payload.model || config?.model || '',
+        stream: Boolean(payload.stream),
+        payload: redactPayload(payload),
+        response: null,
+        chunks: [],
+        chunksTruncated: false,
+        text: '',
+        latencyMs: null,
+        error: null,
+    };
+
+    entries.unshift(entry);
+    if (config) {
+        configsById.set(entry.id, config);
+    }
+    trimEntries();
+    return entry;
+}
+
+/**
+ * 追加一个流式数据块
+ *
+ * @param {InspectorEntry|null} entry - 记录
+ * @param {string} data - 原始数据块
+ */
+export function appendChunk(entry, data) {
+    if (!entry) return;
+    if (entry.chunks.length >= MAX_CHUNKS) {
+        entry.chunksTruncated = true;
+        return;
+    }
+    entry.chunks.push(data);
+}
+
+/**
+ * 保存非流式的原始响应
+ *
+ * @param {InspectorEntry|null} entry - 记录
+ * @param {Object} data - 响应JSON
+ */
+export function recordResponse(entry, data) {
+    if (!entry) return;
+    entry.response = data;
+}
+
+/**
+ * 结束记录
+ *
+ * @param {InspectorEntry|null} entry - 记录
+ * @param {Object} result - 结果
+ * @param {string} [result.text] - 回复文本
+ * @param {*} [result.error] - 错误(ApiError 或其他)
+ */
+export function finishRecord(entry, { text, error } = {}) {
+    if (!entry) return;
+    entry.latencyMs = Date.now() - entry.time;
+    if (text !== undefined) entry.text = text;
+    if (error) {
+        entry.error = {
+            type: error.type || 'unknown',
+            message: error.message || String(error),
+            status: error.status || 0,
+        };
+    }
+}
+
+// ========================================
+// 查询
+// ========================================
+
+/**
+ * 获取全部记录(新的在前)
+ *
+ * @returns {InspectorEntry[]}
+ */
+export function getInspectorEntries() {
+    return entries;
+}
+
+/**
+ * 按ID获取记录
+ *
+ * @param {string} id - 记录ID
+ * @returns {InspectorEntry|undefined}
+ */
+export function getInspectorEntry(id) {
+    return entries.find(e => e.id === id);
+}
+
+/**
+ * 获取记录对应的原始配置(重新发送「原配置」时使用)
+ *
+ * @param {string} id - 记录ID
+ * @returns {Object|undefined}
+ */
+export function getRecordedConfig(id) {
+    return configsById.get(id);
+}
+
+/**
+ * 清空全部记录
+ */
+export function clearInspector() {
+    entries = [];
+    configsById.clear();
+}
+
+/**
+ * 把 generate_data 中的密钥打码
+ *
+ * @param {Object} payload - generate_data
+ * @returns {Object} 打码后的深拷贝
+ */
+export function redactPayload(payload) {
+    const copy = JSON.parse(JSON.stringify(payload));
+    Object.keys(copy).forEach(key => {
+        if (SECRET_KEY_PATTERN.test(key) && copy[key]) {
+            copy[key] = REDACTED;
+        }
+    });
+    return copy;
+}
+
+/**
+ * 用目标配置补全(可能已编辑的)请求体，用于重新发送
+ *
+ * @param {Object} payload - 记录里的 generate_data(密钥为打码占位)
+ * @param {Object} config - 目标配置
+ * @param {boolean} keepModel - 是否保留 payload 里的来源和模型
+ * @returns {Object} 可直接发送的 generate_data
+ *
+ * @description
+ * 其余字段(消息、参数)以 payload 为准；端点和密钥总是来自目标配置，
+ * 目标配置没有的连接字段会被去掉，避免把打码占位发出去。
+ */
+export function buildReplayData(payload, config, keepModel) {
+    const data = JSON.parse(JSON.stringify(payload));
+    const built = buildGenerateData({ ...config, stream: Boolean(data.stream) }, data.messages || []);
+
+    CONNECTION_KEYS.forEach(key => {
+        if (built[key] === undefined) {
+            delete data[key];
+        } else {
+            data[key] = built[key];
+        }
+    });
+    Object.keys(data).forEach(key => {
+        if (data[key] === REDACTED) delete data[key];
+    });
+
+    if (!keepModel) {
+        data.chat_completion_source = built.chat_completion_source;
+        data.model = built.model;
+    }
+    return data;
+}
+
+// ========================================
+// 内部函数
+// ========================================
+
+/**
+ * 按容量裁剪缓冲区
+ */
+function trimEntries() {
+    const capacity = getInspectorSettings().capacity;
+    if (entries.length <= capacity) return;
+
+    entries.slice(capacity).forEach(e => configsById.delete(e.id));
+    entries = entries.slice(0, capacity);
+}
@@ -51,6 +51,16 @@ const TOOLS_SUPPORTED_SOURCES = new Set([
     'electronhub',
 ]);
 
+/**
+ * Returns true when ST backend forwards `tools` / `tool_choice` for the source.
+ *
+ * @param {string} source - Chat completion source.
+ * @returns {boolean}
+ */
+export function supportsTools(source) {
+    return TOOLS_SUPPORTED_SOURCES.has(source);
+}
+
 /**
  * Returns true when the source behaves as OpenAI-family models.
  *
@@ -282,6 +292,7 @@ export function buildGenerateData(config, messages) {
         logprobs: config.logprobs,
         tools: config.tools,
         tool_choice: config.toolChoice,
+        json_schema: config.jsonSchema,
         include_reasoning: Boolean(config.includeReasoning),
         reasoning_effort: config.reasoningEffort,
     };
@@ -0,0 +1,319 @@
+/**
+ * 共享API层 - 结构化输出(JSON Schema)
+ *
+ * @module shared/api/api-structured
+ * @description
+ * generate 传入 options.schema 时使用：
+ * - 原生支持的来源(OpenAI json_schema / Gemini responseSchema / Claude 强制工具调用)
+ *   通过请求体的 json_schema 字段交给ST后端转换
+ * - 其他来源把 schema 写进提示词，回复后解析并校验，不合格时自动修复重试一次
+ *
+ * 校验只覆盖常用的 JSON Schema 关键字(type/properties/required/items/enum/范围/长度/anyOf)，
+ * 足够约束各模块的回复格式，不追求完整实现规范。
+ */
+
+/** ST后端能把 json_schema 转成原生结构化输出的来源 */
+const NATIVE_SCHEMA_SOURCES = new Set([
+    'openai',
+    'azure_openai',
+    'openrouter',
+    'claude',
+    'makersuite',
+    'vertexai',
+]);
+
+/** 最多报告的校验错误数(写进修复提示词里) */
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * 结构化输出选项
+ * @typedef {Object} StructuredOptions
+ * @property {Object} schema - JSON Schema
+ * @property {string} [schemaName='response'] - schema 名称(Claude 用作工具名)
+ * @property {string} [schemaDescription] - schema 说明
+ */
+
+/**
+ * 来源是否原生支持 JSON Schema
+ *
+ * @param {string} source - chat_completion_source
+ * @returns {boolean}
+ */
+export function supportsNativeSchema(source) {
+    return NATIVE_SCHEMA_SOURCES.has(source);
+}
+
+/**
+ * 生成请求体的 json_schema 字段(ST后端格式)
+ *
+ * @param {StructuredOptions} options - 结构化输出选项
+ * @returns {{name: string, description: string, strict: boolean, value: Object}}
+ */
+export function buildJsonSchemaField(options) {
+    return {
+        name: sanitizeSchemaName(options.schemaName),
+        description: options.schemaDescription || '',
+        strict: false,
+        value: options.schema,
+    };
+}
+
+/**
+ * 在消息末尾追加 schema 说明(不支持原生结构化输出的来源使用)
+ *
+ * @param {Array<Object>} messages - 原消息
+ * @param {StructuredOptions} options - 结构化输出选项
+ * @returns {Array<Object>} 新消息数组(不修改原数组)
+ */
+export function appendSchemaPrompt(messages, options) {
+    const description = options.schemaDescription ? `\n说明：${options.schemaDescription}` : '';
+    return [
+        ...messages,
+        {
+            role: 'system',
+            content: '只输出一个符合下面 JSON Schema 的 JSON 值，不要输出任何解释、标签或代码块标记。'
+                + `${description}\n\n${JSON.stringify(options.schema, null, 2)}`,
+        },
+    ];
+}
+
+/**
+ * 构建修复重试的消息
+ *
+ * @param {Array<Object>} messages - 上一次发送的消息
+ * @param {string} badText - 上一次的回复
+ * @param {string[]} errors - 解析/校验错误
+ * @returns {Array<Object>}
+ */
+export function buildRepairMessages(messages, badText, errors) {
+    return [
+        ...messages,
+        { role: 'assistant', content: badText },
+        {
+            role: 'user',
+            content: `上面的输出不符合要求：\n- ${errors.join('\n- ')}\n\n`
+                + '请只输出修正后的完整 JSON，不要输出其他内容。',
+        },
+    ];
+}
+
+/**
+ * 从回复文本中解析 JSON(兼容代码块包裹和前后多余文字)
+ *
+ * @param {string} text - 回复文本
+ * @returns {{ok: true, value: *}|{ok: false, error: string}}
+ */
+export function parseStructuredText(text) {
+    const source = String(text || '').trim();
+    if (!source) {
+        return { ok: false, error: '回复为空' };
+    }
+
+    const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidates = [source];
+    if (fenced) candidates.push(fenced[1].trim());
+
+    const start = source.search(/[[{]/);
+    const end = Math.max(source.lastIndexOf('}'), source.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        candidates.push(source.substring(start, end + 1));
+    }
+
+    let lastError = '';
+    for (const candidate of candidates) {
+        try {
+            return { ok: true, value: JSON.parse(candidate) };
+        } catch (error) {
+            lastError = error.message;
+        }
+    }
+    return { ok: false, error: `不是合法的 JSON：${lastError}` };
+}
+
+/**
+ * 从原生结构化输出的响应里取 JSON 文本
+ *
+ * @param {Object} data - 非流式响应
+ * @returns {string} 没有时返回空字符串
+ *
+ * @description
+ * Claude 强制工具调用时回复没有文本块，结果在 tool_use 的 input 里；
+ * OpenAI 兼容来源偶尔把结果放在 tool_calls 里。
+ */
+export function extractNativeStructuredText(data) {
+    const toolUse = Array.isArray(data?.content)
+        ? data.content.find(block => block?.type === 'tool_use')
+        : null;
+    if (toolUse?.input !== undefined) {
+        return JSON.stringify(toolUse.input);
+    }
+
+    const toolCall = data?.choices?.[0]?.message?.tool_calls?.[0];
+    if (toolCall?.function?.arguments) {
+        return String(toolCall.function.arguments);
+    }
+    return '';
+}
+
+/**
+ * 按 JSON Schema 校验
+ *
+ * @param {*} value - 要校验的值
+ * @param {Object} schema - JSON Schema
+ * @returns {string[]} 错误列表(空数组表示通过)
+ */
+export function validateSchema(value, schema) {
+    const errors = [];
+    validateNode(value, schema, '$', errors);
+    return errors.slice(0, MAX_REPORTED_ERRORS);
+}
+
+/**
+ * 解析并校验回复文本
+ *
+ * @param {string} text - 回复文本
+ * @param {Object} schema - JSON Schema
+ * @returns {{ok: true, value: *}|{ok: false, errors: string[]}}
+ */
+export function checkStructuredText(text, schema) {
+    const parsed = parseStructuredText(text);
+    if (!parsed.ok) {
+        return { ok: false, errors: [parsed.error] };
+    }
+    const errors = validateSchema(parsed.value, schema);
+    return errors.length ? { ok: false, errors } : { ok: true, value: parsed.value };
+}
+
+// ========================================
+// 内部函数
+// ========================================
+
+/**
+ * 递归校验
+ *
+ * @param {*} value - 当前值
+ * @param {Object} schema - 当前 schema
+ * @param {string} path - 路径(用于错误信息)
+ * @param {string[]} errors - 错误收集
+ */
+function validateNode(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object' || errors.length >= MAX_REPORTED_ERRORS) return;
+
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+        const options = schema.anyOf || schema.oneOf;
+        const matched = options.some(option => {
+            const optionErrors = [];
+            validateNode(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matched) errors.push(`${path} 不符合任何一个可选格式`);
+        return;
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path} 必须是 ${JSON.stringify(schema.const)}`);
+        return;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push(`${path} 必须是 ${schema.enum.map(v => JSON.stringify(v)).join(' / ')} 之一`);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path} 应为 ${types.join(' 或 ')}，实际是 ${describeType(value)}`);
+            return;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            errors.push(`${path} 长度不能少于 ${schema.minLength}`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            errors.push(`${path} 长度不能超过 ${schema.maxLength}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push(`${path} 不能小于 ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push(`${path} 不能大于 ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            errors.push(`${path} 至少需要 ${schema.minItems} 项`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            errors.push(`${path} 最多 ${schema.maxItems} 项`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path} 缺少字段 ${key}`);
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                validateNode(value[key], properties[key], `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path} 不允许出现字段 ${key}`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateNode(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+            }
+        });
+    }
+}
+
+/**
+ * 值是否匹配 JSON Schema 类型
+ *
+ * @param {*} value - 值
+ * @param {string} type - 类型名
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'null': return value === null;
+        default: return true;
+    }
+}
+
+/**
+ * 值的类型描述(用于错误信息)
+ *
+ * @param {*} value - 值
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * schema 名称只保留各家API都接受的字符
+ *
+ * @param {string} [name] - 原名称
+ * @returns {string}
+ */
+function sanitizeSchemaName(name) {
+    const cleaned = String(name || '').replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64);
+    return cleaned || 'response';
+}
@@ -0,0 +1,433 @@
+/**
+ * 共享API层 - 用量统计面板
+ *
+ * @module shared/api/api-usage-ui
+ * @description
+ * - renderUsageSection: 嵌在各模块API设置页里的小卡片(今日用量 + 打开面板)
+ * - showUsagePanel: 统计面板，按模块/配置/模型汇总，按日柱状图，
+ *   设置模块预算和模型单价
+ *
+ * 数据见 api-usage.js。
+ */
+
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+import { escapeHtml } from '../../../../../utils.js';
+import logger from '../../logger.js';
+import {
+    USAGE_MODULES,
+    BUDGET_PERIODS,
+    BUDGET_MODES,
+    getUsageSettings,
+    getUsageEntries,
+    getModuleUsage,
+    getBudget,
+    setBudget,
+    setModelPrice,
+    clearUsage,
+    estimateCost,
+    getDateKey,
+} from './api-usage.js';
+
+/** 统计范围 */
+const RANGES = {
+    today: { label: '今日', days: 1 },
+    week: { label: '近7天', days: 7 },
+    month: { label: '近30天', days: 30 },
+    all: { label: '全部', days: 0 },
+};
+
+/** 柱状图显示的天数 */
+const CHART_DAYS = 14;
+
+// ========================================
+// 设置页卡片
+// ========================================
+
+/**
+ * 渲染模块API设置页里的用量卡片
+ *
+ * @param {HTMLElement} container - 容器元素
+ * @param {Object} options - 选项
+ * @param {string} options.module - 模块名(diary/phone/variables)
+ */
+export function renderUsageSection(container, { module }) {
+    container.classList.add('api-usage-section');
+
+    const refresh = () => {
+        const today = getModuleUsage(module, BUDGET_PERIODS.DAY);
+        const budget = getBudget(module);
+        const budgetText = budget
+            ? ` · 预算 ${formatNumber(getModuleUsage(module, budget.period))} / ${formatNumber(budget.tokens)}`
+                + `（${budget.period === BUDGET_PERIODS.MONTH ? '每月' : '每日'}，${budget.mode === BUDGET_MODES.BLOCK ? '超出拦截' : '超出提醒'}）`
+            : '';
+
+        container.innerHTML = `
+            <div class="api-usage-section-title">用量统计</div>
+            <div class="api-usage-section-summary">今日 ${formatNumber(today)} tokens${budgetText}</div>
+            <button class="menu_button api-usage-open">
+                <i class="fa-solid fa-chart-column"></i> 查看用量统计
+            </button>
+        `;
+    };
+
+    refresh();
+    container.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        if (!target.closest('.api-usage-open')) return;
+        await showUsagePanel();
+        refresh();
+    });
+}
+
+// ========================================
+// 统计面板
+// ========================================
+
+/**
+ * 打开用量统计面板
+ *
+ * @async
+ * @returns {Promise<void>} 面板关闭后 resolve
+ */
+export async function showUsagePanel() {
+    const html = '<div class="api-usage-panel" id="api-usage-panel"></div>';
+    const popupPromise = callGenericPopup(html, POPUP_TYPE.TEXT, '', { wide: true, okButton: '关闭' });
+
+    // 等待DOM更新后渲染和绑定事件
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const panel = /** @type {HTMLElement|null} */ (document.getElementById('api-usage-panel'));
+    if (panel) {
+        const state = { range: 'today' };
+        renderPanel(panel, state);
+        bindPanelEvents(panel, state);
+    }
+
+    await popupPromise;
+}
+
+/**
+ * 渲染面板内容
+ *
+ * @param {HTMLElement} panel - 面板元素
+ * @param {{range: string}} state - 面板状态
+ */
+function renderPanel(panel, state) {
+    const range = RANGES[state.range];
+    const fromDay = range.days ? shiftDay(-(range.days - 1)) : '';
+    const entries = getUsageEntries(fromDay);
+
+    panel.innerHTML = `
+        <div class="api-usage-title">API 用量统计</div>
+        <div class="api-usage-ranges">
+            ${Object.entries(RANGES).map(([key, r]) => `
+                <button class="api-usage-range ${key === state.range ? 'active' : ''}" data-range="${key}">${r.label}</button>
+            `).join('')}
+        </div>
+        ${renderModuleCards(entries)}
+        <div class="api-usage-subtitle">明细（模块 / 配置 / 模型）</div>
+        ${renderDetailTable(entries)}
+        <div class="api-usage-subtitle">每日用量（近${CHART_DAYS}天）</div>
+        ${renderDailyChart()}
+        <div class="api-usage-subtitle">模块预算</div>
+        ${renderBudgets()}
+        <div class="api-usage-subtitle">模型单价（每百万 token，用于估算费用）</div>
+        ${renderPrices()}
+        <div class="api-usage-footer">
+            <span class="api-usage-hint">标 * 的数字含分词器估算（后端未返回用量时）。记录保留 ${getUsageSettings().retainDays} 天。</span>
+            <button class="menu_button api-usage-clear"><i class="fa-solid fa-trash-can"></i> 清空记录</button>
+        </div>
+    `;
+}
+
+/**
+ * 模块汇总卡片
+ *
+ * @param {Array<Object>} entries - 汇总记录
+ * @returns {string} HTML
+ */
+function renderModuleCards(entries) {
+    const totals = {};
+    Object.keys(USAGE_MODULES).forEach(module => {
+        totals[module] = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, hasCost: false };
+    });
+
+    entries.forEach(entry => {
+        const total = totals[entry.module] || (totals[entry.module] = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, hasCost: false });
+        total.calls += entry.calls;
+        total.promptTokens += entry.promptTokens;
+        total.completionTokens += entry.completionTokens;
+        const cost = estimateCost(entry.model, entry.promptTokens, entry.completionTokens);
+        if (cost !== null) {
+            total.cost += cost;
+            total.hasCost = true;
+        }
+    });
+
+    return `
+        <div class="api-usage-cards">
+            ${Object.entries(totals).map(([module, total]) => `
+                <div class="api-usage-card">
+                    <div class="api-usage-card-name">${escapeHtml(USAGE_MODULES[module] || module)}</div>
+                    <div class="api-usage-card-value">${formatNumber(total.promptTokens + total.completionTokens)}</div>
+                    <div class="api-usage-card-meta">
+                        ${total.calls} 次 · 输入 ${formatNumber(total.promptTokens)} · 输出 ${formatNumber(total.completionTokens)}
+                        ${total.hasCost ? ` · 约 ${formatCost(total.cost)}` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 明细表(跨日期合并同一 模块+配置+模型)
+ *
+ * @param {Array<Object>} entries - 汇总记录
+ * @returns {string} HTML
+ */
+function renderDetailTable(entries) {
+    const rows = new Map();
+    entries.forEach(entry => {
+        const key = [entry.module, entry.config, entry.model].join('|');
+        const row = rows.get(key) || { ...entry, calls: 0, promptTokens: 0, completionTokens: 0, estimatedCalls: 0 };
+        row.calls += entry.calls;
+        row.promptTokens += entry.promptTokens;
+        row.completionTokens += entry.completionTokens;
+        row.estimatedCalls += entry.estimatedCalls;
+        rows.set(key, row);
+    });
+
+    if (rows.size === 0) {
+        return '<div class="api-usage-empty">这段时间还没有请求记录</div>';
+    }
+
+    const sorted = [...rows.values()].sort((a, b) =>
+        (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens)
+    );
+
+    return `
+        <div class="api-usage-table-wrap">
+            <table class="api-usage-table">
+                <thead>
+                    <tr><th>模块</th><th>配置</th><th>模型</th><th>次数</th><th>输入</th><th>输出</th><th>费用</th></tr>
+                </thead>
+                <tbody>
+                    ${sorted.map(row => {
+                        const mark = row.estimatedCalls > 0 ? '*' : '';
+                        const cost = estimateCost(row.model, row.promptTokens, row.completionTokens);
+                        return `
+                            <tr>
+                                <td>${escapeHtml(USAGE_MODULES[row.module] || row.module)}</td>
+                                <td>${escapeHtml(row.config)}</td>
+                                <td>${escapeHtml(row.model)}</td>
+                                <td>${row.calls}</td>
+                                <td>${formatNumber(row.promptTokens)}${mark}</td>
+                                <td>${formatNumber(row.completionTokens)}${mark}</td>
+                                <td>${cost === null ? '-' : formatCost(cost)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * 每日柱状图(按模块堆叠)
+ *
+ * @returns {string} HTML
+ */
+function renderDailyChart() {
+    const days = getUsageSettings().days;
+    const modules = Object.keys(USAGE_MODULES);
+    const columns = [];
+
+    for (let i = CHART_DAYS - 1; i >= 0; i--) {
+        const day = shiftDay(-i);
+        const byModule = {};
+        Object.values(days[day] || {}).forEach(entry => {
+            byModule[entry.module] = (byModule[entry.module] || 0) + entry.promptTokens + entry.completionTokens;
+        });
+        const total = Object.values(byModule).reduce((sum, v) => sum + v, 0);
+        columns.push({ day, byModule, total });
+    }
+
+    const max = Math.max(1, ...columns.map(c => c.total));
+
+    return `
+        <div class="api-usage-chart">
+            ${columns.map(column => `
+                <div class="api-usage-chart-col" title="${column.day}：${formatNumber(column.total)} tokens">
+                    <div class="api-usage-chart-bar" style="height: ${(column.total / max) * 100}%;">
+                        ${modules.filter(m => column.byModule[m]).map(m => `
+                            <div class="api-usage-chart-seg" data-module="${m}" style="flex: ${column.byModule[m]};"></div>
+                        `).join('')}
+                    </div>
+                    <div class="api-usage-chart-label">${column.day.substring(5)}</div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="api-usage-legend">
+            ${modules.map(m => `<span><i class="api-usage-chart-seg" data-module="${m}"></i>${escapeHtml(USAGE_MODULES[m])}</span>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 模块预算设置
+ *
+ * @returns {string} HTML
+ */
+function renderBudgets() {
+    const budgets = getUsageSettings().budgets;
+
+    return `
+        <div class="api-usage-budgets">
+            ${Object.entries(USAGE_MODULES).map(([module, label]) => {
+                const budget = budgets[module] || { tokens: 0, period: BUDGET_PERIODS.DAY, mode: BUDGET_MODES.WARN };
+                const used = getModuleUsage(module, budget.period);
+                return `
+                    <div class="api-usage-budget" data-module="${module}">
+                        <span class="api-usage-budget-name">${escapeHtml(label)}</span>
+                        <input type="number" class="text_pole api-usage-budget-tokens" min="0" step="1000"
+                            value="${budget.tokens || ''}" placeholder="不限">
+                        <select class="text_pole api-usage-budget-period">
+                            <option value="${BUDGET_PERIODS.DAY}" ${budget.period === BUDGET_PERIODS.DAY ? 'selected' : ''}>每日</option>
+                            <option value="${BUDGET_PERIODS.MONTH}" ${budget.period === BUDGET_PERIODS.MONTH ? 'selected' : ''}>每月</option>
+                        </select>
+                        <select class="text_pole api-usage-budget-mode">
+                            <option value="${BUDGET_MODES.WARN}" ${budget.mode === BUDGET_MODES.WARN ? 'selected' : ''}>超出提醒</option>
+                            <option value="${BUDGET_MODES.BLOCK}" ${budget.mode === BUDGET_MODES.BLOCK ? 'selected' : ''}>超出拦截</option>
+                        </select>
+                        <span class="api-usage-budget-used ${budget.tokens && used >= budget.tokens ? 'exceeded' : ''}">
+                            已用 ${formatNumber(used)}
+                        </span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 模型单价设置(列出有记录或已设单价的模型)
+ *
+ * @returns {string} HTML
+ */
+function renderPrices() {
+    const settings = getUsageSettings();
+    const models = new Set(Object.keys(settings.prices));
+    Object.values(settings.days).forEach(day => {
+        Object.values(day).forEach(entry => models.add(entry.model));
+    });
+
+    if (models.size === 0) {
+        return '<div class="api-usage-empty">有请求记录后可以在这里填写模型单价</div>';
+    }
+
+    return `
+        <div class="api-usage-prices">
+            ${[...models].sort().map(model => {
+                const price = settings.prices[model] || { prompt: 0, completion: 0 };
+                return `
+                    <div class="api-usage-price" data-model="${escapeHtml(model)}">
+                        <span class="api-usage-price-name" title="${escapeHtml(model)}">${escapeHtml(model)}</span>
+                        <label>输入 <input type="number" class="text_pole api-usage-price-prompt" min="0" step="0.01" value="${price.prompt || ''}"></label>
+                        <label>输出 <input type="number" class="text_pole api-usage-price-completion" min="0" step="0.01" value="${price.completion || ''}"></label>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 绑定面板事件(事件委托，重新渲染后仍然有效)
+ *
+ * @param {HTMLElement} panel - 面板元素
+ * @param {{range: string}} state - 面板状态
+ */
+function bindPanelEvents(panel, state) {
+    panel.addEventListener('click', async (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+
+        const rangeBtn = target.closest('.api-usage-range');
+        if (rangeBtn) {
+            state.range = rangeBtn.getAttribute('data-range') || 'today';
+            renderPanel(panel, state);
+            return;
+        }
+
+        if (target.closest('.api-usage-clear')) {
+            const confirmed = await callGenericPopup('确定要清空所有用量记录吗？预算和单价设置会保留。', POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            clearUsage();
+            renderPanel(panel, state);
+        }
+    });
+
+    panel.addEventListener('change', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+
+        const budgetRow = target.closest('.api-usage-budget');
+        if (budgetRow) {
+            const module = budgetRow.getAttribute('data-module');
+            setBudget(module, {
+                tokens: /** @type {HTMLInputElement} */ (budgetRow.querySelector('.api-usage-budget-tokens')).value,
+                period: /** @type {HTMLSelectElement} */ (budgetRow.querySelector('.api-usage-budget-period')).value,
+                mode: /** @type {HTMLSelectElement} */ (budgetRow.querySelector('.api-usage-budget-mode')).value,
+            });
+            logger.info('api', '[UsageUI] 已更新预算:', module);
+            renderPanel(panel, state);
+            return;
+        }
+
+        const priceRow = target.closest('.api-usage-price');
+        if (priceRow) {
+            setModelPrice(
+                priceRow.getAttribute('data-model'),
+                /** @type {HTMLInputElement} */ (priceRow.querySelector('.api-usage-price-prompt')).value,
+                /** @type {HTMLInputElement} */ (priceRow.querySelector('.api-usage-price-completion')).value,
+            );
+            renderPanel(panel, state);
+        }
+    });
+}
+
+// ========================================
+// 工具函数
+// ========================================
+
+/**
+ * 相对今天偏移若干天的日期键
+ *
+ * @param {number} offset - 偏移天数(负数为过去)
+ * @returns {string} YYYY-MM-DD
+ */
+function shiftDay(offset) {
+    const date = new Date();
+    date.setDate(date.getDate() + offset);
+    return getDateKey(date);
+}
+
+/**
+ * 千分位数字
+ *
+ * @param {number} value - 数字
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return Number(value || 0).toLocaleString();
+}
+
+/**
+ * 费用显示(单位跟随用户填写的单价)
+ *
+ * @param {number} value - 费用
+ * @returns {string}
+ */
+function formatCost(value) {
+    return value < 0.01 ? value.toFixed(4) : value.toFixed(2);
+}
@@ -0,0 +1,418 @@
+/**
+ * 共享API层 - 用量统计与预算
+ *
+ * @module shared/api/api-usage
+ * @description
+ * 记录每次请求的输入/输出token数，按 日期 → 模块 + 配置 + 模型 汇总：
+ * - 优先使用后端返回的 usage 字段(OpenAI/Claude/Gemini 三种格式)
+ * - 没有 usage 时用ST的分词器估算，并标记为估算
+ * - 每个模块可以设置按日/按月的token预算，超出后提醒或拦截
+ * - 可以给模型填写单价(每百万token)，统计面板据此估算费用
+ *
+ * 存储位置: extension_settings.acsusPawsPuffs.sharedApi.usage
+ */
+
+import { extension_settings } from '../../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../../script.js';
+import { getTokenCountAsync } from '../../../../../tokenizers.js';
+import logger from '../../logger.js';
+
+const EXT_ID = 'acsusPawsPuffs';
+
+/** 模块显示名 */
+export const USAGE_MODULES = {
+    diary: '日记',
+    phone: '手机',
+    variables: '变量分析',
+    inspector: '请求检查器',
+};
+
+/** 预算周期 */
+export const BUDGET_PERIODS = {
+    DAY: 'day',
+    MONTH: 'month',
+};
+
+/** 超出预算后的处理方式 */
+export const BUDGET_MODES = {
+    WARN: 'warn',
+    BLOCK: 'block',
+};
+
+/** 使用ST默认设置时记录的配置名 */
+export const DEFAULT_CONFIG_LABEL = 'ST默认';
+
+const DEFAULT_USAGE_SETTINGS = {
+    retainDays: 90,
+    days: {},
+    budgets: {},
+    prices: {},
+};
+
+/**
+ * 单条汇总记录(某天 + 模块 + 配置 + 模型)
+ * @typedef {Object} UsageEntry
+ * @property {string} module - 模块名
+ * @property {string} config - 配置名
+ * @property {string} model - 模型
+ * @property {number} calls - 请求次数
+ * @property {number} promptTokens - 输入token
+ * @property {number} completionTokens - 输出token
+ * @property {number} estimatedCalls - 其中token数为估算的次数
+ */
+
+/**
+ * 模块预算
+ * @typedef {Object} UsageBudget
+ * @property {number} tokens - token上限(0 表示不限)
+ * @property {string} period - 周期(BUDGET_PERIODS)
+ * @property {string} mode - 处理方式(BUDGET_MODES)
+ */
+
+/**
+ * 预算检查结果
+ * @typedef {Object} BudgetStatus
+ * @property {boolean} exceeded - 是否已超出
+ * @property {number} used - 本周期已用token
+ * @property {UsageBudget|null} budget - 预算设置(未设置为 null)
+ */
+
+// ========================================
+// 设置读写
+// ========================================
+
+/**
+ * 获取用量设置(不存在时初始化)
+ *
+ * @returns {{retainDays: number, days: Object<string, Object<string, UsageEntry>>, budgets: Object<string, UsageBudget>, prices: Object<string, {prompt: number, completion: number}>}}
+ */
+export function getUsageSettings() {
+    if (!extension_settings[EXT_ID]) {
+        extension_settings[EXT_ID] = {};
+    }
+    if (!extension_settings[EXT_ID].sharedApi) {
+        extension_settings[EXT_ID].sharedApi = {};
+    }
+    const sharedApi = extension_settings[EXT_ID].sharedApi;
+    if (!sharedApi.usage) {
+        sharedApi.usage = JSON.parse(JSON.stringify(DEFAULT_USAGE_SETTINGS));
+    }
+    return sharedApi.usage;
+}
+
+/**
+ * 获取模块预算
+ *
+ * @param {string} module - 模块名
+ * @returns {UsageBudget|null}
+ */
+export function getBudget(module) {
+    const budget = getUsageSettings().budgets[module];
+    return budget && budget.tokens > 0 ? budget : null;
+}
+
+/**
+ * 设置模块预算(tokens 为 0 时删除)
+ *
+ * @param {string} module - 模块名
+ * @param {Partial<UsageBudget>} budget - 预算
+ */
+export function setBudget(module, budget) {
+    const settings = getUsageSettings();
+    const tokens = Math.max(0, Math.floor(Number(budget.tokens) || 0));
+
+    if (!tokens) {
+        delete settings.budgets[module];
+    } else {
+        settings.budgets[module] = {
+            tokens,
+            period: budget.period === BUDGET_PERIODS.MONTH ? BUDGET_PERIODS.MONTH : BUDGET_PERIODS.DAY,
+            mode: budget.mode === BUDGET_MODES.BLOCK ? BUDGET_MODES.BLOCK : BUDGET_MODES.WARN,
+        };
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * 设置模型单价(两个值都为 0 时删除)
+ *
+ * @param {string} model - 模型
+ * @param {number} prompt - 输入单价(每百万token)
+ * @param {number} completion - 输出单价(每百万token)
+ */
+export function setModelPrice(model, prompt, completion) {
+    const settings = getUsageSettings();
+    const promptPrice = Math.max(0, Number(prompt) || 0);
+    const completionPrice = Math.max(0, Number(completion) || 0);
+
+    if (!promptPrice && !completionPrice) {
+        delete settings.prices[model];
+    } else {
+        settings.prices[model] = { prompt: promptPrice, completion: completionPrice };
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * 清空全部用量记录(预算和单价保留)
+ */
+export function clearUsage() {
+    getUsageSettings().days = {};
+    saveSettingsDebounced();
+    logger.info('api', '[Usage] 已清空用量记录');
+}
+
+// ========================================
+// 记录
+// ========================================
+
+/**
+ * 从响应数据(或流式的单个数据块)里提取 usage
+ *
+ * @param {Object} data - 响应数据
+ * @returns {{promptTokens?: number, completionTokens?: number}|null} 没有 usage 时返回 null
+ *
+ * @description
+ * 兼容三种格式：
+ * - OpenAI: usage.prompt_tokens / usage.completion_tokens
+ * - Claude: usage.input_tokens / usage.output_tokens(流式在 message.usage 和 message_delta.usage 里)
+ * - Gemini: usageMetadata.promptTokenCount / usageMetadata.candidatesTokenCount
+ */
+export function extractUsage(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const usage = data.usage || data.message?.usage;
+    if (usage && typeof usage === 'object') {
+        const result = {};
+        const prompt = usage.prompt_tokens ?? usage.input_tokens;
+        const completion = usage.completion_tokens ?? usage.output_tokens;
+        if (typeof prompt === 'number') result.promptTokens = prompt;
+        if (typeof completion === 'number') result.completionTokens = completion;
+        if (Object.keys(result).length) return result;
+    }
+
+    const meta = data.usageMetadata;
+    if (meta && typeof meta === 'object') {
+        const result = {};
+        if (typeof meta.promptTokenCount === 'number') result.promptTokens = meta.promptTokenCount;
+        if (typeof meta.candidatesTokenCount === 'number') result.completionTokens = meta.candidatesTokenCount;
+        if (Object.keys(result).length) return result;
+    }
+
+    return null;
+}
+
+/**
+ * 合并流式过程中陆续收到的 usage(后收到的值覆盖先收到的)
+ *
+ * @param {Object|null} current - 已有的 usage
+ * @param {Object|null} next - 新数据块里的 usage
+ * @returns {Object|null}
+ */
+export function mergeUsage(current, next) {
+    if (!next) return current;
+    return { ...(current || {}), ...next };
+}
+
+/**
+ * 累加两次请求的 usage(任一方缺少某项时该项视为未知，交给估算)
+ *
+ * @param {Object|null} a - 第一次
+ * @param {Object|null} b - 第二次
+ * @returns {Object|null}
+ */
+export function sumUsage(a, b) {
+    if (!a || !b) return null;
+    const result = {};
+    if (typeof a.promptTokens === 'number' && typeof b.promptTokens === 'number') {
+        result.promptTokens = a.promptTokens + b.promptTokens;
+    }
+    if (typeof a.completionTokens === 'number' && typeof b.completionTokens === 'number') {
+        result.completionTokens = a.completionTokens + b.completionTokens;
+    }
+    return result;
+}
+
+/**
+ * 记录一次请求的用量
+ *
+ * @async
+ * @param {Object} params - 参数
+ * @param {string} params.module - 模块名
+ * @param {string} params.config - 配置名
+ * @param {string} params.model - 模型
+ * @param {Array<Object>} params.messages - 请求消息(用于估算输入)
+ * @param {string} params.text - 回复文本(用于估算输出)
+ * @param {Object|null} params.usage - 后端返回的 usage(可能不完整)
+ * @returns {Promise<UsageEntry>} 当天累计后的记录
+ */
+export async function recordUsage({ module, config, model, messages, text, usage }) {
+    let promptTokens = usage?.promptTokens;
+    let completionTokens = usage?.completionTokens;
+    let estimated = false;
+
+    if (typeof promptTokens !== 'number') {
+        promptTokens = await getTokenCountAsync(messagesToText(messages));
+        estimated = true;
+    }
+    if (typeof completionTokens !== 'number') {
+        completionTokens = await getTokenCountAsync(text || '');
+        estimated = true;
+    }
+
+    const settings = getUsageSettings();
+    const day = getDateKey();
+    if (!settings.days[day]) {
+        settings.days[day] = {};
+    }
+
+    const key = [module, config, model].join('|');
+    const entry = settings.days[day][key] || {
+        module,
+        config,
+        model,
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        estimatedCalls: 0,
+    };
+    entry.calls += 1;
+    entry.promptTokens += promptTokens;
+    entry.completionTokens += completionTokens;
+    if (estimated) entry.estimatedCalls += 1;
+    settings.days[day][key] = entry;
+
+    pruneOldDays(settings);
+    saveSettingsDebounced();
+
+    logger.debug('api', `[Usage] ${module} ${model}: 输入 ${promptTokens} / 输出 ${completionTokens}${estimated ? ' (估算)' : ''}`);
+    return entry;
+}
+
+// ========================================
+// 查询
+// ========================================
+
+/**
+ * 获取日期范围内的汇总记录
+ *
+ * @param {string} [fromDay] - 起始日期(YYYY-MM-DD，含)，不填为最早
+ * @param {string} [toDay] - 结束日期(YYYY-MM-DD，含)，不填为今天
+ * @returns {Array<UsageEntry & {day: string}>}
+ */
+export function getUsageEntries(fromDay = '', toDay = getDateKey()) {
+    const days = getUsageSettings().days;
+    const result = [];
+    Object.keys(days)
+        .filter(day => day >= fromDay && day <= toDay)
+        .sort()
+        .forEach(day => {
+            Object.values(days[day]).forEach(entry => result.push({ ...entry, day }));
+        });
+    return result;
+}
+
+/**
+ * 模块在当前预算周期内已用的token
+ *
+ * @param {string} module - 模块名
+ * @param {string} [period=BUDGET_PERIODS.DAY] - 周期
+ * @returns {number}
+ */
+export function getModuleUsage(module, period = BUDGET_PERIODS.DAY) {
+    return getUsageEntries(getPeriodStart(period))
+        .filter(entry => entry.module === module)
+        .reduce((sum, entry) => sum + entry.promptTokens + entry.completionTokens, 0);
+}
+
+/**
+ * 检查模块预算
+ *
+ * @param {string} module - 模块名
+ * @returns {BudgetStatus}
+ */
+export function checkBudget(module) {
+    const budget = getBudget(module);
+    if (!budget) {
+        return { exceeded: false, used: 0, budget: null };
+    }
+    const used = getModuleUsage(module, budget.period);
+    return { exceeded: used >= budget.tokens, used, budget };
+}
+
+/**
+ * 估算费用(未设置单价的模型返回 null)
+ *
+ * @param {string} model - 模型
+ * @param {number} promptTokens - 输入token
+ * @param {number} completionTokens - 输出token
+ * @returns {number|null}
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+    const price = getUsageSettings().prices[model];
+    if (!price) return null;
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+}
+
+/**
+ * 本地日期键
+ *
+ * @param {Date} [date=new Date()] - 日期
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDateKey(date = new Date()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+/**
+ * 周期起始日期
+ *
+ * @param {string} period - 周期
+ * @returns {string} YYYY-MM-DD
+ */
+export function getPeriodStart(period) {
+    const today = getDateKey();
+    return period === BUDGET_PERIODS.MONTH ? `${today.substring(0, 7)}-01` : today;
+}
+
+// ========================================
+// 内部函数
+// ========================================
+
+/**
+ * 把消息数组拼成文本(用于估算输入token)
+ *
+ * @param {Array<Object>} messages - OpenAI风格消息
+ * @returns {string}
+ */
+function messagesToText(messages) {
+    if (!Array.isArray(messages)) return '';
+    return messages.map(message => {
+        if (typeof message.content === 'string') return message.content;
+        if (Array.isArray(message.content)) {
+            return message.content
+                .filter(part => part?.type === 'text')
+                .map(part => part.text || '')
+                .join('\n');
+        }
+        return '';
+    }).join('\n');
+}
+
+/**
+ * 删除超出保留天数的记录
+ *
+ * @param {ReturnType<typeof getUsageSettings>} settings - 用量设置
+ */
+function pruneOldDays(settings) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - (settings.retainDays || DEFAULT_USAGE_SETTINGS.retainDays));
+    const cutoffKey = getDateKey(cutoff);
+
+    Object.keys(settings.days)
+        .filter(day => day < cutoffKey)
+        .forEach(day => delete settings.days[day]);
+}
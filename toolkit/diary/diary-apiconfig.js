@@ -20,6 +20,9 @@ import logger from '../../logger.js';
 import { showInfoToast, showSuccessToast, showErrorToast } from './diary-toast.js';
 import { generate } from '../../shared/api/api-client.js';
 import { refreshModelList } from '../../shared/api/api-model-refresh.js';
+import { renderFallbackSection } from '../../shared/api/api-fallback-ui.js';
+import { renderUsageSection } from '../../shared/api/api-usage-ui.js';
+import { renderInspectorSection } from '../../shared/api/api-inspector-ui.js';
 import { resolveSource, SOURCE_CAPABILITIES, getDefaultUrl } from '../../shared/api/api-config-schema.js';
 import {
   getParamDefinitions,
@@ -54,6 +57,22 @@ export class DiaryAPIConfig {
     this.api = options.api;
   }
 
+  /**
+   * 渲染备用配置链设置
+   *
+   * @description
+   * 列表由日记/手机/变量三个模块共用，这里只提供「当前配置」的读取方式
+   */
+  renderFallbackChain() {
+    const container = this.panelElement.querySelector('#diaryApiFallback');
+    if (!container) return;
+
+    renderFallbackSection(/** @type {HTMLElement} */ (container), {
+      module: 'diary',
+      getCurrentConfig: () => this.api._buildCustomApiClientConfig(this.dataManager.getSettings().apiConfig)
+    });
+  }
+
   /**
    * 更新 apiConfig 并持久化。
    *
@@ -172,6 +191,21 @@ export class DiaryAPIConfig {
     // 高级参数折叠
     this.bindParamsToggle();
 
+    // 备用配置链
+    this.renderFallbackChain();
+
+    // 用量统计
+    const usageContainer = this.panelElement.querySelector('#diaryApiUsage');
+    if (usageContainer) {
+      renderUsageSection(/** @type {HTMLElement} */ (usageContainer), { module: 'diary' });
+    }
+
+    // 请求检查器
+    const inspectorContainer = this.panelElement.querySelector('#diaryApiInspector');
+    if (inspectorContainer) {
+      renderInspectorSection(/** @type {HTMLElement} */ (inspectorContainer));
+    }
+
     // 加载现有设置到 UI
     this.loadApiSettingsToUI();
 
@@ -1731,7 +1765,7 @@ export class DiaryAPIConfig {
    * @returns {Promise<string>} 响应文本
    */
   async sendTestRequest(messages, config) {
-    const response = await generate(config, messages, { module: 'diary' });
+    const response = await generate(config, messages, { module: 'diary', fallback: false });
     return response.text || '';
   }
 }
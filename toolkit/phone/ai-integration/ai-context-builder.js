@@ -5,7 +5,7 @@
  * @description
  * 构建完整的AI提示词，包括：
  * - 头部破限
- * - 角色卡（人设 + 线下剧情 + 世界书）
+ * - 角色卡（人设 + 线下剧情 + 世界书 + 去过的地方）
  * - 手机聊天记录
  * - 格式要求
  * - 尾部破限
@@ -13,6 +13,7 @@
 
 import logger from '../../../logger.js';
 import { loadContacts } from '../contacts/contact-list-data.js';
+import { isGroupChatId, getGroupChat, getGroupMembers } from '../contacts/group-chat-data.js';
 import { getContext } from '../../../../../../../scripts/st-context.js';
 import { loadChatHistory } from '../messages/message-chat-data.js';
 import { characters, chat, this_chid, saveSettingsDebounced, getRequestHeaders } from '../../../../../../../script.js';
@@ -20,6 +21,11 @@ import { extension_settings } from '../../../../../../../scripts/extensions.js';
 import { power_user } from '../../../../../../../scripts/power-user.js';
 import { chat_completion_sources, oai_settings } from '../../../../../../../scripts/openai.js';
 import { getDefaultPresets } from '../settings/preset-settings-ui.js';
+import { isNpcContact, buildNpcCharacter, getNpcWorldbookContent } from '../contacts/npc-contact-data.js';
+import { formatVoiceMessageForAI } from '../messages/message-types/voice-message.js';
+import { formatCallRecordForAI } from '../messages/message-types/call-record-message.js';
+import { formatLocationMessageForAI } from '../messages/message-types/location-message.js';
+import { getSharedPlaces, formatSharedPlacesForAI } from '../messages/shared-places-data.js';
 /**
  * 获取角色数据
  * @private
@@ -27,6 +33,11 @@ import { getDefaultPresets } from '../settings/preset-settings-ui.js';
  * @returns {Object|null} 角色数据
  */
 function getCharacterData(contact) {
+  // NPC联系人没有角色卡，用联系人资料代替
+  if (isNpcContact(contact)) {
+    return buildNpcCharacter(contact);
+  }
+
   // 从contactId提取角色名（去掉'tavern_'前缀）
   const charName = contact.id.replace(/^tavern_/, '');
 
@@ -45,6 +56,19 @@ function getCharacterData(contact) {
   return character;
 }
 
+/**
+ * 查找被AI感知删除的NPC联系人资料
+ * @private
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @returns {Promise<Object|null>} NPC联系人对象
+ */
+async function findDeletedNpcContact(contactId) {
+  const { getAIAwareDeletedRequests } = await import('../contacts/contact-list-data.js');
+  const request = (await getAIAwareDeletedRequests()).find(r => r.contactId === contactId);
+  return request?.npcContact || null;
+}
+
 /**
  * 获取酒馆最近的上下文（同步版本，使用全局chat变量）
  * @private
@@ -84,6 +108,11 @@ async function getCharacterTavernContext(character, count = 5) {
     return '（该角色不存在）\n';
   }
 
+  // NPC联系人没有酒馆聊天
+  if (character.isNpc) {
+    return '（无线下剧情）\n';
+  }
+
   try {
     // 检查是否是当前在酒馆中打开的角色
     const isCurrentCharacter = this_chid !== undefined &&
@@ -194,6 +223,81 @@ function formatTimestamp(timestamp) {
   return `${year}-${month}-${day} ${hour}:${minute}`;
 }
 
+/**
+ * 聊天记录区块的标签名
+ * @private
+ * @param {Object} contact - 联系人或群聊对象
+ * @returns {string} 单聊为「角色-名字」，群聊为「群聊-群名」
+ */
+function getChatBlockTag(contact) {
+  return contact.isGroup ? `群聊-${contact.name}` : `角色-${contact.name}`;
+}
+
+/**
+ * 聊天记录中一条消息的发送者名字
+ * @private
+ * @param {Object} msg - 消息对象
+ * @param {Object} contact - 联系人或群聊对象
+ * @param {string} userName - 用户名
+ * @returns {string} 发送者名字（群聊中为发言成员名）
+ */
+function getHistorySenderName(msg, contact, userName) {
+  if (msg.sender === 'user') return userName;
+  if (contact.isGroup) {
+    return msg.speakerName || (msg.sender === 'system' ? '系统' : contact.name);
+  }
+  return contact.name;
+}
+
+/**
+ * 构建群聊的成员角色卡和群聊说明
+ *
+ * @async
+ * @private
+ * @param {Object} group - 群聊对象
+ * @param {Array<Object>} contacts - 联系人列表
+ * @param {Set<string>} builtIds - 已构建过角色卡的联系人ID（单聊和群聊同时触发时避免重复）
+ * @param {Map<number, string>} messageNumberMap - 消息编号映射表
+ * @param {number} startNumber - 起始编号
+ * @returns {Promise<Object>} { content: 内容, nextNumber: 下一个可用编号 }
+ *
+ * @description
+ * 格式：
+ * [角色卡-成员A]...[/角色卡-成员A]
+ * [角色卡-成员B]...[/角色卡-成员B]
+ * [群聊-群名]
+ *   成员列表 + 回复格式说明
+ * [/群聊-群名]
+ */
+async function buildGroupChatInfo(group, contacts, builtIds, messageNumberMap, startNumber) {
+  const members = await getGroupMembers(group, contacts);
+  let content = '';
+  let currentNumber = startNumber;
+
+  for (const member of members) {
+    if (builtIds.has(member.id)) continue;
+    builtIds.add(member.id);
+
+    const charResult = await buildCharacterInfo(member, getCharacterData(member), messageNumberMap, currentNumber);
+    if (charResult.content && charResult.content.trim()) {
+      content += charResult.content + '\n\n';
+      currentNumber = charResult.nextNumber;
+    }
+  }
+
+  const memberNames = members.map(m => m.name).join('、');
+  content += `[群聊-${group.name}]\n`;
+  content += `群成员：${memberNames}、{{user}}\n`;
+  content += '这是一个多人群聊，所有成员都能看到群里的全部消息。\n';
+  content += `回复时写在 [群聊-${group.name}] 块的 [消息] 里，每行一个气泡，行首写「成员名：」表示由谁发出。\n`;
+  content += '不需要每个成员都发言，按人设和话题决定谁说话、说几句；被@的成员应当回应。\n';
+  content += '可以用「@成员名」或「@{{user}}」提及他人。\n';
+  content += `[/群聊-${group.name}]`;
+
+  logger.debug('phone','[ContextBuilder.buildGroupChatInfo] 群聊说明已构建:', group.name, '成员数:', members.length);
+  return { content, nextNumber: currentNumber };
+}
+
 /**
  * 提取被触发的联系人ID列表（从待发送消息中提取）
  *
@@ -239,12 +343,43 @@ async function extractTriggeredContactIds(allPendingMessages) {
   return triggeredIds;
 }
 
+/**
+ * 构建角色主动发消息的指令
+ *
+ * @private
+ * @async
+ * @param {Object} proactive - 主动消息参数（见 buildMessagesArray 的 options.proactive）
+ * @returns {Promise<string>} 指令内容，联系人不存在返回空字符串
+ */
+async function buildProactiveInstruction({ contactId, silentHours, missedYou }) {
+  const contacts = await loadContacts();
+  const contact = contacts.find(c => c.id === contactId);
+  if (!contact) {
+    logger.warn('phone','[ContextBuilder.buildProactiveInstruction] 联系人不存在:', contactId);
+    return '';
+  }
+
+  const silentText = silentHours >= 1 ? `{{user}}已经${Math.floor(silentHours)}小时没有发消息了。` : '';
+  const mood = missedYou
+    ? '你有点想{{user}}了，主动找{{user}}聊聊，可以自然地表达想念或关心。'
+    : '根据人设和近况主动找{{user}}聊点什么，比如分享日常、接着之前的话题或问候。';
+
+  return `[主动消息]\n${silentText}${mood}\n` +
+    `请以${contact.name}的身份主动发消息，只输出[角色-${contact.name}]一个区块，消息条数和长度像真人一样自然。\n` +
+    '[/主动消息]';
+}
+
 /**
  * 构建messages数组（新版，使用预设系统，支持多角色触发）
  *
  * @async
  * @param {string} contactId - 主联系人ID（当前打开的聊天页面，如果不存在会从触发列表中找第一个）
  * @param {Object} allPendingMessages - 所有待发送消息（按联系人ID分组）格式：{ contactId: [messages] }
+ * @param {Object} [options] - 可选配置
+ * @param {Object} [options.proactive] - 角色主动发消息（没有用户待发送消息时也触发该联系人）
+ * @param {string} options.proactive.contactId - 主动发消息的联系人ID
+ * @param {number} options.proactive.silentHours - {{user}}多少小时没回消息
+ * @param {boolean} options.proactive.missedYou - 是否超过「想你」阈值
  * @returns {Promise<Object>} { messages: messages数组, messageNumberMap: 编号映射表 }
  *
  * @description
@@ -268,7 +403,7 @@ async function extractTriggeredContactIds(allPendingMessages) {
  * - 用于AI引用消息时精确查找原消息
  * - 编号每次重新构建，不累积
  */
-export async function buildMessagesArray(contactId, allPendingMessages) {
+export async function buildMessagesArray(contactId, allPendingMessages, options = {}) {
   logger.info('phone','[ContextBuilder.buildMessagesArray] 开始构建messages数组 - 主联系人:', contactId);
 
   // ✅ 读取 API 配置源（决定是否使用结构化消息）
@@ -277,6 +412,9 @@ export async function buildMessagesArray(contactId, allPendingMessages) {
 
   // ✅ 提取被触发的联系人ID（有消息的才算触发）
   const triggeredContactIds = await extractTriggeredContactIds(allPendingMessages);
+  if (options.proactive && !triggeredContactIds.includes(options.proactive.contactId)) {
+    triggeredContactIds.push(options.proactive.contactId);
+  }
   logger.info('phone','[ContextBuilder.buildMessagesArray] 共触发', triggeredContactIds.length, '个联系人:', triggeredContactIds);
 
   // ✅ 创建消息编号映射表（编号 → 消息ID）
@@ -346,6 +484,9 @@ export async function buildMessagesArray(contactId, allPendingMessages) {
     } else if (item.id === 'signature-history') {
       // 构建用户个签历史
       content = await buildSignatureHistory();
+    } else if (item.id === 'phone-records') {
+      // 构建空间动态（用户和本轮角色的最近动态 + 动态格式说明）
+      content = await buildMomentsRecords(await expandGroupMemberIds(triggeredContactIds));
     } else if (item.id === 'user-pending-ops') {
       // ✅ 构建用户待操作（传递映射表和当前编号，接收筛选后的图片列表）
       const pendingResult = await buildUserPendingOps(allPendingMessages, messageNumberMap, currentNumber);
@@ -418,6 +559,14 @@ export async function buildMessagesArray(contactId, allPendingMessages) {
     }
   }
 
+  // 角色主动发消息：没有用户操作，追加一条指令让角色先开口
+  if (options.proactive) {
+    const instruction = await buildProactiveInstruction(options.proactive);
+    if (instruction) {
+      messages.push({ role: 'user', content: instruction });
+    }
+  }
+
   logger.info('phone','[ContextBuilder.buildMessagesArray] 构建完成，共', messages.length, '条消息');
   logger.info('phone','[ContextBuilder.buildMessagesArray] 消息编号映射表大小:', messageNumberMap.size);
 
@@ -484,11 +633,28 @@ async function buildAllCharacterInfo(triggeredContactIds, messageNumberMap, star
 
   let allContent = '';
   let currentNumber = startNumber;
+  const builtIds = new Set();
 
   // 遍历每个被触发的联系人
   for (const contactId of triggeredContactIds) {
     logger.debug('phone','[ContextBuilder.buildAllCharacterInfo] 处理角色:', contactId);
 
+    // 群聊：展开为各成员的角色卡 + 群聊说明
+    if (isGroupChatId(contactId)) {
+      const group = await getGroupChat(contactId);
+      if (!group) {
+        logger.warn('phone','[ContextBuilder.buildAllCharacterInfo] 群聊不存在，跳过:', contactId);
+        continue;
+      }
+      const groupResult = await buildGroupChatInfo(group, contacts, builtIds, messageNumberMap, currentNumber);
+      allContent += groupResult.content + '\n\n';
+      currentNumber = groupResult.nextNumber;
+      continue;
+    }
+
+    if (builtIds.has(contactId)) continue;
+    builtIds.add(contactId);
+
     // 查找联系人
     let contact = contacts.find(c => c.id === contactId);
 
@@ -508,6 +674,11 @@ async function buildAllCharacterInfo(triggeredContactIds, messageNumberMap, star
       }
     }
 
+    // AI感知删除的NPC：没有角色卡，从删除记录里取回资料
+    if (!contact && contactId.startsWith('npc_')) {
+      contact = await findDeletedNpcContact(contactId);
+    }
+
     if (!contact) {
       logger.warn('phone','[ContextBuilder.buildAllCharacterInfo] 联系人不存在，跳过:', contactId);
       continue;
@@ -587,8 +758,8 @@ async function buildAllChatHistoryInfo(triggeredContactIds, messageNumberMap, st
   for (const contactId of triggeredContactIds) {
     logger.debug('phone','[ContextBuilder.buildAllChatHistoryInfo] 处理角色:', contactId);
 
-    // 查找联系人
-    let contact = contacts.find(c => c.id === contactId);
+    // 查找联系人（群聊的聊天记录和单聊一样按ID存储）
+    let contact = contacts.find(c => c.id === contactId) || await getGroupChat(contactId);
 
     // 如果联系人不存在，可能是AI感知删除的角色，尝试从酒馆角色列表查找
     if (!contact && contactId.startsWith('tavern_')) {
@@ -606,6 +777,11 @@ async function buildAllChatHistoryInfo(triggeredContactIds, messageNumberMap, st
       }
     }
 
+    // AI感知删除的NPC：没有角色卡，从删除记录里取回资料
+    if (!contact && contactId.startsWith('npc_')) {
+      contact = await findDeletedNpcContact(contactId);
+    }
+
     if (!contact) {
       logger.warn('phone','[ContextBuilder.buildAllChatHistoryInfo] 联系人不存在，跳过:', contactId);
       continue;
@@ -713,6 +889,8 @@ async function buildCharacterInfo(contact, character, messageNumberMap, startNum
     content += '[/线下剧情]\n\n';
   }
 
+  content += await buildNpcWorldbookSection(contact);
+  content += await buildSharedPlacesSection(contact);
   content += `[/角色卡-${contact.name}]`;
 
   return {
@@ -721,6 +899,32 @@ async function buildCharacterInfo(contact, character, messageNumberMap, startNum
   };
 }
 
+/**
+ * NPC绑定的世界书（整本启用条目放进角色卡）
+ * @private
+ * @param {Object} contact - 联系人对象
+ * @returns {Promise<string>} [世界书] 区块，非NPC或未绑定返回空字符串
+ */
+async function buildNpcWorldbookSection(contact) {
+  const worldbookContent = await getNpcWorldbookContent(contact);
+  return worldbookContent ? `[世界书]\n${worldbookContent}\n[/世界书]\n\n` : '';
+}
+
+/**
+ * 和用户分享过位置的地方（从位置消息整理，让AI提到的地点前后一致）
+ * @private
+ * @param {Object} contact - 联系人对象
+ * @returns {Promise<string>} [去过的地方] 区块，没有位置消息返回空字符串
+ */
+async function buildSharedPlacesSection(contact) {
+  const places = await getSharedPlaces(contact.id);
+  if (places.length === 0) return '';
+
+  const { getUserDisplayName } = await import('../utils/contact-display-helper.js');
+  const placesContent = formatSharedPlacesForAI(places, getUserDisplayName(), contact.name);
+  return `[去过的地方]\n${placesContent}\n[/去过的地方]\n\n`;
+}
+
 /**
  * 根据角色专属配置构建角色总条目
  * @private
@@ -785,6 +989,8 @@ async function buildCharacterInfoFromConfig(contact, character, config, messageN
     }
   }
 
+  content += await buildNpcWorldbookSection(contact);
+  content += await buildSharedPlacesSection(contact);
   content += `[/角色卡-${contact.name}]`;
 
   logger.debug('phone','[ContextBuilder] 角色总条目构建完成，使用了', enabledItems.length, '个条目');
@@ -841,7 +1047,8 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
   let structuredMessages = [];
   let historyImages = [];
   let currentNumber = startNumber;
-  let textBuffer = `[角色-${contact.name}]\n[消息]\n`;  // 累积纯文字消息
+  const blockTag = getChatBlockTag(contact);
+  let textBuffer = `[${blockTag}]\n[消息]\n`;  // 累积纯文字消息
 
   // ✅ 轮次合并状态（用于累积连续的 contact 消息）
   let turnBuffer = '';              // 当前轮次的消息文本
@@ -895,7 +1102,7 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
   if (recentHistory.length === 0) {
     // 没有历史消息
     return {
-      structuredMessages: [{ role: 'system', content: `[角色-${contact.name}]\n[消息]\n[/消息]\n[/角色-${contact.name}]` }],
+      structuredMessages: [{ role: 'system', content: `[${blockTag}]\n[消息]\n[/消息]\n[/${blockTag}]` }],
       nextNumber: currentNumber,
       historyImages: []
     };
@@ -904,7 +1111,7 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
   // 遍历历史消息
   for (let index = 0; index < recentHistory.length; index++) {
     const msg = recentHistory[index];
-    const senderName = msg.sender === 'user' ? userName : contact.name;
+    const senderName = getHistorySenderName(msg, contact, userName);
     const prevTime = index > 0 ? recentHistory[index - 1].time : null;
     const isFirst = index === 0;
     const timeStr = formatTimeForAI(msg.time, prevTime, isFirst);
@@ -948,6 +1155,12 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
       messageContent = `[开会员]${msg.months}个月${typeText}会员`;
     } else if (msg.type === 'recalled') {
       messageContent = msg.sender === 'user' ? `【${userName}撤回了一条消息】` : `[撤回]${msg.originalContent || '(无内容)'}`;
+    } else if (msg.type === 'voice') {
+      messageContent = formatVoiceMessageForAI(msg);
+    } else if (msg.type === 'call') {
+      messageContent = formatCallRecordForAI(msg);
+    } else if (msg.type === 'location') {
+      messageContent = formatLocationMessageForAI(msg);
     } else if (msg.type === 'forwarded') {
       messageContent = formatForwardedMessageForAI(msg, userName, formatTimeForAI);
     }
@@ -974,7 +1187,7 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
         flushContactTurn();
 
         // ✅ 再 flush textBuffer
-        if (textBuffer.trim() !== `[角色-${contact.name}]\n[消息]`.trim()) {
+        if (textBuffer.trim() !== `[${blockTag}]\n[消息]`.trim()) {
           structuredMessages.push({ role: 'system', content: textBuffer });
           textBuffer = '';  // 清空缓冲区
         }
@@ -1018,9 +1231,9 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
           // contact 消息 → 累积到轮次 buffer
           if (!inContactTurn) {
             // 新轮次开始，先 flush textBuffer
-            if (textBuffer.trim() !== `[角色-${contact.name}]\n[消息]`.trim()) {
+            if (textBuffer.trim() !== `[${blockTag}]\n[消息]`.trim()) {
               structuredMessages.push({ role: 'system', content: textBuffer });
-              textBuffer = `[角色-${contact.name}]\n[消息]\n`;
+              textBuffer = `[${blockTag}]\n[消息]\n`;
             }
             inContactTurn = true;
             turnStartNumber = currentNumber;
@@ -1060,9 +1273,9 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
       // 🔥 纯文本 contact 消息 → 累积到轮次 buffer
       if (!inContactTurn) {
         // 新轮次开始，先 flush textBuffer
-        if (textBuffer.trim() !== `[角色-${contact.name}]\n[消息]`.trim()) {
+        if (textBuffer.trim() !== `[${blockTag}]\n[消息]`.trim()) {
           structuredMessages.push({ role: 'system', content: textBuffer });
-          textBuffer = `[角色-${contact.name}]\n[消息]\n`;
+          textBuffer = `[${blockTag}]\n[消息]\n`;
         }
         inContactTurn = true;
         turnStartNumber = currentNumber;
@@ -1103,7 +1316,7 @@ async function buildChatHistoryStructured(contactId, contact, messageNumberMap,
   flushContactTurn();
 
   // ✅ flush 最后的文本块 + 添加结束标记
-  textBuffer += `----上方对话user已读-----\n[/消息]\n[/角色-${contact.name}]`;
+  textBuffer += `----上方对话user已读-----\n[/消息]\n[/${blockTag}]`;
   structuredMessages.push({ role: 'system', content: textBuffer });
 
   logger.info('phone','[ContextBuilder.buildChatHistoryStructured] 结构化消息构建完成');
@@ -1172,7 +1385,8 @@ export async function buildChatHistoryInfo(contactId, contact, messageNumberMap,
   // ✅ 默认API：返回 parts 数组（保持原有逻辑）
   let parts = [];
   let historyImages = [];  // 收集历史消息中需要附加的图片
-  parts.push({ type: 'text', text: `[角色-${contact.name}]\n[消息]\n` });
+  const blockTag = getChatBlockTag(contact);
+  parts.push({ type: 'text', text: `[${blockTag}]\n[消息]\n` });
 
   // 加载历史记录
   const allHistory = await loadChatHistory(contactId);
@@ -1187,7 +1401,7 @@ export async function buildChatHistoryInfo(contactId, contact, messageNumberMap,
     // ✅ 改用 for 循环，支持在消息间插入图片占位符
     for (let index = 0; index < recentHistory.length; index++) {
       const msg = recentHistory[index];
-      const senderName = msg.sender === 'user' ? userName : contact.name;
+      const senderName = getHistorySenderName(msg, contact, userName);
       const prevTime = index > 0 ? recentHistory[index - 1].time : null;
       const isFirst = index === 0;
 
@@ -1281,6 +1495,12 @@ export async function buildChatHistoryInfo(contactId, contact, messageNumberMap,
           // 角色撤回：AI可以看到撤回了什么（格式：[撤回]原内容）
           messageContent = `[撤回]${msg.originalContent || '(无内容)'}`;
         }
+      } else if (msg.type === 'voice') {
+        messageContent = formatVoiceMessageForAI(msg);
+      } else if (msg.type === 'call') {
+        messageContent = formatCallRecordForAI(msg);
+      } else if (msg.type === 'location') {
+        messageContent = formatLocationMessageForAI(msg);
       } else if (msg.type === 'forwarded') {
         // 转发消息：格式化内层消息，添加时间戳
         messageContent = formatForwardedMessageForAI(msg, userName, formatTimeForAI);
@@ -1332,7 +1552,7 @@ export async function buildChatHistoryInfo(contactId, contact, messageNumberMap,
   }
 
   // ✅ 改用 [/消息] [/角色-XXX] 格式
-  parts.push({ type: 'text', text: `[/消息]\n[/角色-${contact.name}]` });
+  parts.push({ type: 'text', text: `[/消息]\n[/${blockTag}]` });
 
   logger.info('phone','[ContextBuilder.buildChatHistoryInfo] 聊天历史构建完成');
   logger.debug('phone','[ContextBuilder.buildChatHistoryInfo] - parts数量:', parts.length);
@@ -1441,6 +1661,15 @@ function formatForwardedMessageForAI(forwardedMsg, userName, formatTimeForAI) {
       case 'video':
         messageText = `[视频]${innerMsg.description || ''}`;
         break;
+      case 'voice':
+        messageText = formatVoiceMessageForAI(innerMsg);
+        break;
+      case 'call':
+        messageText = formatCallRecordForAI(innerMsg);
+        break;
+      case 'location':
+        messageText = formatLocationMessageForAI(innerMsg);
+        break;
       case 'file':
         messageText = `[文件]${innerMsg.filename || ''}`;
         break;
@@ -1508,6 +1737,194 @@ async function buildSignatureHistory() {
   }
 }
 
+/**
+ * 把群聊ID展开为成员ID（动态按人归属，群聊本身没有动态）
+ *
+ * @async
+ * @private
+ * @param {string[]} contactIds - 联系人ID或群聊ID
+ * @returns {Promise<string[]>} 去重后的联系人ID
+ */
+async function expandGroupMemberIds(contactIds) {
+  const ids = [];
+  for (const id of contactIds) {
+    if (isGroupChatId(id)) {
+      const group = await getGroupChat(id);
+      ids.push(...(group?.members || []));
+    } else {
+      ids.push(id);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * 构建空间动态记录 + 格式说明（用于预设条目「手机相关记录」）
+ *
+ * @async
+ * @private
+ * @param {string[]} contactIds - 本轮相关的联系人ID
+ * @returns {Promise<string>}
+ *
+ * @description
+ * 格式：
+ * [空间动态]
+ * #k3x9a 2025-11-08 17:30 张三：今天下雨了 [配图]窗外的雨
+ *   点赞：白沉
+ *   评论：白沉：注意保暖
+ *   评论：张三 回复 白沉：好
+ * [/空间动态]
+ * 编号是动态ID末尾的随机串，AI用它评论/点赞（跨轮次稳定）
+ */
+async function buildMomentsRecords(contactIds) {
+  try {
+    const { getRelatedMoments, getMomentRef } = await import('../moments/moments-data.js');
+    const { getUserDisplayName } = await import('../utils/contact-display-helper.js');
+
+    const userName = getUserDisplayName();
+    const contacts = await loadContacts();
+    const nameOf = (authorId) => authorId === 'user'
+      ? userName
+      : (contacts.find(c => c.id === authorId)?.name || '已删除的好友');
+
+    const moments = await getRelatedMoments(contactIds);
+
+    let content = `[空间动态]\n`;
+    if (moments.length === 0) {
+      content += `（暂无动态）\n`;
+    }
+
+    // 从旧到新，和聊天记录的阅读顺序一致
+    [...moments].reverse().forEach(moment => {
+      const date = new Date(moment.time * 1000);
+      const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      const timeStr = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+      const image = moment.imageDescription ? ` [配图]${moment.imageDescription}` : '';
+
+      content += `#${getMomentRef(moment)} ${dateStr} ${timeStr} ${nameOf(moment.authorId)}：${moment.content}${image}\n`;
+      if (moment.likes.length > 0) {
+        content += `  点赞：${moment.likes.map(l => nameOf(l.authorId)).join('、')}\n`;
+      }
+      moment.comments.forEach(comment => {
+        const reply = comment.replyTo ? ` 回复 ${nameOf(comment.replyTo)}` : '';
+        content += `  评论：${nameOf(comment.authorId)}${reply}：${comment.content}\n`;
+      });
+    });
+
+    content += `[/空间动态]\n\n`;
+    content += `[空间动态格式]\n`;
+    content += `角色可以在[消息]之后另起[空间动态]区块发动态、评论或点赞（可选，根据角色性格和剧情决定，不必每次都用）：\n`;
+    content += `[空间动态]\n`;
+    content += `[发动态]动态内容|配图描述（没有配图就省略 |配图描述）\n`;
+    content += `[评论-动态编号]评论内容\n`;
+    content += `[回复-动态编号-评论人]回复某条评论\n`;
+    content += `[点赞-动态编号]\n`;
+    content += `[/空间动态]\n`;
+    content += `注意：\n`;
+    content += `1. 动态编号是上面动态前 # 后面的编号\n`;
+    content += `2. 每行一个操作，只发动态不聊天时可以省略[消息]\n`;
+    content += `3. ${userName}评论了角色的动态或回复了角色时，角色通常应该回复\n`;
+    content += `[/空间动态格式]`;
+
+    logger.debug('phone','[ContextBuilder] 空间动态已构建，共', moments.length, '条');
+    return content;
+  } catch (error) {
+    logger.error('phone','[ContextBuilder] 构建空间动态失败:', error);
+    return '';
+  }
+}
+
+/**
+ * 格式化用户的空间动态操作（用于[其他操作]）
+ *
+ * @private
+ * @param {Array<Object>} actions - 动态操作记录
+ * @param {string} userName - 用户名
+ * @param {Function} formatTimeForAI - 时间格式化函数
+ * @returns {string}
+ */
+function formatMomentActions(actions, userName, formatTimeForAI) {
+  let content = '';
+  for (const action of actions) {
+    const time = formatTimeForAI(action.time, null, false);
+    const ref = action.momentRef ? `（#${action.momentRef}）` : '';
+
+    if (action.actionType === 'post') {
+      content += `${time}${userName}发布了动态${ref}：${action.content}\n`;
+    } else if (action.actionType === 'like') {
+      content += `${time}${userName}点赞了${action.authorName}的动态${ref}\n`;
+    } else if (action.actionType === 'comment') {
+      const reply = action.replyToName ? `回复${action.replyToName}` : '评论';
+      content += `${time}${userName}在${action.authorName}的动态${ref}下${reply}：${action.content}\n`;
+    }
+  }
+  return content;
+}
+
+/**
+ * 构建空间动态互动轮次的messages（定时发动态、回复动态评论，不走聊天流程）
+ *
+ * @async
+ * @param {string[]} contactIds - 参与本轮的联系人ID
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.requirePost=false] - 是否要求至少发一条新动态（定时触发时）
+ * @returns {Promise<Array<Object>>} messages数组（已替换宏）
+ */
+export async function buildMomentsRoundMessages(contactIds, options = {}) {
+  const { getMomentActions } = await import('./pending-operations.js');
+  const { formatTimeForAI } = await import('../utils/time-helper.js');
+  const { getUserDisplayName } = await import('../utils/contact-display-helper.js');
+
+  const userName = getUserDisplayName();
+  const contacts = await loadContacts();
+  const participants = contactIds.map(id => contacts.find(c => c.id === id)).filter(Boolean);
+
+  const messages = [{
+    role: 'system',
+    content: `[任务:QQ空间]\n扮演以下角色浏览QQ空间，根据人设和近况发动态、评论或点赞，和${userName}及其他好友互动。\n[/任务:QQ空间]`
+  }];
+
+  if (power_user.persona_description) {
+    messages.push({ role: 'system', content: `[用户设定]\n${power_user.persona_description}\n[/用户设定]` });
+  }
+
+  const cards = [];
+  for (const contact of participants) {
+    const charResult = await buildCharacterInfo(contact, getCharacterData(contact), new Map(), 1);
+    if (charResult.content) cards.push(charResult.content);
+  }
+  if (cards.length > 0) {
+    messages.push({ role: 'system', content: cards.join('\n\n') });
+  }
+
+  messages.push({ role: 'system', content: await buildMomentsRecords(participants.map(c => c.id)) });
+
+  let instruction = '';
+  const actionsText = formatMomentActions(getMomentActions(), userName, formatTimeForAI);
+  if (actionsText) {
+    instruction += `[{{user}}空间操作]\n${actionsText}[/{{user}}空间操作]\n\n`;
+  }
+
+  const names = participants.map(c => c.name).join('、');
+  instruction += `请以${names}的身份，按[空间动态格式]输出，每个角色一个[角色-角色名]区块，区块里只写[空间动态]，不要输出[消息]。\n`;
+  instruction += options.requirePost
+    ? '每个角色至少发一条符合近况的新动态，也可以顺便评论或点赞。'
+    : '优先回应{{user}}的空间操作，不想互动的角色可以不输出。';
+  messages.push({ role: 'user', content: instruction });
+
+  try {
+    const { substituteParams } = SillyTavern.getContext();
+    messages.forEach(msg => {
+      msg.content = substituteParams(msg.content);
+    });
+  } catch (error) {
+    logger.error('phone','[ContextBuilder.buildMomentsRoundMessages] 宏替换失败:', error);
+  }
+
+  logger.info('phone','[ContextBuilder.buildMomentsRoundMessages] 构建完成，参与角色:', names);
+  return messages;
+}
+
 /**
  * 构建用户待操作内容（用于[{{user}}本轮操作]）
  *
@@ -1591,12 +2008,12 @@ async function buildUserPendingOps(pendingMessages, messageNumberMap, startNumbe
   for (const [contactId, messages] of Object.entries(pendingMessages)) {
     if (messages.length === 0) continue;
 
-    // 查找联系人信息
-    const contact = contacts.find(c => c.id === contactId);
+    // 查找联系人信息（也可能是群聊）
+    const contact = contacts.find(c => c.id === contactId) || await getGroupChat(contactId);
     const contactName = contact ? contact.name : contactId;
 
     // 添加联系人分组标题
-    content += `[给${contactName}发送消息]\n`;
+    content += contact?.isGroup ? `[在群聊${contactName}发送消息]\n` : `[给${contactName}发送消息]\n`;
 
     // 遍历该联系人的所有待发送消息（✅ 改用for循环以支持async/await）
     for (let index = 0; index < messages.length; index++) {
@@ -1706,6 +2123,12 @@ async function buildUserPendingOps(pendingMessages, messageNumberMap, startNumbe
         // ✅ 引用消息：格式化为 [引用]原内容[回复]回复内容
         const quotedText = formatQuotedMessageForAI(msg.quotedMessage);
         messageContent = `[引用]${quotedText}[回复]${msg.replyContent}`;
+      } else if (msg.type === 'voice') {
+        messageContent = formatVoiceMessageForAI(msg);
+      } else if (msg.type === 'call') {
+        messageContent = formatCallRecordForAI(msg);
+      } else if (msg.type === 'location') {
+        messageContent = formatLocationMessageForAI(msg);
       } else if (msg.type === 'forwarded') {
         // ✅ 转发消息：格式化内层消息
         messageContent = formatForwardedMessageForAI(msg, userName, formatTimeForAI);
@@ -1789,10 +2212,15 @@ async function buildUserPendingOps(pendingMessages, messageNumberMap, startNumbe
   }
 
   // 添加个签操作记录
-  const { getSignatureActions } = await import('./pending-operations.js');
+  const { getSignatureActions, getMomentActions, markMomentActionsSent } = await import('./pending-operations.js');
   const signatureActions = getSignatureActions();
 
-  if (signatureActions.length > 0) {
+  // 空间动态操作：只带上用户自己的动态和本轮角色的动态，其他的留给动态互动轮次
+  const relatedIds = await expandGroupMemberIds(Object.keys(pendingMessages));
+  const momentActions = getMomentActions().filter(action => action.authorId === 'user' || relatedIds.includes(action.authorId));
+  markMomentActionsSent(momentActions);
+
+  if (signatureActions.length > 0 || momentActions.length > 0) {
     content += `\n[其他操作]\n`;
 
     for (const action of signatureActions) {
@@ -1810,6 +2238,7 @@ async function buildUserPendingOps(pendingMessages, messageNumberMap, startNumbe
       }
     }
 
+    content += formatMomentActions(momentActions, userName, formatTimeForAI);
     content += `[/其他操作]\n`;
   }
 
@@ -1927,7 +2356,7 @@ export async function buildHistoryChatInfo(contactId, contact, messageNumberMap)
 
   // 遍历历史消息
   historyMessages.forEach((msg, index) => {
-    const senderName = msg.sender === 'user' ? userName : contact.name;
+    const senderName = getHistorySenderName(msg, contact, userName);
     const prevTime = index > 0 ? historyMessages[index - 1].time : null;
     const isFirst = index === 0;
 
@@ -1965,6 +2394,12 @@ export async function buildHistoryChatInfo(contactId, contact, messageNumberMap)
       // 引用消息：格式化为 [引用]原内容[回复]回复内容
       const quotedText = formatQuotedMessageForAI(msg.quotedMessage);
       messageContent = `[引用]${quotedText}[回复]${msg.replyContent}`;
+    } else if (msg.type === 'voice') {
+      messageContent = formatVoiceMessageForAI(msg);
+    } else if (msg.type === 'call') {
+      messageContent = formatCallRecordForAI(msg);
+    } else if (msg.type === 'location') {
+      messageContent = formatLocationMessageForAI(msg);
     } else if (msg.type === 'forwarded') {
       // 转发消息：格式化内层消息，添加时间戳
       messageContent = formatForwardedMessageForAI(msg, userName, formatTimeForAI);
@@ -12,13 +12,26 @@
  * [红包]100           ← 红包消息
  * [转账]100|留言      ← 转账消息
  * [图片]描述          ← 图片消息
+ * [语音]5秒|转文字    ← 语音消息（时长可省略，按字数估算）
+ * [通话]视频|3分12秒  ← 通话记录（时长 / 未接 / 已拒绝 / 已取消）
+ * [位置]地点|地址|备注 ← 位置分享（地址、备注可省略）
  * [/消息]             ← 可选（遇到边界自动结束）
  * 
- * [空间动态]           ← 自动结束消息块（TODO 第三期）
+ * [群聊-群名]         ← 群聊块：[消息] 里每行「成员名：内容」，按成员拆分气泡
+ * 
+ * [空间动态]           ← 空间动态区块（可选，可以没有[消息]只发动态）
+ * [发动态]内容|配图描述
+ * [评论-动态编号]内容
+ * [回复-动态编号-评论人]内容
+ * [点赞-动态编号]
+ * [/空间动态]
+ * [好友申请]附加消息|人设简介  ← 好友申请（没加过的名字=AI介绍的新朋友，人设简介可选）
  * [操作-建群]xxx      ← 独立操作（TODO 第二期）
  * 
  * 气泡分割规则：每行一个气泡，空行自动忽略
  * 边界检测：遇到 [空间动态]、[操作-、下一个[角色-、或文本结束时自动结束消息块
+ * 空间动态的每一行都保存成一条 type='moment' 的消息（content 保留原始行，AI上下文里原样可见），
+ * 由 moments-data.js 的 applyMomentMessage 写入动态数据
  */
 
 import logger from '../../../logger.js';
@@ -26,7 +39,13 @@ import { generateMessageId } from '../utils/message-actions-helper.js';
 import { findMessageById } from '../messages/message-chat-data.js';
 import { getUserDisplayName } from '../utils/contact-display-helper.js';
 import { findEmojiByName } from '../emojis/emoji-manager-data.js';
-import { addReapplyMessage } from '../contacts/contact-list-data.js';
+import { addReapplyMessage, loadContacts } from '../contacts/contact-list-data.js';
+import { resolveFriendRequest } from '../contacts/npc-contact-data.js';
+import { findGroupChatByName, getGroupMembers, extractMentions } from '../contacts/group-chat-data.js';
+import { findMomentByRef } from '../moments/moments-data.js';
+import { parseDurationText } from '../utils/time-helper.js';
+import { estimateVoiceDuration } from '../messages/message-types/voice-message.js';
+import { CALL_STATUS_TEXT, CALL_TYPE_TEXT } from '../messages/message-types/call-record-message.js';
 import { extension_settings } from '../../../../../../extensions.js';
 
 /**
@@ -52,65 +71,114 @@ export async function parseAIResponse(response, contactId, messageNumberMap) {
   // 第一步：分割角色块（用边界检测，不依赖闭合标签）
   const roleBlocks = extractRoleBlocks(response);
 
-  roleBlocks.forEach(block => {
+  for (const block of roleBlocks) {
     const { roleName, content } = block;
-    logger.debug('phone','[ResponseParser] 解析角色区块:', roleName);
+    logger.debug('phone','[ResponseParser] 解析角色区块:', roleName, block.isGroup ? '（群聊）' : '');
 
-    // 第二步：提取消息内容
+    // 第二步：提取消息内容和空间动态（群聊不支持动态）
     const messagesContent = extractMessagesContent(content);
+    const momentsContent = block.isGroup ? null : extractMomentsContent(content);
 
-    if (!messagesContent) {
-      logger.warn('phone','[ResponseParser] 未找到[消息]标签，跳过该角色');
-      return;
+    if (!messagesContent && !momentsContent) {
+      logger.warn('phone','[ResponseParser] 未找到[消息]或[空间动态]标签，跳过该角色');
+      continue;
     }
 
+    // 空间动态：排在该角色的聊天消息后面
+    const momentMessages = momentsContent ? await parseMomentsContent(momentsContent, roleName) : [];
+
     // 第三步：解析消息内容（智能合并连续的好友申请标签）
-    const rawBubbles = messagesContent
+    const rawBubbles = (messagesContent || '')
       .split('\n')
       .map(line => line.trim())
       .filter(line => line.length > 0);
 
-    // 合并连续的[好友申请]标签
-    const bubbles = mergeConsecutiveFriendRequests(rawBubbles);
-
-    bubbles.forEach(bubble => {
-      const parsed = parseMessageBubble(bubble, roleName);
-      if (parsed) {
-        // 好友申请可能返回多条消息（数组）
-        const parsedArray = Array.isArray(parsed) ? parsed : [parsed];
-        parsedArray.forEach(msg => {
-          // 添加唯一ID和时间戳（AI消息也需要ID避免误删）
-          msg.id = generateMessageId();
-          msg.time = Math.floor(Date.now() / 1000);
-          
-          // ✅ 统一添加 sender 字段（如果还没有）
-          if (!msg.sender) {
-            msg.sender = 'contact';
-          }
-          
-          messages.push(msg);
-        });
-      }
+    // 群聊块按行首成员名拆分；单聊块整块都属于该角色
+    const speakerBubbles = block.isGroup
+      ? await splitGroupBubbles(roleName, rawBubbles)
+      : [{ speaker: null, bubbles: rawBubbles }];
+
+    let bubbleCount = 0;
+    speakerBubbles.forEach(({ speaker, bubbles: speakerLines }) => {
+      // 合并连续的[好友申请]标签
+      const bubbles = mergeConsecutiveFriendRequests(speakerLines);
+      bubbleCount += bubbles.length;
+
+      bubbles.forEach(bubble => {
+        const parsed = parseMessageBubble(bubble, speaker ? speaker.name : roleName);
+        if (parsed) {
+          // 好友申请可能返回多条消息（数组）
+          const parsedArray = Array.isArray(parsed) ? parsed : [parsed];
+          parsedArray.forEach(msg => {
+            // 添加唯一ID和时间戳（AI消息也需要ID避免误删）
+            msg.id = generateMessageId();
+            msg.time = Math.floor(Date.now() / 1000);
+
+            // ✅ 统一添加 sender 字段（如果还没有）
+            if (!msg.sender) {
+              msg.sender = 'contact';
+            }
+
+            // 群聊消息：记录所属群聊、发言成员和 @ 提及
+            if (speaker) {
+              msg.groupId = speaker.groupId;
+              msg.speakerId = speaker.id;
+              msg.speakerName = speaker.name;
+              const mentions = msg.type === 'text'
+                ? extractMentions(msg.content, speaker.members, getUserDisplayName())
+                : [];
+              if (mentions.length > 0) {
+                msg.mentions = mentions;
+              }
+            }
+
+            messages.push(msg);
+          });
+        }
+      });
     });
 
-    logger.debug('phone','[ResponseParser] 该角色提取到', bubbles.length, '条消息');
-  });
+    momentMessages.forEach(msg => {
+      msg.id = generateMessageId();
+      msg.time = Math.floor(Date.now() / 1000);
+      messages.push(msg);
+    });
+
+    logger.debug('phone','[ResponseParser] 该角色提取到', bubbleCount, '条消息，', momentMessages.length, '条动态操作');
+  }
 
   // 第四步：处理好友申请消息（✅保留在消息列表，同时也保存到申请数据）
+  // 被删除的联系人重新申请 → 申请详情；没加过的名字 → AI介绍的新朋友（NPC），进「新朋友」列表
   const friendRequests = messages.filter(msg => msg.type === 'friend_request');
+  const ignoredRequests = new Set();
   for (const request of friendRequests) {
     try {
-      // 从角色名推导contactId（假设格式为 tavern_角色名）
-      const contactId = `tavern_${request.role}`;
-      // ✅ 传入消息ID（用于回退处理）
-      await addReapplyMessage(contactId, request.content, request.time, request.id);
-      logger.info('phone','[ResponseParser] 已保存好友申请消息:', request.role, request.content.substring(0, 20));
+      const target = await resolveFriendRequest(request.role, request.content, {
+        time: request.time,
+        msgId: request.id,
+        introducedBy: contactId
+      });
+
+      if (!target) {
+        ignoredRequests.add(request);
+        continue;
+      }
+
+      request.friendRequestContactId = target.contactId;
+      request.content = target.content;
+      request.isNewNpc = target.isNewNpc;
+
+      if (!target.isNewNpc) {
+        // ✅ 传入消息ID（用于回退处理）
+        await addReapplyMessage(target.contactId, request.content, request.time, request.id);
+      }
+      logger.info('phone','[ResponseParser] 已保存好友申请消息:', request.role, target.isNewNpc ? '（新朋友）' : '', request.content.substring(0, 20));
     } catch (error) {
       logger.error('phone','[ResponseParser] 保存好友申请消息失败:', error);
     }
   }
-  // ✅ 不再过滤好友申请消息，让它们显示在聊天记录中
-  const regularMessages = messages;
+  // ✅ 不再过滤好友申请消息，让它们显示在聊天记录中（已经是好友的申请除外）
+  const regularMessages = messages.filter(msg => !ignoredRequests.has(msg));
 
   // 第五步：处理引用消息和计划响应占位符（使用编号映射表精确查找）
   await processQuotePlaceholders(regularMessages, contactId, messageNumberMap);
@@ -331,29 +399,32 @@ async function processPlanResponsePlaceholders(messages, contactId, messageNumbe
  * 提取角色块（边界检测，不依赖闭合标签）
  * 
  * @param {string} text - AI原始回复
- * @returns {Array<Object>} 角色块数组 [{ roleName, content }]
+ * @returns {Array<Object>} 角色块数组 [{ roleName, content, isGroup }]（群聊块的 roleName 是群名）
  */
 function extractRoleBlocks(text) {
   const blocks = [];
   const lines = text.split('\n');
   let currentRole = null;
+  let currentIsGroup = false;
   let currentContent = [];
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const roleMatch = line.match(/^\[角色-(.+?)\]/);
+    const roleMatch = line.match(/^\[(角色|群聊)-(.+?)\]/);
 
     if (roleMatch) {
       // 遇到新角色块，保存上一个
       if (currentRole) {
         blocks.push({
           roleName: currentRole,
-          content: currentContent.join('\n')
+          content: currentContent.join('\n'),
+          isGroup: currentIsGroup
         });
       }
 
       // 开始新角色块
-      currentRole = roleMatch[1];
+      currentRole = roleMatch[2];
+      currentIsGroup = roleMatch[1] === '群聊';
       currentContent = [];
     } else if (currentRole) {
       // 收集当前角色的内容
@@ -365,13 +436,77 @@ function extractRoleBlocks(text) {
   if (currentRole) {
     blocks.push({
       roleName: currentRole,
-      content: currentContent.join('\n')
+      content: currentContent.join('\n'),
+      isGroup: currentIsGroup
     });
   }
 
   return blocks;
 }
 
+/**
+ * 按行首成员名拆分群聊块的气泡
+ * 
+ * @async
+ * @param {string} groupName - 群名
+ * @param {string[]} lines - [消息] 里的各行
+ * @returns {Promise<Array<{speaker: Object, bubbles: string[]}>>} 按发言顺序分段（连续同一成员合为一段）
+ * 
+ * @description
+ * 行首「名字：」只有匹配到群成员时才算换人（用 matchContactId 匹配，再确认在群里），
+ * 否则整行算上一位成员的下一条气泡，避免把「注意：」之类的正文误判成发言人。
+ * 群聊不存在或第一行没有成员名时，该行被丢弃。
+ */
+async function splitGroupBubbles(groupName, lines) {
+  const group = await findGroupChatByName(groupName);
+  if (!group) {
+    logger.warn('phone','[ResponseParser] 群聊不存在，跳过该区块:', groupName);
+    return [];
+  }
+
+  const members = await getGroupMembers(group);
+  const segments = [];
+  let current = null;
+
+  for (const line of lines) {
+    const prefixMatch = line.match(/^([^：:\[\]]{1,30}?)[：:]\s*(.+)$/s);
+    const member = prefixMatch ? findGroupMember(prefixMatch[1].trim(), members) : null;
+
+    if (member) {
+      if (!current || current.speaker.id !== member.id) {
+        current = {
+          speaker: { id: member.id, name: member.name, groupId: group.id, members },
+          bubbles: []
+        };
+        segments.push(current);
+      }
+      current.bubbles.push(prefixMatch[2].trim());
+    } else if (current) {
+      current.bubbles.push(line);
+    } else {
+      logger.warn('phone','[ResponseParser] 群聊行缺少发言成员，已忽略:', line.substring(0, 20));
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * 在群成员中查找发言人
+ * 
+ * @param {string} name - 行首的名字
+ * @param {Array<Object>} members - 群成员联系人对象
+ * @returns {Object|null} 成员联系人对象
+ */
+function findGroupMember(name, members) {
+  // 也接受备注名
+  const byRemark = members.find(m => m.remark && m.remark === name);
+  if (byRemark) return byRemark;
+
+  const matchedId = matchContactId(name, members);
+  return members.find(m => m.id === matchedId) || null;
+}
+
 /**
  * 提取消息内容（边界检测）
  * 
@@ -404,6 +539,112 @@ function extractMessagesContent(content) {
   return content.substring(startIndex);
 }
 
+/**
+ * 提取[空间动态]区块内容
+ * 
+ * @param {string} content - 角色块内容
+ * @returns {string|null} 区块内容（不含标签），没有返回 null
+ */
+function extractMomentsContent(content) {
+  const startMatch = content.match(/\[空间动态\]/);
+  if (!startMatch) {
+    return null;
+  }
+
+  const startIndex = startMatch.index + '[空间动态]'.length;
+
+  const boundaries = [
+    content.indexOf('[/空间动态]', startIndex),
+    content.indexOf('[消息]', startIndex),
+    content.indexOf('[操作-', startIndex),
+  ].filter(index => index !== -1);
+
+  const endIndex = boundaries.length > 0 ? Math.min(...boundaries) : content.length;
+  const result = content.substring(startIndex, endIndex).trim();
+  return result || null;
+}
+
+/**
+ * 解析[空间动态]区块的每一行
+ * 
+ * @async
+ * @param {string} momentsContent - 区块内容
+ * @param {string} roleName - 角色名
+ * @returns {Promise<Array<Object>>} type='moment' 的消息（未分配ID和时间）
+ * 
+ * @description
+ * 支持的行：
+ * - [发动态]内容|配图描述（配图可省略）
+ * - [评论-动态编号]内容
+ * - [回复-动态编号-评论人]内容
+ * - [点赞-动态编号]
+ * 动态编号不存在的行直接丢弃（不降级为文字，避免把标签发到聊天里）
+ */
+async function parseMomentsContent(momentsContent, roleName) {
+  const lines = momentsContent
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  const userName = getUserDisplayName();
+  const results = [];
+  let contacts = null;
+
+  for (const line of lines) {
+    const base = { role: roleName, sender: 'contact', type: 'moment', content: line };
+
+    const postMatch = line.match(/^\[发动态\](.+)$/);
+    if (postMatch) {
+      const [text, imageDescription = ''] = postMatch[1].split('|').map(part => part.trim());
+      results.push({ ...base, momentAction: 'post', momentText: text, imageDescription });
+      continue;
+    }
+
+    const likeMatch = line.match(/^\[点赞-#?([^\]]+)\]$/);
+    const commentMatch = line.match(/^\[(评论|回复)-#?([^\]-]+)(?:-([^\]]+))?\](.+)$/);
+    const ref = likeMatch ? likeMatch[1] : commentMatch?.[2];
+    if (!ref) {
+      logger.warn('phone','[ResponseParser] 无法识别的动态行，跳过:', line);
+      continue;
+    }
+
+    const moment = await findMomentByRef(ref);
+    if (!moment) {
+      logger.warn('phone','[ResponseParser] 动态编号不存在，跳过:', ref);
+      continue;
+    }
+
+    if (likeMatch) {
+      results.push({ ...base, momentAction: 'like', momentId: moment.id, momentAuthorId: moment.authorId });
+      continue;
+    }
+
+    // 回复对象：用户名 → 'user'，否则按角色名匹配联系人
+    let replyTo = null;
+    const replyName = commentMatch[3]?.trim();
+    if (replyName) {
+      if (replyName === userName) {
+        replyTo = 'user';
+      } else {
+        contacts = contacts || await loadContacts();
+        replyTo = matchContactId(replyName, contacts);
+      }
+    }
+
+    results.push({
+      ...base,
+      momentAction: 'comment',
+      momentId: moment.id,
+      momentAuthorId: moment.authorId,
+      momentText: commentMatch[4].trim(),
+      replyTo
+    });
+  }
+
+  logger.debug('phone','[ResponseParser] 空间动态解析完成:', roleName, results.length, '条');
+  return results;
+}
+
 /**
  * 合并连续的[好友申请]标签
  * 
@@ -490,6 +731,62 @@ function parseMessageBubble(bubble, roleName) {
     };
   }
 
+  // 2.1 语音消息：[语音]时长|转文字（时长可省略）
+  const voiceMatch = bubble.match(/^\[语音\](.+)$/s);
+  if (voiceMatch) {
+    const rest = voiceMatch[1].trim();
+    const separatorIndex = rest.search(/[|｜]/);
+    const duration = separatorIndex >= 0 ? parseDurationText(rest.substring(0, separatorIndex)) : null;
+    const transcript = (duration !== null ? rest.substring(separatorIndex + 1) : rest).trim();
+
+    logger.debug('phone','[ResponseParser] 语音消息:', duration, transcript.substring(0, 20));
+    return {
+      role: roleName,
+      sender: 'contact',
+      type: 'voice',
+      duration: duration || estimateVoiceDuration(transcript),
+      transcript
+    };
+  }
+
+  // 2.2 通话记录：[通话]语音|3分12秒 / [通话]视频|未接
+  const callMatch = bubble.match(/^\[通话\](语音|视频)(?:通话)?\s*[|｜]\s*(.+)$/);
+  if (callMatch) {
+    const callType = callMatch[1] === CALL_TYPE_TEXT.video ? 'video' : 'voice';
+    const detail = callMatch[2].trim();
+    const duration = parseDurationText(detail);
+    const callStatus = duration !== null
+      ? 'completed'
+      : (Object.keys(CALL_STATUS_TEXT).find(key => detail.startsWith(CALL_STATUS_TEXT[key])) || 'missed');
+
+    logger.debug('phone','[ResponseParser] 通话记录:', callType, callStatus, duration);
+    return {
+      role: roleName,
+      sender: 'contact',
+      type: 'call',
+      callType,
+      callStatus,
+      duration: duration || 0
+    };
+  }
+
+  // 2.3 位置分享：[位置]地点名|地址|备注（地址、备注可省略）
+  const locationMatch = bubble.match(/^\[位置\](.+)$/s);
+  if (locationMatch) {
+    const [name, address = '', ...noteParts] = locationMatch[1].split(/[|｜]/).map(part => part.trim());
+    if (name) {
+      logger.debug('phone','[ResponseParser] 位置分享:', name, address);
+      return {
+        role: roleName,
+        sender: 'contact',
+        type: 'location',
+        name,
+        address,
+        note: noteParts.join('|').trim()
+      };
+    }
+  }
+
   // 3. 送会员消息：[送会员]VIP/1个月 或 [送会员]VIP|1个月（兼容两种分隔符）
   const giftMembershipMatch = bubble.match(/^\[送会员\](VIP|SVIP)[/|](\d+)个月$/);
   if (giftMembershipMatch) {
@@ -787,19 +1084,19 @@ function parseMessageBubble(bubble, roleName) {
  * @returns {boolean} 是否格式正确
  */
 export function validateAIResponse(response) {
-  // 检查是否包含角色标签
-  const hasRoleTag = /\[角色-.+?\]/.test(response);
+  // 检查是否包含角色标签（或群聊标签）
+  const hasRoleTag = /\[(角色|群聊)-.+?\]/.test(response);
 
   if (!hasRoleTag) {
     logger.warn('phone','[ResponseParser] 格式错误：缺少[角色-XXX]标签');
     return false;
   }
 
-  // 检查是否包含消息标签
-  const hasMessageTag = /\[消息\]/.test(response);
+  // 检查是否包含消息标签（只发空间动态也算有效回复）
+  const hasMessageTag = /\[(消息|空间动态)\]/.test(response);
 
   if (!hasMessageTag) {
-    logger.warn('phone','[ResponseParser] 格式错误：缺少[消息]标签');
+    logger.warn('phone','[ResponseParser] 格式错误：缺少[消息]或[空间动态]标签');
     return false;
   }
 
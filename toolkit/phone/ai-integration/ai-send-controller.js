@@ -15,19 +15,16 @@ import { parseAIResponse, validateAIResponse, matchContactId } from './ai-respon
 import { getPendingMessages, clearPendingMessages, getAllPendingOperations } from './pending-operations.js';
 import { loadContacts } from '../contacts/contact-list-data.js';
 import { saveChatMessage, loadChatHistory } from '../messages/message-chat-data.js';
+import { showInfoToast } from '../ui-components/toast-notification.js';
 import { extension_settings, getContext } from '../../../../../../../scripts/extensions.js';
-import { getRequestHeaders, extractMessageFromData, eventSource, event_types } from '../../../../../../../script.js';
-import { chat_completion_sources, oai_settings, getStreamingReply } from '../../../../../../../scripts/openai.js';
+import { getRequestHeaders, extractMessageFromData, eventSource, event_types, main_api } from '../../../../../../../script.js';
+import { chat_completion_sources, oai_settings, getStreamingReply, getChatCompletionModel } from '../../../../../../../scripts/openai.js';
 import { getEventSourceStream } from '../../../../../../../scripts/sse-stream.js';
 import { generate, generateStream, generateWithDefault } from '../../../shared/api/api-client.js';
 import { resolveSource, getDefaultUrl } from '../../../shared/api/api-config-schema.js';
+import { supportsTools } from '../../../shared/api/api-request-builder.js';
 import { ApiError, API_ERROR_TYPES } from '../../../shared/api/api-errors.js';
-import {
-  getToolDefinitions,
-  extractToolCallsFromOpenAI,
-  extractToolCallsFromGemini,
-  executeToolCalls
-} from './ai-tool-calling.js';
+import { getToolDefinitions, extractToolCalls, toolCallsToResponseText } from './ai-tool-calling.js';
 import { getDefaultParams } from '../../../shared/api/api-params-config.js';
 
 // ========================================
@@ -225,6 +222,34 @@ export class PhoneAPI {
     };
   }
 
+  /**
+   * 单次请求（非流式，不走聊天流程，用于空间动态互动等后台生成）
+   *
+   * @async
+   * @param {Array<Object>} messages - messages数组
+   * @param {AbortSignal} [signal] - 终止信号
+   * @returns {Promise<string>} 回复文本
+   * @throws {Error} 自定义API未配置或请求失败时
+   */
+  async requestText(messages, signal) {
+    const apiSettings = this.getSettings().apiConfig || { source: 'default' };
+
+    if (apiSettings.source === 'custom') {
+      const currentConfig = this.getCurrentCustomConfig();
+      if (!currentConfig || !currentConfig.baseUrl) {
+        throw new Error('请先在API设置中配置自定义API');
+      }
+      const result = await generate(this.buildSharedApiConfig(currentConfig, false), messages, {
+        signal,
+        module: 'phone'
+      });
+      return result?.text || '';
+    }
+
+    const result = await generateWithDefault(messages, { signal, module: 'phone' });
+    return result?.text || '';
+  }
+
   /**
    * 发送消息到AI并处理回复
    *
@@ -246,6 +271,9 @@ export class PhoneAPI {
    * - image: { sender, description, time, type: 'image' }
    * - video: { sender, description, time, type: 'video' }
    * - file: { sender, filename, size, time, type: 'file' }
+   * - voice: { sender, duration, transcript, time, type: 'voice' }
+   * - call: { sender, callType, callStatus, duration, time, type: 'call' }
+   * - location: { sender, name, address, note, time, type: 'location' }
    *
    * ✅ 支持重roll场景（2025-11-07新增）：
    * - 如果提供 options.allPendingMessages，则使用该数据构建上下文
@@ -257,10 +285,9 @@ export class PhoneAPI {
     // ✅ 检查是否启用工具调用
     const phoneSettings = this.getSettings();
     const useToolCalling = phoneSettings.apiConfig?.useToolCalling || false;
-    const apiSource = phoneSettings.apiConfig?.source || 'default';
 
-    // 工具调用仅在自定义API模式下可用
-    if (useToolCalling && apiSource === 'custom') {
+    // 接口要支持工具（OpenAI、Claude、Gemini 等），自定义API和酒馆当前连接都看实际的 API 源
+    if (useToolCalling && this.canUseToolCalling()) {
       logger.info('phone', '[PhoneAPI.sendToAI] 使用工具调用模式');
       return await this.sendToAIWithToolCalling(contactId, onMessageReceived, onComplete, onError, options);
     }
@@ -707,273 +734,339 @@ export class PhoneAPI {
         return;
       }
 
-      // 获取联系人列表（用于匹配角色名）
-      const contacts = await loadContacts();
-
-      // ✅ 如果有新的 API 元数据（如 Gemini 签名），先清除所有联系人的旧签名
-      if (Object.keys(responseMetadata).length > 0) {
-        logger.info('phone', '[PhoneAPI] 检测到新的 API 元数据，开始清除旧签名...');
-        const { loadChatHistory, saveChatHistory } = await import('../messages/message-chat-data.js');
-
-        // 获取本次响应涉及的所有角色（从 parsedMessages 提取）
-        const involvedContactIds = new Set(
-          parsedMessages
-            .map(msg => msg.role)
-            .map(roleName => {
-              const contact = contacts.find(c => c.name === roleName || c.name.replace(/\s/g, '') === roleName.replace(/\s/g, ''));
-              return contact ? contact.id : `tavern_${roleName}`;
-            })
-        );
+      // 逐条保存并显示（按角色路由到各自的聊天）
+      await this.deliverParsedMessages(contactId, parsedMessages, responseMetadata, onMessageReceived);
 
-        // 清除每个涉及联系人的旧签名
-        for (const cid of involvedContactIds) {
-          const history = await loadChatHistory(cid);
-          let hasOldSignature = false;
+      // ✅ 触发生成完成事件
+      document.dispatchEvent(new CustomEvent('phone-ai-generation-complete', {
+        detail: { contactId }
+      }));
+      logger.debug('phone', '[PhoneAPI] 已触发 phone-ai-generation-complete 事件');
 
-          // 遍历消息，清除旧签名
-          history.forEach(msg => {
-            if (msg.metadata?.gemini?.thoughtSignature) {
-              delete msg.metadata.gemini.thoughtSignature;
-              hasOldSignature = true;
+      // 完成回调（保持向后兼容）
+      onComplete?.();
 
-              // 如果 gemini 对象为空，也删除它
-              if (Object.keys(msg.metadata.gemini).length === 0) {
-                delete msg.metadata.gemini;
-              }
+      logger.info('phone', '[PhoneAPI] 发送流程完成');
 
-              // 如果 metadata 对象为空，也删除它
-              if (Object.keys(msg.metadata).length === 0) {
-                delete msg.metadata;
-              }
-            }
-          });
+    } catch (error) {
+      logger.error('phone', '[PhoneAPI] 发送失败:', error);
 
-          // 如果有旧签名被删除，保存更新后的历史记录
-          if (hasOldSignature) {
-            await saveChatHistory(cid, history);
-            logger.info('phone', `[PhoneAPI] 已清除联系人 ${cid} 的旧签名`);
-          }
-        }
+      // ✅ 保存错误信息到调试器
+      const { saveDebugVersion } = await import('../messages/message-debug-ui.js');
+      const errorText = `错误: ${error.message || error}\n\n完整错误信息:\n${JSON.stringify(error, null, 2)}`;
+      saveDebugVersion(contactId, errorText);
 
-        logger.info('phone', '[PhoneAPI] 旧签名清除完成，准备保存新签名');
-      }
+      // ✅ 触发生成错误事件
+      document.dispatchEvent(new CustomEvent('phone-ai-generation-error', {
+        detail: { contactId, error: error.message || '发送失败' }
+      }));
+      logger.debug('phone', '[PhoneAPI] 已触发 phone-ai-generation-error 事件');
 
-      // ✅ 收集所有触发的联系人ID（用于清空待发送消息）
-      const triggeredContactIds = new Set();
+      // 错误回调（保持向后兼容）
+      onError?.(error.message || '发送失败');
+    } finally {
+      // 清理终止控制器
+      this.currentAbortController = null;
+      this.isGenerating = false;
+      this.currentGeneratingContactId = null;  // ← 清空正在生成的联系人ID
+    }
+  }
 
-      // 逐条处理消息
-      for (let i = 0; i < parsedMessages.length; i++) {
-        const msg = parsedMessages[i];
+  /**
+   * 保存并显示解析后的AI消息（标签模式和工具调用模式共用）
+   *
+   * @async
+   * @param {string} contactId - 当前聊天的联系人ID
+   * @param {Array<Object>} parsedMessages - parseAIResponse 的结果
+   * @param {Object} responseMetadata - API 元数据（如 Gemini 的 thoughtSignature），附加到第一条消息
+   * @param {Function} [onMessageReceived] - 当前聊天收到消息的回调（显示气泡）
+   * @returns {Promise<void>}
+   *
+   * @description
+   * 按角色把消息路由到各自的聊天：当前聊天的消息触发回调显示气泡，
+   * 其他联系人的消息只保存并触发全局通知；最后清空所有涉及联系人的待发送消息
+   */
+  async deliverParsedMessages(contactId, parsedMessages, responseMetadata, onMessageReceived) {
+    // 获取联系人列表（用于匹配角色名）
+    const contacts = await loadContacts();
+
+    // ✅ 如果有新的 API 元数据（如 Gemini 签名），先清除所有联系人的旧签名
+    if (Object.keys(responseMetadata).length > 0) {
+      logger.info('phone', '[PhoneAPI] 检测到新的 API 元数据，开始清除旧签名...');
+      const { loadChatHistory, saveChatHistory } = await import('../messages/message-chat-data.js');
+
+      // 获取本次响应涉及的所有角色（从 parsedMessages 提取）
+      const involvedContactIds = new Set(
+        parsedMessages
+          .map(msg => {
+            // 群聊消息的签名存在群聊记录里
+            if (msg.groupId) return msg.groupId;
+            const roleName = msg.role;
+            const contact = contacts.find(c => c.name === roleName || c.name.replace(/\s/g, '') === roleName.replace(/\s/g, ''));
+            return contact ? contact.id : `tavern_${roleName}`;
+          })
+      );
 
-        // ✅ 特殊处理：好友申请消息（联系人已被删除，不在列表中）
-        if (msg.type === 'friend_request') {
-          // 从角色名推导contactId（格式：tavern_角色名）
-          const friendRequestContactId = `tavern_${msg.role}`;
+      // 清除每个涉及联系人的旧签名
+      for (const cid of involvedContactIds) {
+        const history = await loadChatHistory(cid);
+        let hasOldSignature = false;
 
-          logger.debug('phone', '[PhoneAPI] 处理好友申请消息:', msg.role, '→', friendRequestContactId);
+        // 遍历消息，清除旧签名
+        history.forEach(msg => {
+          if (msg.metadata?.gemini?.thoughtSignature) {
+            delete msg.metadata.gemini.thoughtSignature;
+            hasOldSignature = true;
 
-          // 保存消息到聊天记录
-          const message = {
-            id: msg.id,
-            sender: 'contact',
-            time: msg.time,
-            type: 'friend_request',
-            content: msg.content
-          };
+            // 如果 gemini 对象为空，也删除它
+            if (Object.keys(msg.metadata.gemini).length === 0) {
+              delete msg.metadata.gemini;
+            }
 
-          await saveChatMessage(friendRequestContactId, message);
+            // 如果 metadata 对象为空，也删除它
+            if (Object.keys(msg.metadata).length === 0) {
+              delete msg.metadata;
+            }
+          }
+        });
 
-          // 模拟打字间隔（好友申请消息不需要太长间隔）
-          const typingDelay = 800;
-          logger.debug('phone', '[PhoneAPI] 模拟打字中...', typingDelay, 'ms（好友申请）');
-          await new Promise(resolve => setTimeout(resolve, typingDelay));
+        // 如果有旧签名被删除，保存更新后的历史记录
+        if (hasOldSignature) {
+          await saveChatHistory(cid, history);
+          logger.info('phone', `[PhoneAPI] 已清除联系人 ${cid} 的旧签名`);
+        }
+      }
 
-          // ✅ 好友申请消息不应在当前聊天界面显示（因为是其他联系人的消息）
-          // 只触发全局消息列表刷新事件（显示小红点）
-          logger.debug('phone', '[PhoneAPI] 触发全局消息列表刷新');
-          document.dispatchEvent(new CustomEvent('phone-message-received', {
-            detail: { contactId: friendRequestContactId, message }
-          }));
+      logger.info('phone', '[PhoneAPI] 旧签名清除完成，准备保存新签名');
+    }
 
-          logger.info('phone', '[PhoneAPI] 好友申请消息已保存，不在当前界面显示');
-          continue;  // 跳过后续的普通消息处理逻辑
-        }
+    // ✅ 收集所有触发的联系人ID（用于清空待发送消息）
+    const triggeredContactIds = new Set();
 
-        // 匹配联系人ID（支持多角色消息路由）
-        const matchedContactId = matchContactId(msg.role, contacts);
+    // 逐条处理消息
+    for (let i = 0; i < parsedMessages.length; i++) {
+      const msg = parsedMessages[i];
 
-        if (!matchedContactId) {
-          logger.warn('phone', '[PhoneAPI] 跳过未知角色的消息:', msg.role);
+      // ✅ 特殊处理：好友申请消息（联系人已被删除，不在列表中）
+      if (msg.type === 'friend_request') {
+        // AI介绍的新朋友：申请已进「新朋友」列表，同意后才有聊天记录
+        if (msg.isNewNpc) {
+          showInfoToast(`${msg.role} 请求添加你为好友`);
+          logger.info('phone', '[PhoneAPI] 新朋友好友申请已加入新朋友列表:', msg.role);
           continue;
         }
 
-        // ✅ 新逻辑：所有消息都处理，但根据目标联系人路由
-        const isCurrentChat = (matchedContactId === contactId);
-
-        // 收集触发的联系人ID
-        triggeredContactIds.add(matchedContactId);
+        // 解析器已找到被删除联系人的ID（兼容旧格式：tavern_角色名）
+        const friendRequestContactId = msg.friendRequestContactId || `tavern_${msg.role}`;
 
-        if (!isCurrentChat) {
-          logger.info('phone', '[PhoneAPI] 检测到其他联系人的消息，将保存并触发通知:', msg.role);
-        }
+        logger.debug('phone', '[PhoneAPI] 处理好友申请消息:', msg.role, '→', friendRequestContactId);
 
-        // 保存消息到数据库（保留解析器返回的ID和时间戳，避免误删）
+        // 保存消息到聊天记录
         const message = {
-          id: msg.id,           // 保留解析器生成的唯一ID
+          id: msg.id,
           sender: 'contact',
-          time: msg.time,       // 保留解析器生成的时间戳
-          type: msg.type || 'text'
+          time: msg.time,
+          type: 'friend_request',
+          content: msg.content
         };
 
-        // 根据消息类型填充不同字段
-        switch (msg.type) {
-          case 'emoji':
-            message.content = msg.content;  // 表情包名称
-            break;
-          case 'redpacket':
-            message.amount = msg.amount;    // 红包金额
-            break;
-          case 'transfer':
-            message.amount = msg.amount;    // 转账金额
-            message.message = msg.message;  // 转账留言
-            break;
-          case 'gift-membership':
-            message.membershipType = msg.membershipType;  // 会员类型（vip/svip）
-            message.months = msg.months;                  // 月数
-            message.duration = msg.duration;              // 时长标识（monthly/annual）
-            message.content = msg.content;                // 显示文本
-            break;
-          case 'buy-membership':
-            message.membershipType = msg.membershipType;  // 会员类型（vip/svip）
-            message.months = msg.months;                  // 月数
-            message.content = msg.content;                // 显示文本
-            break;
-          case 'image':
-            message.description = msg.description;  // 图片描述
-            message.imageUrl = msg.imageUrl;        // 图片链接（可选）
-            break;
-          case 'video':
-            message.description = msg.description;  // 视频描述
-            break;
-          case 'file':
-            message.filename = msg.filename;  // 文件名
-            message.size = msg.size;          // 文件大小
-            break;
-          case 'quote':
-            message.quotedMessage = msg.quotedMessage;  // 被引用的消息（完整快照）
-            message.replyContent = msg.replyContent;    // 回复内容
-            break;
-          case 'recalled-pending':
-            // 待撤回消息：保留所有字段（用于触发动画）
-            message.originalContent = msg.originalContent;  // 原始消息内容
-            message.originalType = msg.originalType;        // 原始消息类型
-            message.canPeek = msg.canPeek;                  // 是否可以偷看
-            message.role = msg.role;                        // 角色名称
-            break;
-          case 'text':
-          default:
-            message.content = msg.content;  // 文字内容
-            break;
-        }
+        await saveChatMessage(friendRequestContactId, message);
 
-        // ✅ 待撤回消息：保存为recalled类型（存储里不保存pending状态）
-        const messageToSave = message.type === 'recalled-pending'
-          ? {
-            ...message,
-            type: 'recalled',  // 转换为recalled保存
-            recalledTime: message.time  // 记录撤回时间
-          }
-          : message;
+        // 模拟打字间隔（好友申请消息不需要太长间隔）
+        const typingDelay = 800;
+        logger.debug('phone', '[PhoneAPI] 模拟打字中...', typingDelay, 'ms（好友申请）');
+        await new Promise(resolve => setTimeout(resolve, typingDelay));
 
-        // ✅ 为第一条 assistant 消息添加 API 元数据（如 Gemini 的 thoughtSignature）
-        // 官方要求：签名附加到整个回复的第一个 part
-        logger.debug('phone', `[PhoneAPI] 检查元数据附加条件: i=${i}, msg.sender=${msg.sender}, responseMetadata.keys=${Object.keys(responseMetadata)}, 条件满足=${i === 0 && msg.sender === 'contact' && Object.keys(responseMetadata).length > 0}`);
+        // ✅ 好友申请消息不应在当前聊天界面显示（因为是其他联系人的消息）
+        // 只触发全局消息列表刷新事件（显示小红点）
+        logger.debug('phone', '[PhoneAPI] 触发全局消息列表刷新');
+        document.dispatchEvent(new CustomEvent('phone-message-received', {
+          detail: { contactId: friendRequestContactId, message }
+        }));
 
-        if (i === 0 && msg.sender === 'contact' && Object.keys(responseMetadata).length > 0) {
-          messageToSave.metadata = responseMetadata;
-          logger.info('phone', '[PhoneAPI] ✅ 第一条 assistant 消息已附加 API 元数据:', Object.keys(responseMetadata));
-        }
+        logger.info('phone', '[PhoneAPI] 好友申请消息已保存，不在当前界面显示');
+        continue;  // 跳过后续的普通消息处理逻辑
+      }
 
-        // ✅ 保存到目标联系人的聊天记录（不是当前界面的contactId）
-        await saveChatMessage(matchedContactId, messageToSave);
+      // 匹配联系人ID（支持多角色消息路由；群聊消息由解析器直接给出群聊ID）
+      const matchedContactId = msg.groupId || matchContactId(msg.role, contacts);
 
-        // ❌ 已删除：转账消息自动到账逻辑
-        // 理由：业务逻辑已统一到 transfer-message.js 渲染器中处理
-        // 现在无论是重roll、重新应用还是手动添加，都会在渲染时自动保存转账记录
-        // 这样架构更统一，避免"重新应用"绕过此处导致转账不生效的问题
+      if (!matchedContactId) {
+        logger.warn('phone', '[PhoneAPI] 跳过未知角色的消息:', msg.role);
+        continue;
+      }
 
-        // 如果不是第一条消息，先延迟（模拟打字时间）
-        if (i > 0) {
-          const delay = this.calculateTypingDelay(message);
-          logger.debug('phone', '[PhoneAPI] 模拟打字中...', delay, 'ms（字数:', message.content?.length || 0, '）');
-          await this.sleep(delay);
-        }
+      // ✅ 新逻辑：所有消息都处理，但根据目标联系人路由
+      const isCurrentChat = (matchedContactId === contactId);
 
-        // ✅ 判断是否需要立即显示（只有当前聊天界面的消息才立即显示）
-        if (isCurrentChat) {
-          // 触发回调（显示气泡）
-          logger.debug('phone', '[PhoneAPI] 触发onMessageReceived回调，消息类型:', message.type);
-          if (onMessageReceived) {
-            try {
-              // ✅ 只传递 message 参数，contactId 可以从 message.contactId 获取
-              await onMessageReceived(message);
-              logger.debug('phone', '[PhoneAPI] 消息已显示');
-            } catch (error) {
-              logger.error('phone', '[PhoneAPI] onMessageReceived回调执行失败:', error);
-              throw error;
-            }
-          } else {
-            logger.warn('phone', '[PhoneAPI] onMessageReceived回调未定义！');
-          }
-        } else {
-          // ✅ 其他联系人的消息：触发全局事件（更新消息列表小红点）
-          logger.debug('phone', '[PhoneAPI] 触发全局消息列表刷新');
-          document.dispatchEvent(new CustomEvent('phone-message-received', {
-            detail: { contactId: matchedContactId, message }
-          }));
-          logger.info('phone', '[PhoneAPI] 其他联系人消息已保存并触发通知:', msg.role);
+      // 收集触发的联系人ID
+      triggeredContactIds.add(matchedContactId);
+
+      if (!isCurrentChat) {
+        logger.info('phone', '[PhoneAPI] 检测到其他联系人的消息，将保存并触发通知:', msg.role);
+      }
+
+      // 保存消息到数据库（保留解析器返回的ID和时间戳，避免误删）
+      const message = {
+        id: msg.id,           // 保留解析器生成的唯一ID
+        sender: 'contact',
+        time: msg.time,       // 保留解析器生成的时间戳
+        type: msg.type || 'text'
+      };
+
+      // 群聊消息：记录发言成员和 @ 提及
+      if (msg.groupId) {
+        message.speakerId = msg.speakerId;
+        message.speakerName = msg.speakerName;
+        if (msg.mentions) {
+          message.mentions = msg.mentions;
         }
       }
 
-      // ✅ 清空所有触发联系人的待发送消息
-      triggeredContactIds.forEach(triggeredId => {
-        clearPendingMessages(triggeredId);
-        logger.debug('phone', '[PhoneAPI] 已清空待发送消息:', triggeredId);
-      });
+      // 根据消息类型填充不同字段
+      switch (msg.type) {
+        case 'emoji':
+          message.content = msg.content;  // 表情包名称
+          break;
+        case 'redpacket':
+          message.amount = msg.amount;    // 红包金额
+          break;
+        case 'transfer':
+          message.amount = msg.amount;    // 转账金额
+          message.message = msg.message;  // 转账留言
+          break;
+        case 'gift-membership':
+          message.membershipType = msg.membershipType;  // 会员类型（vip/svip）
+          message.months = msg.months;                  // 月数
+          message.duration = msg.duration;              // 时长标识（monthly/annual）
+          message.content = msg.content;                // 显示文本
+          break;
+        case 'buy-membership':
+          message.membershipType = msg.membershipType;  // 会员类型（vip/svip）
+          message.months = msg.months;                  // 月数
+          message.content = msg.content;                // 显示文本
+          break;
+        case 'image':
+          message.description = msg.description;  // 图片描述
+          message.imageUrl = msg.imageUrl;        // 图片链接（可选）
+          break;
+        case 'video':
+          message.description = msg.description;  // 视频描述
+          break;
+        case 'file':
+          message.filename = msg.filename;  // 文件名
+          message.size = msg.size;          // 文件大小
+          break;
+        case 'voice':
+          message.duration = msg.duration;      // 语音时长（秒）
+          message.transcript = msg.transcript;  // 转文字内容
+          break;
+        case 'call':
+          message.callType = msg.callType;      // voice/video
+          message.callStatus = msg.callStatus;  // completed/missed/declined/cancelled
+          message.duration = msg.duration;      // 通话时长（秒）
+          break;
+        case 'location':
+          message.name = msg.name;        // 地点名
+          message.address = msg.address;  // 地址
+          message.note = msg.note;        // 备注
+          break;
+        case 'quote':
+          message.quotedMessage = msg.quotedMessage;  // 被引用的消息（完整快照）
+          message.replyContent = msg.replyContent;    // 回复内容
+          break;
+        case 'moment':
+          message.content = msg.content;                    // 原始行（AI上下文用）
+          message.momentAction = msg.momentAction;          // post/comment/like
+          message.momentText = msg.momentText;              // 动态/评论正文
+          message.imageDescription = msg.imageDescription;  // 配图描述
+          message.momentId = msg.momentId;                  // 目标动态ID
+          message.momentAuthorId = msg.momentAuthorId;      // 目标动态作者
+          message.replyTo = msg.replyTo;                    // 回复的人
+          break;
+        case 'recalled-pending':
+          // 待撤回消息：保留所有字段（用于触发动画）
+          message.originalContent = msg.originalContent;  // 原始消息内容
+          message.originalType = msg.originalType;        // 原始消息类型
+          message.canPeek = msg.canPeek;                  // 是否可以偷看
+          message.role = msg.role;                        // 角色名称
+          break;
+        case 'text':
+        default:
+          message.content = msg.content;  // 文字内容
+          break;
+      }
 
-      // ✅ 触发生成完成事件
-      document.dispatchEvent(new CustomEvent('phone-ai-generation-complete', {
-        detail: { contactId }
-      }));
-      logger.debug('phone', '[PhoneAPI] 已触发 phone-ai-generation-complete 事件');
+      // ✅ 待撤回消息：保存为recalled类型（存储里不保存pending状态）
+      const messageToSave = message.type === 'recalled-pending'
+        ? {
+          ...message,
+          type: 'recalled',  // 转换为recalled保存
+          recalledTime: message.time  // 记录撤回时间
+        }
+        : message;
 
-      // 完成回调（保持向后兼容）
-      onComplete?.();
+      // ✅ 为第一条 assistant 消息添加 API 元数据（如 Gemini 的 thoughtSignature）
+      // 官方要求：签名附加到整个回复的第一个 part
+      logger.debug('phone', `[PhoneAPI] 检查元数据附加条件: i=${i}, msg.sender=${msg.sender}, responseMetadata.keys=${Object.keys(responseMetadata)}, 条件满足=${i === 0 && msg.sender === 'contact' && Object.keys(responseMetadata).length > 0}`);
 
-      logger.info('phone', '[PhoneAPI] 发送流程完成');
+      if (i === 0 && msg.sender === 'contact' && Object.keys(responseMetadata).length > 0) {
+        messageToSave.metadata = responseMetadata;
+        logger.info('phone', '[PhoneAPI] ✅ 第一条 assistant 消息已附加 API 元数据:', Object.keys(responseMetadata));
+      }
 
-    } catch (error) {
-      logger.error('phone', '[PhoneAPI] 发送失败:', error);
+      // ✅ 保存到目标联系人的聊天记录（不是当前界面的contactId）
+      await saveChatMessage(matchedContactId, messageToSave);
 
-      // ✅ 保存错误信息到调试器
-      const { saveDebugVersion } = await import('../messages/message-debug-ui.js');
-      const errorText = `错误: ${error.message || error}\n\n完整错误信息:\n${JSON.stringify(error, null, 2)}`;
-      saveDebugVersion(contactId, errorText);
+      // 空间动态：立即写入动态数据（不依赖聊天页渲染，动态页马上能看到）
+      if (message.type === 'moment') {
+        const { applyMomentMessage } = await import('../moments/moments-data.js');
+        await applyMomentMessage(matchedContactId, message);
+      }
 
-      // ✅ 触发生成错误事件
-      document.dispatchEvent(new CustomEvent('phone-ai-generation-error', {
-        detail: { contactId, error: error.message || '发送失败' }
-      }));
-      logger.debug('phone', '[PhoneAPI] 已触发 phone-ai-generation-error 事件');
+      // ❌ 已删除：转账消息自动到账逻辑
+      // 理由：业务逻辑已统一到 transfer-message.js 渲染器中处理
+      // 现在无论是重roll、重新应用还是手动添加，都会在渲染时自动保存转账记录
+      // 这样架构更统一，避免"重新应用"绕过此处导致转账不生效的问题
 
-      // 错误回调（保持向后兼容）
-      onError?.(error.message || '发送失败');
-    } finally {
-      // 清理终止控制器
-      this.currentAbortController = null;
-      this.isGenerating = false;
-      this.currentGeneratingContactId = null;  // ← 清空正在生成的联系人ID
+      // 如果不是第一条消息，先延迟（模拟打字时间）
+      if (i > 0) {
+        const delay = this.calculateTypingDelay(message);
+        logger.debug('phone', '[PhoneAPI] 模拟打字中...', delay, 'ms（字数:', message.content?.length || 0, '）');
+        await this.sleep(delay);
+      }
+
+      // ✅ 判断是否需要立即显示（只有当前聊天界面的消息才立即显示）
+      if (isCurrentChat) {
+        // 触发回调（显示气泡）
+        logger.debug('phone', '[PhoneAPI] 触发onMessageReceived回调，消息类型:', message.type);
+        if (onMessageReceived) {
+          try {
+            // ✅ 只传递 message 参数，contactId 可以从 message.contactId 获取
+            await onMessageReceived(message);
+            logger.debug('phone', '[PhoneAPI] 消息已显示');
+          } catch (error) {
+            logger.error('phone', '[PhoneAPI] onMessageReceived回调执行失败:', error);
+            throw error;
+          }
+        } else {
+          logger.warn('phone', '[PhoneAPI] onMessageReceived回调未定义！');
+        }
+      } else {
+        // ✅ 其他联系人的消息：触发全局事件（更新消息列表小红点）
+        logger.debug('phone', '[PhoneAPI] 触发全局消息列表刷新');
+        document.dispatchEvent(new CustomEvent('phone-message-received', {
+          detail: { contactId: matchedContactId, message }
+        }));
+        logger.info('phone', '[PhoneAPI] 其他联系人消息已保存并触发通知:', msg.role);
+      }
     }
+
+    // ✅ 清空所有触发联系人的待发送消息
+    triggeredContactIds.forEach(triggeredId => {
+      clearPendingMessages(triggeredId);
+      logger.debug('phone', '[PhoneAPI] 已清空待发送消息:', triggeredId);
+    });
   }
 
   /**
@@ -1335,6 +1428,90 @@ export class PhoneAPI {
     return extension_settings[EXT_ID][MODULE_NAME];
   }
 
+  /**
+   * 酒馆当前连接的共享 API 配置（默认API模式用）
+   *
+   * @description
+   * 不带 API 密钥，由酒馆后端读取已保存的密钥；
+   * 酒馆设置了反向代理时一并带上
+   *
+   * @returns {Object} 共享 API 配置
+   */
+  buildDefaultApiConfig() {
+    const source = oai_settings.chat_completion_source || chat_completion_sources.OPENAI;
+    const config = {
+      source,
+      model: getChatCompletionModel(),
+      stream: false,
+      maxTokens: Number(oai_settings.openai_max_tokens) || undefined,
+      temperature: oai_settings.temp_openai,
+      topP: oai_settings.top_p_openai,
+      topK: oai_settings.top_k_openai,
+      frequencyPenalty: oai_settings.freq_pen_openai,
+      presencePenalty: oai_settings.pres_pen_openai,
+      repetitionPenalty: oai_settings.repetition_penalty_openai,
+      minP: oai_settings.min_p_openai,
+      topA: oai_settings.top_a_openai
+    };
+
+    if (source === chat_completion_sources.CUSTOM) {
+      config.customUrl = oai_settings.custom_url;
+    } else if (oai_settings.reverse_proxy) {
+      config.baseUrl = oai_settings.reverse_proxy;
+      config.apiKey = oai_settings.proxy_password;
+    }
+
+    if (source === chat_completion_sources.AZURE_OPENAI) {
+      config.azureConfig = {
+        baseUrl: oai_settings.azure_base_url,
+        deploymentName: oai_settings.azure_deployment_name,
+        apiVersion: oai_settings.azure_api_version
+      };
+    }
+    return config;
+  }
+
+  /**
+   * 工具调用模式用的共享 API 配置
+   *
+   * @description
+   * 自定义API模式用当前自定义配置；默认API模式用酒馆当前连接（需要是 Chat Completion）。
+   * 接口不支持工具时返回 null，走标签解析模式
+   *
+   * @returns {Object|null} 共享 API 配置
+   */
+  getToolCallingConfig() {
+    const apiSource = this.getSettings().apiConfig?.source || 'default';
+
+    let config;
+    if (apiSource === 'custom') {
+      const currentConfig = this.getCurrentCustomConfig();
+      if (!currentConfig) return null;
+      config = this.buildSharedApiConfig(currentConfig, false);
+    } else {
+      if (main_api !== 'openai') {
+        logger.info('phone', '[PhoneAPI] 酒馆当前不是 Chat Completion 连接，使用标签解析模式:', main_api);
+        return null;
+      }
+      config = this.buildDefaultApiConfig();
+    }
+
+    if (!supportsTools(config.source)) {
+      logger.info('phone', '[PhoneAPI] 当前接口不支持工具调用，使用标签解析模式:', config.source);
+      return null;
+    }
+    return config;
+  }
+
+  /**
+   * 当前接口是否支持工具调用
+   *
+   * @returns {boolean}
+   */
+  canUseToolCalling() {
+    return this.getToolCallingConfig() !== null;
+  }
+
   /**
    * 使用工具调用方式发送消息（Function Calling）
    *
@@ -1429,75 +1606,79 @@ export class PhoneAPI {
       const tools = getToolDefinitions();
       logger.debug('phone', '[PhoneAPI] 工具定义已加载，共', tools.length, '个工具');
 
-      const currentConfig = this.getCurrentCustomConfig();
-      if (!currentConfig) {
-        throw new Error('未找到 API 配置，请先在手机 API 设置页完成配置');
+      const toolApiConfig = this.getToolCallingConfig();
+      if (!toolApiConfig) {
+        throw new Error('当前 API 不支持工具调用，请检查手机 API 设置');
       }
-      const source = resolveSource(currentConfig.format || 'openai');
+      const source = toolApiConfig.source;
       logger.info('phone', '[PhoneAPI] 使用工具调用，API来源:', source);
 
       // 调用 API（走 shared/api + ST 后端）
-      const result = await this.callDirectAPIWithTools(
-        messages,
-        tools,
-        currentConfig,
-        this.currentAbortController.signal
-      );
+      let result;
+      try {
+        result = await this.callDirectAPIWithTools(
+          messages,
+          tools,
+          toolApiConfig,
+          this.currentAbortController.signal
+        );
+      } catch (error) {
+        const isAbort = error?.name === 'AbortError'
+          || this.currentAbortController?.signal?.aborted
+          || (error instanceof ApiError && error.type === API_ERROR_TYPES.ABORT);
 
-      if (!result) {
-        onError?.('API 未返回有效响应');
-        return;
+        if (isAbort) {
+          logger.info('phone', '[PhoneAPI] 生成已被终止（工具调用模式）');
+          onError?.('生成已终止');
+          return;
+        }
+        throw error;
       }
 
-      // 解析工具调用
-      let toolCalls;
-      if (source === 'makersuite' || source === 'vertexai') {
-        const geminiCompatibleResult = result?.candidates
-          ? result
-          : (result?.responseContent ? { candidates: [{ content: result.responseContent }] } : null);
-        toolCalls = geminiCompatibleResult
-          ? extractToolCallsFromGemini(geminiCompatibleResult)
-          : null;
+      // 工具调用转换成标签格式文本，和标签模式走同一套解析
+      const toolCalls = extractToolCalls(result.raw, source);
+      let responseText = toolCalls?.length > 0 ? toolCallsToResponseText(toolCalls) : '';
+
+      if (!responseText) {
+        // 模型没调用工具（或备用配置不支持工具），按普通回复解析
+        logger.warn('phone', '[PhoneAPI] AI 未调用任何工具，按标签格式解析文本回复');
+        responseText = result.text || '';
       } else {
-        toolCalls = extractToolCallsFromOpenAI(result);
+        logger.info('phone', '[PhoneAPI] 工具调用', toolCalls.length, '个，已转换为回复文本');
       }
 
-      if (!toolCalls || toolCalls.length === 0) {
-        logger.warn('phone', '[PhoneAPI] AI 未调用任何工具');
+      if (!responseText) {
         onError?.('AI 未返回消息');
         return;
       }
 
-      // 执行工具调用
-      const executionResults = await executeToolCalls(toolCalls, contactId);
-
-      logger.info('phone', '[PhoneAPI] 工具执行完成，共', executionResults.length, '条结果');
-
-      // 触发回调（显示消息气泡）
-      let index = 0;
-      for (const result of executionResults) {
-        if (result.result.success) {
-          const message = {
-            sender: 'contact',
-            content: result.result.message,
-            time: Math.floor(Date.now() / 1000),
-            type: result.result.type || 'text'
-          };
+      // ✅ 保存回复文本到调试器（重新应用时按同一份文本解析）
+      const { saveDebugVersion } = await import('../messages/message-debug-ui.js');
+      saveDebugVersion(contactId, responseText);
 
-          // 如果不是第一条消息，先延迟（模拟打字时间）
-          if (index > 0) {
-            const delay = this.calculateTypingDelay(message);
-            logger.debug('phone', '[PhoneAPI] [工具调用] 模拟打字中...', delay, 'ms（字数:', message.content?.length || 0, '）');
-            await this.sleep(delay);
-          }
+      if (!validateAIResponse(responseText)) {
+        logger.error('phone', '[PhoneAPI] AI回复格式错误（工具调用模式）');
+        document.dispatchEvent(new CustomEvent('phone-ai-generation-error', {
+          detail: { contactId, error: 'AI回复格式错误' }
+        }));
+        onError?.('AI回复格式错误');
+        return;
+      }
 
-          onMessageReceived?.(message);
-          index++;
-        }
+      const parsedMessages = await parseAIResponse(responseText, contactId, messageNumberMap);
+      if (parsedMessages.length === 0) {
+        logger.warn('phone', '[PhoneAPI] 未解析到任何消息（工具调用模式）');
+        document.dispatchEvent(new CustomEvent('phone-ai-generation-error', {
+          detail: { contactId, error: 'AI未返回有效消息' }
+        }));
+        onError?.('AI未返回有效消息');
+        return;
       }
 
-      // 清空待发送消息
-      clearPendingMessages(contactId);
+      const responseMetadata = this.extractAPIMetadata(result.raw, source);
+
+      // 逐条保存并显示（和标签模式相同）
+      await this.deliverParsedMessages(contactId, parsedMessages, responseMetadata, onMessageReceived);
 
       // ✅ 触发生成完成事件
       document.dispatchEvent(new CustomEvent('phone-ai-generation-complete', {
@@ -1534,16 +1715,16 @@ export class PhoneAPI {
    * @async
    * @param {Array<Object>} messages - messages 数组
    * @param {Array<Object>} tools - 工具定义数组
-   * @param {Object} currentConfig - 当前 API 配置
+   * @param {Object} apiConfig - 共享 API 配置（getToolCallingConfig 的返回值）
    * @param {AbortSignal} signal - 终止信号
-   * @returns {Promise<Object>} API 响应
+   * @returns {Promise<{text: string, raw: Object}>} 文本回复和原始响应（工具调用在 raw 里）
    */
-  async callDirectAPIWithTools(messages, tools, currentConfig, signal) {
-    if (!currentConfig) {
+  async callDirectAPIWithTools(messages, tools, apiConfig, signal) {
+    if (!apiConfig) {
       throw new Error('未找到 API 配置，请先保存配置');
     }
 
-    const sharedConfig = this.buildSharedApiConfig(currentConfig, false);
+    const sharedConfig = { ...apiConfig };
     sharedConfig.tools = tools;
     sharedConfig.toolChoice = 'auto';
 
@@ -1562,7 +1743,7 @@ export class PhoneAPI {
       throw new Error('工具调用未返回有效响应');
     }
 
-    return result.raw;
+    return { text: result.text || '', raw: result.raw };
   }
 
   /**
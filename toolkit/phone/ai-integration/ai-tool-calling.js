@@ -1,61 +1,210 @@
 /**
  * AI 工具调用（Function Calling）模块
  * @module phone/ai-integration/ai-tool-calling
- * 
+ *
  * @description
- * 实现真正的 Function Calling（OpenAI/Gemini API）
- * - 定义工具列表
- * - 解析工具调用
- * - 执行工具并返回结果
+ * 实现真正的 Function Calling（OpenAI/Claude/Gemini 等支持工具的后端）
+ * - 定义工具列表（每个手机操作一个工具）
+ * - 解析工具调用（各家响应格式不同）
+ * - 把工具调用转换成标签格式的回复文本，交给 ai-response-parser.js 解析
+ *
+ * 工具调用不直接写聊天记录：转换成和标签模式完全相同的文本后走同一套解析和保存流程，
+ * 这样转账、引用、好友申请、约定计划等的后续处理（回退、钱包、计划状态）两种模式完全一致，
+ * 调试器里保存的也是这份文本，「重新应用」照常可用。
  */
 
 import logger from '../../../logger.js';
-import { saveChatMessage } from '../messages/message-chat-data.js';
-import { loadContacts } from '../contacts/contact-list-data.js';
+import { formatDurationText } from '../utils/time-helper.js';
+import { CALL_STATUS_TEXT, CALL_TYPE_TEXT } from '../messages/message-types/call-record-message.js';
 
 // ========================================
 // [TOOLS] 工具定义
 // ========================================
 
+/**
+ * 所有工具共用的角色名参数
+ * @private
+ */
+const CONTACT_NAME_PARAM = {
+  type: 'string',
+  description: '你扮演的角色名字（如 Jerry Hickfang）。注意：这是角色自己的名字，不是用户的名字。'
+};
+
 /**
  * 获取工具定义列表（OpenAI 格式）
- * 
+ *
  * @returns {Array<Object>} 工具定义数组
+ *
+ * @description
+ * ST 后端会把 OpenAI 格式的工具转换成 Claude/Gemini 等各自的格式，这里只维护一份
  */
 export function getToolDefinitions() {
   return [
-    {
-      type: 'function',
-      function: {
-        name: 'phone_send_message',
-        description: '发送一条消息到手机聊天界面。你扮演的角色用这个工具回复用户的消息。',
-        parameters: {
-          type: 'object',
-          properties: {
-            contact_name: {
-              type: 'string',
-              description: '你扮演的角色名字（如 Jerry Hickfang）。注意：这是角色自己的名字，不是用户的名字。'
-            },
-            message: {
-              type: 'string',
-              description: '要发送的消息内容'
-            },
-            message_type: {
-              type: 'string',
-              enum: ['text', 'emoji'],
-              description: '消息类型：text=文字消息，emoji=表情消息'
-            }
-          },
-          required: ['contact_name', 'message']
-        }
+    defineTool('phone_send_message', '发送一条消息到手机聊天界面。你扮演的角色用这个工具回复用户的消息。', {
+      message: {
+        type: 'string',
+        description: '要发送的消息内容（文字消息可以换行，每行一个气泡）'
+      },
+      message_type: {
+        type: 'string',
+        enum: ['text', 'emoji'],
+        description: '消息类型：text=文字消息，emoji=表情消息（message 填表情名）'
       }
-    }
+    }, ['message']),
+
+    defineTool('phone_send_transfer', '给用户转账。', {
+      amount: {
+        type: 'number',
+        description: '转账金额（元）'
+      },
+      message: {
+        type: 'string',
+        description: '转账留言（可选）'
+      }
+    }, ['amount']),
+
+    defineTool('phone_send_red_packet', '给用户发红包。', {
+      amount: {
+        type: 'number',
+        description: '红包金额（元）'
+      }
+    }, ['amount']),
+
+    defineTool('phone_recall_message', '发一条消息后马上撤回（用户会看到撤回提示，可以偷看原内容）。', {
+      message: {
+        type: 'string',
+        description: '被撤回的原消息内容'
+      }
+    }, ['message']),
+
+    defineTool('phone_quote_message', '引用聊天记录里的一条消息进行回复。回应约定计划时 reply 写「[约定计划]角色名接受了约定计划」或「[约定计划]角色名拒绝了约定计划」。', {
+      message_number: {
+        type: 'integer',
+        description: '被引用消息的编号（聊天记录里的 #编号）'
+      },
+      reply: {
+        type: 'string',
+        description: '回复内容'
+      }
+    }, ['message_number', 'reply']),
+
+    defineTool('phone_poke', '戳一戳用户。', {}, []),
+
+    defineTool('phone_send_voice', '发一条语音消息（用户看到语音条，点开能看转文字）。', {
+      transcript: {
+        type: 'string',
+        description: '语音内容（转文字）'
+      },
+      duration_seconds: {
+        type: 'integer',
+        description: '语音时长（秒，可选，不填按字数估算）'
+      }
+    }, ['transcript']),
+
+    defineTool('phone_call', '留下一条语音/视频通话记录（打给用户的电话：接通后的时长、未接、被拒绝或取消）。', {
+      call_type: {
+        type: 'string',
+        enum: ['voice', 'video'],
+        description: '通话类型：voice=语音通话，video=视频通话'
+      },
+      status: {
+        type: 'string',
+        enum: ['completed', 'missed', 'declined', 'cancelled'],
+        description: '结果：completed=已接通，missed=未接，declined=被拒绝，cancelled=已取消'
+      },
+      duration_seconds: {
+        type: 'integer',
+        description: '通话时长（秒，status=completed 时填写）'
+      }
+    }, ['call_type', 'status']),
+
+    defineTool('phone_share_location', '分享自己现在所在的位置（用户看到地图卡片）。提到以前一起去过的地方时，名称和地址要和之前一致。', {
+      name: {
+        type: 'string',
+        description: '地点名称（如"星巴克（人民广场店）"）'
+      },
+      address: {
+        type: 'string',
+        description: '地址（可选）'
+      },
+      note: {
+        type: 'string',
+        description: '附言（可选，如"我在这等你"）'
+      }
+    }, ['name']),
+
+    defineTool('phone_friend_request', '发送好友申请。被用户删除后重新申请时 contact_name 填自己的名字；介绍新朋友时 contact_name 填新朋友的名字，并写上人设简介。', {
+      message: {
+        type: 'string',
+        description: '申请附加消息'
+      },
+      persona: {
+        type: 'string',
+        description: '新朋友的人设简介（介绍新朋友时填写，可选）'
+      }
+    }, ['message']),
+
+    defineTool('phone_gift_membership', '送用户会员。', {
+      membership_type: {
+        type: 'string',
+        enum: ['vip', 'svip'],
+        description: '会员类型'
+      },
+      months: {
+        type: 'integer',
+        enum: [1, 12],
+        description: '时长（月）：1=一个月，12=一年'
+      }
+    }, ['membership_type', 'months']),
+
+    defineTool('phone_update_signature', '修改角色自己的个性签名。', {
+      signature: {
+        type: 'string',
+        maxLength: 80,
+        description: '新的个性签名（80字以内）'
+      }
+    }, ['signature']),
+
+    defineTool('phone_create_plan', '向用户发起约定计划（线下一起做某事），用户可以接受或拒绝。', {
+      title: {
+        type: 'string',
+        description: '计划内容概括（简洁明确）'
+      }
+    }, ['title'])
   ];
 }
 
+/**
+ * 生成单个工具定义（自动加上 contact_name 参数）
+ *
+ * @private
+ * @param {string} name - 工具名
+ * @param {string} description - 工具说明
+ * @param {Object} properties - 参数定义（不含 contact_name）
+ * @param {string[]} required - 必填参数（不含 contact_name）
+ * @returns {Object} OpenAI 格式的工具定义
+ */
+function defineTool(name, description, properties, required) {
+  return {
+    type: 'function',
+    function: {
+      name,
+      description,
+      parameters: {
+        type: 'object',
+        properties: {
+          contact_name: CONTACT_NAME_PARAM,
+          ...properties
+        },
+        required: ['contact_name', ...required]
+      }
+    }
+  };
+}
+
 /**
  * 将 OpenAI 工具定义转换为 Gemini 格式
- * 
+ *
  * @param {Array<Object>} openaiTools - OpenAI 格式的工具定义
  * @returns {Object} Gemini 格式的工具定义
  */
@@ -75,9 +224,33 @@ export function convertToolsToGemini(openaiTools) {
 // [PARSE] 解析工具调用
 // ========================================
 
+/**
+ * 从响应中提取工具调用（按 API 来源选择解析方式）
+ *
+ * @param {Object} response - ST 后端返回的原始响应
+ * @param {string} source - chat_completion_source（resolveSource 之后的值）
+ * @returns {Array<Object>|null} 工具调用数组，格式：[{ id, name, arguments }]
+ */
+export function extractToolCalls(response, source) {
+  if (source === 'makersuite' || source === 'vertexai') {
+    const geminiCompatible = response?.candidates
+      ? response
+      : (response?.responseContent ? { candidates: [{ content: response.responseContent }] } : null);
+    return geminiCompatible ? extractToolCallsFromGemini(geminiCompatible) : null;
+  }
+
+  // Claude 的 tool_use 在 content 数组里（ST 后端保留了原始 content）
+  if (Array.isArray(response?.content)) {
+    const claudeCalls = extractToolCallsFromClaude(response);
+    if (claudeCalls) return claudeCalls;
+  }
+
+  return extractToolCallsFromOpenAI(response);
+}
+
 /**
  * 从 OpenAI 响应中提取工具调用
- * 
+ *
  * @param {Object} response - OpenAI API 响应
  * @returns {Array<Object>|null} 工具调用数组，格式：[{ name, arguments }]
  */
@@ -94,7 +267,9 @@ export function extractToolCallsFromOpenAI(response) {
     return toolCalls.map(call => ({
       id: call.id,
       name: call.function.name,
-      arguments: JSON.parse(call.function.arguments)
+      arguments: typeof call.function.arguments === 'string'
+        ? JSON.parse(call.function.arguments || '{}')
+        : (call.function.arguments || {})
     }));
   } catch (error) {
     logger.error('phone','[ToolCalling] 解析 OpenAI 工具调用失败:', error);
@@ -102,9 +277,33 @@ export function extractToolCallsFromOpenAI(response) {
   }
 }
 
+/**
+ * 从 Claude 响应中提取工具调用
+ *
+ * @param {Object} response - Claude API 响应（content 数组里的 tool_use 块）
+ * @returns {Array<Object>|null} 工具调用数组，格式：[{ id, name, arguments }]
+ */
+export function extractToolCallsFromClaude(response) {
+  try {
+    const toolUses = response.content.filter(block => block?.type === 'tool_use');
+    if (toolUses.length === 0) return null;
+
+    logger.debug('phone','[ToolCalling] 提取到', toolUses.length, '个 Claude 工具调用');
+
+    return toolUses.map(block => ({
+      id: block.id,
+      name: block.name,
+      arguments: block.input || {}
+    }));
+  } catch (error) {
+    logger.error('phone','[ToolCalling] 解析 Claude 工具调用失败:', error);
+    return null;
+  }
+}
+
 /**
  * 从 Gemini 响应中提取工具调用
- * 
+ *
  * @param {Object} response - Gemini API 响应
  * @returns {Array<Object>|null} 工具调用数组，格式：[{ name, arguments }]
  */
@@ -132,99 +331,183 @@ export function extractToolCallsFromGemini(response) {
 }
 
 // ========================================
-// [EXECUTE] 执行工具
+// [CONVERT] 工具调用 → 标签格式文本
 // ========================================
 
 /**
- * 执行工具调用
- * 
- * @async
- * @param {Array<Object>} toolCalls - 工具调用数组
- * @param {string} currentContactId - 当前聊天的联系人ID
- * @returns {Promise<Array<Object>>} 执行结果数组
+ * 把工具调用转换成标签格式的回复文本
+ *
+ * @param {Array<Object>} toolCalls - 工具调用数组 [{ name, arguments }]
+ * @returns {string} 和标签模式相同格式的回复文本（没有可用的调用时返回空字符串）
+ *
+ * @example
+ * toolCallsToResponseText([
+ *   { name: 'phone_send_message', arguments: { contact_name: '张三', message: '你好' } },
+ *   { name: 'phone_send_transfer', arguments: { contact_name: '张三', amount: 100, message: '拿去' } }
+ * ]);
+ * // '[角色-张三]\n[消息]\n你好\n[转账]100|拿去\n[/消息]'
  */
-export async function executeToolCalls(toolCalls, currentContactId) {
-  const results = [];
+export function toolCallsToResponseText(toolCalls) {
+  // 按角色分块（连续的同一角色合并成一块，保持调用顺序）
+  const blocks = [];
 
   for (const call of toolCalls) {
-    logger.info('phone','[ToolCalling] 执行工具:', call.name, '参数:', call.arguments);
+    const args = call.arguments || {};
+    const contactName = oneLine(args.contact_name);
 
-    try {
-      let result;
-
-      switch (call.name) {
-        case 'phone_send_message':
-          result = await executeSendMessage(call.arguments, currentContactId);
-          break;
+    if (!contactName) {
+      logger.warn('phone','[ToolCalling] 工具调用缺少 contact_name，已跳过:', call.name);
+      continue;
+    }
 
-        default:
-          logger.warn('phone','[ToolCalling] 未知工具:', call.name);
-          result = { error: '未知工具' };
-      }
+    const lines = toolCallToLines(call.name, args);
+    if (lines.length === 0) continue;
 
-      results.push({
-        tool_call_id: call.id,
-        name: call.name,
-        result: result
-      });
-
-    } catch (error) {
-      logger.error('phone','[ToolCalling] 执行工具失败:', error);
-      results.push({
-        tool_call_id: call.id,
-        name: call.name,
-        result: { error: error.message }
-      });
+    const lastBlock = blocks[blocks.length - 1];
+    if (lastBlock && lastBlock.contactName === contactName) {
+      lastBlock.lines.push(...lines);
+    } else {
+      blocks.push({ contactName, lines });
     }
   }
 
-  return results;
+  const text = blocks
+    .map(block => `[角色-${block.contactName}]\n[消息]\n${block.lines.join('\n')}\n[/消息]`)
+    .join('\n\n');
+
+  logger.debug('phone','[ToolCalling] 工具调用已转换为回复文本，共', blocks.length, '个角色块');
+  return text;
 }
 
 /**
- * 执行发送消息工具
- * 
- * @async
+ * 把单个工具调用转换成消息行
+ *
+ * @private
+ * @param {string} name - 工具名
  * @param {Object} args - 工具参数
- * @param {string} args.contact_name - 联系人姓名
- * @param {string} args.message - 消息内容
- * @param {string} [args.message_type='text'] - 消息类型
- * @param {string} currentContactId - 当前聊天的联系人ID
- * @returns {Promise<Object>} 执行结果
+ * @returns {string[]} 消息行（每行一个气泡），参数不合法时返回空数组
  */
-async function executeSendMessage(args, currentContactId) {
-  const { contact_name, message, message_type = 'text' } = args;
-
-  // 匹配联系人ID
-  const contacts = await loadContacts();
-  const contact = contacts.find(c =>
-    c.name === contact_name ||
-    c.id === contact_name
-  );
-
-  if (!contact) {
-    logger.warn('phone','[ToolCalling] 找不到联系人:', contact_name);
-    return { error: `找不到联系人：${contact_name}` };
-  }
+function toolCallToLines(name, args) {
+  switch (name) {
+    case 'phone_send_message': {
+      if (args.message_type === 'emoji') {
+        const emojiName = oneLine(args.message);
+        return emojiName ? [`[表情]${emojiName}`] : [];
+      }
+      return String(args.message || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+    }
 
-  // 保存消息到数据库
-  const messageData = {
-    sender: 'contact',
-    content: message,
-    time: Math.floor(Date.now() / 1000),
-    type: message_type
-  };
+    case 'phone_send_transfer': {
+      const amount = toAmount(args.amount);
+      if (amount === null) break;
+      const message = oneLine(args.message);
+      return [message ? `[转账]${amount}|${message}` : `[转账]${amount}`];
+    }
 
-  await saveChatMessage(contact.id, messageData);
+    case 'phone_send_red_packet': {
+      const amount = toAmount(args.amount);
+      if (amount === null) break;
+      return [`[红包]${amount}`];
+    }
 
-  logger.info('phone','[ToolCalling] 消息已保存:', contact.name, '-', message.substring(0, 20));
+    case 'phone_recall_message': {
+      const message = oneLine(args.message);
+      return message ? [`[撤回]${message}`] : [];
+    }
 
-  return {
-    success: true,
-    contact_id: contact.id,
-    contact_name: contact.name,
-    message: message,
-    type: message_type
-  };
+    case 'phone_quote_message': {
+      const number = parseInt(args.message_number);
+      const reply = oneLine(args.reply);
+      if (!Number.isFinite(number) || !reply) break;
+      return [`[引用]#${number}[回复]${reply}`];
+    }
+
+    case 'phone_poke':
+      return ['[戳一戳]'];
+
+    case 'phone_send_voice': {
+      const transcript = oneLine(args.transcript);
+      if (!transcript) break;
+      const seconds = parseInt(args.duration_seconds);
+      return [Number.isFinite(seconds) && seconds > 0 ? `[语音]${seconds}秒|${transcript}` : `[语音]${transcript}`];
+    }
+
+    case 'phone_call': {
+      const typeText = CALL_TYPE_TEXT[args.call_type];
+      if (!typeText) break;
+      if (args.status === 'completed') {
+        const seconds = parseInt(args.duration_seconds);
+        return [`[通话]${typeText}|${formatDurationText(Number.isFinite(seconds) && seconds > 0 ? seconds : 1)}`];
+      }
+      const statusText = CALL_STATUS_TEXT[args.status];
+      return statusText ? [`[通话]${typeText}|${statusText}`] : [];
+    }
+
+    case 'phone_share_location': {
+      // 地点名和地址里的分隔符会打乱字段，换成斜杠
+      const name = oneLine(args.name).replace(/[|｜]/g, '/');
+      if (!name) break;
+      const address = oneLine(args.address).replace(/[|｜]/g, '/');
+      const note = oneLine(args.note);
+      if (note) return [`[位置]${name}|${address}|${note}`];
+      return [address ? `[位置]${name}|${address}` : `[位置]${name}`];
+    }
+
+    case 'phone_friend_request': {
+      const message = oneLine(args.message).replace(/\|/g, '｜');
+      if (!message) break;
+      const persona = oneLine(args.persona);
+      return [persona ? `[好友申请]${message}|${persona}` : `[好友申请]${message}`];
+    }
+
+    case 'phone_gift_membership': {
+      const type = String(args.membership_type || '').toUpperCase();
+      const months = parseInt(args.months) === 12 ? 12 : 1;
+      if (type !== 'VIP' && type !== 'SVIP') break;
+      return [`[送会员]${type}|${months}个月`];
+    }
+
+    case 'phone_update_signature': {
+      const signature = oneLine(args.signature);
+      return signature ? [`[改个签]${signature}`] : [];
+    }
+
+    case 'phone_create_plan': {
+      const title = oneLine(args.title);
+      return title ? [`[约定计划]${title}`] : [];
+    }
+
+    default:
+      logger.warn('phone','[ToolCalling] 未知工具:', name);
+      return [];
+  }
+
+  logger.warn('phone','[ToolCalling] 工具参数不合法，已跳过:', name, args);
+  return [];
+}
+
+/**
+ * 压成单行（标签格式一行一个气泡，参数里的换行会把气泡拆散）
+ *
+ * @private
+ * @param {*} value - 参数值
+ * @returns {string}
+ */
+function oneLine(value) {
+  return String(value ?? '').replace(/\s*\n\s*/g, ' ').trim();
 }
 
+/**
+ * 解析金额
+ *
+ * @private
+ * @param {*} value - 参数值（数字或数字字符串）
+ * @returns {number|null} 正数金额，不合法返回 null
+ */
+function toAmount(value) {
+  const amount = parseFloat(String(value ?? '').replace(/[¥,\s]/g, ''));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
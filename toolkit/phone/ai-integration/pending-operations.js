@@ -16,7 +16,7 @@ import logger from '../../../logger.js';
 const pendingOperations = {
   /** @type {Object<string, Array<Object>>} 联系人ID → 消息列表 */
   messages: {},
-  /** @type {Array<Object>} 待发布的说说 */
+  /** @type {Array<Object>} 用户空间动态操作记录（发动态、点赞、评论） */
   moments: [],
   /** @type {Array<Object>} 待处理的好友申请 */
   friendRequests: [],
@@ -191,3 +191,68 @@ export function restoreSignatureActions(actions) {
   logger.debug('phone','[PendingOps] 恢复个签操作记录，共', actions.length, '条');
 }
 
+
+/**
+ * 添加用户空间动态操作记录
+ * @param {string} actionType - 操作类型（'post'=发动态, 'like'=点赞, 'comment'=评论）
+ * @param {Object} data - 操作数据
+ * @param {string} data.momentId - 动态ID
+ * @param {string} [data.authorId] - 动态作者（'user' 或角色ID）
+ * @param {string} [data.authorName] - 动态作者名（点赞/评论角色动态时）
+ * @param {string} [data.content] - 动态内容或评论内容
+ * @param {string} [data.replyToName] - 回复的人（评论时可选）
+ * @param {number} data.time - 时间戳（秒）
+ */
+export function addMomentAction(actionType, data) {
+  pendingOperations.moments.push({
+    actionType,
+    ...data,
+    timestamp: Date.now()
+  });
+
+  logger.debug('phone','[PendingOps] 添加动态操作记录:', actionType, data);
+}
+
+/**
+ * 获取所有空间动态操作记录
+ * @returns {Array<Object>} 动态操作列表
+ */
+export function getMomentActions() {
+  return pendingOperations.moments;
+}
+
+/**
+ * 清空空间动态操作记录
+ */
+export function clearMomentActions() {
+  pendingOperations.moments = [];
+  logger.debug('phone','[PendingOps] 清空动态操作记录');
+}
+
+/**
+ * 标记动态操作已发给AI（聊天轮次只带上和本轮角色相关的操作）
+ * @param {Array<Object>} actions - 本轮发给AI的动态操作
+ */
+export function markMomentActionsSent(actions) {
+  actions.forEach(action => {
+    action.sent = true;
+  });
+}
+
+/**
+ * 清空已发给AI的动态操作记录（没发出去的留给下一轮或动态互动轮次）
+ */
+export function clearSentMomentActions() {
+  const before = pendingOperations.moments.length;
+  pendingOperations.moments = pendingOperations.moments.filter(action => !action.sent);
+  logger.debug('phone','[PendingOps] 清空已发送的动态操作记录:', before - pendingOperations.moments.length, '条');
+}
+
+/**
+ * 恢复空间动态操作记录（从快照恢复，用于重roll）
+ * @param {Array<Object>} actions - 动态操作列表
+ */
+export function restoreMomentActions(actions) {
+  pendingOperations.moments = [...actions];
+  logger.debug('phone','[PendingOps] 恢复动态操作记录，共', actions.length, '条');
+}
@@ -654,6 +654,7 @@ async function addAIAwareDeletedRequest(contact, deleteTime) {
       contactId: contact.id,
       contactName: contact.name,
       avatar: contact.avatar,
+      npcContact: contact.source === 'npc' ? { ...contact } : null,  // NPC没有角色卡，保存完整资料用于恢复
       status: 'ai_aware_deleted',
       deleteTime: deleteTime,
       reapplyMessages: [],  // 附加消息历史
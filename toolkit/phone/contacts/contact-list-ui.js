@@ -11,12 +11,13 @@ import {
   getUnreadFriendRequestsCount,
   getPendingRequests,
   loadContactGroups,
-  getAIAwareDeletedRequests
+  getAIAwareDeletedRequests,
+  removeFromPendingRequests
 } from './contact-list-data.js';
 import { loadData, saveData } from '../data-storage/storage-api.js';
 import { hidePage, showPage } from '../phone-main-ui.js';
 import { showSuccessToast } from '../ui-components/toast-notification.js';
-import { getThumbnailUrl } from '../../../../../../../script.js';
+import { getContactAvatarUrl } from '../utils/contact-display-helper.js';
 import { formatTime } from '../utils/time-helper.js';
 
 /**
@@ -253,10 +254,8 @@ function createContactItem(contact) {
   item.className = 'contact-friend-item';
   item.dataset.contactId = contact.id; // 添加唯一标识，方便后续查找
 
-  // 构建头像路径（使用 SillyTavern 的缩略图 API）
-  const avatarUrl = contact.avatar
-    ? getThumbnailUrl('avatar', contact.avatar)
-    : 'https://i.postimg.cc/LXQrd0s0/icon.jpg';
+  // 构建头像路径（NPC上传的头像优先，其次酒馆缩略图）
+  const avatarUrl = getContactAvatarUrl(contact) || 'https://i.postimg.cc/LXQrd0s0/icon.jpg';
 
   // 显示逻辑：有备注显示备注，无备注显示原名
   const displayName = contact.remark || contact.name;
@@ -518,7 +517,7 @@ async function createAIAwareRequestItem(request) {
   item.className = 'newfriend-item ai-aware-deleted';
 
   // 构建头像路径
-  const avatarUrl = getThumbnailUrl('avatar', request.avatar);
+  const avatarUrl = getContactAvatarUrl(request.npcContact || request) || 'https://i.postimg.cc/LXQrd0s0/icon.jpg';
 
   // 最新的附加消息
   const latestMessage = request.reapplyMessages.length > 0
@@ -600,16 +599,21 @@ function createFriendRequestItem(character, agreedList) {
   // 检查是否已同意（直接判断，不调用 isFriendAgreed()）
   const isAgreed = agreedList.includes(character.id);
 
-  // 构建头像路径（使用 SillyTavern 的缩略图 API）
-  const avatarUrl = character.avatar
-    ? getThumbnailUrl('avatar', character.avatar)
-    : 'https://i.postimg.cc/LXQrd0s0/icon.jpg';
+  // 构建头像路径（NPC上传的头像优先，其次酒馆缩略图）
+  const avatarUrl = getContactAvatarUrl(character) || 'https://i.postimg.cc/LXQrd0s0/icon.jpg';
+
+  // AI介绍的新朋友：显示最新的申请消息
+  const requestMessages = character.requestMessages || [];
+  const messageHTML = requestMessages.length > 0
+    ? `<div class="newfriend-item-message">${escapeHtml(requestMessages[requestMessages.length - 1].message)}</div>`
+    : '';
 
   item.innerHTML = `
     <img src="${avatarUrl}" alt="头像" class="newfriend-item-avatar"
          onerror="this.src='https://i.postimg.cc/LXQrd0s0/icon.jpg'">
     <div class="newfriend-item-info">
-      <div class="newfriend-item-name">${character.name}</div>
+      <div class="newfriend-item-name">${escapeHtml(character.name)}</div>
+      ${messageHTML}
     </div>
   `;
 
@@ -632,6 +636,19 @@ function createFriendRequestItem(character, agreedList) {
       await handleAgreeRequest(character, agreeBtn);
     });
 
+    // AI介绍的新朋友可以忽略（酒馆角色的申请来自同步快照，不提供忽略）
+    if (character.source === 'npc') {
+      const ignoreBtn = document.createElement('button');
+      ignoreBtn.className = 'newfriend-item-btn-view';
+      ignoreBtn.textContent = '忽略';
+      ignoreBtn.addEventListener('click', async () => {
+        await removeFromPendingRequests(character.id);
+        item.remove();
+        logger.info('phone','[NewFriends] 已忽略新朋友申请:', character.name);
+      });
+      item.appendChild(ignoreBtn);
+    }
+
     item.appendChild(agreeBtn);
   }
 
@@ -687,8 +704,9 @@ async function handleAgreeRequest(character, buttonElement) {
     const { addSystemMessage } = await import('../messages/message-chat-data.js');
     const { getCurrentTimestamp } = await import('../utils/time-helper.js');
 
-    // 1. 保存到联系人列表
-    const success = await saveContact(character);
+    // 1. 保存到联系人列表（AI介绍的新朋友带着申请消息，不存进联系人）
+    const { requestMessages, ...contact } = character;
+    const success = await saveContact(contact);
 
     if (!success) {
       logger.error('phone','[NewFriends] 保存联系人失败');
@@ -699,6 +717,20 @@ async function handleAgreeRequest(character, buttonElement) {
     // 2. 标记为已同意
     await markFriendAsAgreed(character.id);
 
+    // 2.5 AI介绍的新朋友：申请消息写进聊天记录，角色知道自己是怎么加的好友
+    if (Array.isArray(requestMessages)) {
+      const { saveChatMessage } = await import('../messages/message-chat-data.js');
+      for (const request of requestMessages) {
+        await saveChatMessage(character.id, {
+          id: request.msgId,
+          sender: 'contact',
+          time: request.time,
+          type: 'friend_request',
+          content: request.message
+        });
+      }
+    }
+
     // 3. ✅ 添加系统消息："{{user}}添加了你为好友"
     const currentTime = getCurrentTimestamp();
     await addSystemMessage(character.id, {
@@ -5,10 +5,9 @@
 
 import logger from '../../../logger.js';
 import { loadContacts, saveContact } from './contact-list-data.js';
-import { getThumbnailUrl } from '../../../../../../../script.js';
 import { getSystemBackgrounds, showBackgroundPicker } from '../utils/background-picker.js';
 import { showInputPopup } from '../utils/popup-helper.js';
-import { syncContactDisplayName } from '../utils/contact-display-helper.js';
+import { syncContactDisplayName, getContactAvatarUrl } from '../utils/contact-display-helper.js';
 import { stateManager } from '../utils/state-manager.js';
 
 /**
@@ -159,7 +158,7 @@ function createBasicInfo(contact) {
   infoDiv.className = 'contact-profile-basic-info';
 
   // 获取头像URL
-  const avatarUrl = getThumbnailUrl('avatar', contact.avatar);
+  const avatarUrl = getContactAvatarUrl(contact) || 'img/ai4.png';
 
   // 判断显示逻辑：有备注显示备注+昵称，无备注只显示名字
   const displayName = contact.remark || contact.name;
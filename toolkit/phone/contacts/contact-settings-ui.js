@@ -5,6 +5,7 @@
 
 import logger from '../../../logger.js';
 import { loadContacts, saveContact, loadContactGroups, deleteContact, addAIAwareDeletedRequest } from './contact-list-data.js';
+import { isNpcContact } from './npc-contact-data.js';
 import { showInputPopup, showConfirmPopup, showCustomPopup } from '../utils/popup-helper.js';
 import { syncContactDisplayName } from '../utils/contact-display-helper.js';
 import { clearChatHistory, addSystemMessage } from '../messages/message-chat-data.js';
@@ -104,6 +105,11 @@ async function createSettingsList(contact) {
   // 分组
   group1.appendChild(await createGroupItem(contact));
 
+  // NPC资料（没有角色卡，人设和世界书在这里改）
+  if (isNpcContact(contact)) {
+    group1.appendChild(createNpcProfileItem(contact));
+  }
+
   list.appendChild(group1);
 
   // 第二组：推荐
@@ -193,6 +199,39 @@ async function createGroupItem(contact) {
   return item;
 }
 
+/**
+ * 创建NPC资料设置项
+ *
+ * @param {Object} contact - NPC联系人对象
+ * @returns {HTMLElement} NPC资料设置项
+ */
+function createNpcProfileItem(contact) {
+  const item = document.createElement('div');
+  item.className = 'contact-settings-item';
+  item.dataset.contactId = contact.id;
+
+  item.innerHTML = `
+        <div class="contact-settings-item-label">NPC资料</div>
+        <div class="contact-settings-item-value">
+            <span class="contact-settings-item-value-text">人设、头像、世界书</span>
+            <i class="fa-solid fa-chevron-right"></i>
+        </div>
+    `;
+
+  item.addEventListener('click', async () => {
+    const { showEditNpcProfileFlow } = await import('./npc-contact-create-ui.js');
+    const updated = await showEditNpcProfileFlow(contact);
+    if (updated) {
+      Object.assign(contact, updated);
+      updateSettingsRemarkDisplay(contact);
+      updateProfileNameDisplay(contact);
+      refreshContactListInBackground();
+    }
+  });
+
+  return item;
+}
+
 /**
  * 创建占位设置项（暂未实现功能）
  * 
@@ -9,7 +9,7 @@
 import logger from '../../../logger.js';
 import { getAIAwareDeletedRequests, updateReapplyConfig, markReapplyMessagesAsRead, removeAIAwareDeletedRequest, deleteReapplyMessage } from './contact-list-data.js';
 import { saveContact } from './contact-list-data.js';
-import { getThumbnailUrl } from '../../../../../../../script.js';
+import { getContactAvatarUrl } from '../utils/contact-display-helper.js';
 import { formatTime } from '../utils/time-helper.js';
 import { showConfirmPopup } from '../utils/popup-helper.js';
 import { showSuccessToast } from '../ui-components/toast-notification.js';
@@ -132,7 +132,7 @@ function createDeleteHint(request) {
   const container = document.createElement('div');
   container.className = 'friend-request-delete-hint';
 
-  const avatarUrl = getThumbnailUrl('avatar', request.avatar);
+  const avatarUrl = getContactAvatarUrl(request.npcContact || request) || 'img/ai4.png';
   const deleteTimeText = formatTime(request.deleteTime);
 
   container.innerHTML = `
@@ -382,7 +382,7 @@ async function handleAgree(request) {
 
   try {
     // 1. 恢复联系人到列表
-    const contact = {
+    const contact = request.npcContact ? { ...request.npcContact } : {
       id: request.contactId,
       name: request.contactName,
       avatar: request.avatar,
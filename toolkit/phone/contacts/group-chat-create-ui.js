@@ -0,0 +1,188 @@
+/**
+ * 创建群聊流程
+ * @module phone/contacts/group-chat-create-ui
+ *
+ * @description
+ * 加号菜单「创建群聊」的入口：
+ * 1. 选择群成员（复用联系人选择器，至少2人）
+ * 2. 填写群名、选择头像（成员头像或上传图片）
+ * 3. 保存群聊，写入「创建了群聊」系统消息，跳转到群聊页面
+ */
+
+import logger from '../../../logger.js';
+import { showContactSelectorPopup } from '../utils/contact-selector-popup.js';
+import { showCustomPopupWithData } from '../utils/popup-helper.js';
+import { showSuccessToast, showWarningToast, showErrorToast } from '../ui-components/toast-notification.js';
+import { getContactDisplayName, getUserDisplayName, getContactAvatarUrl } from '../utils/contact-display-helper.js';
+import { compressImage, uploadImage } from '../utils/image-helper.js';
+import { addSystemMessage } from '../messages/message-chat-data.js';
+import { createGroupChat, getGroupMembers, MIN_GROUP_MEMBERS } from './group-chat-data.js';
+
+/** 默认群名最多拼接的成员数 */
+const DEFAULT_NAME_MEMBER_COUNT = 3;
+
+/**
+ * 执行创建群聊流程
+ *
+ * @async
+ * @param {HTMLElement} overlayElement - 手机遮罩层元素（创建成功后跳转用）
+ * @returns {Promise<Object|null>} 新建的群聊，取消返回 null
+ */
+export async function showCreateGroupChatFlow(overlayElement) {
+  logger.info('phone','[GroupChatCreate] 开始创建群聊');
+
+  // 1. 选择成员
+  const memberIds = await showContactSelectorPopup({ multiple: true, title: '选择群成员' });
+  if (!memberIds) return null;
+
+  if (memberIds.length < MIN_GROUP_MEMBERS) {
+    showWarningToast(`群聊至少需要选择${MIN_GROUP_MEMBERS}个联系人`);
+    return null;
+  }
+
+  const members = await getGroupMembers({ members: memberIds });
+
+  // 2. 群名和头像
+  const info = await showGroupInfoPopup(members);
+  if (!info) return null;
+
+  // 3. 保存
+  let group;
+  try {
+    group = await createGroupChat({ ...info, members: memberIds });
+  } catch (error) {
+    logger.warn('phone','[GroupChatCreate] 创建群聊失败:', error.message);
+    showErrorToast(error.message);
+    return null;
+  }
+
+  const memberNames = members.map(m => getContactDisplayName(m)).join('、');
+  await addSystemMessage(group.id, {
+    type: 'group_created',
+    content: `${getUserDisplayName()} 创建了群聊「${group.name}」，邀请了 ${memberNames}`,
+    time: group.createdAt
+  });
+
+  showSuccessToast('群聊已创建');
+
+  const { showPage } = await import('../phone-main-ui.js');
+  await showPage(overlayElement, 'chat', { contactId: group.id });
+
+  return group;
+}
+
+/**
+ * 群名/头像弹窗
+ *
+ * @private
+ * @async
+ * @param {Array<Object>} members - 成员联系人对象
+ * @returns {Promise<{name: string, avatar: string, avatarUrl: string}|null>}
+ */
+async function showGroupInfoPopup(members) {
+  const defaultName = members
+    .slice(0, DEFAULT_NAME_MEMBER_COUNT)
+    .map(m => getContactDisplayName(m))
+    .join('、') + (members.length > DEFAULT_NAME_MEMBER_COUNT ? '...' : '');
+
+  const avatarOptions = members
+    .filter(m => getContactAvatarUrl(m))
+    .map((m, index) => `
+      <div class="group-create-avatar-option ${index === 0 ? 'selected' : ''}" data-avatar="${m.avatar || ''}" data-avatar-url="${m.avatarUrl || ''}" title="${getContactDisplayName(m)}">
+        <img src="${getContactAvatarUrl(m)}" alt="">
+      </div>
+    `).join('');
+
+  const html = `
+    <div class="group-create-form">
+      <div class="group-create-label">群名</div>
+      <input type="text" class="phone-popup-input group-create-name" maxlength="30" value="${defaultName}">
+      <div class="group-create-label">群头像</div>
+      <div class="group-create-avatars">
+        ${avatarOptions}
+        <label class="group-create-avatar-option group-create-avatar-upload" title="上传图片">
+          <i class="fa-solid fa-camera"></i>
+          <input type="file" accept="image/*" style="display: none;">
+        </label>
+      </div>
+    </div>
+  `;
+
+  const result = await showCustomPopupWithData('创建群聊', html, {
+    buttons: [
+      { text: '取消', value: null, class: 'phone-popup-cancel' },
+      { text: '创建', value: 'confirm', class: 'phone-popup-ok' }
+    ],
+    width: '90%',
+    onShow: (overlay) => bindGroupInfoEvents(overlay),
+    beforeClose: (buttonValue, overlay) => {
+      if (buttonValue !== 'confirm') return null;
+
+      const nameInput = /** @type {HTMLInputElement} */ (overlay.querySelector('.group-create-name'));
+      const selected = /** @type {HTMLElement|null} */ (overlay.querySelector('.group-create-avatar-option.selected'));
+
+      return {
+        name: nameInput?.value.trim() || '',
+        avatar: selected?.dataset.avatar || '',
+        avatarUrl: selected?.dataset.avatarUrl || ''
+      };
+    }
+  });
+
+  if (result && !result.name) {
+    showWarningToast('群名不能为空');
+    return null;
+  }
+  return result;
+}
+
+/**
+ * 绑定头像选择和上传
+ *
+ * @private
+ * @param {HTMLElement} overlay - 弹窗元素
+ */
+function bindGroupInfoEvents(overlay) {
+  const container = overlay.querySelector('.group-create-avatars');
+  if (!container) return;
+
+  const select = (option) => {
+    container.querySelectorAll('.group-create-avatar-option').forEach(el => el.classList.remove('selected'));
+    option.classList.add('selected');
+  };
+
+  container.addEventListener('click', (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    const option = target.closest('.group-create-avatar-option');
+    // 上传按钮在选好文件后才选中
+    if (option && !option.classList.contains('group-create-avatar-upload')) {
+      select(option);
+    }
+  });
+
+  const uploadOption = /** @type {HTMLElement} */ (container.querySelector('.group-create-avatar-upload'));
+  const fileInput = /** @type {HTMLInputElement} */ (uploadOption.querySelector('input[type="file"]'));
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    try {
+      const { base64 } = await compressImage(file, 200);
+      const url = await uploadImage(base64, file.name);
+      uploadOption.dataset.avatarUrl = url;
+      uploadOption.querySelector('i')?.remove();
+      uploadOption.querySelector('img')?.remove();
+      const img = document.createElement('img');
+      img.src = url;
+      uploadOption.appendChild(img);
+      select(uploadOption);
+      logger.debug('phone','[GroupChatCreate] 群头像已上传:', url);
+    } catch (error) {
+      logger.error('phone','[GroupChatCreate] 群头像上传失败:', error);
+      showErrorToast('头像上传失败');
+    } finally {
+      fileInput.value = '';
+    }
+  });
+}
@@ -0,0 +1,247 @@
+/**
+ * 群聊数据管理
+ * @module phone/contacts/group-chat-data
+ *
+ * @description
+ * 群聊和联系人分开存储（extension_settings.acsusPawsPuffs.phone.groupChats），
+ * 但聊天记录、未读数、待发送队列都直接用群聊ID当 contactId，复用单聊的全部逻辑。
+ *
+ * 群聊对象：
+ * { id: 'groupchat_xxx', name, avatar, avatarUrl, members: [联系人ID], createdAt, isGroup: true }
+ * - avatar：成员的酒馆头像文件名（和联系人一样走 getThumbnailUrl）
+ * - avatarUrl：用户上传的头像路径（优先使用）
+ *
+ * ⚠️ 联系人分组（contactGroups）的ID也是 group_ 开头，所以群聊用 groupchat_ 前缀区分
+ */
+
+import logger from '../../../logger.js';
+import { loadData, saveData } from '../data-storage/storage-api.js';
+import { loadContacts } from './contact-list-data.js';
+
+const GROUP_CHATS_KEY = 'groupChats';
+
+/** 群聊ID前缀 */
+const GROUP_CHAT_PREFIX = 'groupchat_';
+
+/** 群聊最少成员数（不含用户） */
+const MIN_GROUP_MEMBERS = 2;
+
+/**
+ * 是否为群聊ID
+ *
+ * @param {string} contactId - 联系人ID或群聊ID
+ * @returns {boolean}
+ */
+function isGroupChatId(contactId) {
+  return typeof contactId === 'string' && contactId.startsWith(GROUP_CHAT_PREFIX);
+}
+
+/**
+ * 加载所有群聊
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} 群聊列表
+ */
+async function loadGroupChats() {
+  try {
+    const data = await loadData(GROUP_CHATS_KEY);
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+    return data;
+  } catch (error) {
+    logger.error('phone','[GroupChatData] 加载群聊列表失败:', error);
+    return [];
+  }
+}
+
+/**
+ * 获取单个群聊
+ *
+ * @async
+ * @param {string} groupId - 群聊ID
+ * @returns {Promise<Object|null>} 群聊对象，不存在返回 null
+ */
+async function getGroupChat(groupId) {
+  if (!isGroupChatId(groupId)) return null;
+  const groups = await loadGroupChats();
+  return groups.find(g => g.id === groupId) || null;
+}
+
+/**
+ * 按群名查找群聊（AI回复里的 [群聊-群名] 用）
+ *
+ * @async
+ * @param {string} name - 群名
+ * @returns {Promise<Object|null>}
+ */
+async function findGroupChatByName(name) {
+  const groups = await loadGroupChats();
+  const simple = (s) => (s || '').replace(/\s/g, '');
+  return groups.find(g => g.name === name)
+    || groups.find(g => simple(g.name) === simple(name))
+    || null;
+}
+
+/**
+ * 创建群聊
+ *
+ * @async
+ * @param {Object} params - 参数
+ * @param {string} params.name - 群名
+ * @param {string[]} params.members - 成员联系人ID
+ * @param {string} [params.avatar] - 成员头像文件名
+ * @param {string} [params.avatarUrl] - 上传的头像路径
+ * @returns {Promise<Object>} 新建的群聊对象
+ * @throws {Error} 群名为空或成员不足时
+ */
+async function createGroupChat({ name, members, avatar = '', avatarUrl = '' }) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('群名不能为空');
+  }
+
+  const uniqueMembers = [...new Set(members || [])];
+  if (uniqueMembers.length < MIN_GROUP_MEMBERS) {
+    throw new Error(`群聊至少需要${MIN_GROUP_MEMBERS}个成员`);
+  }
+
+  const groups = await loadGroupChats();
+  if (groups.some(g => g.name === trimmedName)) {
+    throw new Error('已存在同名群聊');
+  }
+
+  const group = {
+    id: `${GROUP_CHAT_PREFIX}${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+    name: trimmedName,
+    avatar,
+    avatarUrl,
+    members: uniqueMembers,
+    createdAt: Math.floor(Date.now() / 1000),
+    isGroup: true
+  };
+
+  groups.push(group);
+  await saveData(GROUP_CHATS_KEY, groups);
+
+  logger.info('phone','[GroupChatData] 已创建群聊:', trimmedName, '成员数:', uniqueMembers.length);
+  return group;
+}
+
+/**
+ * 更新群聊
+ *
+ * @async
+ * @param {string} groupId - 群聊ID
+ * @param {Object} updates - 要更新的字段（id 不可改）
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function updateGroupChat(groupId, updates) {
+  const groups = await loadGroupChats();
+  const index = groups.findIndex(g => g.id === groupId);
+  if (index === -1) {
+    logger.warn('phone','[GroupChatData] 群聊不存在:', groupId);
+    return false;
+  }
+
+  groups[index] = { ...groups[index], ...updates, id: groupId, isGroup: true };
+  await saveData(GROUP_CHATS_KEY, groups);
+  logger.info('phone','[GroupChatData] 已更新群聊:', groups[index].name);
+  return true;
+}
+
+/**
+ * 删除群聊（聊天记录由调用方决定是否清空）
+ *
+ * @async
+ * @param {string} groupId - 群聊ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function deleteGroupChat(groupId) {
+  const groups = await loadGroupChats();
+  const filtered = groups.filter(g => g.id !== groupId);
+  if (filtered.length === groups.length) {
+    return false;
+  }
+  await saveData(GROUP_CHATS_KEY, filtered);
+  logger.info('phone','[GroupChatData] 已删除群聊:', groupId);
+  return true;
+}
+
+/**
+ * 获取群成员的联系人对象（已删除的联系人会被跳过）
+ *
+ * @async
+ * @param {Object} group - 群聊对象
+ * @param {Array<Object>} [contacts] - 联系人列表（不传则自动加载）
+ * @returns {Promise<Array<Object>>}
+ */
+async function getGroupMembers(group, contacts) {
+  const list = contacts || await loadContacts();
+  return (group?.members || [])
+    .map(id => list.find(c => c.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * 加载联系人 + 群聊（消息列表、聊天页按ID查找会话对象用）
+ *
+ * @async
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadChatTargets() {
+  const [contacts, groups] = await Promise.all([loadContacts(), loadGroupChats()]);
+  return [...contacts, ...groups];
+}
+
+/**
+ * 提取文本中 @ 到的群成员
+ *
+ * @param {string} text - 消息文本
+ * @param {Array<Object>} members - 成员联系人对象
+ * @param {string} [userName] - 用户名（AI @用户时记为 'user'）
+ * @returns {string[]} 被@的联系人ID（用户为 'user'），按出现顺序去重
+ *
+ * @description
+ * 名字可能包含空格，所以不按空格切分，而是逐个候选名去匹配 @名字；
+ * 候选名按长度降序，避免「@Wade Wilson」被「Wade」抢先匹配
+ */
+function extractMentions(text, members, userName = '') {
+  if (!text || !text.includes('@')) return [];
+
+  const candidates = members.flatMap(m => {
+    const names = [m.name, m.remark].filter(Boolean);
+    return names.map(name => ({ id: m.id, name }));
+  });
+  if (userName) {
+    candidates.push({ id: 'user', name: userName });
+  }
+  candidates.sort((a, b) => b.name.length - a.name.length);
+
+  const found = [];
+  let index = text.indexOf('@');
+  while (index !== -1) {
+    const rest = text.substring(index + 1);
+    const hit = candidates.find(c => rest.startsWith(c.name));
+    if (hit && !found.includes(hit.id)) {
+      found.push(hit.id);
+    }
+    index = text.indexOf('@', index + 1);
+  }
+  return found;
+}
+
+export {
+  GROUP_CHAT_PREFIX,
+  MIN_GROUP_MEMBERS,
+  isGroupChatId,
+  loadGroupChats,
+  getGroupChat,
+  findGroupChatByName,
+  createGroupChat,
+  updateGroupChat,
+  deleteGroupChat,
+  getGroupMembers,
+  loadChatTargets,
+  extractMentions
+};
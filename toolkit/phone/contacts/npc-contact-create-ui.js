@@ -0,0 +1,199 @@
+/**
+ * 添加NPC好友 / 编辑NPC资料
+ * @module phone/contacts/npc-contact-create-ui
+ *
+ * @description
+ * 加号菜单「加好友」的入口：不需要酒馆角色卡，填名字、头像、人设、可选绑定世界书，
+ * 保存后直接成为好友并跳转聊天页。
+ * 联系人设置页的「NPC资料」复用同一个弹窗编辑。
+ */
+
+import logger from '../../../logger.js';
+import { showCustomPopupWithData } from '../utils/popup-helper.js';
+import { showSuccessToast, showWarningToast, showErrorToast } from '../ui-components/toast-notification.js';
+import { compressImage, uploadImage } from '../utils/image-helper.js';
+import {
+  createNpcContact,
+  addNpcFriend,
+  updateNpcContact,
+  isContactNameTaken,
+  getWorldbookNames,
+  MAX_NPC_PERSONA_LENGTH
+} from './npc-contact-data.js';
+
+/**
+ * 执行添加NPC好友流程
+ *
+ * @async
+ * @param {HTMLElement} overlayElement - 手机遮罩层元素（添加成功后跳转用）
+ * @returns {Promise<Object|null>} 新建的联系人，取消返回 null
+ */
+export async function showAddNpcFriendFlow(overlayElement) {
+  logger.info('phone','[NpcCreate] 开始添加NPC好友');
+
+  const info = await showNpcInfoPopup('加好友', {}, '添加');
+  if (!info) return null;
+
+  if (await isContactNameTaken(info.name)) {
+    showWarningToast(`已经有叫「${info.name}」的好友了`);
+    return null;
+  }
+
+  const npc = createNpcContact(info);
+  if (!await addNpcFriend(npc)) {
+    showErrorToast('添加失败，请重试');
+    return null;
+  }
+
+  showSuccessToast(`已添加 ${npc.name} 为好友`);
+
+  const { showPage } = await import('../phone-main-ui.js');
+  await showPage(overlayElement, 'chat', { contactId: npc.id });
+
+  return npc;
+}
+
+/**
+ * 编辑NPC资料
+ *
+ * @async
+ * @param {Object} contact - NPC联系人
+ * @returns {Promise<Object|null>} 更新后的联系人，取消返回 null
+ */
+export async function showEditNpcProfileFlow(contact) {
+  const info = await showNpcInfoPopup('NPC资料', contact, '保存');
+  if (!info) return null;
+
+  if (await isContactNameTaken(info.name, contact.id)) {
+    showWarningToast(`已经有叫「${info.name}」的好友了`);
+    return null;
+  }
+
+  const updated = await updateNpcContact(contact.id, info);
+  if (updated) {
+    showSuccessToast('资料已保存');
+  }
+  return updated;
+}
+
+/**
+ * NPC资料弹窗
+ *
+ * @private
+ * @async
+ * @param {string} title - 弹窗标题
+ * @param {Object} defaults - 默认值（编辑时传联系人）
+ * @param {string} okText - 确定按钮文字
+ * @returns {Promise<{name: string, avatarUrl: string, persona: string, worldbook: string}|null>}
+ */
+async function showNpcInfoPopup(title, defaults, okText) {
+  const worldbookOptions = getWorldbookNames()
+    .map(name => `<option value="${escapeHtml(name)}" ${name === defaults.worldbook ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+
+  const avatarPreview = defaults.avatarUrl
+    ? `<img src="${escapeHtml(defaults.avatarUrl)}" alt="">`
+    : '<i class="fa-solid fa-camera"></i>';
+
+  const html = `
+    <div class="group-create-form npc-create-form">
+      <div class="group-create-label">头像</div>
+      <div class="group-create-avatars">
+        <label class="group-create-avatar-option group-create-avatar-upload npc-create-avatar ${defaults.avatarUrl ? 'selected' : ''}"
+               data-avatar-url="${escapeHtml(defaults.avatarUrl || '')}" title="上传图片">
+          ${avatarPreview}
+          <input type="file" accept="image/*" style="display: none;">
+        </label>
+      </div>
+      <div class="group-create-label">名字</div>
+      <input type="text" class="phone-popup-input npc-create-name" maxlength="30" value="${escapeHtml(defaults.name || '')}" placeholder="好友的名字">
+      <div class="group-create-label">人设</div>
+      <textarea class="phone-popup-input npc-create-persona" rows="5" maxlength="${MAX_NPC_PERSONA_LENGTH}"
+                placeholder="身份、性格、说话方式、和你的关系...">${escapeHtml(defaults.persona || '')}</textarea>
+      <div class="group-create-label">绑定世界书（可选）</div>
+      <select class="phone-popup-input npc-create-worldbook">
+        <option value="">不绑定</option>
+        ${worldbookOptions}
+      </select>
+    </div>
+  `;
+
+  const result = await showCustomPopupWithData(title, html, {
+    buttons: [
+      { text: '取消', value: null, class: 'phone-popup-cancel' },
+      { text: okText, value: 'confirm', class: 'phone-popup-ok' }
+    ],
+    width: '90%',
+    onShow: (overlay) => bindAvatarUpload(overlay),
+    beforeClose: (buttonValue, overlay) => {
+      if (buttonValue !== 'confirm') return null;
+
+      const nameInput = /** @type {HTMLInputElement} */ (overlay.querySelector('.npc-create-name'));
+      const personaInput = /** @type {HTMLTextAreaElement} */ (overlay.querySelector('.npc-create-persona'));
+      const worldbookSelect = /** @type {HTMLSelectElement} */ (overlay.querySelector('.npc-create-worldbook'));
+      const avatarOption = /** @type {HTMLElement} */ (overlay.querySelector('.npc-create-avatar'));
+
+      return {
+        name: nameInput?.value.trim() || '',
+        persona: personaInput?.value.trim() || '',
+        worldbook: worldbookSelect?.value || '',
+        avatarUrl: avatarOption?.dataset.avatarUrl || ''
+      };
+    }
+  });
+
+  if (result && !result.name) {
+    showWarningToast('名字不能为空');
+    return null;
+  }
+  return result;
+}
+
+/**
+ * 绑定头像上传
+ *
+ * @private
+ * @param {HTMLElement} overlay - 弹窗元素
+ */
+function bindAvatarUpload(overlay) {
+  const avatarOption = /** @type {HTMLElement} */ (overlay.querySelector('.npc-create-avatar'));
+  const fileInput = /** @type {HTMLInputElement} */ (avatarOption?.querySelector('input[type="file"]'));
+  if (!fileInput) return;
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    try {
+      const { base64 } = await compressImage(file, 200);
+      const url = await uploadImage(base64, file.name);
+      avatarOption.dataset.avatarUrl = url;
+      avatarOption.querySelector('i')?.remove();
+      avatarOption.querySelector('img')?.remove();
+      const img = document.createElement('img');
+      img.src = url;
+      avatarOption.appendChild(img);
+      avatarOption.classList.add('selected');
+      logger.debug('phone','[NpcCreate] 头像已上传:', url);
+    } catch (error) {
+      logger.error('phone','[NpcCreate] 头像上传失败:', error);
+      showErrorToast('头像上传失败');
+    } finally {
+      fileInput.value = '';
+    }
+  });
+}
+
+/**
+ * HTML转义
+ *
+ * @private
+ * @param {string} str - 要转义的字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,280 @@
+/**
+ * NPC联系人数据管理
+ * @module phone/contacts/npc-contact-data
+ *
+ * @description
+ * NPC联系人不依赖酒馆角色卡，只有名字、头像、简短人设和可选的世界书绑定：
+ * {
+ *   id: 'npc_xxx', name, avatar: '', avatarUrl,   // avatarUrl：上传的头像路径
+ *   persona,                                      // 人设（代替角色卡的描述）
+ *   worldbook,                                    // 绑定的世界书名（空=不绑定）
+ *   signature, source: 'npc'
+ * }
+ *
+ * 来源：
+ * 1. 加号菜单「加好友」手动创建，直接成为好友
+ * 2. AI用 [好友申请]附加消息|人设简介 介绍新朋友，进入「新朋友」待处理列表，
+ *    申请对象额外带 requestMessages（申请消息）和 introducedBy（介绍人联系人ID）
+ */
+
+import logger from '../../../logger.js';
+import { world_names, loadWorldInfo } from '../../../../../../../scripts/world-info.js';
+import {
+  loadContacts,
+  saveContact,
+  markFriendAsAgreed,
+  getPendingRequests,
+  savePendingRequests,
+  getAIAwareDeletedRequests
+} from './contact-list-data.js';
+
+/** 人设最大长度 */
+export const MAX_NPC_PERSONA_LENGTH = 1000;
+
+/**
+ * 是否是NPC联系人
+ * @param {Object} contact - 联系人对象
+ * @returns {boolean}
+ */
+export function isNpcContact(contact) {
+  return contact?.source === 'npc';
+}
+
+/**
+ * 名字比较（忽略空白，AI输出的名字经常多或少空格）
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameName(a, b) {
+  return (a || '').replace(/\s/g, '') === (b || '').replace(/\s/g, '');
+}
+
+/**
+ * 创建NPC联系人对象（不保存）
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.name - 名字
+ * @param {string} [params.avatarUrl] - 上传的头像路径
+ * @param {string} [params.persona] - 人设
+ * @param {string} [params.worldbook] - 绑定的世界书名
+ * @param {string} [params.signature] - 个性签名
+ * @returns {Object} NPC联系人对象
+ */
+export function createNpcContact({ name, avatarUrl = '', persona = '', worldbook = '', signature = '' }) {
+  return {
+    id: `npc_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+    name: name.trim(),
+    avatar: '',
+    avatarUrl,
+    persona: persona.trim().substring(0, MAX_NPC_PERSONA_LENGTH),
+    worldbook,
+    signature,
+    source: 'npc'
+  };
+}
+
+/**
+ * 检查名字是否已被联系人占用（AI按名字路由消息，重名会串台）
+ *
+ * @async
+ * @param {string} name - 名字
+ * @param {string} [excludeId] - 排除的联系人ID（编辑自己时）
+ * @returns {Promise<boolean>}
+ */
+export async function isContactNameTaken(name, excludeId = null) {
+  const contacts = await loadContacts();
+  return contacts.some(c => c.id !== excludeId && (isSameName(c.name, name) || isSameName(c.remark, name)));
+}
+
+/**
+ * 添加NPC好友（手动创建，直接成为好友）
+ *
+ * @async
+ * @param {Object} npc - NPC联系人对象（createNpcContact 创建）
+ * @returns {Promise<boolean>} 是否添加成功
+ */
+export async function addNpcFriend(npc) {
+  const success = await saveContact(npc);
+  if (!success) return false;
+
+  await markFriendAsAgreed(npc.id);
+
+  const { addSystemMessage } = await import('../messages/message-chat-data.js');
+  const { getCurrentTimestamp } = await import('../utils/time-helper.js');
+  await addSystemMessage(npc.id, {
+    type: 'friend_added',
+    content: '{{user}}添加了你为好友',
+    time: getCurrentTimestamp()
+  });
+
+  logger.info('phone','[NpcContact] 已添加NPC好友:', npc.name);
+  return true;
+}
+
+/**
+ * 更新NPC联系人资料
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @param {Object} updates - 要更新的字段（name/avatarUrl/persona/worldbook）
+ * @returns {Promise<Object|null>} 更新后的联系人，不存在或不是NPC返回 null
+ */
+export async function updateNpcContact(contactId, updates) {
+  const contacts = await loadContacts();
+  const contact = contacts.find(c => c.id === contactId);
+  if (!isNpcContact(contact)) {
+    logger.warn('phone','[NpcContact] 不是NPC联系人:', contactId);
+    return null;
+  }
+
+  const updated = { ...contact, ...updates };
+  updated.persona = (updated.persona || '').trim().substring(0, MAX_NPC_PERSONA_LENGTH);
+
+  await saveContact(updated);
+  logger.info('phone','[NpcContact] 已更新NPC资料:', updated.name);
+  return updated;
+}
+
+/**
+ * 获取可绑定的世界书列表
+ * @returns {string[]}
+ */
+export function getWorldbookNames() {
+  return Array.isArray(world_names) ? [...world_names] : [];
+}
+
+/**
+ * 把NPC转成角色卡结构（代替酒馆角色卡，供上下文构建使用）
+ *
+ * @param {Object} contact - NPC联系人
+ * @returns {Object} { name, description, personality, scenario, avatar, isNpc }
+ */
+export function buildNpcCharacter(contact) {
+  return {
+    name: contact.name,
+    description: contact.persona || '',
+    personality: '',
+    scenario: '',
+    avatar: '',
+    isNpc: true
+  };
+}
+
+/**
+ * 读取NPC绑定世界书的启用条目
+ *
+ * @async
+ * @param {Object} contact - NPC联系人
+ * @returns {Promise<string>} 条目内容（按 order 排序，空行分隔），未绑定或读取失败返回空字符串
+ */
+export async function getNpcWorldbookContent(contact) {
+  if (!isNpcContact(contact) || !contact.worldbook) return '';
+
+  try {
+    const data = await loadWorldInfo(contact.worldbook);
+    if (!data?.entries) {
+      logger.warn('phone','[NpcContact] 绑定的世界书不存在:', contact.worldbook);
+      return '';
+    }
+
+    return Object.values(data.entries)
+      .filter(entry => !entry.disable && entry.content?.trim())
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map(entry => entry.content.trim())
+      .join('\n\n');
+  } catch (error) {
+    logger.error('phone','[NpcContact] 读取世界书失败:', contact.worldbook, error);
+    return '';
+  }
+}
+
+/**
+ * 处理AI发来的好友申请，找出申请人
+ *
+ * @async
+ * @param {string} roleName - 申请人名字（[角色-名字]）
+ * @param {string} content - 申请消息（新朋友可带 |人设简介）
+ * @param {Object} meta - 元数据
+ * @param {number} meta.time - 时间戳（秒）
+ * @param {string} meta.msgId - 消息ID
+ * @param {string} [meta.introducedBy] - 介绍人联系人ID（当前聊天对象）
+ * @returns {Promise<{contactId: string, content: string, isNewNpc: boolean}|null>}
+ *   contactId=申请消息归属的ID，content=去掉人设简介后的申请消息；已经是好友返回 null
+ *
+ * @description
+ * - 被AI感知删除的联系人：重新申请（原逻辑）
+ * - 已经是好友：忽略
+ * - 其他名字：AI介绍的新朋友，加入「新朋友」待处理列表（同名申请合并）
+ */
+export async function resolveFriendRequest(roleName, content, { time, msgId, introducedBy = null }) {
+  const deleted = (await getAIAwareDeletedRequests()).find(r => isSameName(r.contactName, roleName));
+  if (deleted) {
+    return { contactId: deleted.contactId, content, isNewNpc: false };
+  }
+
+  if (await isContactNameTaken(roleName)) {
+    logger.warn('phone','[NpcContact] 已经是好友，忽略好友申请:', roleName);
+    return null;
+  }
+
+  const separatorIndex = content.indexOf('|');
+  const message = (separatorIndex >= 0 ? content.substring(0, separatorIndex) : content).trim();
+  const persona = separatorIndex >= 0 ? content.substring(separatorIndex + 1).trim() : '';
+
+  const pending = await getPendingRequests();
+  let request = pending.find(r => isNpcContact(r) && isSameName(r.name, roleName));
+
+  if (!request) {
+    request = {
+      ...createNpcContact({ name: roleName, persona }),
+      introducedBy,
+      requestMessages: []
+    };
+    pending.unshift(request);
+    logger.info('phone','[NpcContact] AI介绍了新朋友:', roleName);
+  } else if (persona && !request.persona) {
+    request.persona = persona.substring(0, MAX_NPC_PERSONA_LENGTH);
+  }
+
+  request.requestMessages.push({ message, time, msgId, introducedBy });
+  await savePendingRequests(pending);
+
+  return { contactId: request.id, content: message, isNewNpc: true };
+}
+
+/**
+ * 回退AI介绍的新朋友申请
+ *
+ * @async
+ * @param {string} contactId - 重roll的聊天（介绍人）ID
+ * @param {Array<Object>} deletedMessages - 被删除的AI消息
+ * @returns {Promise<number>} 删除的申请消息数
+ *
+ * @description
+ * 新朋友的申请消息不进任何聊天记录，只能按「同一介绍人 + 不早于被删消息」认领：
+ * 删除这些申请消息，申请消息删光了就移除整个申请
+ */
+export async function rollbackNpcFriendRequests(contactId, deletedMessages) {
+  if (deletedMessages.length === 0) return 0;
+
+  const since = Math.min(...deletedMessages.map(m => m.time || 0));
+  const pending = await getPendingRequests();
+  let count = 0;
+
+  const remaining = pending.filter(request => {
+    if (!isNpcContact(request) || !Array.isArray(request.requestMessages)) return true;
+
+    const before = request.requestMessages.length;
+    request.requestMessages = request.requestMessages.filter(m => !(m.introducedBy === contactId && m.time >= since));
+    count += before - request.requestMessages.length;
+
+    return before === 0 || request.requestMessages.length > 0;
+  });
+
+  if (count > 0) {
+    await savePendingRequests(remaining);
+    logger.info('phone','[NpcContact] 已回退', count, '条新朋友申请消息');
+  }
+  return count;
+}
@@ -12,7 +12,7 @@
 
 import logger from '../../../logger.js';
 import { getUserMembership } from '../data-storage/storage-membership.js';
-import { getBalance, subtractBalance } from '../data-storage/storage-wallet.js';
+import { getBalance, executePurchase } from '../data-storage/storage-wallet.js';
 import { loadData, saveData } from '../data-storage/storage-api.js';
 import { calculatePrice } from './customization-pricing.js';
 import { stateManager } from '../utils/state-manager.js';
@@ -185,7 +185,7 @@ export async function purchaseItem(item, category = 'bubble') {
   if (eligibility.price > 0) {
     // 需要付费
     try {
-      newBalance = await subtractBalance(eligibility.price);
+      newBalance = await executePurchase('customization', eligibility.price, item.name);
       logger.info('phone','[Purchase] 扣费成功:', eligibility.price, '新余额:', newBalance);
     } catch (error) {
       logger.error('phone','[Purchase] 扣费失败:', error.message);
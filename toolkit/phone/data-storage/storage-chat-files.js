@@ -0,0 +1,573 @@
+/**
+ * 聊天记录文件存储
+ * @module phone/data-storage/storage-chat-files
+ *
+ * @description
+ * 聊天记录按联系人拆成单独的 JSON 文件，通过酒馆的文件 API 读写，
+ * 不再塞进 extension_settings（settings.json 会随消息数无限变大，拖慢酒馆保存）。
+ *
+ * 文件位置:
+ * - 聊天记录: data/default-user/user/files/acsus-paws-puffs-phone-chat-{编码后的contactId}.json
+ *   { contactId, messages: [...] }
+ *   只含字母、数字、下划线的 ID 原样作文件名，其他（中文角色名等）用 UTF-8 的 base64url 编码
+ * - 聊天索引: data/default-user/user/files/acsus-paws-puffs-phone-chat-index.json
+ *   { version: 1, chats: { [contactId]: { count, lastMessage } } }
+ *   消息列表只需要最后一条消息，靠索引就不用把所有聊天文件都读一遍
+ *
+ * 读取是懒加载的：打开某个聊天时才读它的文件，读过的放内存缓存，
+ * 之后的修改直接改缓存数组，再防抖写回文件。
+ *
+ * 旧数据迁移：第一次读写时把 extension_settings.acsusPawsPuffs.phone.chats
+ * 里的聊天记录逐个写成文件，写成功的才从设置里删掉；失败的留在设置里，下次保存或启动时再写。
+ */
+
+import logger from '../../../logger.js';
+import { extension_settings } from '../../../../../../extensions.js';
+import { saveSettingsDebounced, getRequestHeaders } from '../../../../../../../script.js';
+
+// ========================================
+// 常量定义
+// ========================================
+
+/** 聊天记录文件名前缀 */
+const CHAT_FILENAME_PREFIX = 'acsus-paws-puffs-phone-chat-';
+
+/** 聊天索引文件名 */
+const CHAT_INDEX_FILENAME = 'acsus-paws-puffs-phone-chat-index.json';
+
+/** 编码文件名的前缀（原样文件名里不会出现 -，两种文件名不会撞） */
+const ENCODED_ID_PREFIX = 'u-';
+
+/** 防抖写文件的延迟（毫秒） */
+const SAVE_DELAY_MS = 300;
+
+// ========================================
+// 模块状态
+// ========================================
+
+/**
+ * 已加载的聊天记录（contactId → 消息数组）
+ * @type {Map<string, Array<Object>>}
+ */
+const cachedChats = new Map();
+
+/**
+ * 正在加载的聊天记录（避免同一个文件被并发请求多次）
+ * @type {Map<string, Promise<Array<Object>>>}
+ */
+const pendingLoads = new Map();
+
+/**
+ * 聊天索引（contactId → { count, lastMessage }），null 表示还没加载
+ * @type {Object<string, {count: number, lastMessage: Object|null}>|null}
+ */
+let chatIndex = null;
+
+/** @type {boolean} 索引文件读取失败（非404），读成功之前不写回，免得空索引覆盖真实文件 */
+let indexLoadFailed = false;
+
+/**
+ * 读取失败（非404）的聊天，读成功之前拒绝保存，免得空记录覆盖真实文件
+ * @type {Set<string>}
+ */
+const failedChatLoads = new Set();
+
+/** @type {Promise<void>|null} 迁移任务（只跑一次） */
+let migrationPromise = null;
+
+/** @type {Set<string>} 待写回的聊天 */
+const dirtyChats = new Set();
+
+/** @type {boolean} 索引是否待写回 */
+let indexDirty = false;
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let saveTimeout = null;
+
+/** @type {Promise<void>} 写回任务串行执行，避免同一个文件并发上传、旧内容覆盖新内容 */
+let flushQueue = Promise.resolve();
+
+// ========================================
+// 文件读写
+// ========================================
+
+/**
+ * 获取聊天记录文件名
+ * @param {string} contactId - 联系人ID
+ * @returns {string}
+ */
+export function getChatFilename(contactId) {
+  // index 会和索引文件撞名，也走编码
+  if (/^[a-zA-Z0-9_]+$/.test(contactId) && contactId !== 'index') {
+    return `${CHAT_FILENAME_PREFIX}${contactId}.json`;
+  }
+
+  // 其他字符不能直接替换成 _（tavern_小明 和 tavern_小红 会变成同一个文件），整体编码
+  const bytes = new TextEncoder().encode(contactId);
+  const base64 = btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  return `${CHAT_FILENAME_PREFIX}${ENCODED_ID_PREFIX}${base64}.json`;
+}
+
+/**
+ * 读取联系人的聊天文件
+ *
+ * @private
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @returns {Promise<Array<Object>>} 消息数组，没有文件返回空数组
+ * @throws {Error} 读取失败（非404）时抛出
+ */
+async function fetchChatMessages(contactId) {
+  const data = await fetchUserFile(getChatFilename(contactId));
+  if (!data) return [];
+
+  // 文件里存的 contactId 对不上，说明是别的联系人的记录
+  if (data.contactId !== contactId) {
+    logger.warn('phone','[ChatFiles] 聊天文件属于其他联系人，忽略:', contactId, '文件内:', data.contactId);
+    return [];
+  }
+  return Array.isArray(data.messages) ? data.messages : [];
+}
+
+/**
+ * 读取用户文件
+ *
+ * @private
+ * @async
+ * @param {string} filename - 文件名
+ * @returns {Promise<Object|null>} 文件内容，文件不存在返回 null
+ * @throws {Error} 读取失败（非404）时抛出
+ */
+async function fetchUserFile(filename) {
+  const response = await fetch(`/user/files/${filename}`, {
+    method: 'GET',
+    headers: getRequestHeaders(),
+    cache: 'no-cache'
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return JSON.parse(await response.text());
+}
+
+/**
+ * 写入用户文件
+ *
+ * @private
+ * @async
+ * @param {string} filename - 文件名
+ * @param {Object} data - 文件内容
+ * @returns {Promise<boolean>} 是否写入成功
+ */
+async function uploadUserFile(filename, data) {
+  try {
+    const jsonString = JSON.stringify(data);
+    const base64Data = btoa(unescape(encodeURIComponent(jsonString)));
+
+    const response = await fetch('/api/files/upload', {
+      method: 'POST',
+      headers: getRequestHeaders(),
+      body: JSON.stringify({
+        name: filename,
+        data: base64Data
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+    return true;
+  } catch (error) {
+    logger.error('phone','[ChatFiles] 写入文件失败:', filename, error.message);
+    return false;
+  }
+}
+
+/**
+ * 删除用户文件
+ *
+ * @private
+ * @async
+ * @param {string} filename - 文件名
+ * @returns {Promise<boolean>} 是否删除成功（文件本来就不存在也算成功）
+ */
+async function deleteUserFile(filename) {
+  try {
+    const response = await fetch('/api/files/delete', {
+      method: 'POST',
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ path: `/user/files/${filename}` })
+    });
+    return response.ok || response.status === 404;
+  } catch (error) {
+    logger.error('phone','[ChatFiles] 删除文件失败:', filename, error.message);
+    return false;
+  }
+}
+
+// ========================================
+// 索引
+// ========================================
+
+/**
+ * 生成索引条目
+ * @private
+ * @param {Array<Object>} messages - 消息数组
+ * @returns {{count: number, lastMessage: Object|null}}
+ */
+function buildIndexEntry(messages) {
+  return {
+    count: messages.length,
+    lastMessage: messages.length > 0 ? messages[messages.length - 1] : null
+  };
+}
+
+/**
+ * 从文件加载索引（不触发迁移，迁移本身也要用）
+ *
+ * @private
+ * @async
+ * @returns {Promise<Object<string, {count: number, lastMessage: Object|null}>>}
+ */
+async function loadIndexFile() {
+  if (chatIndex && !indexLoadFailed) return chatIndex;
+
+  try {
+    const data = await fetchUserFile(CHAT_INDEX_FILENAME);
+    // 读取失败期间内存里记下的条目比文件新，合并进来
+    chatIndex = { ...(data?.chats || {}), ...(chatIndex || {}) };
+    indexLoadFailed = false;
+  } catch (error) {
+    // 只有 404 算没有索引；其他错误先用内存里的，下次再读，期间不写回
+    logger.error('phone','[ChatFiles] 加载聊天索引失败，暂不写回索引:', error.message);
+    chatIndex = chatIndex || {};
+    indexLoadFailed = true;
+  }
+  return chatIndex;
+}
+
+/**
+ * 获取聊天索引
+ *
+ * @async
+ * @returns {Promise<Object<string, {count: number, lastMessage: Object|null}>>}
+ *   contactId → { count: 消息数, lastMessage: 最后一条消息 }
+ */
+export async function loadChatIndex() {
+  await ensureMigrated();
+  return await loadIndexFile();
+}
+
+// ========================================
+// 聊天记录
+// ========================================
+
+/**
+ * 加载联系人的聊天记录（懒加载 + 缓存）
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @returns {Promise<Array<Object>>} 消息数组（缓存里的同一个数组，修改后要调 saveChatFile）；
+ *   读取失败（非404）时返回不缓存的空数组，下次调用重新读取
+ */
+export async function loadChatFile(contactId) {
+  if (cachedChats.has(contactId)) {
+    return cachedChats.get(contactId);
+  }
+  if (pendingLoads.has(contactId)) {
+    return await pendingLoads.get(contactId);
+  }
+
+  const loading = (async () => {
+    await ensureMigrated();
+
+    // 迁移失败、还留在设置里的旧记录：先用旧记录，下次保存时写成文件
+    const legacy = getLegacyChats()?.[`chat_${contactId}`];
+    if (Array.isArray(legacy)) {
+      cachedChats.set(contactId, legacy);
+      return legacy;
+    }
+
+    let messages;
+    try {
+      messages = await fetchChatMessages(contactId);
+      failedChatLoads.delete(contactId);
+    } catch (error) {
+      // 只有 404 算没有记录；其他错误不缓存（下次再读），并拒绝保存
+      logger.error('phone','[ChatFiles] 加载聊天记录失败，暂不保存该聊天:', contactId, error.message);
+      failedChatLoads.add(contactId);
+      return [];
+    }
+
+    // 加载期间可能已经有人写进了缓存（如 saveChatFile 整体替换），以缓存为准
+    if (!cachedChats.has(contactId)) {
+      cachedChats.set(contactId, messages);
+    }
+    return cachedChats.get(contactId);
+  })();
+
+  pendingLoads.set(contactId, loading);
+  try {
+    return await loading;
+  } finally {
+    pendingLoads.delete(contactId);
+  }
+}
+
+/**
+ * 同步获取已缓存的聊天记录
+ *
+ * @description
+ * 给同步场景用（如酒馆宏替换），只读缓存，不触发加载
+ *
+ * @param {string} contactId - 联系人ID
+ * @returns {Array<Object>|null} 消息数组，未加载返回 null
+ */
+export function getCachedChatFile(contactId) {
+  return cachedChats.get(contactId) || null;
+}
+
+/**
+ * 在已缓存的聊天记录里查找消息所属的联系人
+ *
+ * @param {string} messageId - 消息ID
+ * @returns {string|null} 联系人ID，找不到返回 null
+ */
+export function findCachedContactIdByMessageId(messageId) {
+  for (const [contactId, messages] of cachedChats) {
+    if (messages.some(msg => msg.id === messageId)) {
+      return contactId;
+    }
+  }
+  return null;
+}
+
+/**
+ * 保存联系人的聊天记录（更新缓存和索引，防抖写文件）
+ *
+ * @description
+ * 文件读取失败（非404）的聊天不保存，等重新读取成功后再说
+ *
+ * @param {string} contactId - 联系人ID
+ * @param {Array<Object>} messages - 完整消息数组
+ */
+export function saveChatFile(contactId, messages) {
+  if (failedChatLoads.has(contactId)) {
+    logger.error('phone','[ChatFiles] 聊天记录没有读取成功，拒绝保存（避免覆盖文件）:', contactId);
+    return;
+  }
+
+  cachedChats.set(contactId, messages);
+
+  // 索引还没加载时，写回文件时再补
+  if (chatIndex) {
+    chatIndex[contactId] = buildIndexEntry(messages);
+    indexDirty = true;
+  }
+
+  dirtyChats.add(contactId);
+  scheduleFlush();
+}
+
+/**
+ * 删除联系人的聊天记录文件
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteChatFile(contactId) {
+  await ensureMigrated();
+
+  cachedChats.delete(contactId);
+  dirtyChats.delete(contactId);
+  failedChatLoads.delete(contactId);
+
+  const legacy = getLegacyChats();
+  if (legacy?.[`chat_${contactId}`]) {
+    delete legacy[`chat_${contactId}`];
+    saveSettingsDebounced();
+  }
+
+  const index = await loadIndexFile();
+  if (index[contactId]) {
+    delete index[contactId];
+    indexDirty = true;
+    scheduleFlush();
+  }
+
+  return await deleteUserFile(getChatFilename(contactId));
+}
+
+/**
+ * 安排防抖写回
+ * @private
+ */
+function scheduleFlush() {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+  }
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    flushChatFiles();
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * 立即写回所有待保存的聊天记录和索引
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export function flushChatFiles() {
+  flushQueue = flushQueue.then(writeDirtyFiles, writeDirtyFiles);
+  return flushQueue;
+}
+
+/**
+ * 写回待保存的聊天记录和索引
+ * @private
+ * @async
+ */
+async function writeDirtyFiles() {
+  const index = await loadIndexFile();
+  const legacy = getLegacyChats();
+  let legacyChanged = false;
+
+  for (const contactId of [...dirtyChats]) {
+    dirtyChats.delete(contactId);
+    const messages = cachedChats.get(contactId);
+    if (!messages) continue;
+
+    index[contactId] = buildIndexEntry(messages);
+    indexDirty = true;
+
+    const success = await uploadUserFile(getChatFilename(contactId), { contactId, messages });
+    if (!success) {
+      // 写失败留着下次再试
+      dirtyChats.add(contactId);
+      continue;
+    }
+
+    // 旧记录已经写成文件了，从设置里删掉
+    if (legacy?.[`chat_${contactId}`]) {
+      delete legacy[`chat_${contactId}`];
+      legacyChanged = true;
+    }
+    logger.debug('phone','[ChatFiles] 聊天记录已写入文件:', contactId, `共${messages.length}条`);
+  }
+
+  if (indexDirty && !indexLoadFailed) {
+    indexDirty = false;
+    if (!await uploadUserFile(CHAT_INDEX_FILENAME, { version: 1, chats: index })) {
+      indexDirty = true;
+    }
+  }
+
+  if (legacyChanged) {
+    cleanupLegacyChats();
+  }
+}
+
+// ========================================
+// 旧数据迁移
+// ========================================
+
+/**
+ * 获取设置里的旧聊天记录
+ * @private
+ * @returns {Object<string, Array<Object>>|null} chat_{contactId} → 消息数组
+ */
+function getLegacyChats() {
+  return extension_settings.acsusPawsPuffs?.phone?.chats || null;
+}
+
+/**
+ * 旧聊天记录都迁走后，从设置里移除 chats 字段
+ * @private
+ */
+function cleanupLegacyChats() {
+  const legacy = getLegacyChats();
+  if (legacy && Object.keys(legacy).length === 0) {
+    delete extension_settings.acsusPawsPuffs.phone.chats;
+  }
+  saveSettingsDebounced();
+}
+
+/**
+ * 确保旧数据已迁移（只跑一次，并发调用共用同一个任务）
+ * @private
+ * @async
+ */
+async function ensureMigrated() {
+  if (!migrationPromise) {
+    migrationPromise = migrateLegacyChats();
+  }
+  await migrationPromise;
+}
+
+/**
+ * 把 extension_settings 里的聊天记录迁移成文件
+ *
+ * @private
+ * @async
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyChats() {
+  const index = await loadIndexFile();
+  const legacy = getLegacyChats();
+  if (!legacy || Object.keys(legacy).length === 0) {
+    if (legacy) cleanupLegacyChats();
+    return;
+  }
+
+  const entries = Object.entries(legacy);
+  logger.info('phone','[ChatFiles] 开始迁移旧聊天记录:', `共${entries.length}个聊天`);
+
+  let migratedCount = 0;
+
+  for (const [chatKey, messages] of entries) {
+    const contactId = chatKey.replace(/^chat_/, '');
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      delete legacy[chatKey];
+      continue;
+    }
+
+    // 迁移失败的也进索引，消息列表照常显示（内容从设置里读）
+    index[contactId] = buildIndexEntry(messages);
+
+    if (!await uploadUserFile(getChatFilename(contactId), { contactId, messages })) {
+      logger.warn('phone','[ChatFiles] 聊天记录迁移失败，保留在设置中:', contactId);
+      continue;
+    }
+
+    cachedChats.set(contactId, messages);
+    delete legacy[chatKey];
+    migratedCount++;
+  }
+
+  // 写索引（失败时索引留在内存里，下次保存再写）
+  indexDirty = true;
+  await flushChatFiles();
+  cleanupLegacyChats();
+
+  logger.info('phone','[ChatFiles] 旧聊天记录迁移完成:', `成功${migratedCount}个，剩余${Object.keys(legacy).length}个`);
+}
+
+/**
+ * 初始化聊天文件存储（手机系统初始化时调用，提前完成迁移）
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function initChatFileStorage() {
+  await ensureMigrated();
+}
@@ -2,11 +2,12 @@
  * 钱包数据存储模块
  * 
  * @description
- * 管理用户余额和转账记录
+ * 管理用户余额和账单记录
  * 职责：
- * - 余额读取/更新
- * - 转账记录增删查
- * - 按联系人筛选记录
+ * - 余额读取/更新（手动调整会记一笔「余额调整」）
+ * - 账单记录增删查（转账、红包、会员、装扮购买、余额调整）
+ * - 按联系人/月份/分类筛选记录
+ * - 月度收支账单统计、CSV导出
  * - 触发事件通知（wallet-data-changed）
  * 
  * @module storage-wallet
@@ -16,6 +17,21 @@ import { saveData, loadData } from './storage-api.js';
 import logger from '../../../logger.js';
 import { stateManager } from '../utils/state-manager.js';
 
+/**
+ * 账单分类 → 显示文字
+ * @type {Object<string, string>}
+ */
+export const TRANSACTION_CATEGORIES = {
+  transfer: '转账',
+  redpacket: '红包',
+  membership: '会员',
+  customization: '装扮购买',
+  adjustment: '余额调整'
+};
+
+/** 购买类记录允许的分类 */
+const PURCHASE_CATEGORIES = ['membership', 'customization'];
+
 /**
  * 获取钱包数据
  * @returns {Promise<Object>} 钱包数据对象
@@ -136,12 +152,49 @@ function generateTransactionId() {
   return `trans_${timestamp}_${random}`;
 }
 
+/**
+ * 获取记录的账单分类
+ *
+ * @param {Object} transaction - 账单记录
+ * @returns {string} TRANSACTION_CATEGORIES 的键
+ *
+ * @description
+ * 旧记录没有 category 字段，按 type 推断：礼物目前只有送会员，算作「会员」
+ */
+export function getTransactionCategory(transaction) {
+  if (transaction.category && TRANSACTION_CATEGORIES[transaction.category]) {
+    return transaction.category;
+  }
+  switch (transaction.type) {
+    case 'redpacket':
+      return 'redpacket';
+    case 'gift':
+      return 'membership';
+    case 'adjustment':
+      return 'adjustment';
+    default:
+      return 'transfer';
+  }
+}
+
+/**
+ * 获取记录所在月份
+ *
+ * @param {number} time - 秒级时间戳
+ * @returns {string} 'YYYY-MM'（本地时间）
+ */
+export function getTransactionMonth(time) {
+  const date = new Date(time * 1000);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
 /**
  * 添加转账记录
  * @param {Object} transaction - 转账记录对象
- * @param {string} transaction.contactId - 联系人ID
- * @param {'transfer'|'gift'|'redpacket'} transaction.type - 转账类型
- * @param {'sent'|'received'} transaction.direction - 方向（sent=user转出，received=char转入）
+ * @param {string|null} transaction.contactId - 联系人ID（购买和余额调整可为空）
+ * @param {'transfer'|'gift'|'redpacket'|'purchase'|'adjustment'} transaction.type - 记录类型
+ * @param {'sent'|'received'} transaction.direction - 方向（sent=user转出/支出，received=char转入/收入）
+ * @param {string} [transaction.category] - 账单分类（不传按 type 推断，purchase 必须传 membership 或 customization）
  * @param {number} transaction.amount - 金额
  * @param {string} [transaction.message] - 转账留言
  * @param {string} [transaction.itemName] - 礼物名称（如"SVIP会员 1个月"）
@@ -151,8 +204,9 @@ function generateTransactionId() {
  * @returns {Promise<Object>} 添加后的转账记录（包含生成的ID）
  */
 export async function addTransaction(transaction) {
-  // 验证必需字段
-  if (!transaction.contactId || !transaction.type || !transaction.direction) {
+  // 验证必需字段（购买和余额调整是用户自己的账，不关联联系人）
+  const needsContact = transaction.type !== 'purchase' && transaction.type !== 'adjustment';
+  if ((needsContact && !transaction.contactId) || !transaction.type || !transaction.direction) {
     logger.error('phone','[WalletStorage] 转账记录缺少必需字段:', transaction);
     throw new Error('转账记录缺少必需字段');
   }
@@ -162,11 +216,16 @@ export async function addTransaction(transaction) {
     throw new Error('转账方向无效');
   }
 
+  if (transaction.type === 'purchase' && !PURCHASE_CATEGORIES.includes(transaction.category)) {
+    logger.error('phone','[WalletStorage] 购买记录分类无效:', transaction.category);
+    throw new Error('购买记录分类无效');
+  }
+
   // ✅ 根据交易类型验证金额
-  // 转账和红包必须有金额，礼物可以没有（如送会员、送表情）
-  if (transaction.type === 'transfer' || transaction.type === 'redpacket') {
+  // 转账、红包、购买、调整必须有金额，礼物可以没有（如送会员、送表情）
+  if (['transfer', 'redpacket', 'purchase', 'adjustment'].includes(transaction.type)) {
     if (typeof transaction.amount !== 'number' || transaction.amount <= 0) {
-      logger.error('phone','[WalletStorage] 转账/红包金额必须是正数:', transaction.amount);
+      logger.error('phone','[WalletStorage] 金额必须是正数:', transaction.amount);
       throw new Error('金额无效');
     }
   } else if (transaction.type === 'gift') {
@@ -182,8 +241,9 @@ export async function addTransaction(transaction) {
   // 生成完整的转账记录
   const fullTransaction = {
     id: generateTransactionId(),
-    contactId: transaction.contactId,
+    contactId: transaction.contactId || null,
     type: transaction.type,
+    category: getTransactionCategory(transaction),
     direction: transaction.direction,
     amount: transaction.amount,
     message: transaction.message || '',
@@ -200,7 +260,7 @@ export async function addTransaction(transaction) {
     action: 'addTransaction',
     balance: wallet.balance,
     transaction: fullTransaction,
-    contactId: transaction.contactId
+    contactId: fullTransaction.contactId
   });
 
   logger.info('phone','[WalletStorage] 已添加转账记录:', fullTransaction.id, '方向:', fullTransaction.direction, '金额:', fullTransaction.amount);
@@ -213,6 +273,8 @@ export async function addTransaction(transaction) {
  * @param {Object} [options] - 筛选选项
  * @param {string} [options.contactId] - 按联系人筛选
  * @param {'sent'|'received'|'all'} [options.direction] - 按方向筛选（默认'all'）
+ * @param {string} [options.category] - 按账单分类筛选（'all'或不传=全部）
+ * @param {string} [options.month] - 按月份筛选（'YYYY-MM'，'all'或不传=全部）
  * @param {'time'} [options.sortBy] - 排序字段（默认'time'）
  * @param {'desc'|'asc'} [options.sortOrder] - 排序方向（默认'desc'）
  * @returns {Promise<Array>} 转账记录数组
@@ -226,6 +288,16 @@ export async function getTransactions(options = {}) {
     transactions = transactions.filter(t => t.contactId === options.contactId);
   }
 
+  // 按分类筛选
+  if (options.category && options.category !== 'all') {
+    transactions = transactions.filter(t => getTransactionCategory(t) === options.category);
+  }
+
+  // 按月份筛选
+  if (options.month && options.month !== 'all') {
+    transactions = transactions.filter(t => getTransactionMonth(t.time) === options.month);
+  }
+
   // 按方向筛选
   if (options.direction && options.direction !== 'all') {
     transactions = transactions.filter(t => t.direction === options.direction);
@@ -272,6 +344,8 @@ export async function findTransactionByMessageId(messageId) {
  * 删除转账记录时会自动恢复余额：
  * - 删除收入记录（received）：减少余额
  * - 删除支出记录（sent）：增加余额
+ *
+ * 购买记录不能删除：会员、装扮已经到手，退回余额就等于白拿
  */
 export async function deleteTransaction(transactionId) {
   const wallet = await getWalletData();
@@ -282,6 +356,11 @@ export async function deleteTransaction(transactionId) {
     return false;
   }
 
+  if (wallet.transactions[index].type === 'purchase') {
+    logger.warn('phone','[WalletStorage] 购买记录不能删除:', transactionId);
+    return false;
+  }
+
   const deleted = wallet.transactions.splice(index, 1)[0];
 
   // ✅ 恢复余额
@@ -312,6 +391,8 @@ export async function deleteTransaction(transactionId) {
  * @param {Object} [options] - 筛选选项
  * @param {string} [options.contactId] - 按联系人筛选
  * @param {'sent'|'received'} [options.direction] - 按方向筛选
+ * @param {string} [options.category] - 按账单分类筛选
+ * @param {string} [options.month] - 按月份筛选（'YYYY-MM'）
  * @returns {Promise<Object>} { income: 收入总额, expense: 支出总额 }
  */
 export async function calculateTotals(options = {}) {
@@ -331,6 +412,134 @@ export async function calculateTotals(options = {}) {
   return { income, expense };
 }
 
+/**
+ * 获取有账单记录的月份
+ *
+ * @param {Object} [options] - 筛选选项（同 getTransactions，month 除外）
+ * @returns {Promise<string[]>} 'YYYY-MM' 数组（新的在前）
+ */
+export async function getTransactionMonths(options = {}) {
+  const transactions = await getTransactions({ ...options, month: 'all' });
+  const months = new Set(transactions.map(t => getTransactionMonth(t.time)));
+  return Array.from(months).sort().reverse();
+}
+
+/**
+ * 月度收支账单
+ *
+ * @param {string} month - 'YYYY-MM'
+ * @param {Object} [options] - 筛选选项
+ * @param {string} [options.contactId] - 只统计某个联系人
+ * @returns {Promise<Object>} { month, income, expense, count, categories: [{category, label, income, expense}] }
+ *
+ * @description
+ * categories 只包含当月有记录的分类，按 TRANSACTION_CATEGORIES 的顺序排列
+ */
+export async function getMonthlyStatement(month, options = {}) {
+  const transactions = await getTransactions({ contactId: options.contactId, month });
+
+  const byCategory = {};
+  let income = 0;
+  let expense = 0;
+
+  transactions.forEach(t => {
+    const category = getTransactionCategory(t);
+    if (!byCategory[category]) {
+      byCategory[category] = { income: 0, expense: 0 };
+    }
+    if (t.direction === 'received') {
+      income += t.amount;
+      byCategory[category].income += t.amount;
+    } else if (t.direction === 'sent') {
+      expense += t.amount;
+      byCategory[category].expense += t.amount;
+    }
+  });
+
+  const categories = Object.keys(TRANSACTION_CATEGORIES)
+    .filter(category => byCategory[category])
+    .map(category => ({
+      category,
+      label: TRANSACTION_CATEGORIES[category],
+      ...byCategory[category]
+    }));
+
+  return { month, income, expense, count: transactions.length, categories };
+}
+
+/**
+ * 最近几个月的收支趋势（柱状图用）
+ *
+ * @param {string} endMonth - 截止月份 'YYYY-MM'（包含）
+ * @param {number} [count=6] - 月份数
+ * @param {Object} [options] - 筛选选项
+ * @param {string} [options.contactId] - 只统计某个联系人
+ * @returns {Promise<Array<{month: string, income: number, expense: number}>>} 旧的在前
+ */
+export async function getMonthlyTrend(endMonth, count = 6, options = {}) {
+  const transactions = await getTransactions({ contactId: options.contactId });
+  const [year, monthIndex] = endMonth.split('-').map(Number);
+
+  const trend = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const date = new Date(year, monthIndex - 1 - i, 1);
+    trend.push({
+      month: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+      income: 0,
+      expense: 0
+    });
+  }
+
+  transactions.forEach(t => {
+    const entry = trend.find(item => item.month === getTransactionMonth(t.time));
+    if (!entry) return;
+    if (t.direction === 'received') {
+      entry.income += t.amount;
+    } else if (t.direction === 'sent') {
+      entry.expense += t.amount;
+    }
+  });
+
+  return trend;
+}
+
+/**
+ * 导出账单为CSV
+ *
+ * @param {Object} [options] - 筛选选项（同 getTransactions）
+ * @param {Object<string, string>} [contactNames={}] - 联系人ID → 显示名称
+ * @returns {Promise<string>} CSV文本（时间正序，不含BOM）
+ */
+export async function exportTransactionsCSV(options = {}, contactNames = {}) {
+  const transactions = await getTransactions({ ...options, sortBy: 'time', sortOrder: 'asc' });
+
+  const rows = [['时间', '分类', '收支', '联系人', '金额', '物品', '留言']];
+  transactions.forEach(t => {
+    rows.push([
+      new Date(t.time * 1000).toLocaleString('zh-CN', { hour12: false }),
+      TRANSACTION_CATEGORIES[getTransactionCategory(t)],
+      t.direction === 'received' ? '收入' : '支出',
+      t.contactId ? (contactNames[t.contactId] || t.contactId) : '',
+      t.amount.toFixed(2),
+      t.itemName || '',
+      t.message || ''
+    ]);
+  });
+
+  logger.info('phone','[WalletStorage] 已导出CSV:', transactions.length, '条记录');
+  return rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n');
+}
+
+/**
+ * CSV字段转义（含逗号、引号、换行时加引号）
+ * @param {string} value - 字段值
+ * @returns {string}
+ */
+function escapeCSVField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * @deprecated 已迁移到状态管理器，不再需要此函数
  * 保留此注释以便理解历史代码
@@ -430,3 +639,58 @@ export async function receiveTransfer(contactId, amount, message = '', messageId
     throw error;
   }
 }
+
+/**
+ * 购买并记账（会员、装扮等用户自己花钱的地方）
+ *
+ * @async
+ * @param {'membership'|'customization'} category - 账单分类
+ * @param {number} amount - 价格
+ * @param {string} itemName - 购买的物品（如"VIP会员 1个月"）
+ * @returns {Promise<number>} 扣款后的余额
+ * @throws {Error} 余额不足或参数无效时抛出错误
+ */
+export async function executePurchase(category, amount, itemName) {
+  const newBalance = await subtractBalance(amount);
+
+  await addTransaction({
+    contactId: null,
+    type: 'purchase',
+    category,
+    direction: 'sent',
+    amount,
+    itemName
+  });
+
+  return newBalance;
+}
+
+/**
+ * 手动调整余额并记一笔「余额调整」
+ *
+ * @async
+ * @param {number} newBalance - 调整后的余额
+ * @param {string} [message] - 备注
+ * @returns {Promise<Object|null>} 调整记录（余额没变时返回null）
+ * @throws {Error} 余额为负数时抛出错误
+ *
+ * @description
+ * 差额为正记收入、为负记支出，删除这条记录时余额会恢复到调整前
+ */
+export async function adjustBalance(newBalance, message = '') {
+  const currentBalance = await getBalance();
+  const delta = Math.round((newBalance - currentBalance) * 100) / 100;
+  if (delta === 0) {
+    return null;
+  }
+
+  await updateBalance(newBalance);
+
+  return addTransaction({
+    contactId: null,
+    type: 'adjustment',
+    direction: delta > 0 ? 'received' : 'sent',
+    amount: Math.abs(delta),
+    message
+  });
+}
@@ -9,7 +9,7 @@
 
 import logger from '../../../logger.js';
 import { getUserMembership, grantUserMembership } from '../data-storage/storage-membership.js';
-import { getBalance, subtractBalance } from '../data-storage/storage-wallet.js';
+import { getBalance, executePurchase } from '../data-storage/storage-wallet.js';
 import { showSuccessToast, showErrorToast } from '../ui-components/toast-notification.js';
 import { showConfirmPopup } from '../utils/popup-helper.js';
 import { stateManager } from '../utils/state-manager.js';
@@ -423,8 +423,8 @@ async function handlePurchaseMembership(optionKey) {
 
     if (!confirmed) return;
 
-    // 扣除余额
-    await subtractBalance(option.price);
+    // 扣除余额（记入账单「会员」分类）
+    await executePurchase('membership', option.price, option.label);
 
     // 开通/续费会员
     await grantUserMembership(option.type, option.duration, {
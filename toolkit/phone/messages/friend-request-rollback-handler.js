@@ -4,11 +4,13 @@
  * 
  * @description
  * 当用户点击"重roll"删除AI回复时，同步删除对应的好友申请消息
+ * （包括这轮回复里AI介绍的新朋友申请）
  */
 
 import logger from '../../../logger.js';
 import { registerRollbackHandler } from './message-rollback-manager.js';
 import { deleteReapplyMessageByMsgId } from '../contacts/contact-list-data.js';
+import { rollbackNpcFriendRequests } from '../contacts/npc-contact-data.js';
 
 /**
  * 初始化好友申请消息回退处理器
@@ -41,6 +43,9 @@ export function initFriendRequestRollbackHandler() {
         }
       }
 
+      // ✅ AI介绍的新朋友申请（不在聊天记录里，按介绍人和时间认领）
+      deletedCount += await rollbackNpcFriendRequests(contactId, deletedMessages);
+
       if (deletedCount > 0) {
         logger.info('phone','[FriendRequestRollback] 共回退', deletedCount, '条好友申请消息');
         
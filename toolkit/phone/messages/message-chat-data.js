@@ -3,24 +3,17 @@
  * @module phone/messages/message-chat-data
  * 
  * @description
- * 使用JSONL格式存储聊天记录（参考酒馆）
- * 每行一个JSON对象，方便追加和读取
+ * 每个联系人的聊天记录存成单独的文件（见 storage-chat-files.js），
+ * 懒加载、内存缓存，修改后防抖写回
  */
 
 import logger from '../../../logger.js';
 import { extension_settings } from '../../../../../../extensions.js';
 import { saveSettingsDebounced } from '../../../../../../../script.js';
 import { incrementUnread } from './unread-badge-manager.js';
-
-/**
- * 获取聊天文件路径（基于extension_settings）
- * @private
- * @param {string} contactId - 联系人ID
- * @returns {string} 聊天文件标识（存储在extension_settings中的key）
- */
-function getChatKey(contactId) {
-  return `chat_${contactId}`;
-}
+import { loadChatFile, saveChatFile, deleteChatFile, loadChatIndex } from '../data-storage/storage-chat-files.js';
+import { formatCallRecordSummary } from './message-types/call-record-message.js';
+import { formatLocationSummary } from './message-types/location-message.js';
 
 /**
  * 确保手机数据结构存在
@@ -33,9 +26,6 @@ function ensurePhoneData() {
   if (!extension_settings.acsusPawsPuffs.phone) {
     extension_settings.acsusPawsPuffs.phone = {};
   }
-  if (!extension_settings.acsusPawsPuffs.phone.chats) {
-    extension_settings.acsusPawsPuffs.phone.chats = {};
-  }
   if (!extension_settings.acsusPawsPuffs.phone.unreadCounts) {
     extension_settings.acsusPawsPuffs.phone.unreadCounts = {};
   }
@@ -58,15 +48,7 @@ function ensurePhoneData() {
  * // ]
  */
 export async function loadChatHistory(contactId) {
-  ensurePhoneData();
-
-  const chatKey = getChatKey(contactId);
-  const chatData = extension_settings.acsusPawsPuffs.phone.chats[chatKey];
-
-  if (!chatData || !Array.isArray(chatData)) {
-    logger.debug('phone', '[ChatData] 聊天记录不存在，返回空数组:', contactId);
-    return [];
-  }
+  const chatData = await loadChatFile(contactId);
 
   logger.debug('phone', '[ChatData] 加载聊天记录:', contactId, `共${chatData.length}条`);
   return chatData;
@@ -108,6 +90,12 @@ function getMessagePreview(message) {
       return `[视频] ${message.description?.substring(0, 20) || '无描述'}`;
     case 'file':
       return `[文件] ${message.filename || '未知文件'}`;
+    case 'voice':
+      return `[语音] ${message.duration || 1}"`;
+    case 'call':
+      return formatCallRecordSummary(message);
+    case 'location':
+      return formatLocationSummary(message);
     case 'poke':
       // 戳一戳消息
       return '[戳一戳]';
@@ -141,20 +129,14 @@ function getMessagePreview(message) {
  * - quote: quotedMessage + replyContent
  */
 export async function saveChatMessage(contactId, message) {
-  ensurePhoneData();
-
-  const chatKey = getChatKey(contactId);
-
   // 获取现有聊天记录
-  if (!extension_settings.acsusPawsPuffs.phone.chats[chatKey]) {
-    extension_settings.acsusPawsPuffs.phone.chats[chatKey] = [];
-  }
+  const messages = await loadChatFile(contactId);
 
   // 追加消息
-  extension_settings.acsusPawsPuffs.phone.chats[chatKey].push(message);
+  messages.push(message);
 
   // 保存到服务器
-  saveSettingsDebounced();
+  saveChatFile(contactId, messages);
 
   logger.debug('phone', '[ChatData] 保存消息:', contactId, getMessagePreview(message));
 
@@ -188,20 +170,14 @@ function isChatPageVisible(contactId) {
  * @param {Array<Object>} messages - 消息数组
  */
 export async function saveChatMessages(contactId, messages) {
-  ensurePhoneData();
-
-  const chatKey = getChatKey(contactId);
-
   // 获取现有聊天记录
-  if (!extension_settings.acsusPawsPuffs.phone.chats[chatKey]) {
-    extension_settings.acsusPawsPuffs.phone.chats[chatKey] = [];
-  }
+  const chatData = await loadChatFile(contactId);
 
   // 批量追加
-  extension_settings.acsusPawsPuffs.phone.chats[chatKey].push(...messages);
+  chatData.push(...messages);
 
   // 保存到服务器
-  saveSettingsDebounced();
+  saveChatFile(contactId, chatData);
 
   logger.debug('phone', '[ChatData] 批量保存消息:', contactId, `共${messages.length}条`);
 }
@@ -221,19 +197,16 @@ export async function saveChatMessages(contactId, messages) {
 export async function loadRecentChats() {
   ensurePhoneData();
 
-  const chats = extension_settings.acsusPawsPuffs.phone.chats;
+  // 只读索引里的最后一条消息，不加载聊天文件
+  const chatIndex = await loadChatIndex();
   const unreadCounts = extension_settings.acsusPawsPuffs.phone.unreadCounts;
   const recentChats = [];
 
   // 遍历所有聊天记录
-  for (const [chatKey, messages] of Object.entries(chats)) {
-    if (!Array.isArray(messages) || messages.length === 0) continue;
+  for (const [contactId, entry] of Object.entries(chatIndex)) {
+    if (!entry?.lastMessage) continue;
 
-    // 提取contactId（去掉'chat_'前缀）
-    const contactId = chatKey.replace(/^chat_/, '');
-
-    // 获取最后一条消息
-    const lastMessage = messages[messages.length - 1];
+    const lastMessage = entry.lastMessage;
 
     recentChats.push({
       contactId,
@@ -256,12 +229,7 @@ export async function loadRecentChats() {
  * @param {string} contactId - 联系人ID
  */
 export async function clearChatHistory(contactId) {
-  ensurePhoneData();
-
-  const chatKey = getChatKey(contactId);
-  delete extension_settings.acsusPawsPuffs.phone.chats[chatKey];
-
-  saveSettingsDebounced();
+  await deleteChatFile(contactId);
 
   logger.info('phone', '[ChatData] 清空聊天记录:', contactId);
 }
@@ -277,12 +245,7 @@ export async function clearChatHistory(contactId) {
  * @param {Array<Object>} messages - 消息数组
  */
 export async function saveChatHistory(contactId, messages) {
-  ensurePhoneData();
-
-  const chatKey = getChatKey(contactId);
-  extension_settings.acsusPawsPuffs.phone.chats[chatKey] = messages;
-
-  saveSettingsDebounced();
+  saveChatFile(contactId, messages);
 
   logger.debug('phone', '[ChatData] 批量保存聊天记录:', contactId, `共${messages.length}条`);
 }
@@ -381,12 +344,9 @@ export async function findMessageById(contactId, messageId) {
  * });
  */
 export async function updateMessage(contactId, messageId, updates) {
-  ensurePhoneData();
+  const chatData = await loadChatFile(contactId);
 
-  const chatKey = getChatKey(contactId);
-  const chatData = extension_settings.acsusPawsPuffs.phone.chats[chatKey];
-
-  if (!chatData || !Array.isArray(chatData)) {
+  if (chatData.length === 0) {
     logger.warn('phone', '[ChatData] 聊天记录不存在，无法更新消息:', contactId);
     return false;
   }
@@ -400,13 +360,13 @@ export async function updateMessage(contactId, messageId, updates) {
   }
 
   // 更新消息（合并字段）
-  extension_settings.acsusPawsPuffs.phone.chats[chatKey][messageIndex] = {
+  chatData[messageIndex] = {
     ...chatData[messageIndex],
     ...updates
   };
 
   // 保存到服务器
-  saveSettingsDebounced();
+  saveChatFile(contactId, chatData);
 
   logger.info('phone', '[ChatData] 更新消息成功:', messageId, '更新字段:', Object.keys(updates));
   return true;
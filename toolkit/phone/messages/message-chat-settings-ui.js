@@ -5,9 +5,9 @@
 
 import logger from '../../../logger.js';
 import { loadContacts } from '../contacts/contact-list-data.js';
-import { getContactDisplayName } from '../utils/contact-display-helper.js';
-import { getThumbnailUrl } from '../../../../../../../script.js';
+import { getContactDisplayName, getContactAvatarUrl } from '../utils/contact-display-helper.js';
 import { getChatSendSettings } from './message-chat-data.js';
+import { getProactiveSettings, updateProactiveSettings } from './proactive-message-scheduler.js';
 
 /**
  * 渲染聊天设置页
@@ -101,8 +101,8 @@ function createContactCard(contact) {
 
   const displayName = getContactDisplayName(contact);
 
-  // 获取头像URL（使用SillyTavern的缩略图API）
-  const avatarUrl = getThumbnailUrl('avatar', contact.avatar);
+  // 获取头像URL（NPC上传的头像优先，其次酒馆缩略图）
+  const avatarUrl = getContactAvatarUrl(contact) || 'img/ai4.png';
 
   card.innerHTML = `
         <img src="${avatarUrl}" alt="${displayName}" class="chat-settings-contact-avatar">
@@ -139,6 +139,9 @@ function createSettingsList(contact) {
   // 读取置顶状态
   const isPinned = contact.isPinned || false;
 
+  // 读取主动发消息设置
+  const proactiveText = formatProactiveSummary(getProactiveSettings(contact.id));
+
   // 直接用HTML模板字符串创建固定结构
   list.innerHTML = `
         <!-- 角色提示词设置 -->
@@ -240,6 +243,15 @@ function createSettingsList(contact) {
                     <i class="fa-solid fa-chevron-right"></i>
                 </div>
             </div>
+
+            <!-- 主动发消息 -->
+            <div class="chat-settings-item" data-action="proactive-messages">
+                <span class="chat-settings-item-label">主动发消息</span>
+                <div class="chat-settings-item-right">
+                    <span class="chat-settings-item-text chat-settings-proactive-text">${proactiveText}</span>
+                    <i class="fa-solid fa-chevron-right"></i>
+                </div>
+            </div>
         </div>
 
         <!-- 个性装扮 -->
@@ -339,6 +351,11 @@ function bindSettingsEvents(list, contact) {
     handleNotificationSettings(contact);
   });
 
+  // 主动发消息（弹窗）
+  list.querySelector('[data-action="proactive-messages"]').addEventListener('click', () => {
+    handleProactiveSettings(contact, list);
+  });
+
   // 个性装扮（链接）
   list.querySelector('[data-action="character-customization"]').addEventListener('click', () => {
     handleCharacterCustomization(contact);
@@ -355,6 +372,89 @@ function bindSettingsEvents(list, contact) {
   });
 }
 
+/**
+ * 主动发消息设置的摘要文字
+ * @param {Object} settings - 主动消息设置
+ * @returns {string}
+ */
+function formatProactiveSummary(settings) {
+  if (!settings.enabled) return '未开启';
+  const minutes = settings.intervalMinutes;
+  return minutes % 60 === 0 ? `每${minutes / 60}小时` : `每${minutes}分钟`;
+}
+
+/**
+ * 主动发消息设置（频率、活跃时段、想你阈值）
+ *
+ * @async
+ * @param {Object} contact - 联系人对象
+ * @param {HTMLElement} list - 设置列表容器（保存后刷新摘要）
+ */
+async function handleProactiveSettings(contact, list) {
+  const { showCustomPopupWithData } = await import('../utils/popup-helper.js');
+  const { showSuccessToast } = await import('../ui-components/toast-notification.js');
+
+  const settings = getProactiveSettings(contact.id);
+  const html = `
+    <div class="moments-settings-form proactive-settings-form">
+      <label class="moments-settings-row">
+        <input type="checkbox" class="proactive-settings-enabled" ${settings.enabled ? 'checked' : ''}>
+        <span>允许${getContactDisplayName(contact)}主动发消息</span>
+      </label>
+      <label class="moments-settings-row">
+        <span>频率（分钟）</span>
+        <input type="number" class="phone-popup-input proactive-settings-number" data-key="intervalMinutes" min="30" max="10080" value="${settings.intervalMinutes}">
+      </label>
+      <label class="moments-settings-row">
+        <span>活跃时段开始（点）</span>
+        <input type="number" class="phone-popup-input proactive-settings-number" data-key="activeStart" min="0" max="23" value="${settings.activeStart}">
+      </label>
+      <label class="moments-settings-row">
+        <span>活跃时段结束（点）</span>
+        <input type="number" class="phone-popup-input proactive-settings-number" data-key="activeEnd" min="0" max="24" value="${settings.activeEnd}">
+      </label>
+      <label class="moments-settings-row">
+        <span>想你阈值（小时）</span>
+        <input type="number" class="phone-popup-input proactive-settings-number" data-key="missedYouHours" min="1" max="720" value="${settings.missedYouHours}">
+      </label>
+      <div class="moments-settings-hint">活跃时段内、聊天安静超过频率间隔时，角色会主动找你聊天；你超过想你阈值没发消息，角色会表达想念（会消耗API调用）</div>
+    </div>
+  `;
+
+  const result = await showCustomPopupWithData('主动发消息', html, {
+    buttons: [
+      { text: '取消', value: null, class: 'phone-popup-cancel' },
+      { text: '保存', value: 'confirm', class: 'phone-popup-ok' }
+    ],
+    width: '90%',
+    beforeClose: (buttonValue, overlay) => {
+      if (buttonValue !== 'confirm') return null;
+      const enabled = /** @type {HTMLInputElement} */ (overlay.querySelector('.proactive-settings-enabled'));
+      const values = { enabled: enabled.checked };
+      overlay.querySelectorAll('.proactive-settings-number').forEach((el) => {
+        const input = /** @type {HTMLInputElement} */ (el);
+        values[input.dataset.key] = Number(input.value);
+      });
+      return values;
+    }
+  });
+
+  if (!result) return;
+
+  // 刚开启时从现在开始计时，不要立刻发一条
+  const updates = { ...result };
+  if (result.enabled && !settings.enabled) {
+    updates.lastProactiveTime = Math.floor(Date.now() / 1000);
+  }
+  updateProactiveSettings(contact.id, updates);
+
+  const summary = list.querySelector('.chat-settings-proactive-text');
+  if (summary) {
+    summary.textContent = formatProactiveSummary(getProactiveSettings(contact.id));
+  }
+  showSuccessToast('设置已保存');
+}
+
 /**
  * 处理返回
  */
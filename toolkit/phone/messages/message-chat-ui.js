@@ -5,6 +5,7 @@
 
 import logger from '../../../logger.js';
 import { loadContacts } from '../contacts/contact-list-data.js';
+import { getGroupChat, getGroupMembers, extractMentions } from '../contacts/group-chat-data.js';
 import { getContactDisplayName } from '../utils/contact-display-helper.js';
 import { getEmojis } from '../emojis/emoji-manager-data.js';
 import { bindLongPress } from '../utils/message-actions-helper.js';
@@ -24,9 +25,8 @@ import { bindMultiSelectToolbar } from './message-multiselect-ui.js';
 export async function renderChatView(contactId) {
   logger.info('phone','[ChatView] 开始渲染聊天界面:', contactId);
 
-  // 读取联系人数据
-  const contacts = await loadContacts();
-  const contact = contacts.find(c => c.id === contactId);
+  // 读取联系人数据（找不到时按群聊查找）
+  const contact = await loadChatContact(contactId);
 
   if (!contact) {
     logger.error('phone','[ChatView] 联系人不存在:', contactId);
@@ -101,6 +101,27 @@ export async function renderChatView(contactId) {
   return page;
 }
 
+/**
+ * 读取聊天对象（联系人，或带成员对象的群聊）
+ *
+ * @private
+ * @async
+ * @param {string} contactId - 联系人ID或群聊ID
+ * @returns {Promise<Object|undefined>}
+ *
+ * @description
+ * 群聊的 memberContacts 只挂在返回的副本上，不写回存储（气泡按 speakerId 取成员头像）
+ */
+async function loadChatContact(contactId) {
+  const contacts = await loadContacts();
+  const contact = contacts.find(c => c.id === contactId);
+  if (contact) return contact;
+
+  const group = await getGroupChat(contactId);
+  if (!group) return undefined;
+  return { ...group, memberContacts: await getGroupMembers(group, contacts) };
+}
+
 /**
  * 创建顶部栏
  * @private
@@ -811,6 +832,15 @@ function bindPlusPanel(page) {
         return;
       }
 
+      // 识别位置按钮
+      if (text === '位置') {
+        logger.info('phone','[ChatView] 点击位置按钮');
+        closePanels(page);
+        const contactId = page.dataset.contactId;
+        await handleSendLocation(contactId);
+        return;
+      }
+
       // 其他功能暂时输出日志
       logger.info('phone','[ChatView] 点击+号菜单项:', text, '（功能待实现）');
       closePanels(page);
@@ -1094,6 +1124,14 @@ async function handleSendText(page, contactId, contact, inputField) {
       time: Math.floor(Date.now() / 1000),
       type: 'text'
     };
+
+    // 群聊：记录 @ 到的成员（AI据此决定谁来回复）
+    if (contact?.isGroup) {
+      const mentions = extractMentions(content, contact.memberContacts || []);
+      if (mentions.length > 0) {
+        message.mentions = mentions;
+      }
+    }
   }
 
   // 保存到数据库
@@ -1120,7 +1158,8 @@ async function handleSendText(page, contactId, contact, inputField) {
       sender: 'user',
       type: 'text',
       time: message.time,
-      content: content
+      content: content,
+      mentions: message.mentions
     });
   }
 
@@ -1159,7 +1198,6 @@ async function handleSendEmoji(page, contactId, emojiId) {
   const { addPendingMessage } = await import('../ai-integration/pending-operations.js');
   const { saveChatMessage } = await import('../messages/message-chat-data.js');
   const { renderEmojiMessage } = await import('../messages/message-types/emoji-message.js');
-  const { loadContacts } = await import('../contacts/contact-list-data.js');
   const { findEmojiById } = await import('../emojis/emoji-manager-data.js');
   const { generateMessageId } = await import('../utils/message-actions-helper.js');
 
@@ -1171,8 +1209,7 @@ async function handleSendEmoji(page, contactId, emojiId) {
   }
 
   // 获取联系人对象
-  const contacts = await loadContacts();
-  const contact = contacts.find(c => c.id === contactId);
+  const contact = await loadChatContact(contactId);
 
   // 创建消息对象（存储ID + 名称，添加唯一ID避免误删）
   const message = {
@@ -1226,7 +1263,6 @@ async function handleSendImage(page, contactId) {
   const { addPendingMessage } = await import('../ai-integration/pending-operations.js');
   const { saveChatMessage } = await import('../messages/message-chat-data.js');
   const { renderImageMessage } = await import('../messages/message-types/image-message.js');
-  const { loadContacts } = await import('../contacts/contact-list-data.js');
   const { generateMessageId } = await import('../utils/message-actions-helper.js');
 
   // 弹窗HTML
@@ -1283,8 +1319,7 @@ async function handleSendImage(page, contactId) {
   }
 
   // 获取联系人对象
-  const contacts = await loadContacts();
-  const contact = contacts.find(c => c.id === contactId);
+  const contact = await loadChatContact(contactId);
 
   // 获取当前轮次（用于图片识别）
   const { getCurrentRound } = await import('./message-chat-data.js');
@@ -1418,11 +1453,12 @@ async function handleSendToAI(page, contactId, contact, sendBtn) {
   const chatHistory = await loadChatHistory(contactId);
   const allPendingOps = getAllPendingOperations();
 
-  // 保存完整快照（消息数量 + 所有待发送消息 + 个签操作）
+  // 保存完整快照（消息数量 + 所有待发送消息 + 个签操作 + 动态操作）
   saveSnapshot(contactId, {
     messageCount: chatHistory.length,
     allPendingMessages: allPendingOps.messages,
-    signatureActions: allPendingOps.signatureActions || []
+    signatureActions: allPendingOps.signatureActions || [],
+    momentActions: allPendingOps.moments || []
   });
 
   // 获取 PhoneAPI 实例（完全照搬日记）
@@ -1461,42 +1497,7 @@ async function handleSendToAI(page, contactId, contact, sendBtn) {
     contactId,
     // onMessageReceived: 收到消息时的回调
     async (message) => {
-      // ✅ 动态查找当前活跃页面（解决闭包绑定旧DOM的问题）
-      const currentPage = findActiveChatPage(contactId);
-
-      // 1. 尝试更新DOM（仅当页面存在且活跃时）
-      if (currentPage) {
-        // 重新加载联系人数据（确保使用最新数据）
-        const contacts = await loadContacts();
-        const currentContact = contacts.find(c => c.id === contactId);
-        if (currentContact) {
-          await appendMessageToChat(currentPage, message, currentContact, contactId);
-        }
-      }
-
-      // 2. 检查是否需要显示通知（页面不可见时显示）
-      const isCurrentChatVisible = isChatPageVisible(contactId);
-
-      // 注意：未读计数的增加已由 message-chat-data.js 的 saveChatMessage() 统一处理
-      // 不再需要在这里触发事件
-
-      // 检查通知设置
-      if (!isCurrentChatVisible && shouldShowNotification(contact, message)) {
-        // 页面不可见且允许通知，显示通知
-        const { showPhoneMessageNotification } = await import('../ui-components/toast-notification.js');
-        const displayName = getContactDisplayName(contact);
-
-        showPhoneMessageNotification({
-          contactId: contactId,  // ← 传入contactId获取对应头像
-          characterName: displayName,
-          title: '发来新消息',
-          content: getNotificationContent(contact, message),
-          onClick: () => {
-            // 点击通知，打开聊天页面
-            openChatFromNotification(contactId);
-          }
-        });
-      }
+      await receiveIncomingMessage(contactId, message);
     },
     // onComplete: 完成时的回调
     async () => {
@@ -1509,9 +1510,10 @@ async function handleSendToAI(page, contactId, contact, sendBtn) {
 
       // ✅ 按钮状态由事件监听器自动更新（bindAIGenerationEvents）
 
-      // ✅ 清空个签操作记录（AI回复完成后，说明本轮对话结束）
-      const { clearSignatureActions } = await import('../ai-integration/pending-operations.js');
+      // ✅ 清空个签、动态操作记录（AI回复完成后，说明本轮对话结束）
+      const { clearSignatureActions, clearSentMomentActions } = await import('../ai-integration/pending-operations.js');
       clearSignatureActions();
+      clearSentMomentActions();
 
       // 更新消息列表
       updateMessageListItem(contactId);
@@ -1619,6 +1621,10 @@ export async function appendMessageToChat(page, message, contact, contactId) {
   const { renderPokeMessage } = await import('./message-types/poke-message.js');
   const { renderSignatureMessage } = await import('./message-types/signature-message.js');
 
+  // 群聊：气泡使用发言成员的头像，渲染后再补上成员名
+  const chatTarget = contact;
+  contact = getBubbleContact(chatTarget, message);
+
   // 根据消息类型渲染不同的气泡
   let bubble;
 
@@ -1710,6 +1716,13 @@ export async function appendMessageToChat(page, message, contact, contactId) {
       bubble = renderFriendAddedMessage(message);
       break;
 
+    case 'group_created':
+      // 建群系统消息（居中显示）
+      logger.debug('phone','[ChatView.appendMessageToChat] 渲染建群消息');
+      const { renderSystemMessage } = await import('./message-types/system-message.js');
+      bubble = renderSystemMessage(message);
+      break;
+
     case 'friend_deleted':
       // 删除好友系统消息（居中显示）
       logger.debug('phone','[ChatView.appendMessageToChat] 渲染删除好友消息');
@@ -1730,6 +1743,13 @@ export async function appendMessageToChat(page, message, contact, contactId) {
       bubble = renderPokeMessage(message, contact, contactId);
       break;
 
+    case 'moment':
+      // 空间动态操作（发动态卡片 / 评论点赞提示）
+      logger.debug('phone','[ChatView.appendMessageToChat] 渲染空间动态消息');
+      const { renderMomentMessage } = await import('./message-types/moment-message.js');
+      bubble = renderMomentMessage(message, contactId, contact);
+      break;
+
     case 'forwarded':
       // 转发消息
       logger.debug('phone','[ChatView.appendMessageToChat] 渲染转发消息');
@@ -1737,6 +1757,27 @@ export async function appendMessageToChat(page, message, contact, contactId) {
       bubble = renderForwardedMessage(message, contact, contactId);
       break;
 
+    case 'voice':
+      // 语音消息（点击展开转文字）
+      logger.debug('phone','[ChatView.appendMessageToChat] 渲染语音消息');
+      const { renderVoiceMessage } = await import('./message-types/voice-message.js');
+      bubble = renderVoiceMessage(message, contact, contactId);
+      break;
+
+    case 'call':
+      // 通话记录
+      logger.debug('phone','[ChatView.appendMessageToChat] 渲染通话记录');
+      const { renderCallRecordMessage } = await import('./message-types/call-record-message.js');
+      bubble = renderCallRecordMessage(message, contact, contactId);
+      break;
+
+    case 'location':
+      // 位置分享（地图卡片）
+      logger.debug('phone','[ChatView.appendMessageToChat] 渲染位置消息');
+      const { renderLocationMessage } = await import('./message-types/location-message.js');
+      bubble = renderLocationMessage(message, contact, contactId);
+      break;
+
     // TODO 第二期：实现专门的渲染器
     // - messages/message-types/redpacket-message.js
     // - messages/message-types/video-message.js
@@ -1789,6 +1830,8 @@ export async function appendMessageToChat(page, message, contact, contactId) {
     return;
   }
 
+  decorateGroupBubble(bubble, chatTarget, message);
+
   logger.debug('phone','[ChatView.appendMessageToChat] bubble详情:', {
     tagName: bubble.tagName,
     className: bubble.className,
@@ -1837,6 +1880,26 @@ export async function appendMessageToChat(page, message, contact, contactId) {
       message: message.message
     };
     bubble.dataset.extraData = JSON.stringify(extraData);
+  } else if (message.type === 'voice') {
+    const extraData = {
+      duration: message.duration,
+      transcript: message.transcript
+    };
+    bubble.dataset.extraData = JSON.stringify(extraData);
+  } else if (message.type === 'call') {
+    const extraData = {
+      callType: message.callType,
+      callStatus: message.callStatus,
+      duration: message.duration
+    };
+    bubble.dataset.extraData = JSON.stringify(extraData);
+  } else if (message.type === 'location') {
+    const extraData = {
+      name: message.name,
+      address: message.address,
+      note: message.note
+    };
+    bubble.dataset.extraData = JSON.stringify(extraData);
   }
 
   // 创建复选框（初始隐藏，用于多选模式）
@@ -1856,7 +1919,7 @@ export async function appendMessageToChat(page, message, contact, contactId) {
 
   // ✅ 绑定长按操作菜单（根据消息类型决定是否禁用引用）
   logger.debug('phone','[ChatView.appendMessageToChat] 准备绑定长按事件');
-  const disableQuoteTypes = ['emoji', 'image', 'image-real', 'image-fake', 'poke', 'transfer', 'gift-membership', 'buy-membership', 'recalled', 'plan-story', 'plan-message', 'signature', 'forwarded'];
+  const disableQuoteTypes = ['emoji', 'image', 'image-real', 'image-fake', 'poke', 'transfer', 'gift-membership', 'buy-membership', 'recalled', 'plan-story', 'plan-message', 'signature', 'forwarded', 'voice', 'call', 'location'];
   const options = disableQuoteTypes.includes(message.type) ? { disableQuote: true } : {};
   bindLongPress(bubble, message, contactId, options);
   logger.debug('phone','[ChatView.appendMessageToChat] 长按事件已绑定, 配置:', options);
@@ -2080,6 +2143,10 @@ async function renderMessagesToTop(chatContent, messages, contact, contactId, ph
 async function renderSingleBubble(message, contact, contactId, phoneAPI, renderers) {
   const { renderTextMessage, renderEmojiMessage, renderImageMessage, renderQuoteMessage, renderTransferMessage, renderGiftMembershipMessage, renderRecalledMessage, renderPlanMessage, renderPlanStoryMessage, renderSignatureMessage } = renderers;
 
+  // 群聊：气泡使用发言成员的头像，渲染后再补上成员名
+  const chatTarget = contact;
+  contact = getBubbleContact(chatTarget, message);
+
   let bubble;
 
   switch (message.type) {
@@ -2139,6 +2206,13 @@ async function renderSingleBubble(message, contact, contactId, phoneAPI, rendere
         bubble = renderFriendAddedMessage(message);
       }
       break;
+    case 'group_created':
+      // 建群系统消息（居中显示）
+      {
+        const { renderSystemMessage } = await import('./message-types/system-message.js');
+        bubble = renderSystemMessage(message);
+      }
+      break;
     case 'friend_deleted':
       // 删除好友系统消息（居中显示）
       {
@@ -2157,6 +2231,13 @@ async function renderSingleBubble(message, contact, contactId, phoneAPI, rendere
       // 戳一戳消息
       bubble = renderers.renderPokeMessage ? renderers.renderPokeMessage(message, contact, contactId) : renderTextMessage({ ...message, content: '[戳一戳]', type: 'text' }, contact, contactId);
       break;
+    case 'moment':
+      // 空间动态操作（发动态卡片 / 评论点赞提示）
+      {
+        const { renderMomentMessage } = await import('./message-types/moment-message.js');
+        bubble = renderMomentMessage(message, contactId, contact);
+      }
+      break;
     case 'forwarded':
       // 转发消息
       {
@@ -2164,6 +2245,27 @@ async function renderSingleBubble(message, contact, contactId, phoneAPI, rendere
         bubble = renderForwarded(message, contact, contactId);
       }
       break;
+    case 'voice':
+      // 语音消息（点击展开转文字）
+      {
+        const { renderVoiceMessage } = await import('./message-types/voice-message.js');
+        bubble = renderVoiceMessage(message, contact, contactId);
+      }
+      break;
+    case 'call':
+      // 通话记录
+      {
+        const { renderCallRecordMessage } = await import('./message-types/call-record-message.js');
+        bubble = renderCallRecordMessage(message, contact, contactId);
+      }
+      break;
+    case 'location':
+      // 位置分享（地图卡片）
+      {
+        const { renderLocationMessage } = await import('./message-types/location-message.js');
+        bubble = renderLocationMessage(message, contact, contactId);
+      }
+      break;
     case 'redpacket':
       bubble = renderTextMessage({ ...message, content: `[红包] ¥${message.amount}`, type: 'text' }, contact, contactId);
       break;
@@ -2184,6 +2286,8 @@ async function renderSingleBubble(message, contact, contactId, phoneAPI, rendere
     bubble = renderTextMessage({ ...message, content: message.content || '[渲染失败]', type: 'text' }, contact, contactId);
   }
 
+  decorateGroupBubble(bubble, chatTarget, message);
+
   // 添加消息ID到DOM
   if (message.id) {
     bubble.dataset.msgId = message.id;
@@ -2225,6 +2329,26 @@ async function renderSingleBubble(message, contact, contactId, phoneAPI, rendere
       message: message.message
     };
     bubble.dataset.extraData = JSON.stringify(extraData);
+  } else if (message.type === 'voice') {
+    const extraData = {
+      duration: message.duration,
+      transcript: message.transcript
+    };
+    bubble.dataset.extraData = JSON.stringify(extraData);
+  } else if (message.type === 'call') {
+    const extraData = {
+      callType: message.callType,
+      callStatus: message.callStatus,
+      duration: message.duration
+    };
+    bubble.dataset.extraData = JSON.stringify(extraData);
+  } else if (message.type === 'location') {
+    const extraData = {
+      name: message.name,
+      address: message.address,
+      note: message.note
+    };
+    bubble.dataset.extraData = JSON.stringify(extraData);
   }
 
   // 创建复选框（初始隐藏，用于多选模式）
@@ -2235,13 +2359,90 @@ async function renderSingleBubble(message, contact, contactId, phoneAPI, rendere
   bubble.insertBefore(checkbox, bubble.firstChild);
 
   // 绑定长按操作菜单（根据消息类型决定是否禁用引用）
-  const disableQuoteTypes = ['emoji', 'image', 'image-real', 'image-fake', 'poke', 'transfer', 'gift-membership', 'buy-membership', 'recalled', 'plan-story', 'plan-message', 'signature', 'forwarded'];
+  const disableQuoteTypes = ['emoji', 'image', 'image-real', 'image-fake', 'poke', 'transfer', 'gift-membership', 'buy-membership', 'recalled', 'plan-story', 'plan-message', 'signature', 'forwarded', 'voice', 'call', 'location'];
   const options = disableQuoteTypes.includes(message.type) ? { disableQuote: true } : {};
   bindLongPress(bubble, message, contactId, options);
 
   return bubble;
 }
 
+/**
+ * 获取气泡使用的联系人对象
+ *
+ * @private
+ * @param {Object} contact - 当前聊天对象（联系人或群聊）
+ * @param {Object} message - 消息对象
+ * @returns {Object} 单聊原样返回；群聊返回发言成员（找不到时退回群聊本身）
+ */
+function getBubbleContact(contact, message) {
+  if (!contact?.isGroup || message.sender !== 'contact') {
+    return contact;
+  }
+  return contact.memberContacts?.find(m => m.id === message.speakerId) || contact;
+}
+
+/**
+ * 群聊气泡：高亮 @ 提及，成员消息在气泡上方显示发言成员名
+ *
+ * @private
+ * @param {HTMLElement} bubble - 渲染好的消息元素
+ * @param {Object} contact - 当前聊天对象（联系人或群聊）
+ * @param {Object} message - 消息对象
+ */
+function decorateGroupBubble(bubble, contact, message) {
+  if (!contact?.isGroup) return;
+
+  // 文字气泡里的 @成员 高亮（用户和成员的消息都处理）
+  const textBubble = bubble.querySelector('.chat-msg-bubble');
+  if (message.type === 'text' && textBubble && Array.isArray(message.mentions) && message.mentions.length > 0) {
+    highlightMentions(textBubble);
+  }
+
+  if (message.sender !== 'contact') return;
+
+  const avatar = bubble.querySelector(':scope > .chat-msg-avatar');
+  if (!avatar) return;
+
+  // 头像之后的内容放进纵向容器，顶部加成员名
+  const body = document.createElement('div');
+  body.className = 'chat-msg-group-body';
+
+  const speaker = document.createElement('div');
+  speaker.className = 'chat-msg-speaker';
+  const member = contact.memberContacts?.find(m => m.id === message.speakerId);
+  speaker.textContent = member ? getContactDisplayName(member) : (message.speakerName || '');
+  body.appendChild(speaker);
+
+  while (avatar.nextSibling) {
+    body.appendChild(avatar.nextSibling);
+  }
+  bubble.appendChild(body);
+}
+
+/**
+ * 把文字气泡里的 @名字 包成高亮元素（只处理纯文本，避免注入HTML）
+ *
+ * @private
+ * @param {Element} textBubble - 文字气泡元素
+ */
+function highlightMentions(textBubble) {
+  const text = textBubble.textContent || '';
+  const parts = text.split(/(@[^\s@，。！？,.!?]+)/);
+  if (parts.length === 1) return;
+
+  textBubble.textContent = '';
+  parts.forEach(part => {
+    if (part.startsWith('@')) {
+      const mention = document.createElement('span');
+      mention.className = 'chat-msg-mention';
+      mention.textContent = part;
+      textBubble.appendChild(mention);
+    } else if (part) {
+      textBubble.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
 /**
  * 处理待撤回消息（先显示原消息，延迟后变撤回提示）
  *
@@ -2375,22 +2576,6 @@ async function updateMessageListItem(contactId) {
 // [后台生成与通知] 辅助函数
 // ========================================
 
-/**
- * 检查聊天页是否可见
- *
- * @description
- * 用于判断是否需要显示通知。
- * 页面可见时不显示通知，页面不可见时显示通知。
- *
- * @param {string} contactId - 联系人ID
- * @returns {boolean} 是否可见
- */
-function isChatPageVisible(contactId) {
-  const pageId = `page-chat-${contactId.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
-  const page = document.getElementById(pageId);
-  return !!(page && page.classList.contains('active') && page.parentElement);
-}
-
 /**
  * 格式化消息内容用于通知显示
  *
@@ -2416,6 +2601,12 @@ function formatMessageContentForNotification(message) {
       return '[视频]';
     case 'file':
       return `[文件] ${message.filename}`;
+    case 'voice':
+      return '[语音]';
+    case 'call':
+      return message.callType === 'video' ? '[视频通话]' : '[语音通话]';
+    case 'location':
+      return '[位置]';
     default:
       return '[消息]';
   }
@@ -2456,6 +2647,47 @@ async function openChatFromNotification(contactId) {
   }
 }
 
+/**
+ * 显示收到的AI消息（聊天页打开时追加气泡，否则弹通知）
+ *
+ * @description
+ * 纸飞机回复和角色主动发消息共用。
+ * 消息已由调用方保存，未读计数由 saveChatMessage() 统一处理。
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @param {Object} message - 已保存的消息对象
+ */
+export async function receiveIncomingMessage(contactId, message) {
+  // ✅ 动态查找当前活跃页面（解决闭包绑定旧DOM的问题）
+  const currentPage = findActiveChatPage(contactId);
+
+  // 重新加载联系人数据（确保使用最新数据）
+  const contact = await loadChatContact(contactId);
+  if (!contact) return;
+
+  // 1. 尝试更新DOM（仅当页面存在且活跃时）
+  if (currentPage) {
+    await appendMessageToChat(currentPage, message, contact, contactId);
+    return;
+  }
+
+  // 2. 页面不可见时检查通知设置
+  if (!shouldShowNotification(contact, message)) return;
+
+  const { showPhoneMessageNotification } = await import('../ui-components/toast-notification.js');
+  showPhoneMessageNotification({
+    contactId: contactId,  // ← 传入contactId获取对应头像
+    characterName: getContactDisplayName(contact),
+    title: '发来新消息',
+    content: getNotificationContent(contact, message),
+    onClick: () => {
+      // 点击通知，打开聊天页面
+      openChatFromNotification(contactId);
+    }
+  });
+}
+
 // TODO: 后期扩展 - 角色通知开关判断
 /**
  * 检查是否应该显示通知
@@ -2717,8 +2949,7 @@ async function handleSendFavorite(page, contactId) {
 
   // 渲染新消息
   const chatContent = /** @type {HTMLElement} */ (page.querySelector('.chat-content'));
-  const contacts = await loadContacts();
-  const contact = contacts.find(c => c.id === contactId);
+  const contact = await loadChatContact(contactId);
 
   if (contact && chatContent) {
     const { getPhoneSystem } = await import('../phone-system.js');
@@ -2769,13 +3000,11 @@ async function handleSendPoke(contactId) {
 
   // 动态导入
   const { saveChatMessage } = await import('./message-chat-data.js');
-  const { loadContacts } = await import('../contacts/contact-list-data.js');
   const { generateMessageId } = await import('../utils/message-actions-helper.js');
   const { addPendingMessage } = await import('../ai-integration/pending-operations.js');
 
   // 获取联系人对象
-  const contacts = await loadContacts();
-  const contact = contacts.find(c => c.id === contactId);
+  const contact = await loadChatContact(contactId);
 
   // 创建戳一戳消息对象
   const message = {
@@ -2807,6 +3036,114 @@ async function handleSendPoke(contactId) {
   }
 }
 
+/**
+ * 处理发送位置
+ *
+ * @description
+ * 弹窗填写地点名、地址、附言；下方列出和该联系人去过的地方，点一下直接填入
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ */
+async function handleSendLocation(contactId) {
+  logger.info('phone','[ChatView] 发送位置，联系人:', contactId);
+
+  const { showCustomPopupWithData } = await import('../utils/popup-helper.js');
+  const { getSharedPlaces } = await import('./shared-places-data.js');
+
+  const places = await getSharedPlaces(contactId);
+  const html = `
+    <div class="moments-settings-form location-send-form">
+      <input type="text" class="phone-popup-input location-send-name" placeholder="地点名称（必填）" maxlength="50">
+      <input type="text" class="phone-popup-input location-send-address" placeholder="地址（可选）" maxlength="100">
+      <input type="text" class="phone-popup-input location-send-note" placeholder="附言（可选）" maxlength="100">
+      ${places.length > 0 ? '<div class="moments-settings-hint">去过的地方</div><div class="location-send-places"></div>' : ''}
+    </div>
+  `;
+
+  const result = await showCustomPopupWithData('发送位置', html, {
+    buttons: [
+      { text: '取消', value: null, class: 'phone-popup-cancel' },
+      { text: '发送', value: 'confirm', class: 'phone-popup-ok' }
+    ],
+    width: '90%',
+    onShow: (overlay) => {
+      const nameInput = /** @type {HTMLInputElement} */ (overlay.querySelector('.location-send-name'));
+      const addressInput = /** @type {HTMLInputElement} */ (overlay.querySelector('.location-send-address'));
+      const placesContainer = overlay.querySelector('.location-send-places');
+      places.forEach(place => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'location-send-place';
+        chip.textContent = place.name;
+        chip.addEventListener('click', () => {
+          nameInput.value = place.name;
+          addressInput.value = place.address;
+        });
+        placesContainer?.appendChild(chip);
+      });
+      nameInput.focus();
+    },
+    beforeClose: (buttonValue, overlay) => {
+      if (buttonValue !== 'confirm') return null;
+      const read = (selector) => /** @type {HTMLInputElement} */ (overlay.querySelector(selector)).value.trim();
+      return {
+        name: read('.location-send-name'),
+        address: read('.location-send-address'),
+        note: read('.location-send-note')
+      };
+    }
+  });
+
+  if (!result) return;
+  if (!result.name) {
+    const { showErrorToast } = await import('../ui-components/toast-notification.js');
+    showErrorToast('请填写地点名称');
+    return;
+  }
+
+  // 动态导入
+  const { saveChatMessage } = await import('./message-chat-data.js');
+  const { generateMessageId } = await import('../utils/message-actions-helper.js');
+  const { addPendingMessage } = await import('../ai-integration/pending-operations.js');
+  const { formatLocationMessageForAI } = await import('./message-types/location-message.js');
+
+  const contact = await loadChatContact(contactId);
+
+  // 创建位置消息对象
+  const message = {
+    id: generateMessageId(),
+    type: 'location',
+    sender: 'user',
+    name: result.name,
+    address: result.address,
+    note: result.note,
+    time: Math.floor(Date.now() / 1000)
+  };
+
+  await saveChatMessage(contactId, message);
+
+  // 暂存到队列（等待纸飞机发送）
+  addPendingMessage(contactId, {
+    id: message.id,
+    sender: 'user',
+    type: 'location',
+    time: message.time,
+    name: message.name,
+    address: message.address,
+    note: message.note,
+    content: formatLocationMessageForAI(message)
+  });
+
+  const page = document.querySelector(`#page-chat-${contactId.replace(/[^a-zA-Z0-9_-]/g, '_')}`);
+  if (page && contact) {
+    await appendMessageToChat(page, message, contact, contactId);
+    logger.info('phone','[ChatView] 位置已发送并渲染:', message.name);
+  } else {
+    logger.warn('phone','[ChatView] 找不到聊天页面或联系人，位置已保存但未渲染');
+  }
+}
+
 // ============================================================================
 // 监听器统一管理（2025-11-10 迁移到监听器中心）
 // ============================================================================
@@ -2983,11 +3320,9 @@ async function handleTakePhotoUpload(page, contactId, file) {
 async function sendPhotoMessage(page, contactId, imageUrl) {
   const { saveChatMessage, getCurrentRound } = await import('./message-chat-data.js');
   const { renderImageMessage } = await import('./message-types/image-message.js');
-  const { loadContacts } = await import('../contacts/contact-list-data.js');
 
   // 获取联系人信息
-  const contacts = await loadContacts();
-  const contact = contacts.find(c => c.id === contactId);
+  const contact = await loadChatContact(contactId);
   if (!contact) {
     logger.error('phone','[ChatView] 联系人不存在:', contactId);
     return;
@@ -3117,9 +3452,7 @@ async function reloadChatMessages(page, contactId, contact) {
   page.dataset.loadedCount = '0';
 
   // 重新加载消息
-  const { loadContacts } = await import('../contacts/contact-list-data.js');
-  const contacts = await loadContacts();
-  const latestContact = contacts.find(c => c.id === contactId);
+  const latestContact = await loadChatContact(contactId);
 
   if (latestContact) {
     await loadChatHistoryAndRender(page, contactId, latestContact, false);
@@ -46,12 +46,14 @@ export function clearDebugState(contactId) {
  * @param {number} snapshotData.messageCount - 发送前的消息数量
  * @param {Object} [snapshotData.allPendingMessages] - 所有待发送消息（多联系人）格式：{ contactId: [messages] }
  * @param {Array} [snapshotData.signatureActions] - 个签操作记录（用于重roll时恢复）
+ * @param {Array} [snapshotData.momentActions] - 空间动态操作记录（用于重roll时恢复）
  * 
  * @description
  * 保存完整的发送前状态，用于重roll时恢复：
  * - messageCount：聊天记录数量（用于回退）
  * - allPendingMessages：所有待发送消息（包括多个联系人，用于重新构建上下文）
  * - signatureActions：个签操作记录（点赞、评论、修改个签）
+ * - momentActions：空间动态操作记录（发动态、点赞、评论）
  */
 export function saveSnapshot(contactId, snapshotData) {
   let state = debugStates.get(contactId);
@@ -67,7 +69,8 @@ export function saveSnapshot(contactId, snapshotData) {
   state.snapshot = {
     messageCount: snapshotData.messageCount || snapshotData, // 兼容旧版本：如果传数字则作为 messageCount
     allPendingMessages: snapshotData.allPendingMessages || null,
-    signatureActions: snapshotData.signatureActions || []
+    signatureActions: snapshotData.signatureActions || [],
+    momentActions: snapshotData.momentActions || []
   };
 
   logger.debug('phone','[Debug] 保存快照:', contactId, '消息数量:', state.snapshot.messageCount, '待发送联系人数:',
@@ -639,6 +642,7 @@ async function handleReroll(popup, contactId) {
     const snapshot = state?.snapshot;
     const allPendingMessages = snapshot?.allPendingMessages || null;
     const signatureActions = snapshot?.signatureActions || [];
+    const momentActions = snapshot?.momentActions || [];
 
     if (allPendingMessages) {
       const contactCount = Object.keys(allPendingMessages).length;
@@ -654,6 +658,13 @@ async function handleReroll(popup, contactId) {
       logger.info('phone','🎲 [重roll] 从快照恢复个签操作，共', signatureActions.length, '条');
     }
 
+    // ✅ 恢复动态操作到待处理队列
+    if (momentActions.length > 0) {
+      const { restoreMomentActions } = await import('../ai-integration/pending-operations.js');
+      restoreMomentActions(momentActions);
+      logger.info('phone','🎲 [重roll] 从快照恢复动态操作，共', momentActions.length, '条');
+    }
+
     logger.info('phone','🎲 [重roll] 步骤2：重新调用API生成消息');
     // 重新调用API
     const { getPhoneSystem } = await import('../phone-system.js');
@@ -687,9 +698,10 @@ async function handleReroll(popup, contactId) {
         rerollBtn.disabled = false;
         rerollBtn.textContent = originalText;
 
-        // ✅ 清空个签操作记录（重roll完成后，为下一轮对话做准备）
-        const { clearSignatureActions } = await import('../ai-integration/pending-operations.js');
+        // ✅ 清空个签、动态操作记录（重roll完成后，为下一轮对话做准备）
+        const { clearSignatureActions, clearSentMomentActions } = await import('../ai-integration/pending-operations.js');
         clearSignatureActions();
+        clearSentMomentActions();
 
         // ✅ 触发事件：通知聊天页面恢复按钮状态
         document.dispatchEvent(new CustomEvent('phone-debug-reroll-end', {
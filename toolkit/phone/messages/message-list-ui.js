@@ -5,7 +5,7 @@
 
 import logger from '../../../logger.js';
 import { loadRecentChats } from './message-chat-data.js';
-import { loadContacts } from '../contacts/contact-list-data.js';
+import { loadChatTargets } from '../contacts/group-chat-data.js';
 import { getContactDisplayName } from '../utils/contact-display-helper.js';
 import { getThumbnailUrl } from '../../../../../../../script.js';
 import { findEmojiById } from '../emojis/emoji-manager-data.js';
@@ -76,8 +76,8 @@ async function loadAndRenderChats(listContainer) {
     return;
   }
 
-  // 加载联系人数据（用于获取头像和名字）
-  const contacts = await loadContacts();
+  // 加载联系人和群聊数据（用于获取头像和名字）
+  const contacts = await loadChatTargets();
 
   // 合并联系人数据到聊天项（用于排序）
   const chatItemsWithContact = recentChats
@@ -152,10 +152,15 @@ function formatPreviewText(lastMessage) {
     return '(消息加载失败)';
   }
 
-  const { type, content, emojiName } = lastMessage;
+  const { type, content, emojiName, speakerName } = lastMessage;
   // @ts-ignore - 引用消息有额外字段 replyContent 和 quotedMessage
   const { replyContent } = lastMessage;
 
+  // 群聊消息：前面加上发言成员名
+  if (speakerName && lastMessage.sender === 'contact') {
+    return `${speakerName}: ${formatPreviewText({ ...lastMessage, speakerName: undefined })}`;
+  }
+
   if (type === 'emoji') {
     // 表情消息：显示 [表情]表情名
     // 优先使用冗余存储的名字（表情包删除后仍能保留语境）
@@ -199,6 +204,18 @@ function formatPreviewText(lastMessage) {
     } else {
       return `[转账] ¥${amount}`;
     }
+  } else if (type === 'moment') {
+    // 空间动态操作：发动态 / 评论 / 点赞
+    // @ts-ignore - 动态消息有 momentAction 和 momentText 字段
+    const { momentAction, momentText } = lastMessage;
+    if (momentAction === 'like') {
+      return '[赞了动态]';
+    }
+    const label = momentAction === 'post' ? '[动态]' : '[评论]';
+    return `${label}${(momentText || '').substring(0, 20)}`;
+  } else if (type === 'group_created') {
+    // 建群系统消息：直接显示提示文字
+    return content || '[群聊已创建]';
   } else if (type === 'text') {
     // 文字消息：正常截取
     // 防御：检查content有效性
@@ -241,10 +258,9 @@ function createMessageItem(contact, chatItem) {
   // 格式化时间
   const timeStr = formatMessageTime(chatItem.lastMessage.time);
 
-  // 获取头像URL
-  const avatarUrl = contact.avatar
-    ? getThumbnailUrl('avatar', contact.avatar)
-    : 'https://i.postimg.cc/LXQrd0s0/icon.jpg';
+  // 获取头像URL（群聊上传的头像直接用路径）
+  const avatarUrl = contact.avatarUrl
+    || (contact.avatar ? getThumbnailUrl('avatar', contact.avatar) : 'https://i.postimg.cc/LXQrd0s0/icon.jpg');
 
   // 创建HTML
   item.innerHTML = `
@@ -341,7 +357,7 @@ export async function updateContactItem(contactId) {
     return;
   }
 
-  const contacts = await loadContacts();
+  const contacts = await loadChatTargets();
   const contact = contacts.find(c => c.id === contactId);
 
   if (!contact) {
@@ -406,7 +422,7 @@ export async function updateMessageItemPosition(contactId) {
 
   // 2. 重新加载数据（获取最新状态）
   const recentChats = await loadRecentChats();
-  const contacts = await loadContacts();
+  const contacts = await loadChatTargets();
 
   // 3. 合并数据并排序
   const chatItemsWithContact = recentChats
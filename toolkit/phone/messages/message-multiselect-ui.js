@@ -21,6 +21,8 @@ import { loadContacts } from '../contacts/contact-list-data.js';
 import { generateMessageId } from '../utils/message-actions-helper.js';
 import { getContactDisplayName, getUserDisplayName } from '../utils/contact-display-helper.js';
 import { showContactSelectorPopup } from '../utils/contact-selector-popup.js';
+import { formatCallRecordSummary } from './message-types/call-record-message.js';
+import { formatLocationSummary } from './message-types/location-message.js';
 
 /**
  * 进入多选模式
@@ -290,6 +292,15 @@ function createForwardedMessage(messages, originalContactName) {
       case 'video':
         messageText = `[视频] ${msg.description || ''}`;
         break;
+      case 'voice':
+        messageText = `[语音] ${msg.transcript || ''}`;
+        break;
+      case 'call':
+        messageText = formatCallRecordSummary(msg);
+        break;
+      case 'location':
+        messageText = formatLocationSummary(msg);
+        break;
       case 'file':
         messageText = `[文件] ${msg.filename || ''}`;
         break;
@@ -490,6 +490,30 @@ async function createMessageBubble(message, contact, contactId) {
       }
       break;
 
+    case 'voice':
+      // 语音消息
+      {
+        const { renderVoiceMessage } = await import('./message-types/voice-message.js');
+        innerBubble = renderVoiceMessage(message, contact, contactId);
+      }
+      break;
+
+    case 'call':
+      // 通话记录
+      {
+        const { renderCallRecordMessage } = await import('./message-types/call-record-message.js');
+        innerBubble = renderCallRecordMessage(message, contact, contactId);
+      }
+      break;
+
+    case 'location':
+      // 位置分享
+      {
+        const { renderLocationMessage } = await import('./message-types/location-message.js');
+        innerBubble = renderLocationMessage(message, contact, contactId);
+      }
+      break;
+
     // TODO 第二期：实现专门的渲染器
     // 临时降级：显示为文字提示
     case 'redpacket':
@@ -0,0 +1,127 @@
+/**
+ * 通话记录消息渲染器
+ * @module phone/messages/message-types/call-record-message
+ *
+ * @description
+ * 渲染语音/视频通话记录气泡（通话时长、未接、已拒绝、已取消）
+ *
+ * 数据结构：{ type: 'call', callType: 'voice'|'video', callStatus: 'completed'|'missed'|'declined'|'cancelled', duration: 秒数 }
+ * AI格式：[通话]语音|3分12秒、[通话]视频|未接、[通话]语音|已拒绝、[通话]视频|已取消
+ */
+
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
+import { formatDurationText, formatDurationClock } from '../../utils/time-helper.js';
+
+/** 通话状态 → AI格式文字 */
+export const CALL_STATUS_TEXT = {
+  missed: '未接',
+  declined: '已拒绝',
+  cancelled: '已取消'
+};
+
+/** 通话类型 → AI格式文字 */
+export const CALL_TYPE_TEXT = {
+  voice: '语音',
+  video: '视频'
+};
+
+/**
+ * 格式化通话记录为AI格式
+ *
+ * @param {Object} message - 通话记录消息
+ * @returns {string} 如 '[通话]语音|3分12秒'
+ */
+export function formatCallRecordForAI(message) {
+  const typeText = CALL_TYPE_TEXT[message.callType] || CALL_TYPE_TEXT.voice;
+  const detail = message.callStatus === 'completed'
+    ? formatDurationText(message.duration)
+    : (CALL_STATUS_TEXT[message.callStatus] || CALL_STATUS_TEXT.missed);
+  return `[通话]${typeText}|${detail}`;
+}
+
+/**
+ * 通话记录的简短描述（消息列表预览、通知用）
+ *
+ * @param {Object} message - 通话记录消息
+ * @returns {string} 如 '[语音通话] 03:12' | '[视频通话] 未接'
+ */
+export function formatCallRecordSummary(message) {
+  const typeText = CALL_TYPE_TEXT[message.callType] || CALL_TYPE_TEXT.voice;
+  const detail = message.callStatus === 'completed'
+    ? formatDurationClock(message.duration)
+    : (CALL_STATUS_TEXT[message.callStatus] || CALL_STATUS_TEXT.missed);
+  return `[${typeText}通话] ${detail}`;
+}
+
+/**
+ * 渲染通话记录消息
+ *
+ * @param {Object} message - 消息对象
+ * @param {string} message.sender - 发起方（'user' | 'contact'）
+ * @param {string} message.callType - 'voice' | 'video'
+ * @param {string} message.callStatus - 'completed' | 'missed' | 'declined' | 'cancelled'
+ * @param {number} [message.duration] - 通话时长（秒，已接通时有）
+ * @param {Object} contact - 联系人对象（用于获取头像）
+ * @param {string} [contactId] - 联系人ID
+ * @returns {HTMLElement} 通话记录元素
+ */
+export function renderCallRecordMessage(message, contact, contactId) {
+  const container = document.createElement('div');
+  container.className = 'chat-msg chat-msg-call';
+
+  const isSent = message.sender === 'user';
+  container.classList.add(isSent ? 'chat-msg-sent' : 'chat-msg-received');
+
+  const avatar = document.createElement('img');
+  avatar.className = 'chat-msg-avatar';
+  if (isSent) {
+    const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
+    avatar.src = userAvatar?.src || 'img/default-user.png';
+  } else {
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
+  }
+
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-msg-bubble chat-msg-bubble-call';
+
+  const icon = document.createElement('i');
+  icon.className = message.callType === 'video' ? 'fa-solid fa-video' : 'fa-solid fa-phone';
+
+  const text = document.createElement('span');
+  text.textContent = getCallStatusLabel(message, isSent);
+
+  // 未接/拒绝用红色提示（对方打来没接到时最醒目）
+  if (message.callStatus !== 'completed') {
+    bubble.classList.add('chat-msg-bubble-call-failed');
+  }
+
+  bubble.appendChild(icon);
+  bubble.appendChild(text);
+
+  container.appendChild(avatar);
+  container.appendChild(bubble);
+
+  return container;
+}
+
+/**
+ * 气泡上显示的状态文字（按发起方区分说法）
+ *
+ * @private
+ * @param {Object} message - 通话记录消息
+ * @param {boolean} isSent - 是否是用户发起的
+ * @returns {string}
+ */
+function getCallStatusLabel(message, isSent) {
+  switch (message.callStatus) {
+    case 'completed':
+      return `通话时长 ${formatDurationClock(message.duration)}`;
+    case 'declined':
+      return isSent ? '对方已拒绝' : '已拒绝';
+    case 'cancelled':
+      return '已取消';
+    case 'missed':
+    default:
+      return isSent ? '对方未接听' : '未接来电';
+  }
+}
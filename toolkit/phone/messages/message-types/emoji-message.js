@@ -5,7 +5,7 @@
 
 import logger from '../../../../logger.js';
 import { findEmojiById } from '../../emojis/emoji-manager-data.js';
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 /**
  * 渲染表情消息
@@ -51,7 +51,7 @@ export function renderEmojiMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
     // 联系人头像
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建气泡容器（为了保持与demo一致的DOM结构）
@@ -105,7 +105,7 @@ function renderFallbackMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
     // 联系人头像
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 设置完整的 data- 属性
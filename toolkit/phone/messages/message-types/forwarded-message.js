@@ -8,9 +8,10 @@
  */
 
 import logger from '../../../../logger.js';
-import { getUserDisplayName } from '../../utils/contact-display-helper.js';
-import { getThumbnailUrl } from '../../../../../../../../../script.js';
+import { getUserDisplayName, getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 import { showCustomPopup } from '../../utils/popup-helper.js';
+import { formatCallRecordSummary } from './call-record-message.js';
+import { formatLocationSummary } from './location-message.js';
 
 /**
  * 渲染转发消息
@@ -66,7 +67,7 @@ export function renderForwardedMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
     // 联系人头像
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 转发消息卡片（作为气泡内容）
@@ -180,6 +181,15 @@ function getMessagePreviewText(msg) {
     case 'video':
       return `[视频] ${truncateText(msg.description || '无描述', maxLength)}`;
     
+    case 'voice':
+      return `[语音] ${truncateText(msg.transcript || '', maxLength)}`;
+    
+    case 'call':
+      return formatCallRecordSummary(msg);
+    
+    case 'location':
+      return formatLocationSummary(msg);
+    
     case 'file':
       return `[文件] ${msg.filename || '未知文件'}`;
     
@@ -289,6 +299,15 @@ function getFullMessageContent(msg) {
     case 'video':
       return `[视频] ${msg.description || '无描述'}`;
     
+    case 'voice':
+      return `[语音] ${msg.transcript || ''}`;
+    
+    case 'call':
+      return formatCallRecordSummary(msg);
+    
+    case 'location':
+      return formatLocationSummary(msg);
+    
     case 'file':
       return `[文件] ${msg.filename || '未知文件'}`;
     
@@ -11,7 +11,7 @@
  * @module gift-membership-message
  */
 
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 import logger from '../../../../logger.js';
 
 /**
@@ -98,7 +98,7 @@ export function renderGiftMembershipMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
     // 联系人头像
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建会员送礼气泡
@@ -267,25 +267,17 @@ async function handleGiftToUser(message) {
     logger.info('phone', '[GiftMembershipMessage]] ✅ 用户会员已开通:', message.membershipType, message.duration, 'msgId:', message.id);
 
     // ✅ 保存交易记录到钱包（礼物-收入）
-    // 注意：需要从消息中提取contactId（由于chats是按contactId组织的）
+    // 注意：需要从消息中提取contactId（聊天记录按contactId分文件存储）
     const { addTransaction } = await import('../../data-storage/storage-wallet.js');
-    const { loadData } = await import('../../data-storage/storage-api.js');
-
-    // 查找发送者contactId（在chats中搜索包含该消息的聊天）
-    const chats = (await loadData('chats')) || {};
-    let senderContactId = null;
-    for (const [cid, chatHistory] of Object.entries(chats)) {
-      if (chatHistory.some(msg => msg.id === message.id)) {
-        // ✅ 移除 'chat_' 前缀（chats 的键名为 'chat_xxx'，但 contactId 应该是 'tavern_xxx'）
-        senderContactId = cid.startsWith('chat_') ? cid.replace('chat_', '') : cid;
-        break;
-      }
-    }
+    const { findCachedContactIdByMessageId } = await import('../../data-storage/storage-chat-files.js');
+
+    // 查找发送者contactId（消息刚渲染，所在聊天一定已加载到缓存）
+    const senderContactId = findCachedContactIdByMessageId(message.id);
 
     if (senderContactId) {
       // ✅ 礼物记录：不需要金额，主要记录物品名称
       await addTransaction({
-        contactId: senderContactId,  // ✅ 已移除 'chat_' 前缀
+        contactId: senderContactId,
         type: 'gift',
         direction: 'received',
         amount: 0,  // ✅ 礼物金额为0（往来记录主要看itemName）
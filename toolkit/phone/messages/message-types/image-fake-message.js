@@ -1,5 +1,5 @@
 import logger from '../../../../logger.js';
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 /**
  * 渲染假装图片消息气泡（AI过家家，不识别）
@@ -70,8 +70,8 @@ export function renderImageFakeMessage(message, contact, contactId) {
     const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
-    // 联系人头像（使用getThumbnailUrl）
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    // 联系人头像
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建假装图片气泡（正方形+文字居中）
@@ -0,0 +1,109 @@
+/**
+ * 位置消息渲染器
+ * @module phone/messages/message-types/location-message
+ *
+ * @description
+ * 渲染位置分享卡片：上方地点名和地址，下方地图样式的占位图 + 定位针，备注显示在卡片底部
+ *
+ * 数据结构：{ type: 'location', name: 地点名, address: 地址, note: 备注 }
+ * AI格式：[位置]地点名|地址|备注（地址、备注可省略）
+ */
+
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
+
+/**
+ * 格式化位置消息为AI格式
+ *
+ * @param {Object} message - 位置消息
+ * @returns {string} 如 '[位置]星巴克（人民广场店）|南京东路88号|我在这等你'
+ */
+export function formatLocationMessageForAI(message) {
+  const parts = [message.name || '未知地点'];
+  if (message.address || message.note) {
+    parts.push(message.address || '');
+  }
+  if (message.note) {
+    parts.push(message.note);
+  }
+  return `[位置]${parts.join('|')}`;
+}
+
+/**
+ * 位置消息的简短描述（消息列表预览、通知用）
+ *
+ * @param {Object} message - 位置消息
+ * @returns {string} 如 '[位置] 星巴克（人民广场店）'
+ */
+export function formatLocationSummary(message) {
+  return `[位置] ${message.name || '未知地点'}`;
+}
+
+/**
+ * 渲染位置消息
+ *
+ * @param {Object} message - 消息对象
+ * @param {string} message.sender - 发送者（'user' | 'contact'）
+ * @param {string} message.name - 地点名
+ * @param {string} [message.address] - 地址
+ * @param {string} [message.note] - 备注
+ * @param {Object} contact - 联系人对象（用于获取头像）
+ * @param {string} [contactId] - 联系人ID
+ * @returns {HTMLElement} 位置消息元素
+ */
+export function renderLocationMessage(message, contact, contactId) {
+  const container = document.createElement('div');
+  container.className = 'chat-msg chat-msg-location';
+
+  const isSent = message.sender === 'user';
+  container.classList.add(isSent ? 'chat-msg-sent' : 'chat-msg-received');
+
+  // 头像
+  const avatar = document.createElement('img');
+  avatar.className = 'chat-msg-avatar';
+  if (isSent) {
+    const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
+    avatar.src = userAvatar?.src || 'img/default-user.png';
+  } else {
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
+  }
+
+  // 卡片
+  const card = document.createElement('div');
+  card.className = 'chat-msg-bubble chat-msg-bubble-location';
+
+  const info = document.createElement('div');
+  info.className = 'chat-msg-location-info';
+
+  const name = document.createElement('div');
+  name.className = 'chat-msg-location-name';
+  name.textContent = message.name || '未知地点';
+  info.appendChild(name);
+
+  if (message.address) {
+    const address = document.createElement('div');
+    address.className = 'chat-msg-location-address';
+    address.textContent = message.address;
+    info.appendChild(address);
+  }
+
+  // 地图占位（纯CSS网格 + 定位针）
+  const map = document.createElement('div');
+  map.className = 'chat-msg-location-map';
+  map.innerHTML = '<i class="fa-solid fa-location-dot chat-msg-location-pin"></i>';
+
+  card.appendChild(info);
+  card.appendChild(map);
+
+  if (message.note) {
+    const note = document.createElement('div');
+    note.className = 'chat-msg-location-note';
+    note.textContent = message.note;
+    card.appendChild(note);
+  }
+
+  // 组装（统一DOM顺序：头像在前，气泡在后）
+  container.appendChild(avatar);
+  container.appendChild(card);
+
+  return container;
+}
@@ -0,0 +1,108 @@
+/**
+ * 空间动态消息渲染器
+ * @module phone/messages/message-types/moment-message
+ *
+ * @description
+ * 渲染角色在聊天回复里附带的空间动态操作（type='moment'）：
+ * - post：卡片（样式同个签更新卡片）
+ * - comment / like：居中灰色提示
+ * 渲染时顺便把操作写入动态数据（按消息ID去重），兼容重新应用等绕过发送流程的场景
+ */
+
+import logger from '../../../../logger.js';
+import { applyMomentMessage } from '../../moments/moments-data.js';
+import { getContactDisplayName, getContactAvatarUrl } from '../../utils/contact-display-helper.js';
+
+/**
+ * 渲染空间动态消息
+ *
+ * @param {Object} message - 消息对象（type='moment'）
+ * @param {string} contactId - 联系人ID
+ * @param {Object} [contact] - 联系人对象
+ * @returns {HTMLElement} 消息元素
+ */
+export function renderMomentMessage(message, contactId, contact = null) {
+  const container = message.momentAction === 'post'
+    ? renderPostCard(message, contact)
+    : renderActionHint(message, contact);
+
+  container.setAttribute('data-msg-id', message.id);
+  container.setAttribute('data-message-time', message.time?.toString() || '');
+
+  applyMomentMessage(contactId, message).catch(error => {
+    logger.error('phone','[MomentMessage] 写入动态数据失败:', error);
+  });
+
+  return container;
+}
+
+/**
+ * 发动态卡片
+ *
+ * @param {Object} message - 消息对象
+ * @param {Object|null} contact - 联系人对象
+ * @returns {HTMLElement}
+ */
+function renderPostCard(message, contact) {
+  const container = document.createElement('div');
+  container.className = 'chat-msg chat-msg-moment-post chat-msg-enter-ai';
+
+  const avatarUrl = getContactAvatarUrl(contact) || 'img/ai4.png';
+
+  const card = document.createElement('div');
+  card.className = 'signature-update-card moment-post-card';
+  card.innerHTML = `
+    <div class="signature-update-header">
+      <img class="signature-update-avatar" src="${avatarUrl}" alt="头像">
+      <span class="signature-update-title">发布了新动态</span>
+    </div>
+    <div class="signature-update-text"></div>
+  `;
+  card.querySelector('.signature-update-text').textContent = message.momentText || '';
+
+  if (message.imageDescription) {
+    const image = document.createElement('div');
+    image.className = 'moment-post-card-image';
+    image.innerHTML = '<i class="fa-regular fa-image"></i> ';
+    image.append(message.imageDescription);
+    card.appendChild(image);
+  }
+
+  container.appendChild(card);
+  return container;
+}
+
+/**
+ * 评论/点赞提示
+ *
+ * @param {Object} message - 消息对象
+ * @param {Object|null} contact - 联系人对象
+ * @returns {HTMLElement}
+ */
+function renderActionHint(message, contact) {
+  const container = document.createElement('div');
+  container.className = 'chat-msg chat-msg-system-center';
+
+  const name = contact ? getContactDisplayName(contact) : '对方';
+  const target = message.momentAuthorId === 'user' ? '你的动态' : '一条动态';
+
+  let text;
+  if (message.momentAction === 'like') {
+    text = `${name} 赞了${target}`;
+  } else if (message.replyTo === 'user') {
+    text = `${name} 在${target}下回复了你：${message.momentText || ''}`;
+  } else {
+    text = `${name} 评论了${target}：${message.momentText || ''}`;
+  }
+
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-msg-bubble system-hint-bubble';
+
+  const hint = document.createElement('span');
+  hint.className = 'system-hint-text';
+  hint.textContent = text;
+
+  bubble.appendChild(hint);
+  container.appendChild(bubble);
+  return container;
+}
@@ -11,7 +11,7 @@
  */
 
 import logger from '../../../../logger.js';
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 /**
  * 解析计划消息格式
@@ -146,7 +146,7 @@ export async function renderPlanMessage(message, contact, contactId) {
     const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建气泡
@@ -8,7 +8,7 @@
  * - 对方发的：👉) + 右震动
  */
 
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 import logger from '../../../../logger.js';
 
 /**
@@ -59,8 +59,8 @@ export function renderPokeMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
     logger.debug('phone','[PokeMessage]] 用户头像src:', avatar.src);
   } else {
-    // 联系人头像（使用getThumbnailUrl，不压缩）
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    // 联系人头像（不压缩）
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
     logger.debug('phone','[PokeMessage]] 联系人头像src:', avatar.src);
   }
 
@@ -4,7 +4,7 @@
  */
 
 import logger from '../../../../logger.js';
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 /**
  * 渲染引用消息气泡
@@ -47,7 +47,7 @@ export function renderQuoteMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
     // 联系人头像
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建引用气泡
@@ -4,8 +4,7 @@
  */
 
 import logger from '../../../../logger.js';
-import { getThumbnailUrl } from '../../../../../../../../script.js';
-import { getContactDisplayName } from '../../utils/contact-display-helper.js';
+import { getContactDisplayName, getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 /**
  * 渲染撤回消息气泡
@@ -63,8 +62,8 @@ export function renderRecalledMessage(message, contact, contactId) {
     const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
-    // 联系人头像（使用getThumbnailUrl，不压缩）
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    // 联系人头像（不压缩）
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建撤回提示气泡
@@ -9,7 +9,7 @@
 
 import logger from '../../../../logger.js';
 import { updateContactSignature } from '../../profile/signature-data.js';
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 // 已保存的个签消息ID集合（防止重复保存）
 const savedSignatureMessages = new Set();
@@ -77,9 +77,7 @@ export function renderSignatureMessage(message, contactId, contact = null) {
   container.setAttribute('data-message-time', message.time?.toString() || '');
 
   // 获取角色头像
-  const avatarUrl = contact?.avatar
-    ? getThumbnailUrl('avatar', contact.avatar)
-    : 'img/ai4.png'; // 默认头像
+  const avatarUrl = getContactAvatarUrl(contact) || 'img/ai4.png'; // 默认头像
 
   // 创建卡片（简化版，无折叠，无点赞）
   const card = document.createElement('div');
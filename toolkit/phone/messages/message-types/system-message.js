@@ -4,17 +4,29 @@
  */
 
 /**
- * 渲染系统消息
+ * 渲染系统消息（居中灰色提示，样式同添加好友消息）
  * @param {Object} message - 消息对象
  * @param {string} message.content - 消息内容（如"张三 创建了群聊"）
  * @returns {HTMLElement} 系统消息元素
  */
 function renderSystemMessage(message) {
-  // TODO: 创建 .chat-system-msg 元素
-  // TODO: 设置文本内容
+  const container = document.createElement('div');
+  container.className = 'chat-msg chat-msg-system-center';
+  if (message.id) {
+    container.dataset.msgId = message.id;
+  }
 
-  return null; // TODO
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-msg-bubble system-hint-bubble';
+
+  const hint = document.createElement('span');
+  hint.className = 'system-hint-text';
+  hint.textContent = message.content;
+
+  bubble.appendChild(hint);
+  container.appendChild(bubble);
+
+  return container;
 }
 
 export { renderSystemMessage };
-
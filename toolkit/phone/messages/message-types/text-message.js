@@ -3,7 +3,7 @@
  * @module phone/messages/message-types/text-message
  */
 
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 
 /**
  * 渲染文字消息气泡
@@ -45,8 +45,8 @@ export function renderTextMessage(message, contact, contactId) {
     const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
     avatar.src = userAvatar?.src || 'img/default-user.png';
   } else {
-    // 联系人头像（使用getThumbnailUrl，不压缩）
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    // 联系人头像（不压缩）
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
   }
 
   // 创建气泡
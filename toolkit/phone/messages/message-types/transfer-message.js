@@ -11,7 +11,7 @@
  * @module transfer-message
  */
 
-import { getThumbnailUrl } from '../../../../../../../../script.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
 import logger from '../../../../logger.js';
 
 /**
@@ -68,8 +68,8 @@ export function renderTransferMessage(message, contact, contactId) {
     avatar.src = userAvatar?.src || 'img/default-user.png';
     logger.debug('phone','[TransferMessage] 用户头像src:', avatar.src);
   } else {
-    // 联系人头像（使用getThumbnailUrl，不压缩）
-    avatar.src = getThumbnailUrl('avatar', contact?.avatar) || 'img/default-avatar.png';
+    // 联系人头像（不压缩）
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
     logger.debug('phone','[TransferMessage] 联系人头像src:', avatar.src);
   }
   
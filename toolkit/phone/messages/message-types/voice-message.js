@@ -0,0 +1,150 @@
+/**
+ * 语音消息渲染器
+ * @module phone/messages/message-types/voice-message
+ *
+ * @description
+ * 渲染语音消息气泡：时长 + 声波，点击展开/收起转文字内容。
+ * 装了酒馆TTS扩展时，转文字里多一个朗读按钮（走 /speak 命令）。
+ *
+ * 数据结构：{ type: 'voice', duration: 秒数, transcript: 转文字内容 }
+ * AI格式：[语音]时长|转文字内容（如 [语音]5秒|在吗）
+ */
+
+import logger from '../../../../logger.js';
+import { getContactAvatarUrl } from '../../utils/contact-display-helper.js';
+import { formatDurationText } from '../../utils/time-helper.js';
+
+/** 气泡宽度随时长增长的上限（秒） */
+const MAX_WIDTH_DURATION = 60;
+
+/**
+ * 格式化语音消息为AI格式
+ *
+ * @param {Object} message - 语音消息
+ * @returns {string} 如 '[语音]5秒|在吗'
+ */
+export function formatVoiceMessageForAI(message) {
+  return `[语音]${formatDurationText(message.duration)}|${message.transcript || ''}`;
+}
+
+/**
+ * 根据文字长度估算语音时长（AI没写时长时用）
+ *
+ * @param {string} transcript - 转文字内容
+ * @returns {number} 秒数（1-60）
+ */
+export function estimateVoiceDuration(transcript) {
+  return Math.max(1, Math.min(60, Math.ceil((transcript || '').length / 4)));
+}
+
+/**
+ * 渲染语音消息
+ *
+ * @param {Object} message - 消息对象
+ * @param {string} message.sender - 发送者（'user' | 'contact'）
+ * @param {number} message.duration - 时长（秒）
+ * @param {string} message.transcript - 转文字内容
+ * @param {Object} contact - 联系人对象（用于获取头像）
+ * @param {string} [contactId] - 联系人ID
+ * @returns {HTMLElement} 语音消息元素
+ */
+export function renderVoiceMessage(message, contact, contactId) {
+  const container = document.createElement('div');
+  container.className = 'chat-msg chat-msg-voice';
+
+  const isSent = message.sender === 'user';
+  container.classList.add(isSent ? 'chat-msg-sent' : 'chat-msg-received');
+
+  // 头像
+  const avatar = document.createElement('img');
+  avatar.className = 'chat-msg-avatar';
+  if (isSent) {
+    const userAvatar = /** @type {HTMLImageElement} */ (document.querySelector('#phone-user-avatar'));
+    avatar.src = userAvatar?.src || 'img/default-user.png';
+  } else {
+    avatar.src = getContactAvatarUrl(contact) || 'img/default-avatar.png';
+  }
+
+  const body = document.createElement('div');
+  body.className = 'chat-msg-voice-body';
+
+  // 语音条（宽度随时长变长）
+  const duration = message.duration || 1;
+  const bubble = document.createElement('div');
+  bubble.className = 'chat-msg-bubble chat-msg-bubble-voice';
+  bubble.style.minWidth = `${4 + Math.min(duration, MAX_WIDTH_DURATION) / MAX_WIDTH_DURATION * 8}em`;
+  bubble.innerHTML = `
+    <i class="fa-solid fa-wifi chat-msg-voice-wave"></i>
+    <span class="chat-msg-voice-duration">${duration}"</span>
+  `;
+
+  // 转文字（默认收起）
+  const transcript = document.createElement('div');
+  transcript.className = 'chat-msg-voice-transcript';
+  transcript.style.display = 'none';
+
+  const transcriptText = document.createElement('span');
+  transcriptText.textContent = message.transcript || '（无法识别）';
+  transcript.appendChild(transcriptText);
+
+  if (message.transcript && isTtsAvailable()) {
+    const speakBtn = document.createElement('i');
+    speakBtn.className = 'fa-solid fa-volume-high chat-msg-voice-speak';
+    speakBtn.title = '朗读';
+    speakBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      speakTranscript(message.transcript, isSent ? null : contact?.name);
+    });
+    transcript.appendChild(speakBtn);
+  }
+
+  bubble.addEventListener('click', () => {
+    const expanded = transcript.style.display !== 'none';
+    transcript.style.display = expanded ? 'none' : '';
+    bubble.classList.toggle('expanded', !expanded);
+  });
+
+  body.appendChild(bubble);
+  body.appendChild(transcript);
+
+  // 组装（统一DOM顺序：头像在前，气泡在后）
+  container.appendChild(avatar);
+  container.appendChild(body);
+
+  return container;
+}
+
+/**
+ * 酒馆TTS扩展是否可用（注册了 /speak 命令）
+ *
+ * @private
+ * @returns {boolean}
+ */
+function isTtsAvailable() {
+  try {
+    return !!SillyTavern.getContext().SlashCommandParser?.commands?.speak;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 通过酒馆TTS朗读转文字内容
+ *
+ * @private
+ * @async
+ * @param {string} text - 朗读内容
+ * @param {string|null} voiceName - 角色名（TTS按角色名匹配声音，null=默认声音）
+ */
+async function speakTranscript(text, voiceName) {
+  try {
+    const { executeSlashCommandsWithOptions } = SillyTavern.getContext();
+    // 管道符和宏括号会被斜杠命令解析，需要转义
+    const safeText = text.replace(/\|/g, '\\|').replace(/\{\{/g, '\\{\\{');
+    const voiceArg = voiceName ? `voice="${voiceName.replace(/"/g, '\\"')}" ` : '';
+    await executeSlashCommandsWithOptions(`/speak ${voiceArg}${safeText}`);
+    logger.debug('phone','[VoiceMessage] 已朗读语音:', text.substring(0, 20));
+  } catch (error) {
+    logger.warn('phone','[VoiceMessage] TTS朗读失败:', error.message);
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * 角色主动发消息定时器
+ * @module phone/messages/proactive-message-scheduler
+ *
+ * @description
+ * 在聊天设置里给联系人开启「主动发消息」后，后台定时器每分钟检查一次，
+ * 从符合条件的联系人里挑一个，让AI以该角色的身份主动给用户发消息。
+ * 上下文和纸飞机回复一样用 buildMessagesArray 构建，回复走同一套解析、保存和路由，
+ * 未读小红点由 saveChatMessage 计数，聊天页没打开时弹消息通知。
+ *
+ * 每个联系人的设置存在 phone.proactiveMessages[contactId]：
+ * {
+ *   enabled: false,
+ *   intervalMinutes: 180,     // 频率：两次主动消息至少间隔多久（也要求聊天已安静这么久）
+ *   activeStart: 9,           // 活跃时段开始（整点，0-23）
+ *   activeEnd: 23,            // 活跃时段结束（整点，0-24，小于开始时表示跨午夜）
+ *   missedYouHours: 24,       // 用户超过多少小时没发消息，角色会表达想念
+ *   lastProactiveTime: 0      // 上次主动发消息的时间（秒）
+ * }
+ */
+
+import logger from '../../../logger.js';
+import { extension_settings } from '../../../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../../../script.js';
+import { loadContacts } from '../contacts/contact-list-data.js';
+import { loadChatHistory, incrementRound } from './message-chat-data.js';
+import { buildMessagesArray } from '../ai-integration/ai-context-builder.js';
+import { parseAIResponse, validateAIResponse } from '../ai-integration/ai-response-parser.js';
+import { getCurrentTimestamp } from '../utils/time-helper.js';
+
+/** 检查间隔（毫秒） */
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/** 频率的上下限（分钟） */
+const MIN_INTERVAL_MINUTES = 30;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+/** 「想你」阈值的上下限（小时） */
+const MIN_MISSED_YOU_HOURS = 1;
+const MAX_MISSED_YOU_HOURS = 30 * 24;
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  intervalMinutes: 180,
+  activeStart: 9,
+  activeEnd: 23,
+  missedYouHours: 24,
+  lastProactiveTime: 0
+};
+
+/** @type {number|null} */
+let timerId = null;
+
+/** 是否正在生成主动消息 */
+let isRunning = false;
+
+/**
+ * 获取所有联系人的主动消息设置
+ * @private
+ * @returns {Object<string, Object>}
+ */
+function getAllProactiveSettings() {
+  if (!extension_settings.acsusPawsPuffs) {
+    extension_settings.acsusPawsPuffs = {};
+  }
+  if (!extension_settings.acsusPawsPuffs.phone) {
+    extension_settings.acsusPawsPuffs.phone = {};
+  }
+  if (!extension_settings.acsusPawsPuffs.phone.proactiveMessages) {
+    extension_settings.acsusPawsPuffs.phone.proactiveMessages = {};
+  }
+  return extension_settings.acsusPawsPuffs.phone.proactiveMessages;
+}
+
+/**
+ * 获取联系人的主动消息设置（未设置过返回默认值）
+ *
+ * @param {string} contactId - 联系人ID
+ * @returns {{enabled: boolean, intervalMinutes: number, activeStart: number, activeEnd: number, missedYouHours: number, lastProactiveTime: number}}
+ */
+export function getProactiveSettings(contactId) {
+  return { ...DEFAULT_SETTINGS, ...getAllProactiveSettings()[contactId] };
+}
+
+/**
+ * 更新联系人的主动消息设置
+ *
+ * @param {string} contactId - 联系人ID
+ * @param {Object} updates - 要更新的字段
+ */
+export function updateProactiveSettings(contactId, updates) {
+  const all = getAllProactiveSettings();
+  const settings = { ...DEFAULT_SETTINGS, ...all[contactId], ...updates };
+
+  settings.intervalMinutes = clampNumber(settings.intervalMinutes, MIN_INTERVAL_MINUTES, MAX_INTERVAL_MINUTES, DEFAULT_SETTINGS.intervalMinutes);
+  settings.activeStart = clampNumber(settings.activeStart, 0, 23, DEFAULT_SETTINGS.activeStart);
+  settings.activeEnd = clampNumber(settings.activeEnd, 0, 24, DEFAULT_SETTINGS.activeEnd);
+  settings.missedYouHours = clampNumber(settings.missedYouHours, MIN_MISSED_YOU_HOURS, MAX_MISSED_YOU_HOURS, DEFAULT_SETTINGS.missedYouHours);
+
+  all[contactId] = settings;
+  saveSettingsDebounced();
+  logger.info('phone','[ProactiveScheduler] 设置已更新:', contactId, settings.enabled ? `每${settings.intervalMinutes}分钟` : '已关闭');
+}
+
+/**
+ * 数字取整并限制范围
+ * @private
+ * @param {*} value - 输入值
+ * @param {number} min - 下限
+ * @param {number} max - 上限
+ * @param {number} fallback - 不是数字时的默认值
+ * @returns {number}
+ */
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(num)));
+}
+
+/**
+ * 当前是否在活跃时段内
+ * @private
+ * @param {Object} settings - 联系人的主动消息设置
+ * @param {Date} now - 当前时间
+ * @returns {boolean}
+ */
+function isWithinActiveHours(settings, now) {
+  const hour = now.getHours();
+  const { activeStart, activeEnd } = settings;
+
+  if (activeStart === activeEnd) return true;  // 全天
+  if (activeStart < activeEnd) return hour >= activeStart && hour < activeEnd;
+  return hour >= activeStart || hour < activeEnd;  // 跨午夜
+}
+
+/**
+ * 找出现在可以主动发消息的联系人
+ *
+ * @private
+ * @async
+ * @returns {Promise<Array<{contactId: string, silentHours: number, missedYou: boolean}>>}
+ *
+ * @description
+ * 条件：已开启、在活跃时段内、距上次主动消息和聊天里最后一条消息都超过了频率间隔
+ * （正在聊天时不打扰）
+ */
+async function findCandidates() {
+  const all = getAllProactiveSettings();
+  const enabledIds = Object.keys(all).filter(id => all[id]?.enabled);
+  if (enabledIds.length === 0) return [];
+
+  const contacts = await loadContacts();
+  const now = getCurrentTimestamp();
+  const nowDate = new Date();
+  const candidates = [];
+
+  for (const contactId of enabledIds) {
+    if (!contacts.some(c => c.id === contactId)) continue;
+
+    const settings = getProactiveSettings(contactId);
+    const intervalSeconds = settings.intervalMinutes * 60;
+    if (!isWithinActiveHours(settings, nowDate)) continue;
+    if (now - (settings.lastProactiveTime || 0) < intervalSeconds) continue;
+
+    const history = await loadChatHistory(contactId);
+    const lastMessage = history[history.length - 1];
+    if (lastMessage && now - (lastMessage.time || 0) < intervalSeconds) continue;
+
+    // 用户从没发过消息时按最早一条消息算（刚加好友）
+    const lastUserMessage = history.findLast(msg => msg.sender === 'user') || history[0];
+    const silentHours = lastUserMessage ? (now - (lastUserMessage.time || 0)) / 3600 : 0;
+
+    candidates.push({
+      contactId,
+      silentHours,
+      missedYou: silentHours >= settings.missedYouHours
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * 让联系人主动发一轮消息
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @param {Object} [options] - 选项
+ * @param {number} [options.silentHours=0] - 用户多少小时没发消息
+ * @param {boolean} [options.missedYou=false] - 是否超过「想你」阈值
+ * @returns {Promise<{skipped: boolean, count: number}>} count=收到的消息数
+ * @throws {Error} 手机系统未初始化或请求失败时
+ */
+export async function runProactiveMessage(contactId, { silentHours = 0, missedYou = false } = {}) {
+  if (isRunning) {
+    logger.debug('phone','[ProactiveScheduler] 已有主动消息在生成，跳过');
+    return { skipped: true, count: 0 };
+  }
+
+  const { getPhoneSystem } = await import('../phone-system.js');
+  const api = getPhoneSystem()?.api;
+  if (!api) {
+    throw new Error('手机系统未初始化');
+  }
+
+  // 用户正在等纸飞机回复，不抢这一轮
+  if (api.isGenerating) {
+    logger.debug('phone','[ProactiveScheduler] 正在生成回复，跳过');
+    return { skipped: true, count: 0 };
+  }
+
+  isRunning = true;
+
+  // 和纸飞机回复一样占住生成状态：生成期间用户发送会变成终止，不会同时跑两轮
+  const abortController = new AbortController();
+  api.currentAbortController = abortController;
+  api.isGenerating = true;
+  api.currentGeneratingContactId = contactId;
+
+  try {
+    logger.info('phone','[ProactiveScheduler] 开始生成主动消息:', contactId, missedYou ? '（想你了）' : '');
+
+    const { messages, messageNumberMap } = await buildMessagesArray(contactId, {}, {
+      proactive: { contactId, silentHours, missedYou }
+    });
+    let responseText;
+    try {
+      responseText = await api.requestText(messages, abortController.signal);
+    } catch (error) {
+      if (!abortController.signal.aborted) throw error;
+      logger.info('phone','[ProactiveScheduler] 主动消息已被终止:', contactId);
+      return { skipped: true, count: 0 };
+    }
+
+    if (!responseText || !validateAIResponse(responseText)) {
+      throw new Error('AI回复格式错误');
+    }
+
+    const parsedMessages = await parseAIResponse(responseText, contactId, messageNumberMap);
+    if (parsedMessages.length === 0) {
+      throw new Error('AI未返回有效消息');
+    }
+
+    // 和纸飞机回复走同一套保存和路由：本人的消息显示气泡或弹通知，其他角色的消息只刷新列表
+    const { receiveIncomingMessage } = await import('./message-chat-ui.js');
+    await api.deliverParsedMessages(contactId, parsedMessages, {}, message => receiveIncomingMessage(contactId, message));
+    await incrementRound(contactId);
+
+    document.dispatchEvent(new CustomEvent('phone-message-received', {
+      detail: { contactId, message: parsedMessages[parsedMessages.length - 1] }
+    }));
+
+    logger.info('phone','[ProactiveScheduler] 主动消息已送达:', contactId, '共', parsedMessages.length, '条');
+    return { skipped: false, count: parsedMessages.length };
+  } finally {
+    isRunning = false;
+
+    // 被终止时 abort() 已经清过状态
+    if (api.currentAbortController === abortController) {
+      api.currentAbortController = null;
+      api.isGenerating = false;
+      api.currentGeneratingContactId = null;
+    }
+
+    // 生成期间打开过这个聊天的话，发送键显示的是终止键，恢复成纸飞机
+    document.dispatchEvent(new CustomEvent('phone-debug-reroll-end', {
+      detail: { contactId }
+    }));
+  }
+}
+
+/**
+ * 检查是否有联系人该主动发消息了
+ *
+ * @async
+ */
+async function checkSchedule() {
+  if (isRunning) return;
+
+  const candidates = await findCandidates();
+  if (candidates.length === 0) return;
+
+  // 超过「想你」阈值的联系人优先，其余随机挑一个
+  const missed = candidates.filter(c => c.missedYou);
+  const pool = missed.length > 0 ? missed : candidates;
+  const picked = pool[Math.floor(Math.random() * pool.length)];
+
+  // 先记下时间，失败也等下一个间隔，避免API出错时每分钟重试
+  updateProactiveSettings(picked.contactId, { lastProactiveTime: getCurrentTimestamp() });
+
+  try {
+    await runProactiveMessage(picked.contactId, picked);
+  } catch (error) {
+    logger.warn('phone','[ProactiveScheduler] 主动消息生成失败:', error.message);
+  }
+}
+
+/**
+ * 启动定时器（手机系统初始化时调用一次）
+ */
+export function initProactiveMessageScheduler() {
+  if (timerId !== null) return;
+  timerId = setInterval(() => {
+    checkSchedule().catch(error => {
+      logger.error('phone','[ProactiveScheduler] 检查失败:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+  logger.info('phone','[ProactiveScheduler] 定时器已启动');
+}
@@ -0,0 +1,85 @@
+/**
+ * 去过的地方（按联系人）
+ * @module phone/messages/shared-places-data
+ *
+ * @description
+ * 从聊天记录里的位置消息整理出「我们去过的地方」：同名地点合并，记下分享次数、
+ * 最近一次时间和备注。不单独存储，删除消息、撤回、重roll 后自然同步。
+ * ai-context-builder 会把它放进角色卡，让AI前后提到的地点保持一致。
+ */
+
+import { loadChatHistory } from './message-chat-data.js';
+import { formatTimestamp } from '../utils/time-helper.js';
+
+/** 放进AI上下文的地点数上限（按最近时间） */
+const MAX_PLACES_FOR_AI = 20;
+
+/**
+ * 获取和联系人去过的地方
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @returns {Promise<Array<{name: string, address: string, notes: string[], count: number, lastTime: number, lastSender: string}>>}
+ *          按最近一次分享时间倒序
+ */
+export async function getSharedPlaces(contactId) {
+  const history = await loadChatHistory(contactId);
+  const places = new Map();
+
+  history
+    .filter(msg => msg.type === 'location' && msg.name)
+    .forEach(msg => {
+      const key = msg.name.trim();
+      const place = places.get(key) || {
+        name: key,
+        address: '',
+        notes: [],
+        count: 0,
+        lastTime: 0,
+        lastSender: msg.sender
+      };
+
+      place.count++;
+      // 地址以后分享的为准（可能前面没写）
+      if (msg.address) {
+        place.address = msg.address;
+      }
+      if (msg.note && !place.notes.includes(msg.note)) {
+        place.notes.push(msg.note);
+      }
+      if ((msg.time || 0) >= place.lastTime) {
+        place.lastTime = msg.time || 0;
+        place.lastSender = msg.sender;
+      }
+
+      places.set(key, place);
+    });
+
+  return Array.from(places.values()).sort((a, b) => b.lastTime - a.lastTime);
+}
+
+/**
+ * 格式化「去过的地方」为AI上下文
+ *
+ * @param {Array<Object>} places - getSharedPlaces 的返回值
+ * @param {string} userName - 用户显示名
+ * @param {string} contactName - 联系人名
+ * @returns {string} 每行一个地点，没有地点返回空字符串
+ *
+ * @example
+ * // - 星巴克（人民广场店）｜南京东路88号｜分享过2次，最近 2025-10-26 21:43 由白沉分享｜备注：我在这等你
+ */
+export function formatSharedPlacesForAI(places, userName, contactName) {
+  return places.slice(0, MAX_PLACES_FOR_AI).map(place => {
+    const parts = [place.name];
+    if (place.address) {
+      parts.push(place.address);
+    }
+    const senderName = place.lastSender === 'user' ? userName : contactName;
+    parts.push(`分享过${place.count}次，最近 ${formatTimestamp(place.lastTime)} 由${senderName}分享`);
+    if (place.notes.length > 0) {
+      parts.push(`备注：${place.notes.join('；')}`);
+    }
+    return `- ${parts.join('｜')}`;
+  }).join('\n');
+}
@@ -0,0 +1,157 @@
+/**
+ * 空间动态互动轮次
+ * @module phone/moments/moments-ai
+ *
+ * @description
+ * 不经过聊天的动态生成：定时发动态、回复用户在空间里的评论/点赞/新动态。
+ * 回复用 [角色-名]\n[空间动态] 格式，复用聊天回复的解析器，再直接写入动态数据。
+ *
+ * ⚠️ 这里产生的动态不在任何聊天记录里，所以不参与重roll回退
+ * （聊天回复里附带的动态会保存成 type='moment' 消息，由动态回退处理器处理）
+ */
+
+import logger from '../../../logger.js';
+import { loadContacts } from '../contacts/contact-list-data.js';
+import { buildMomentsRoundMessages } from '../ai-integration/ai-context-builder.js';
+import { parseAIResponse, validateAIResponse, matchContactId } from '../ai-integration/ai-response-parser.js';
+import { getMomentActions, markMomentActionsSent, clearSentMomentActions } from '../ai-integration/pending-operations.js';
+import { applyMomentMessage } from './moments-data.js';
+
+/** 用户发动态后最多几个角色来互动 */
+const MAX_REACTORS = 3;
+
+/** 定时触发时发动态的角色数 */
+const SCHEDULED_POSTERS = 1;
+
+/** 是否有互动轮次在进行（定时器和手动刷新可能撞车） */
+let isRunning = false;
+
+/**
+ * 是否正在生成
+ * @returns {boolean}
+ */
+export function isMomentsRoundRunning() {
+  return isRunning;
+}
+
+/**
+ * 从数组里随机取若干个
+ *
+ * @param {Array} list - 原数组
+ * @param {number} count - 数量
+ * @returns {Array}
+ */
+function pickRandom(list, count) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, count);
+}
+
+/**
+ * 选出参与本轮的角色
+ *
+ * @param {Array<Object>} contacts - 联系人列表
+ * @param {Array<Object>} actions - 用户的动态操作
+ * @param {boolean} requirePost - 是否定时发动态
+ * @returns {string[]} 联系人ID
+ *
+ * @description
+ * - 用户点赞/评论了谁的动态，谁就参与
+ * - 用户自己发了动态，随机挑几个好友来互动
+ * - 定时触发，再随机挑一个好友发动态
+ */
+function selectParticipants(contacts, actions, requirePost) {
+  const contactIds = contacts.map(c => c.id);
+  const ids = new Set(
+    actions
+      .map(action => action.authorId)
+      .filter(authorId => authorId !== 'user' && contactIds.includes(authorId))
+  );
+
+  const others = () => contactIds.filter(id => !ids.has(id));
+
+  if (actions.some(action => action.authorId === 'user')) {
+    pickRandom(others(), MAX_REACTORS).forEach(id => ids.add(id));
+  }
+  if (requirePost) {
+    pickRandom(others(), SCHEDULED_POSTERS).forEach(id => ids.add(id));
+  }
+
+  return [...ids];
+}
+
+/**
+ * 执行一轮空间动态互动
+ *
+ * @async
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.requirePost=false] - 是否要求发新动态（定时触发）
+ * @returns {Promise<{skipped: boolean, count: number}>} count=写入的动态/评论/点赞数
+ * @throws {Error} 手机系统未初始化或请求失败时
+ */
+export async function runMomentsRound({ requirePost = false } = {}) {
+  if (isRunning) {
+    logger.debug('phone','[MomentsAI] 已有互动轮次在进行，跳过');
+    return { skipped: true, count: 0 };
+  }
+
+  const { getPhoneSystem } = await import('../phone-system.js');
+  const api = getPhoneSystem()?.api;
+  if (!api) {
+    throw new Error('手机系统未初始化');
+  }
+
+  const contacts = await loadContacts();
+  const actions = [...getMomentActions()];
+  const participantIds = selectParticipants(contacts, actions, requirePost);
+
+  if (participantIds.length === 0) {
+    logger.debug('phone','[MomentsAI] 没有可参与的角色，跳过');
+    return { skipped: true, count: 0 };
+  }
+
+  isRunning = true;
+  markMomentActionsSent(actions);
+
+  try {
+    logger.info('phone','[MomentsAI] 开始互动轮次，参与角色数:', participantIds.length, '用户操作数:', actions.length);
+
+    const messages = await buildMomentsRoundMessages(participantIds, { requirePost });
+    const responseText = await api.requestText(messages);
+
+    if (!responseText || !validateAIResponse(responseText)) {
+      throw new Error('AI回复格式错误');
+    }
+
+    const parsed = await parseAIResponse(responseText, null, new Map());
+    let count = 0;
+
+    for (const msg of parsed) {
+      if (msg.type !== 'moment') continue;
+
+      const contactId = matchContactId(msg.role, contacts);
+      if (!contactId) {
+        logger.warn('phone','[MomentsAI] 跳过未知角色的动态:', msg.role);
+        continue;
+      }
+      if (await applyMomentMessage(contactId, msg)) {
+        count++;
+      }
+    }
+
+    clearSentMomentActions();
+    logger.info('phone','[MomentsAI] 互动轮次完成，写入', count, '条');
+    return { skipped: false, count };
+  } catch (error) {
+    // 失败时保留用户操作，下次再发
+    actions.forEach(action => {
+      delete action.sent;
+    });
+    throw error;
+  } finally {
+    isRunning = false;
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * 空间动态数据管理
+ * @module phone/moments/moments-data
+ *
+ * @description
+ * 管理动态列表（extension_settings.acsusPawsPuffs.phone.moments，最新的在最前面）
+ *
+ * 动态对象：
+ * {
+ *   id: 'moment_xxx',
+ *   authorId: 'user' | 联系人ID,
+ *   content, imageDescription,          // 文字 + 配图描述（配图可为空）
+ *   time,                               // 秒级时间戳
+ *   likes: [{ authorId, msgId }],
+ *   comments: [{ id, authorId, content, replyTo, time, msgId }],
+ *   msgId                               // 来源消息ID（AI在聊天里发的动态，重roll时按它回退）
+ * }
+ *
+ * AI 通过动态编号（ID末尾的随机串，见 getMomentRef）引用动态，
+ * 比临时编号稳定，跨轮次也不会错位
+ */
+
+import logger from '../../../logger.js';
+import { loadData } from '../data-storage/storage-api.js';
+import { stateManager } from '../utils/state-manager.js';
+
+const MOMENTS_KEY = 'moments';
+
+/** 最多保留的动态条数（超出后丢弃最旧的） */
+const MAX_MOMENTS = 200;
+
+/** 正在写入的消息ID（发送流程和渲染可能同时调用 applyMomentMessage） */
+const applyingMessageIds = new Set();
+
+/**
+ * 生成ID
+ * @param {string} prefix - 前缀
+ * @returns {string}
+ */
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+}
+
+/**
+ * 加载所有动态
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} 动态列表（最新的在最前面）
+ */
+export async function loadMoments() {
+  try {
+    const data = await loadData(MOMENTS_KEY);
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    logger.error('phone','[MomentsData] 加载动态失败:', error);
+    return [];
+  }
+}
+
+/**
+ * 保存动态并通知订阅者（动态页自动刷新）
+ *
+ * @async
+ * @param {Array<Object>} moments - 动态列表
+ * @param {Object} meta - 通知元数据（action 等）
+ */
+async function saveMoments(moments, meta) {
+  await stateManager.set(MOMENTS_KEY, moments.slice(0, MAX_MOMENTS), meta);
+}
+
+/**
+ * 动态编号（给AI引用用）
+ *
+ * @param {Object} moment - 动态对象
+ * @returns {string} ID 末尾的随机串
+ */
+export function getMomentRef(moment) {
+  return moment.id.split('_').pop();
+}
+
+/**
+ * 按动态编号查找动态
+ *
+ * @async
+ * @param {string} ref - 动态编号（也接受完整ID）
+ * @returns {Promise<Object|null>}
+ */
+export async function findMomentByRef(ref) {
+  const cleanRef = String(ref || '').trim().replace(/^#/, '');
+  if (!cleanRef) return null;
+
+  const moments = await loadMoments();
+  return moments.find(m => m.id === cleanRef || getMomentRef(m) === cleanRef) || null;
+}
+
+/**
+ * 发布动态
+ *
+ * @async
+ * @param {Object} params - 参数
+ * @param {string} params.authorId - 'user' 或联系人ID
+ * @param {string} params.content - 文字内容
+ * @param {string} [params.imageDescription] - 配图描述
+ * @param {string} [params.msgId] - 来源消息ID
+ * @param {number} [params.time] - 时间戳（秒），默认当前时间
+ * @returns {Promise<Object|null>} 新动态，内容为空返回 null
+ */
+export async function addMoment({ authorId, content, imageDescription = '', msgId = null, time }) {
+  const text = (content || '').trim();
+  const image = (imageDescription || '').trim();
+  if (!text && !image) {
+    logger.warn('phone','[MomentsData] 动态内容为空，跳过');
+    return null;
+  }
+
+  const moments = await loadMoments();
+  const moment = {
+    id: generateId('moment'),
+    authorId,
+    content: text,
+    imageDescription: image,
+    time: time || Math.floor(Date.now() / 1000),
+    likes: [],
+    comments: [],
+    msgId
+  };
+
+  moments.unshift(moment);
+  await saveMoments(moments, { action: 'add', momentId: moment.id, authorId });
+
+  logger.info('phone','[MomentsData] 已发布动态:', authorId, text.substring(0, 20));
+  return moment;
+}
+
+/**
+ * 删除动态
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteMoment(momentId) {
+  const moments = await loadMoments();
+  const filtered = moments.filter(m => m.id !== momentId);
+  if (filtered.length === moments.length) {
+    logger.warn('phone','[MomentsData] 动态不存在:', momentId);
+    return false;
+  }
+
+  await saveMoments(filtered, { action: 'delete', momentId });
+  logger.info('phone','[MomentsData] 已删除动态:', momentId);
+  return true;
+}
+
+/**
+ * 点赞/取消点赞
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @param {string} authorId - 点赞人（'user' 或联系人ID）
+ * @param {string} [msgId] - 来源消息ID（AI点赞时传）
+ * @returns {Promise<boolean|null>} true=已点赞, false=已取消, null=动态不存在
+ */
+export async function toggleMomentLike(momentId, authorId, msgId = null) {
+  const moments = await loadMoments();
+  const moment = moments.find(m => m.id === momentId);
+  if (!moment) {
+    logger.warn('phone','[MomentsData] 动态不存在:', momentId);
+    return null;
+  }
+
+  const index = moment.likes.findIndex(l => l.authorId === authorId);
+  const liked = index === -1;
+  if (liked) {
+    moment.likes.push({ authorId, msgId });
+  } else {
+    moment.likes.splice(index, 1);
+  }
+
+  await saveMoments(moments, { action: liked ? 'like' : 'unlike', momentId, authorId });
+  return liked;
+}
+
+/**
+ * 添加评论
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @param {Object} params - 参数
+ * @param {string} params.authorId - 评论人（'user' 或联系人ID）
+ * @param {string} params.content - 评论内容
+ * @param {string} [params.replyTo] - 回复的人（'user' 或联系人ID）
+ * @param {string} [params.msgId] - 来源消息ID（AI评论时传）
+ * @returns {Promise<Object|null>} 新评论，动态不存在返回 null
+ */
+export async function addMomentComment(momentId, { authorId, content, replyTo = null, msgId = null }) {
+  const text = (content || '').trim();
+  if (!text) return null;
+
+  const moments = await loadMoments();
+  const moment = moments.find(m => m.id === momentId);
+  if (!moment) {
+    logger.warn('phone','[MomentsData] 动态不存在:', momentId);
+    return null;
+  }
+
+  const comment = {
+    id: generateId('mcmt'),
+    authorId,
+    content: text,
+    replyTo,
+    time: Math.floor(Date.now() / 1000),
+    msgId
+  };
+  moment.comments.push(comment);
+
+  await saveMoments(moments, { action: 'comment', momentId, authorId });
+  logger.info('phone','[MomentsData] 已添加评论:', authorId, text.substring(0, 20));
+  return comment;
+}
+
+/**
+ * 删除评论
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @param {string} commentId - 评论ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteMomentComment(momentId, commentId) {
+  const moments = await loadMoments();
+  const moment = moments.find(m => m.id === momentId);
+  if (!moment) return false;
+
+  const originalLength = moment.comments.length;
+  moment.comments = moment.comments.filter(c => c.id !== commentId);
+  if (moment.comments.length === originalLength) return false;
+
+  await saveMoments(moments, { action: 'deleteComment', momentId });
+  logger.info('phone','[MomentsData] 已删除评论:', commentId);
+  return true;
+}
+
+/**
+ * 把AI的动态消息写入动态数据（按消息ID去重，重复调用无副作用）
+ *
+ * @async
+ * @param {string} contactId - 发出动作的联系人ID
+ * @param {Object} message - 动态消息（type='moment'）
+ * @param {string} message.id - 消息ID
+ * @param {string} message.momentAction - 'post' | 'comment' | 'like'
+ * @param {string} [message.momentText] - 动态/评论正文
+ * @param {string} [message.imageDescription] - 配图描述（post）
+ * @param {string} [message.momentId] - 目标动态ID（comment/like）
+ * @param {string} [message.replyTo] - 回复的人（comment）
+ * @returns {Promise<boolean>} 是否写入了新数据
+ *
+ * @description
+ * 发送流程保存消息后调用一次，聊天页渲染时再调用一次（兼容重新应用、手动添加等绕过发送流程的场景）
+ */
+export async function applyMomentMessage(contactId, message) {
+  const msgId = message.id;
+  if (applyingMessageIds.has(msgId)) return false;
+
+  applyingMessageIds.add(msgId);
+  try {
+    return await applyMomentAction(contactId, message);
+  } finally {
+    applyingMessageIds.delete(msgId);
+  }
+}
+
+/**
+ * 执行动态消息对应的操作（applyMomentMessage 的实现）
+ *
+ * @async
+ * @param {string} contactId - 联系人ID
+ * @param {Object} message - 动态消息
+ * @returns {Promise<boolean>}
+ */
+async function applyMomentAction(contactId, message) {
+  const moments = await loadMoments();
+  const msgId = message.id;
+
+  switch (message.momentAction) {
+    case 'post': {
+      if (moments.some(m => m.msgId === msgId)) return false;
+      const moment = await addMoment({
+        authorId: contactId,
+        content: message.momentText,
+        imageDescription: message.imageDescription,
+        msgId,
+        time: message.time
+      });
+      return !!moment;
+    }
+    case 'comment': {
+      const target = moments.find(m => m.id === message.momentId);
+      if (!target || target.comments.some(c => c.msgId === msgId)) return false;
+      const comment = await addMomentComment(message.momentId, {
+        authorId: contactId,
+        content: message.momentText,
+        replyTo: message.replyTo || null,
+        msgId
+      });
+      return !!comment;
+    }
+    case 'like': {
+      const target = moments.find(m => m.id === message.momentId);
+      if (!target || target.likes.some(l => l.authorId === contactId)) return false;
+      return (await toggleMomentLike(message.momentId, contactId, msgId)) === true;
+    }
+    default:
+      logger.warn('phone','[MomentsData] 未知的动态操作:', message.momentAction);
+      return false;
+  }
+}
+
+/**
+ * 回退动态（删除指定消息ID产生的动态、评论、点赞）
+ *
+ * @async
+ * @param {Array<string>} deletedMessageIds - 被删除的消息ID列表
+ * @returns {Promise<{count: number}>} 回退的条数
+ */
+export async function rollbackMoments(deletedMessageIds) {
+  const deletedSet = new Set(deletedMessageIds);
+  const moments = await loadMoments();
+  let count = 0;
+
+  const remaining = moments.filter(moment => {
+    if (moment.msgId && deletedSet.has(moment.msgId)) {
+      count++;
+      return false;
+    }
+
+    const commentCount = moment.comments.length;
+    moment.comments = moment.comments.filter(c => !(c.msgId && deletedSet.has(c.msgId)));
+    count += commentCount - moment.comments.length;
+
+    const likeCount = moment.likes.length;
+    moment.likes = moment.likes.filter(l => !(l.msgId && deletedSet.has(l.msgId)));
+    count += likeCount - moment.likes.length;
+
+    return true;
+  });
+
+  if (count > 0) {
+    await saveMoments(remaining, { action: 'rollback', count });
+    logger.info('phone','[MomentsData.rollback] 已回退', count, '条动态/评论/点赞');
+  }
+
+  return { count };
+}
+
+/**
+ * 获取和指定联系人相关的最近动态（构建AI上下文用）
+ *
+ * @async
+ * @param {string[]} contactIds - 联系人ID
+ * @param {number} [limit=10] - 最多条数
+ * @returns {Promise<Array<Object>>} 用户的动态 + 这些联系人发的动态，最新的在最前面
+ */
+export async function getRelatedMoments(contactIds, limit = 10) {
+  const ids = new Set(contactIds);
+  const moments = await loadMoments();
+  return moments
+    .filter(m => m.authorId === 'user' || ids.has(m.authorId))
+    .slice(0, limit);
+}
@@ -0,0 +1,489 @@
+/**
+ * 空间动态页（底部导航「动态」标签页）
+ * @module phone/moments/moments-feed-ui
+ *
+ * @description
+ * 动态流：用户和好友的动态，支持发动态、点赞、评论、回复评论。
+ * 用户的操作记入待处理队列（pending-operations），下次聊天或点「互动」时交给AI，
+ * 角色再通过 [空间动态] 格式评论、点赞、回复。
+ * 订阅 moments 数据，AI写入或回退后自动刷新。
+ */
+
+import logger from '../../../logger.js';
+import { getUserAvatar, user_avatar } from '../../../../../../../scripts/personas.js';
+import { loadContacts } from '../contacts/contact-list-data.js';
+import { getContactDisplayName, getUserDisplayName, getContactAvatarUrl } from '../utils/contact-display-helper.js';
+import { formatTimeForMessageList } from '../utils/time-helper.js';
+import { showInputPopup, showConfirmPopup, showCustomPopupWithData } from '../utils/popup-helper.js';
+import { showSuccessToast, showWarningToast, showErrorToast } from '../ui-components/toast-notification.js';
+import { stateManager } from '../utils/state-manager.js';
+import { addMomentAction } from '../ai-integration/pending-operations.js';
+import {
+  loadMoments,
+  getMomentRef,
+  addMoment,
+  deleteMoment,
+  toggleMomentLike,
+  addMomentComment,
+  deleteMomentComment
+} from './moments-data.js';
+import { runMomentsRound, isMomentsRoundRunning } from './moments-ai.js';
+import { getMomentsSettings, updateMomentsSettings } from './moments-scheduler.js';
+
+const PAGE_ID = 'moments-feed';
+
+/** 动态正文最大长度 */
+const MAX_MOMENT_LENGTH = 500;
+
+/** 评论最大长度 */
+const MAX_COMMENT_LENGTH = 200;
+
+/**
+ * 渲染动态页
+ *
+ * @async
+ * @returns {Promise<DocumentFragment>}
+ */
+export async function renderMomentsFeed() {
+  logger.debug('phone','[MomentsFeed] 开始渲染动态页');
+
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'moments-feed';
+  container.innerHTML = `
+    <div class="moments-toolbar">
+      <button class="moments-toolbar-btn" data-action="post"><i class="fa-solid fa-pen-to-square"></i> 发动态</button>
+      <button class="moments-toolbar-btn" data-action="refresh" title="让好友回应你的动态和评论"><i class="fa-solid fa-arrows-rotate"></i> 互动</button>
+      <button class="moments-toolbar-btn moments-toolbar-icon" data-action="settings" title="动态设置"><i class="fa-solid fa-gear"></i></button>
+    </div>
+    <div class="moments-list"></div>
+  `;
+
+  await renderMomentList(/** @type {HTMLElement} */(container.querySelector('.moments-list')));
+  bindFeedEvents(container);
+  setupAutoRefresh(container);
+
+  fragment.appendChild(container);
+  return fragment;
+}
+
+/**
+ * 渲染动态列表
+ *
+ * @async
+ * @param {HTMLElement} listElement - 列表容器
+ */
+async function renderMomentList(listElement) {
+  const [moments, contacts] = await Promise.all([loadMoments(), loadContacts()]);
+  const author = createAuthorResolver(contacts);
+
+  listElement.innerHTML = '';
+
+  if (moments.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'moments-empty';
+    empty.textContent = '还没有动态，发一条试试吧';
+    listElement.appendChild(empty);
+    return;
+  }
+
+  moments.forEach(moment => listElement.appendChild(createMomentCard(moment, author)));
+}
+
+/**
+ * 作者信息解析器（名字 + 头像）
+ *
+ * @param {Array<Object>} contacts - 联系人列表
+ * @returns {(authorId: string) => {name: string, avatar: string}}
+ */
+function createAuthorResolver(contacts) {
+  return (authorId) => {
+    if (authorId === 'user') {
+      return { name: getUserDisplayName(), avatar: getUserAvatar(user_avatar) };
+    }
+    const contact = contacts.find(c => c.id === authorId);
+    if (!contact) {
+      return { name: '已删除的好友', avatar: 'img/ai4.png' };
+    }
+    return {
+      name: getContactDisplayName(contact),
+      avatar: getContactAvatarUrl(contact) || 'img/ai4.png'
+    };
+  };
+}
+
+/**
+ * 创建元素的小工具
+ *
+ * @param {string} tag - 标签名
+ * @param {string} className - 类名
+ * @param {string} [text] - 文本内容
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * 创建动态卡片
+ *
+ * @param {Object} moment - 动态对象
+ * @param {Function} author - 作者信息解析器
+ * @returns {HTMLElement}
+ */
+function createMomentCard(moment, author) {
+  const info = author(moment.authorId);
+  const liked = moment.likes.some(l => l.authorId === 'user');
+
+  const card = createElement('div', 'moment-card');
+  card.dataset.momentId = moment.id;
+
+  // 头部：头像 + 名字 + 时间（自己的动态可删除）
+  const header = createElement('div', 'moment-header');
+  const avatar = /** @type {HTMLImageElement} */ (createElement('img', 'moment-avatar'));
+  avatar.src = info.avatar;
+  avatar.alt = '';
+  const meta = createElement('div', 'moment-meta');
+  meta.append(createElement('span', 'moment-name', info.name), createElement('span', 'moment-time', formatTimeForMessageList(moment.time)));
+  header.append(avatar, meta);
+  if (moment.authorId === 'user') {
+    const deleteBtn = createElement('button', 'moment-delete-btn');
+    deleteBtn.dataset.action = 'delete';
+    deleteBtn.title = '删除';
+    deleteBtn.innerHTML = '<i class="fa-regular fa-trash-can"></i>';
+    header.appendChild(deleteBtn);
+  }
+  card.appendChild(header);
+
+  // 正文 + 配图描述
+  if (moment.content) {
+    card.appendChild(createElement('div', 'moment-content', moment.content));
+  }
+  if (moment.imageDescription) {
+    const image = createElement('div', 'moment-image');
+    image.innerHTML = '<i class="fa-regular fa-image"></i>';
+    image.appendChild(createElement('span', 'moment-image-text', moment.imageDescription));
+    card.appendChild(image);
+  }
+
+  // 操作按钮
+  const actions = createElement('div', 'moment-actions');
+  actions.innerHTML = `
+    <button class="moment-action-btn ${liked ? 'liked' : ''}" data-action="like"><i class="fa-${liked ? 'solid' : 'regular'} fa-heart"></i> 赞</button>
+    <button class="moment-action-btn" data-action="comment"><i class="fa-regular fa-comment"></i> 评论</button>
+  `;
+  card.appendChild(actions);
+
+  // 点赞和评论区
+  if (moment.likes.length > 0 || moment.comments.length > 0) {
+    const interactions = createElement('div', 'moment-interactions');
+
+    if (moment.likes.length > 0) {
+      const likes = createElement('div', 'moment-likes');
+      likes.innerHTML = '<i class="fa-solid fa-heart"></i>';
+      likes.appendChild(createElement('span', '', moment.likes.map(l => author(l.authorId).name).join('、')));
+      interactions.appendChild(likes);
+    }
+
+    moment.comments.forEach(comment => {
+      const row = createElement('div', 'moment-comment');
+      row.dataset.commentId = comment.id;
+      row.dataset.authorId = comment.authorId;
+      row.appendChild(createElement('span', 'moment-comment-name', author(comment.authorId).name));
+      if (comment.replyTo) {
+        row.append(' 回复 ', createElement('span', 'moment-comment-name', author(comment.replyTo).name));
+      }
+      row.append('：', comment.content);
+      interactions.appendChild(row);
+    });
+
+    card.appendChild(interactions);
+  }
+
+  return card;
+}
+
+/**
+ * 绑定动态页事件（事件委托，列表刷新后不用重新绑定）
+ *
+ * @param {HTMLElement} container - 动态页容器
+ */
+function bindFeedEvents(container) {
+  container.addEventListener('click', async (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    const button = /** @type {HTMLElement|null} */ (target.closest('[data-action]'));
+    const card = /** @type {HTMLElement|null} */ (target.closest('.moment-card'));
+    const commentRow = /** @type {HTMLElement|null} */ (target.closest('.moment-comment'));
+
+    try {
+      if (button) {
+        const action = button.dataset.action;
+        if (action === 'post') await handlePost();
+        else if (action === 'refresh') await handleRefresh(/** @type {HTMLButtonElement} */(button));
+        else if (action === 'settings') await handleSettings();
+        else if (card && action === 'like') await handleLike(card.dataset.momentId);
+        else if (card && action === 'comment') await handleComment(card.dataset.momentId, null);
+        else if (card && action === 'delete') await handleDeleteMoment(card.dataset.momentId);
+      } else if (card && commentRow) {
+        // 点自己的评论：删除；点别人的评论：回复
+        if (commentRow.dataset.authorId === 'user') {
+          await handleDeleteComment(card.dataset.momentId, commentRow.dataset.commentId);
+        } else {
+          await handleComment(card.dataset.momentId, commentRow.dataset.authorId);
+        }
+      }
+    } catch (error) {
+      logger.error('phone','[MomentsFeed] 操作失败:', error);
+      showErrorToast('操作失败');
+    }
+  });
+}
+
+/**
+ * 订阅动态数据，变化时刷新列表
+ *
+ * @param {HTMLElement} container - 动态页容器
+ */
+function setupAutoRefresh(container) {
+  // 每次切到动态页都会重新渲染，先清掉旧订阅
+  stateManager.unsubscribeAll(PAGE_ID);
+  stateManager.subscribe(PAGE_ID, 'moments', async () => {
+    if (!document.contains(container)) {
+      return;
+    }
+    const listElement = /** @type {HTMLElement} */ (container.querySelector('.moments-list'));
+    await renderMomentList(listElement);
+    logger.debug('phone','[MomentsFeed] 动态数据变化，已刷新');
+  });
+}
+
+/**
+ * 查找动态和作者名（记录操作用）
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @returns {Promise<{moment: Object, authorName: string}|null>}
+ */
+async function findMomentWithAuthor(momentId) {
+  const moments = await loadMoments();
+  const moment = moments.find(m => m.id === momentId);
+  if (!moment) return null;
+
+  const author = createAuthorResolver(await loadContacts());
+  return { moment, authorName: author(moment.authorId).name };
+}
+
+/**
+ * 发动态
+ *
+ * @async
+ */
+async function handlePost() {
+  const html = `
+    <div class="moments-post-form">
+      <textarea class="phone-popup-input moments-post-text" rows="4" maxlength="${MAX_MOMENT_LENGTH}" placeholder="分享新鲜事..."></textarea>
+      <input type="text" class="phone-popup-input moments-post-image" maxlength="100" placeholder="配图描述（可选）">
+    </div>
+  `;
+
+  const result = await showCustomPopupWithData('发动态', html, {
+    buttons: [
+      { text: '取消', value: null, class: 'phone-popup-cancel' },
+      { text: '发布', value: 'confirm', class: 'phone-popup-ok' }
+    ],
+    width: '90%',
+    beforeClose: (buttonValue, overlay) => {
+      if (buttonValue !== 'confirm') return null;
+      const text = /** @type {HTMLTextAreaElement} */ (overlay.querySelector('.moments-post-text'));
+      const image = /** @type {HTMLInputElement} */ (overlay.querySelector('.moments-post-image'));
+      return { content: text?.value.trim() || '', imageDescription: image?.value.trim() || '' };
+    }
+  });
+
+  if (!result) return;
+  if (!result.content && !result.imageDescription) {
+    showWarningToast('动态内容不能为空');
+    return;
+  }
+
+  const moment = await addMoment({ authorId: 'user', ...result });
+  if (!moment) return;
+
+  addMomentAction('post', {
+    momentId: moment.id,
+    momentRef: getMomentRef(moment),
+    authorId: 'user',
+    content: [moment.content, moment.imageDescription && `[配图]${moment.imageDescription}`].filter(Boolean).join(' '),
+    time: moment.time
+  });
+  showSuccessToast('动态已发布');
+}
+
+/**
+ * 点赞/取消点赞（只记录点赞别人的动态）
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ */
+async function handleLike(momentId) {
+  const liked = await toggleMomentLike(momentId, 'user');
+  if (!liked) return;
+
+  const found = await findMomentWithAuthor(momentId);
+  if (!found || found.moment.authorId === 'user') return;
+
+  addMomentAction('like', {
+    momentId,
+    momentRef: getMomentRef(found.moment),
+    authorId: found.moment.authorId,
+    authorName: found.authorName,
+    time: Math.floor(Date.now() / 1000)
+  });
+}
+
+/**
+ * 评论或回复评论
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @param {string|null} replyTo - 回复的人（null=直接评论）
+ */
+async function handleComment(momentId, replyTo) {
+  const found = await findMomentWithAuthor(momentId);
+  if (!found) return;
+
+  const author = createAuthorResolver(await loadContacts());
+  const replyToName = replyTo ? author(replyTo).name : '';
+
+  const content = await showInputPopup(replyTo ? `回复 ${replyToName}` : '评论', '', {
+    placeholder: '说点什么...',
+    maxLength: MAX_COMMENT_LENGTH,
+    okButton: '发送'
+  });
+  if (!content || !content.trim()) return;
+
+  const comment = await addMomentComment(momentId, { authorId: 'user', content, replyTo });
+  if (!comment) return;
+
+  addMomentAction('comment', {
+    momentId,
+    momentRef: getMomentRef(found.moment),
+    authorId: found.moment.authorId,
+    authorName: found.authorName,
+    content: comment.content,
+    replyToName,
+    time: comment.time
+  });
+}
+
+/**
+ * 删除自己的动态
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ */
+async function handleDeleteMoment(momentId) {
+  const confirmed = await showConfirmPopup('删除动态', '确定删除这条动态吗？', { danger: true, okButton: '删除' });
+  if (!confirmed) return;
+
+  if (await deleteMoment(momentId)) {
+    showSuccessToast('已删除');
+  }
+}
+
+/**
+ * 删除自己的评论
+ *
+ * @async
+ * @param {string} momentId - 动态ID
+ * @param {string} commentId - 评论ID
+ */
+async function handleDeleteComment(momentId, commentId) {
+  const confirmed = await showConfirmPopup('删除评论', '确定删除这条评论吗？', { danger: true, okButton: '删除' });
+  if (!confirmed) return;
+
+  await deleteMomentComment(momentId, commentId);
+}
+
+/**
+ * 立即让好友互动（回应未处理的空间操作）
+ *
+ * @async
+ * @param {HTMLButtonElement} button - 互动按钮
+ */
+async function handleRefresh(button) {
+  if (isMomentsRoundRunning()) {
+    showWarningToast('好友们正在看动态，稍等一下');
+    return;
+  }
+
+  button.disabled = true;
+  button.classList.add('loading');
+  try {
+    const result = await runMomentsRound();
+    if (result.skipped) {
+      showWarningToast('暂时没有需要回应的动态');
+    } else if (result.count === 0) {
+      showWarningToast('好友们暂时没有回应');
+    } else {
+      showSuccessToast(`收到${result.count}条新互动`);
+    }
+  } catch (error) {
+    logger.error('phone','[MomentsFeed] 互动失败:', error);
+    showErrorToast(error.message || '互动失败');
+  } finally {
+    button.disabled = false;
+    button.classList.remove('loading');
+  }
+}
+
+/**
+ * 动态设置（定时发动态）
+ *
+ * @async
+ */
+async function handleSettings() {
+  const settings = getMomentsSettings();
+  const html = `
+    <div class="moments-settings-form">
+      <label class="moments-settings-row">
+        <input type="checkbox" class="moments-settings-auto" ${settings.autoPost ? 'checked' : ''}>
+        <span>好友定时发动态</span>
+      </label>
+      <label class="moments-settings-row">
+        <span>间隔（分钟）</span>
+        <input type="number" class="phone-popup-input moments-settings-interval" min="10" max="1440" value="${settings.intervalMinutes}">
+      </label>
+      <div class="moments-settings-hint">开启后每隔一段时间随机一位好友发动态（会消耗API调用）</div>
+    </div>
+  `;
+
+  const result = await showCustomPopupWithData('动态设置', html, {
+    buttons: [
+      { text: '取消', value: null, class: 'phone-popup-cancel' },
+      { text: '保存', value: 'confirm', class: 'phone-popup-ok' }
+    ],
+    width: '90%',
+    beforeClose: (buttonValue, overlay) => {
+      if (buttonValue !== 'confirm') return null;
+      const auto = /** @type {HTMLInputElement} */ (overlay.querySelector('.moments-settings-auto'));
+      const interval = /** @type {HTMLInputElement} */ (overlay.querySelector('.moments-settings-interval'));
+      return { autoPost: auto.checked, intervalMinutes: Number(interval.value) };
+    }
+  });
+
+  if (!result) return;
+
+  // 刚开启时从现在开始计时，不要立刻发一条
+  const updates = { ...result };
+  if (result.autoPost && !settings.autoPost) {
+    updates.lastAutoPostTime = Math.floor(Date.now() / 1000);
+  }
+  updateMomentsSettings(updates);
+  showSuccessToast('设置已保存');
+}
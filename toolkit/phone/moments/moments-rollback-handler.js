@@ -0,0 +1,39 @@
+/**
+ * 空间动态回退处理器
+ * @module phone/moments/moments-rollback-handler
+ * 
+ * @description
+ * 注册空间动态的回退逻辑到统一回退管理器
+ * 当重roll时，删除被回退的AI消息产生的动态、评论、点赞
+ */
+
+import logger from '../../../logger.js';
+import { registerRollbackHandler } from '../messages/message-rollback-manager.js';
+import { rollbackMoments } from './moments-data.js';
+
+/**
+ * 初始化空间动态回退处理器
+ * 
+ * @description
+ * 在扩展初始化时调用，注册回退逻辑
+ * 动态页订阅了 moments 数据，回退后会自动刷新，这里不需要手动刷新UI
+ */
+export function initMomentsRollbackHandler() {
+    registerRollbackHandler({
+        name: '空间动态',
+        priority: 20,
+        rollback: async (contactId, deletedMessages, deletedMessageIds) => {
+            // 只有动态消息才会写入动态数据，没有就不用读存储
+            const hasMomentMessages = deletedMessages.some(msg => msg.type === 'moment');
+            if (!hasMomentMessages) {
+                logger.debug('phone','[MomentsRollback] 没有需要回退的动态');
+                return;
+            }
+
+            const result = await rollbackMoments(deletedMessageIds);
+            logger.info('phone','[MomentsRollback] 共回退', result.count, '条动态/评论/点赞');
+        }
+    });
+
+    logger.info('phone','[MomentsRollback] 空间动态回退处理器已初始化');
+}
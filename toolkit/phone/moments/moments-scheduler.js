@@ -0,0 +1,98 @@
+/**
+ * 空间动态定时器
+ * @module phone/moments/moments-scheduler
+ *
+ * @description
+ * 开启「角色定时发动态」后，每隔设定的分钟数随机让一个好友发一条动态，
+ * 顺便回应用户还没被回应的空间操作。设置存在 phone.momentsSettings：
+ * { autoPost: false, intervalMinutes: 120, lastAutoPostTime: 0 }
+ */
+
+import logger from '../../../logger.js';
+import { extension_settings } from '../../../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../../../script.js';
+import { runMomentsRound } from './moments-ai.js';
+
+/** 检查间隔（毫秒） */
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/** 发动态间隔的上下限（分钟） */
+const MIN_INTERVAL_MINUTES = 10;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+
+const DEFAULT_SETTINGS = {
+  autoPost: false,
+  intervalMinutes: 120,
+  lastAutoPostTime: 0
+};
+
+/** @type {number|null} */
+let timerId = null;
+
+/**
+ * 获取动态设置（不存在时写入默认值）
+ * @returns {{autoPost: boolean, intervalMinutes: number, lastAutoPostTime: number}}
+ */
+export function getMomentsSettings() {
+  if (!extension_settings.acsusPawsPuffs) {
+    extension_settings.acsusPawsPuffs = {};
+  }
+  if (!extension_settings.acsusPawsPuffs.phone) {
+    extension_settings.acsusPawsPuffs.phone = {};
+  }
+  if (!extension_settings.acsusPawsPuffs.phone.momentsSettings) {
+    extension_settings.acsusPawsPuffs.phone.momentsSettings = { ...DEFAULT_SETTINGS };
+    saveSettingsDebounced();
+  }
+  return extension_settings.acsusPawsPuffs.phone.momentsSettings;
+}
+
+/**
+ * 更新动态设置
+ * @param {Object} updates - 要更新的字段
+ */
+export function updateMomentsSettings(updates) {
+  const settings = getMomentsSettings();
+  Object.assign(settings, updates);
+
+  const minutes = Number(settings.intervalMinutes) || DEFAULT_SETTINGS.intervalMinutes;
+  settings.intervalMinutes = Math.max(MIN_INTERVAL_MINUTES, Math.min(MAX_INTERVAL_MINUTES, Math.round(minutes)));
+
+  saveSettingsDebounced();
+  logger.info('phone','[MomentsScheduler] 设置已更新:', settings.autoPost ? `每${settings.intervalMinutes}分钟` : '已关闭');
+}
+
+/**
+ * 检查是否到点发动态
+ *
+ * @async
+ */
+async function checkSchedule() {
+  const settings = getMomentsSettings();
+  if (!settings.autoPost) return;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (now - (settings.lastAutoPostTime || 0) < settings.intervalMinutes * 60) return;
+
+  // 先记下时间，失败也等下一个间隔，避免API出错时每分钟重试
+  settings.lastAutoPostTime = now;
+  saveSettingsDebounced();
+
+  try {
+    const result = await runMomentsRound({ requirePost: true });
+    if (!result.skipped) {
+      logger.info('phone','[MomentsScheduler] 定时动态已生成，写入', result.count, '条');
+    }
+  } catch (error) {
+    logger.warn('phone','[MomentsScheduler] 定时动态生成失败:', error.message);
+  }
+}
+
+/**
+ * 启动定时器（手机系统初始化时调用一次）
+ */
+export function initMomentsScheduler() {
+  if (timerId !== null) return;
+  timerId = setInterval(checkSchedule, CHECK_INTERVAL_MS);
+  logger.info('phone','[MomentsScheduler] 定时器已启动');
+}
@@ -15,6 +15,7 @@ import logger from '../../logger.js';
 import { getPhoneFrameHTML } from './templates/phone-frame-template.js';
 import { createPlusMenu, bindPlusMenuEvents } from './ui-components/button-plus-menu.js';
 import { renderContactList } from './contacts/contact-list-ui.js';
+import { renderMomentsFeed } from './moments/moments-feed-ui.js';
 import { renderGroupManagePage } from './contacts/contact-group-manage-ui.js';
 import { showSuccessToast } from './ui-components/toast-notification.js';
 import { getUserAvatar, user_avatar } from '../../../../../../scripts/personas.js';
@@ -210,6 +211,11 @@ async function switchTab(overlayElement, tabName) {
     await renderContactListTab(overlayElement);
   }
 
+  // 如果是动态标签页，渲染动态流
+  if (tabName === 'moments') {
+    await renderMomentsTab(overlayElement);
+  }
+
   // 更新顶部标题（只修改子元素内容，不破坏两行结构）
   updateHeaderTitle(overlayElement, tabName);
 
@@ -526,6 +532,33 @@ async function renderContactListTab(overlayElement) {
   }
 }
 
+/**
+ * 渲染动态标签页
+ *
+ * @async
+ * @param {HTMLElement} overlayElement - 手机遮罩层元素
+ */
+async function renderMomentsTab(overlayElement) {
+  logger.debug('phone','[PhoneUI.renderMomentsTab] 开始渲染动态页');
+
+  try {
+    const tabContainer = overlayElement.querySelector('#tab-moments');
+    if (!tabContainer) {
+      logger.warn('phone','[PhoneUI.renderMomentsTab] 找不到动态标签页容器');
+      return;
+    }
+
+    const momentsContent = await renderMomentsFeed();
+
+    tabContainer.innerHTML = '';
+    tabContainer.appendChild(momentsContent);
+
+    logger.info('phone','[PhoneUI.renderMomentsTab] 动态页渲染完成');
+  } catch (error) {
+    logger.error('phone','[PhoneUI.renderMomentsTab] 渲染动态页失败:', error);
+  }
+}
+
 /**
  * 处理加号菜单项点击
  *
@@ -578,7 +611,22 @@ async function handlePlusMenuAction(action) {
       break;
 
     case 'create-group':
+      // 创建群聊 → 选成员、填群名头像，完成后跳转群聊页面
+      {
+        const { showCreateGroupChatFlow } = await import('./contacts/group-chat-create-ui.js');
+        await showCreateGroupChatFlow(/** @type {HTMLElement} */(phoneOverlay));
+      }
+      break;
+
     case 'add-friend':
+      // 加好友 → 填写NPC资料，完成后跳转聊天页面
+      {
+        const { showAddNpcFriendFlow } = await import('./contacts/npc-contact-create-ui.js');
+        await showAddNpcFriendFlow(/** @type {HTMLElement} */(phoneOverlay));
+        await renderContactListTab(/** @type {HTMLElement} */(phoneOverlay));
+      }
+      break;
+
     case 'send-file':
       // 待添加功能，暂时不做任何操作
       logger.debug('phone','[PhoneUI] 功能待添加:', action);
@@ -88,6 +88,11 @@ export class PhoneSystem {
 
       // ⚠️ 宏注册已移到index.js的APP_READY事件（确保时机正确）
 
+      // 聊天记录存储（把旧版存在 extension_settings 里的聊天记录迁移成文件）
+      const { initChatFileStorage } = await import('./data-storage/storage-chat-files.js');
+      await initChatFileStorage();
+      logger.info('phone','[PhoneSystem] 聊天记录存储已就绪');
+
       // 注册回退处理器（用于重roll时自动回退各模块数据）
       const { initPlanRollbackHandler } = await import('./plans/plan-rollback-handler.js');
       const { initSignatureRollbackHandler } = await import('./profile/signature-rollback-handler.js');
@@ -95,13 +100,23 @@ export class PhoneSystem {
       const { initPlanStoryRollbackHandler } = await import('./plans/plan-story-rollback-handler.js');
       const { initFriendRequestRollbackHandler } = await import('./messages/friend-request-rollback-handler.js');
       const { initGiftMembershipRollbackHandler } = await import('./membership/gift-membership-rollback-handler.js');
+      const { initMomentsRollbackHandler } = await import('./moments/moments-rollback-handler.js');
       initPlanRollbackHandler();
       initSignatureRollbackHandler();
       initTransferRollbackHandler();
       initPlanStoryRollbackHandler();
       initFriendRequestRollbackHandler();
       initGiftMembershipRollbackHandler();
-      logger.info('phone','[PhoneSystem] 已注册回退处理器（约定计划、个签、转账、计划剧情、好友申请、送会员）');
+      initMomentsRollbackHandler();
+      logger.info('phone','[PhoneSystem] 已注册回退处理器（约定计划、个签、转账、计划剧情、好友申请、送会员、空间动态）');
+
+      // 启动空间动态定时器（未开启定时发动态时只做空检查）
+      const { initMomentsScheduler } = await import('./moments/moments-scheduler.js');
+      initMomentsScheduler();
+
+      // 启动角色主动发消息定时器（没有联系人开启时只做空检查）
+      const { initProactiveMessageScheduler } = await import('./messages/proactive-message-scheduler.js');
+      initProactiveMessageScheduler();
 
       // 检查会员过期（初始化时统一检查一次）
       const { checkAllMembershipsExpiry } = await import('./data-storage/storage-membership.js');
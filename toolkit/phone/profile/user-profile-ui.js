@@ -6,7 +6,7 @@
 import logger from '../../../logger.js';
 import { saveData, loadData } from '../data-storage/storage-api.js';
 import { getSystemBackgrounds, showBackgroundPicker } from '../utils/background-picker.js';
-import { getWeather } from '../utils/weather-helper.js';
+import { getWeather, resolveWeather, simulateWeather, getStoryDate, getWeatherSources, CLIMATE_PROFILES } from '../utils/weather-helper.js';
 import { showInputPopup, showCustomPopup } from '../utils/popup-helper.js';
 import { showSuccessToast, showWarningToast, showErrorToast, showInfoToast } from '../ui-components/toast-notification.js';
 import { getUserAvatar as getSTUserAvatar, user_avatar } from '../../../../../../../scripts/personas.js';
@@ -14,6 +14,9 @@ import { getUserDisplayName } from '../utils/contact-display-helper.js';
 import { stateManager } from '../utils/state-manager.js';
 import { toggleTheme, getTheme, getThemeIcon, getThemeText } from '../utils/theme-manager.js';
 
+/** 在线天气缓存有效期（超过后打开个人页时后台刷新） */
+const LIVE_WEATHER_REFRESH_MS = 60 * 60 * 1000;
+
 /**
  * 渲染用户个人主页
  *
@@ -264,10 +267,11 @@ async function createFooterButtons(userConfig) {
   const weatherBtn = document.createElement('button');
   weatherBtn.className = 'user-footer-btn';
 
-  // 从配置读取天气数据，如果没有则显示默认
-  const weatherTemp = userConfig.weatherTemp || '--';
-  const weatherCity = userConfig.weatherCity || '未设置';
-  const weatherIcon = userConfig.weatherIcon || 'cloud-sun';
+  // 按天气来源取当前天气（在线来源没缓存时用模拟天气），没设置城市则显示默认
+  const currentWeather = resolveWeather(userConfig, getStoryDate(userConfig));
+  const weatherTemp = currentWeather?.temp ?? '--';
+  const weatherCity = currentWeather?.city || '未设置';
+  const weatherIcon = currentWeather?.icon || 'cloud-sun';
 
   weatherBtn.innerHTML = `
         <i class="fa-solid fa-${weatherIcon}"></i>
@@ -283,9 +287,48 @@ async function createFooterButtons(userConfig) {
   footer.appendChild(nightBtn);
   footer.appendChild(weatherBtn);
 
+  // 在线来源：缓存过期时后台刷新（失败不提示，继续用缓存/模拟天气）
+  refreshLiveWeather(userConfig);
+
   return footer;
 }
 
+/**
+ * 后台刷新在线天气
+ *
+ * @description
+ * 只在天气来源为在线获取、且距上次获取超过 LIVE_WEATHER_REFRESH_MS 时请求，
+ * 成功后写入按城市的缓存并局部更新按钮
+ *
+ * @async
+ * @param {Object} userConfig - 用户配置对象
+ */
+async function refreshLiveWeather(userConfig) {
+  const city = userConfig.weatherCity;
+  if (userConfig.weatherSource !== 'live' || !city) {
+    return;
+  }
+
+  const lastUpdate = userConfig.weatherLiveCache?.[city]?.time || 0;
+  if (Date.now() - lastUpdate < LIVE_WEATHER_REFRESH_MS) {
+    return;
+  }
+
+  try {
+    const weather = await getWeather(city, 'live');
+    userConfig.weatherLiveCache = {
+      ...(userConfig.weatherLiveCache || {}),
+      [city]: { temp: weather.temp, icon: weather.icon, weather: weather.weather, time: Date.now() }
+    };
+    userConfig.lastWeatherUpdate = Date.now();
+    await saveUserConfig(userConfig);
+    updateWeatherDisplay(resolveWeather(userConfig, getStoryDate(userConfig)));
+    logger.debug('phone','[UserProfile] 在线天气已刷新:', city);
+  } catch (error) {
+    logger.debug('phone','[UserProfile] 在线天气刷新失败，继续使用缓存/模拟天气:', error.message);
+  }
+}
+
 /**
  * 处理关闭按钮点击
  *
@@ -483,9 +526,10 @@ async function handleOpenWallet() {
  * 处理天气按钮点击
  *
  * @description
- * 显示天气设置弹窗，支持两种模式：
- * 1. 自定义模式（默认）- 手动输入城市、温度、选择图标
- * 2. 在线获取模式 - 输入城市名，调用API获取天气
+ * 显示天气设置弹窗，支持三种天气来源：
+ * 1. 手动设置（默认）- 手动输入城市、温度、选择图标，每个城市各存一份
+ * 2. 在线获取 - 输入城市名，调用API获取天气
+ * 3. 模拟天气 - 按城市、日期和气候类型自动生成，不需要联网
  *
  * @async
  */
@@ -504,19 +548,37 @@ async function handleWeatherClick() {
       return;
     }
 
-    // 保存配置
-    userConfig.weatherCity = weatherData.city;
-    userConfig.weatherTemp = weatherData.temp;
-    userConfig.weatherIcon = weatherData.icon;
-    userConfig.lastWeatherUpdate = Date.now();
+    // 保存配置（按来源存各自的数据）
+    const { source, city } = weatherData;
+    userConfig.weatherSource = source;
+    userConfig.weatherCity = city;
+
+    if (source === 'manual') {
+      userConfig.weatherManualValues = {
+        ...(userConfig.weatherManualValues || {}),
+        [city]: { temp: weatherData.temp, icon: weatherData.icon }
+      };
+      userConfig.weatherTemp = weatherData.temp;
+      userConfig.weatherIcon = weatherData.icon;
+    } else if (source === 'live' && weatherData.temp) {
+      userConfig.weatherLiveCache = {
+        ...(userConfig.weatherLiveCache || {}),
+        [city]: { temp: weatherData.temp, icon: weatherData.icon, weather: weatherData.weather, time: Date.now() }
+      };
+      userConfig.lastWeatherUpdate = Date.now();
+    } else if (source === 'simulated') {
+      userConfig.weatherClimate = weatherData.climate;
+      userConfig.storyDate = weatherData.storyDate;
+    }
 
     await saveUserConfig(userConfig);
 
     // 局部更新按钮显示
-    updateWeatherDisplay(weatherData);
+    const currentWeather = resolveWeather(userConfig, getStoryDate(userConfig));
+    updateWeatherDisplay(currentWeather);
 
-    showSuccessToast(`天气已更新：${weatherData.temp}° ${weatherData.city}`);
-    logger.info('phone','[UserProfile] 天气更新成功:', weatherData);
+    showSuccessToast(`天气已更新：${currentWeather.temp}° ${currentWeather.city}`);
+    logger.info('phone','[UserProfile] 天气更新成功:', currentWeather);
 
   } catch (error) {
     showErrorToast(`设置天气失败：${error.message}`);
@@ -528,15 +590,16 @@ async function handleWeatherClick() {
  * 显示天气设置弹窗
  *
  * @description
- * 自定义弹窗，支持两种模式：
- * - 自定义模式（默认）：手动输入城市、温度、选择图标
- * - 在线获取模式：调用wttr.in API获取真实天气
+ * 自定义弹窗，支持三种天气来源：
+ * - 手动设置（默认）：手动输入城市、温度、选择图标
+ * - 在线获取：调用wttr.in API获取真实天气，获取不到时可以直接保存，先用模拟天气顶上
+ * - 模拟天气：选择气候类型，按故事日期自动生成（不填故事日期用现实日期）
  *
  * 点击"保存"时会自动等待正在进行的获取请求，无需手动等待。
  *
  * @async
  * @param {Object} userConfig - 用户配置对象
- * @returns {Promise<Object|null>} 天气数据 {city, temp, icon} 或null（取消）
+ * @returns {Promise<Object|null>} 天气数据 {source, city, temp, icon, weather, climate, storyDate} 或null（取消）
  */
 async function showWeatherSettingsPopup(userConfig) {
   logger.debug('phone','[UserProfile.showWeatherSettingsPopup] 显示天气设置弹窗');
@@ -554,9 +617,22 @@ async function showWeatherSettingsPopup(userConfig) {
   ];
 
   // 当前值
+  const currentSource = userConfig.weatherSource || 'manual';
   const currentCity = userConfig.weatherCity || '';
-  const currentTemp = userConfig.weatherTemp || '';
-  const currentIcon = userConfig.weatherIcon || 'cloud-sun';
+  const manualValues = userConfig.weatherManualValues || {};
+  const currentManual = manualValues[currentCity] || {};
+  const currentTemp = currentManual.temp ?? userConfig.weatherTemp ?? '';
+  const currentIcon = currentManual.icon || userConfig.weatherIcon || 'cloud-sun';
+  const currentClimate = userConfig.weatherClimate || 'temperate';
+  const currentStoryDate = userConfig.storyDate || '';
+
+  // 面板ID（按天气来源）
+  const panelIds = {
+    manual: 'weather-custom-mode',
+    live: 'weather-online-mode',
+    simulated: 'weather-simulated-mode'
+  };
+  const panelStyle = (source) => source === currentSource ? '' : 'style="display: none;"';
 
   // 创建弹窗内容
   const contentHTML = `
@@ -565,13 +641,14 @@ async function showWeatherSettingsPopup(userConfig) {
       <div class="weather-mode-select">
         <label>设置方式：</label>
         <select id="weather-mode-selector" class="phone-input">
-          <option value="custom" selected>自定义天气</option>
-          <option value="online">在线获取</option>
+          ${getWeatherSources().map((item) => `
+            <option value="${item.id}" ${item.id === currentSource ? 'selected' : ''}>${item.label}</option>
+          `).join('')}
         </select>
       </div>
 
-      <!-- 自定义模式 -->
-      <div id="weather-custom-mode" class="weather-mode-panel">
+      <!-- 手动设置 -->
+      <div id="weather-custom-mode" class="weather-mode-panel" ${panelStyle('manual')}>
         <div class="weather-input-group">
           <label>城市名：</label>
           <input type="text" id="weather-custom-city" class="phone-input"
@@ -598,7 +675,7 @@ async function showWeatherSettingsPopup(userConfig) {
       </div>
 
       <!-- 在线获取模式 -->
-      <div id="weather-online-mode" class="weather-mode-panel" style="display: none;">
+      <div id="weather-online-mode" class="weather-mode-panel" ${panelStyle('live')}>
         <div class="weather-input-group">
           <label>城市名：</label>
           <input type="text" id="weather-online-city" class="phone-input"
@@ -610,7 +687,33 @@ async function showWeatherSettingsPopup(userConfig) {
         <div id="weather-fetch-result" class="weather-fetch-result"></div>
         <p class="weather-hint">
           <i class="fa-solid fa-circle-info"></i>
-          提示：获取不稳定，如失败请过一会重试
+          提示：获取不稳定，如失败可以直接保存，联网前先用模拟天气
+        </p>
+      </div>
+
+      <!-- 模拟天气 -->
+      <div id="weather-simulated-mode" class="weather-mode-panel" ${panelStyle('simulated')}>
+        <div class="weather-input-group">
+          <label>城市名：</label>
+          <input type="text" id="weather-simulated-city" class="phone-input"
+                 placeholder="虚构城市也可以" value="${currentCity}" maxlength="20">
+        </div>
+        <div class="weather-input-group">
+          <label>气候类型：</label>
+          <select id="weather-simulated-climate" class="phone-input">
+            ${Object.entries(CLIMATE_PROFILES).map(([key, profile]) => `
+              <option value="${key}" ${key === currentClimate ? 'selected' : ''}>${profile.label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="weather-input-group">
+          <label>故事日期：</label>
+          <input type="date" id="weather-story-date" class="phone-input" value="${currentStoryDate}">
+        </div>
+        <div id="weather-simulated-preview" class="weather-fetch-result"></div>
+        <p class="weather-hint">
+          <i class="fa-solid fa-circle-info"></i>
+          按故事日期生成，同一天天气固定，不需要联网；故事日期留空时用现实日期
         </p>
       </div>
     </div>
@@ -625,6 +728,10 @@ async function showWeatherSettingsPopup(userConfig) {
     let modeSelector = null;
     let customCityInput = null;
     let customTempInput = null;
+    let onlineCityInput = null;
+    let simulatedCityInput = null;
+    let simulatedClimateSelect = null;
+    let storyDateInput = null;
 
     // 显示自定义弹窗
     showCustomPopup('设置天气', contentHTML, {
@@ -636,10 +743,10 @@ async function showWeatherSettingsPopup(userConfig) {
     }).then(async (result) => {
       if (result === 'save') {
         // 保存设置
-        const mode = /** @type {HTMLSelectElement} */ (modeSelector)?.value || 'custom';
+        const mode = /** @type {HTMLSelectElement} */ (modeSelector)?.value || 'manual';
 
-        if (mode === 'custom') {
-          // 自定义模式
+        if (mode === 'manual') {
+          // 手动设置
           const city = /** @type {HTMLInputElement} */ (customCityInput)?.value?.trim() || '';
           const temp = /** @type {HTMLInputElement} */ (customTempInput)?.value?.trim() || '';
 
@@ -650,10 +757,26 @@ async function showWeatherSettingsPopup(userConfig) {
           }
 
           resolve({
+            source: 'manual',
             city: city,
             temp: temp,
             icon: selectedIcon
           });
+        } else if (mode === 'simulated') {
+          // 模拟天气
+          const city = /** @type {HTMLInputElement} */ (simulatedCityInput)?.value?.trim() || '';
+          if (!city) {
+            showWarningToast('请输入城市名');
+            resolve(null);
+            return;
+          }
+
+          resolve({
+            source: 'simulated',
+            city: city,
+            climate: /** @type {HTMLSelectElement} */ (simulatedClimateSelect)?.value || 'temperate',
+            storyDate: /** @type {HTMLInputElement} */ (storyDateInput)?.value || ''
+          });
         } else {
           // 在线获取模式
           // 如果正在获取中，等待完成
@@ -664,22 +787,18 @@ async function showWeatherSettingsPopup(userConfig) {
 
               // 获取完成，检查结果
               if (fetchedWeather) {
-                resolve(fetchedWeather);
+                resolve({ ...fetchedWeather, source: 'live' });
               } else {
-                showWarningToast('获取失败，请重试');
-                resolve(null);
+                resolveLiveWithoutData();
               }
             } catch (error) {
-              showErrorToast('获取失败，请重试');
-              resolve(null);
+              resolveLiveWithoutData();
             }
           } else if (fetchedWeather) {
             // 已有获取结果
-            resolve(fetchedWeather);
+            resolve({ ...fetchedWeather, source: 'live' });
           } else {
-            // 未获取也未输入，提示用户
-            showWarningToast('请先获取天气');
-            resolve(null);
+            resolveLiveWithoutData();
           }
         }
       } else {
@@ -688,30 +807,82 @@ async function showWeatherSettingsPopup(userConfig) {
       }
     });
 
+    /**
+     * 在线获取没有结果时保存：只记城市和来源，有网之前先显示模拟天气
+     */
+    function resolveLiveWithoutData() {
+      const city = /** @type {HTMLInputElement} */ (onlineCityInput)?.value?.trim() || '';
+      if (!city) {
+        showWarningToast('请输入城市名');
+        resolve(null);
+        return;
+      }
+
+      showInfoToast('暂时获取不到在线天气，先显示模拟天气');
+      resolve({ source: 'live', city: city });
+    }
+
     // 获取元素（延迟获取，等待DOM创建）
     setTimeout(() => {
       modeSelector = document.getElementById('weather-mode-selector');
-      const customMode = document.getElementById('weather-custom-mode');
-      const onlineMode = document.getElementById('weather-online-mode');
       customCityInput = document.getElementById('weather-custom-city');
       customTempInput = document.getElementById('weather-custom-temp');
-      const onlineCityInput = document.getElementById('weather-online-city');
+      onlineCityInput = document.getElementById('weather-online-city');
+      simulatedCityInput = document.getElementById('weather-simulated-city');
+      simulatedClimateSelect = document.getElementById('weather-simulated-climate');
+      storyDateInput = document.getElementById('weather-story-date');
       const fetchBtn = document.getElementById('weather-fetch-btn');
       const fetchResult = document.getElementById('weather-fetch-result');
       const iconGrid = document.getElementById('weather-icon-grid');
+      const simulatedPreview = document.getElementById('weather-simulated-preview');
 
       // 模式切换事件
       modeSelector?.addEventListener('change', () => {
         const mode = /** @type {HTMLSelectElement} */ (modeSelector).value;
-        if (mode === 'custom') {
-          customMode.style.display = 'block';
-          onlineMode.style.display = 'none';
-        } else {
-          customMode.style.display = 'none';
-          onlineMode.style.display = 'block';
-        }
+        Object.entries(panelIds).forEach(([source, panelId]) => {
+          const panel = document.getElementById(panelId);
+          if (panel) {
+            panel.style.display = source === mode ? 'block' : 'none';
+          }
+        });
+      });
+
+      // 手动设置：换城市时带出这个城市之前存的值
+      customCityInput?.addEventListener('change', () => {
+        const saved = manualValues[/** @type {HTMLInputElement} */ (customCityInput).value.trim()];
+        if (!saved) return;
+
+        /** @type {HTMLInputElement} */ (customTempInput).value = saved.temp;
+        selectedIcon = saved.icon || 'cloud-sun';
+        iconGrid?.querySelectorAll('.weather-icon-item').forEach((item) => {
+          item.classList.toggle('selected', /** @type {HTMLElement} */ (item).dataset.icon === selectedIcon);
+        });
       });
 
+      // 模拟天气：预览故事日期当天的天气
+      const updateSimulatedPreview = () => {
+        const city = /** @type {HTMLInputElement} */ (simulatedCityInput)?.value?.trim();
+        if (!simulatedPreview) return;
+        if (!city) {
+          simulatedPreview.innerHTML = '';
+          return;
+        }
+
+        const climate = /** @type {HTMLSelectElement} */ (simulatedClimateSelect)?.value;
+        const storyDate = /** @type {HTMLInputElement} */ (storyDateInput)?.value || '';
+        const weather = simulateWeather(city, getStoryDate({ storyDate }), climate);
+        simulatedPreview.innerHTML = `
+          <div class="weather-fetch-success">
+            <i class="fa-solid fa-${weather.icon}"></i>
+            <span>${storyDate || '今天'}：${weather.temp}° ${weather.city} - ${weather.weather}</span>
+          </div>
+        `;
+      };
+      simulatedCityInput?.addEventListener('input', updateSimulatedPreview);
+      simulatedClimateSelect?.addEventListener('change', updateSimulatedPreview);
+      storyDateInput?.addEventListener('change', updateSimulatedPreview);
+      updateSimulatedPreview();
+
       // 图标选择事件
       iconGrid?.querySelectorAll('.weather-icon-item').forEach((item) => {
         item.addEventListener('click', () => {
@@ -740,7 +911,7 @@ async function showWeatherSettingsPopup(userConfig) {
             fetchBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> 获取中...';
             fetchResult.innerHTML = '';
 
-            const weather = await getWeather(city);
+            const weather = await getWeather(city, 'live');
 
             fetchedWeather = weather;
             fetchResult.innerHTML = `
@@ -775,7 +946,7 @@ async function showWeatherSettingsPopup(userConfig) {
 /**
  * 局部更新天气按钮显示
  *
- * @param {Object} weather - 天气数据
+ * @param {Object} weather - 天气数据（resolveWeather 的返回值）
  * @param {string} weather.temp - 温度
  * @param {string} weather.city - 城市名
  * @param {string} weather.icon - 天气图标名
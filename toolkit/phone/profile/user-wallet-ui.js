@@ -1,6 +1,6 @@
 /**
  * @file user-wallet-ui.js
- * @description 用户钱包页面（余额显示、收支统计、账单明细）
+ * @description 用户钱包页面（余额显示、收支统计、账单明细、月度账单）
  * 
  * @description
  * 钱包页面UI（已更新使用真实数据，2025-10-29）
@@ -9,10 +9,23 @@
  * - 显示收支统计
  * - 渲染转账记录列表
  * - 监听钱包数据变化事件
- * - 筛选功能（全部/收入/支出）
+ * - 筛选功能（全部/收入/支出，按月份/联系人/分类）
+ * - 月度账单（柱状图+饼图）、CSV导出、手动调整余额
  */
 
-import { getWalletData, getTransactions, calculateTotals } from '../data-storage/storage-wallet.js';
+import {
+  getWalletData,
+  getTransactions,
+  calculateTotals,
+  getTransactionCategory,
+  getTransactionMonth,
+  getTransactionMonths,
+  getMonthlyStatement,
+  getMonthlyTrend,
+  exportTransactionsCSV,
+  adjustBalance,
+  TRANSACTION_CATEGORIES
+} from '../data-storage/storage-wallet.js';
 import { loadContacts } from '../contacts/contact-list-data.js';
 import { getContactDisplayName } from '../utils/contact-display-helper.js';
 import { formatTimestamp } from '../utils/time-helper.js';
@@ -23,6 +36,24 @@ import logger from '../../../logger.js';
 /** @type {'all' | 'received' | 'sent'} */
 let currentFilter = 'all';
 
+/**
+ * 账单筛选（月份/联系人/分类），收支统计、列表和导出都按它筛选
+ * @type {{month: string, contactId: string, category: string}}
+ */
+let ledgerFilter = { month: 'all', contactId: '', category: 'all' };
+
+/** 饼图/图例的分类颜色 */
+const CATEGORY_COLORS = {
+  transfer: '#4a90e2',
+  redpacket: '#e94e4e',
+  membership: '#f5a623',
+  customization: '#9b59b6',
+  adjustment: '#7f8c8d'
+};
+
+/** 柱状图显示的月份数 */
+const TREND_MONTHS = 6;
+
 /**
  * 渲染用户钱包页面
  * @async
@@ -58,6 +89,7 @@ function createWalletHTML() {
             ${createTopBar()}
             ${createBalanceSection()}
             ${createStatisticsSection()}
+            ${createLedgerFilters()}
             ${createFilterTabs()}
             ${createBillSection()}
         </div>
@@ -75,6 +107,14 @@ function createTopBar() {
                 <i class="fa-solid fa-chevron-left"></i>
             </button>
             <div class="wallet-title">钱包</div>
+            <div class="wallet-top-actions">
+                <button class="wallet-btn-statement" title="月度账单">
+                    <i class="fa-solid fa-chart-pie"></i>
+                </button>
+                <button class="wallet-btn-export" title="导出CSV">
+                    <i class="fa-solid fa-file-export"></i>
+                </button>
+            </div>
         </div>
     `;
 }
@@ -87,7 +127,12 @@ function createBalanceSection() {
   return `
         <div class="wallet-balance-section">
             <div class="wallet-balance-amount" data-balance="0">¥ 0.00</div>
-            <div class="wallet-balance-label">当前余额</div>
+            <div class="wallet-balance-label">
+                当前余额
+                <button class="wallet-btn-adjust" title="调整余额">
+                    <i class="fa-solid fa-pen"></i>
+                </button>
+            </div>
         </div>
     `;
 }
@@ -111,6 +156,31 @@ function createStatisticsSection() {
     `;
 }
 
+/**
+ * 创建账单筛选栏（月份/联系人/分类，选项在加载数据后填充）
+ * @returns {string} HTML字符串
+ */
+function createLedgerFilters() {
+  const categoryOptions = Object.entries(TRANSACTION_CATEGORIES)
+    .map(([key, label]) => `<option value="${key}">${label}</option>`)
+    .join('');
+
+  return `
+        <div class="wallet-ledger-filters">
+            <select class="wallet-ledger-select" data-ledger-filter="month">
+                <option value="all">全部月份</option>
+            </select>
+            <select class="wallet-ledger-select" data-ledger-filter="contactId">
+                <option value="">全部联系人</option>
+            </select>
+            <select class="wallet-ledger-select" data-ledger-filter="category">
+                <option value="all">全部分类</option>
+                ${categoryOptions}
+            </select>
+        </div>
+    `;
+}
+
 /**
  * 创建筛选标签栏（复用往来记录的样式）
  * @returns {string} HTML字符串
@@ -170,6 +240,21 @@ function bindEvents(container) {
     });
   });
 
+  // 账单筛选（月份/联系人/分类）
+  container.querySelectorAll('.wallet-ledger-select').forEach(select => {
+    select.addEventListener('change', () => {
+      const selectElement = /** @type {HTMLSelectElement} */ (select);
+      ledgerFilter[selectElement.dataset.ledgerFilter] = selectElement.value;
+      logger.debug('phone','[WalletUI] 账单筛选切换:', ledgerFilter);
+      refreshFilteredData(container);
+    });
+  });
+
+  // 月度账单、导出、调整余额
+  container.querySelector('.wallet-btn-statement')?.addEventListener('click', () => handleShowStatement());
+  container.querySelector('.wallet-btn-export')?.addEventListener('click', () => handleExportCSV());
+  container.querySelector('.wallet-btn-adjust')?.addEventListener('click', () => handleAdjustBalance());
+
   // 绑定删除功能
   bindDeleteActions(container);
 }
@@ -185,24 +270,99 @@ async function loadAndRenderWalletData(container) {
     const walletData = await getWalletData();
     const { balance } = walletData;
 
-    // 计算收支统计（全部记录）
-    const { income, expense } = await calculateTotals();
-
     // 更新余额
     updateBalance(container, balance);
 
-    // 更新统计
-    updateStatistics(container, income, expense);
+    // 填充筛选选项，再按筛选刷新统计和列表
+    await updateLedgerFilterOptions(container);
+    await refreshFilteredData(container);
 
-    // 渲染账单列表
-    await renderTransactionsList(container, currentFilter);
-
-    logger.info('phone','[WalletUI] 钱包数据已加载，余额:', balance, '收入:', income, '支出:', expense);
+    logger.info('phone','[WalletUI] 钱包数据已加载，余额:', balance);
   } catch (error) {
     logger.error('phone','[WalletUI] 加载钱包数据失败:', error.message);
   }
 }
 
+/**
+ * 填充筛选下拉框（只列出有记录的月份和联系人）
+ * @async
+ * @param {HTMLElement} container - 页面容器
+ *
+ * @description
+ * 已选的月份/联系人没有记录了（被删光）时回到「全部」
+ */
+async function updateLedgerFilterOptions(container) {
+  const [months, transactions, contacts] = await Promise.all([
+    getTransactionMonths(),
+    getTransactions(),
+    loadContacts()
+  ]);
+
+  if (ledgerFilter.month !== 'all' && !months.includes(ledgerFilter.month)) {
+    ledgerFilter.month = 'all';
+  }
+
+  const contactIds = [...new Set(transactions.map(t => t.contactId).filter(Boolean))];
+  if (ledgerFilter.contactId && !contactIds.includes(ledgerFilter.contactId)) {
+    ledgerFilter.contactId = '';
+  }
+
+  const monthSelect = /** @type {HTMLSelectElement} */ (container.querySelector('[data-ledger-filter="month"]'));
+  if (monthSelect) {
+    monthSelect.innerHTML = '<option value="all">全部月份</option>' +
+      months.map(month => `<option value="${month}">${formatMonthLabel(month)}</option>`).join('');
+    monthSelect.value = ledgerFilter.month;
+  }
+
+  const contactSelect = /** @type {HTMLSelectElement} */ (container.querySelector('[data-ledger-filter="contactId"]'));
+  if (contactSelect) {
+    contactSelect.innerHTML = '<option value="">全部联系人</option>' +
+      contactIds.map(id => {
+        const contact = contacts.find(c => c.id === id);
+        return `<option value="${id}">${contact ? getContactDisplayName(contact) : '未知联系人'}</option>`;
+      }).join('');
+    contactSelect.value = ledgerFilter.contactId;
+  }
+
+  const categorySelect = /** @type {HTMLSelectElement} */ (container.querySelector('[data-ledger-filter="category"]'));
+  if (categorySelect) {
+    categorySelect.value = ledgerFilter.category;
+  }
+}
+
+/**
+ * 按当前筛选刷新收支统计和账单列表
+ * @async
+ * @param {HTMLElement} container - 页面容器
+ */
+async function refreshFilteredData(container) {
+  const { income, expense } = await calculateTotals(getLedgerQuery());
+  updateStatistics(container, income, expense);
+  await renderTransactionsList(container, currentFilter);
+}
+
+/**
+ * 当前账单筛选对应的查询条件
+ * @returns {{month: string, contactId: string|undefined, category: string}}
+ */
+function getLedgerQuery() {
+  return {
+    month: ledgerFilter.month,
+    contactId: ledgerFilter.contactId || undefined,
+    category: ledgerFilter.category
+  };
+}
+
+/**
+ * 月份显示文字
+ * @param {string} month - 'YYYY-MM'
+ * @returns {string} 如 '2025年10月'
+ */
+function formatMonthLabel(month) {
+  const [year, monthNumber] = month.split('-');
+  return `${year}年${Number(monthNumber)}月`;
+}
+
 /**
  * 更新余额显示（局部更新）
  * @param {HTMLElement} container - 页面容器
@@ -248,6 +408,7 @@ async function renderTransactionsList(container, filter) {
 
   // 获取转账记录（按筛选条件）
   const transactions = await getTransactions({
+    ...getLedgerQuery(),
     direction: filter === 'all' ? 'all' : filter,
     sortBy: 'time',
     sortOrder: 'desc'
@@ -277,14 +438,21 @@ async function renderTransactionsList(container, filter) {
  * @returns {string} HTML字符串
  */
 function createTransactionItem(transaction, contacts) {
-  const { id, contactId, direction, amount, message, time } = transaction;
-
-  // 查找联系人
-  const contact = contacts.find(c => c.id === contactId);
-  const contactName = contact ? getContactDisplayName(contact) : '未知联系人';
+  const { id, contactId, direction, amount, message, itemName, time } = transaction;
+
+  // 查找联系人（购买和余额调整没有联系人，显示物品名或分类名）
+  const category = getTransactionCategory(transaction);
+  let contactName;
+  if (contactId) {
+    const contact = contacts.find(c => c.id === contactId);
+    contactName = contact ? getContactDisplayName(contact) : '未知联系人';
+  } else {
+    contactName = itemName || TRANSACTION_CATEGORIES[category];
+  }
 
-  // 方向文字
-  const directionText = direction === 'received' ? '收到转账' : '转账给对方';
+  // 类型文字
+  const directionText = getTransactionTypeText(transaction, category);
+  const note = message || (contactId ? itemName : '');
 
   // 金额样式
   const amountClass = direction === 'received' ? 'income' : 'expense';
@@ -293,6 +461,14 @@ function createTransactionItem(transaction, contacts) {
   // 时间格式化
   const timeText = formatTimestamp(time);
 
+  // 购买记录不给删（删除会退回余额，买到的东西却还在）
+  const actionsHtml = transaction.type === 'purchase' ? '' : `
+            <div class="wallet-bill-actions">
+                <button class="wallet-bill-delete-btn" data-transaction-id="${id}" title="删除">
+                    <span class="fa-solid fa-trash"></span>
+                </button>
+            </div>`;
+
   return `
         <div class="wallet-bill-item" data-transaction-id="${id}">
             <div class="wallet-bill-item-header">
@@ -306,17 +482,35 @@ function createTransactionItem(transaction, contacts) {
                     ${amountPrefix}¥ ${amount.toFixed(2)}
                 </div>
             </div>
-            ${message ? `<div class="wallet-bill-item-note">${message}</div>` : ''}
-            <div class="wallet-bill-item-time">${timeText}</div>
-            <div class="wallet-bill-actions">
-                <button class="wallet-bill-delete-btn" data-transaction-id="${id}" title="删除">
-                    <span class="fa-solid fa-trash"></span>
-                </button>
-            </div>
+            ${note ? `<div class="wallet-bill-item-note">${note}</div>` : ''}
+            <div class="wallet-bill-item-time">${timeText}</div>${actionsHtml}
         </div>
     `;
 }
 
+/**
+ * 账单项的类型文字
+ * @param {Object} transaction - 账单记录
+ * @param {string} category - 账单分类
+ * @returns {string}
+ */
+function getTransactionTypeText(transaction, category) {
+  const received = transaction.direction === 'received';
+  switch (category) {
+    case 'redpacket':
+      return received ? '收到红包' : '发红包';
+    case 'membership':
+      if (transaction.type === 'purchase') return '购买会员';
+      return received ? '收到会员' : '送会员';
+    case 'customization':
+      return '购买装扮';
+    case 'adjustment':
+      return received ? '余额调整（增加）' : '余额调整（减少）';
+    default:
+      return received ? '收到转账' : '转账给对方';
+  }
+}
+
 /**
  * 处理筛选切换
  * @async
@@ -377,12 +571,9 @@ function bindWalletChangeListener(container) {
     // 局部更新余额
     updateBalance(container, walletData.balance);
     
-    // 重新计算收支统计
-    const { income, expense } = await calculateTotals();
-    updateStatistics(container, income, expense);
-    
-    // 重新渲染列表
-    await renderTransactionsList(container, currentFilter);
+    // 刷新筛选选项，再按筛选重新计算收支统计、渲染列表
+    await updateLedgerFilterOptions(container);
+    await refreshFilteredData(container);
     
     logger.debug('phone','[WalletUI] 钱包数据已自动更新');
   });
@@ -563,3 +754,208 @@ async function handleDeleteTransaction(container, transactionId) {
     }
   }
 }
+
+/**
+ * 处理手动调整余额
+ * @async
+ *
+ * @description
+ * 差额记入账单「余额调整」分类，页面由钱包订阅自动刷新
+ */
+async function handleAdjustBalance() {
+  try {
+    const { showInputPopup } = await import('../utils/popup-helper.js');
+    const walletData = await getWalletData();
+
+    const input = await showInputPopup('调整余额', walletData.balance.toFixed(2), {
+      placeholder: '输入调整后的余额',
+      maxLength: 12,
+      hint: '差额会记入账单「余额调整」，删除该记录可恢复'
+    });
+    if (input === null) return;
+
+    const newBalance = Math.round(parseFloat(input) * 100) / 100;
+    if (!Number.isFinite(newBalance) || newBalance < 0) {
+      window.toastr?.warning('请输入非负数金额');
+      return;
+    }
+
+    const transaction = await adjustBalance(newBalance, '手动调整');
+    if (transaction) {
+      window.toastr?.success('余额已调整');
+      logger.info('phone','[WalletUI] 余额已调整:', newBalance);
+    }
+  } catch (error) {
+    logger.error('phone','[WalletUI] 调整余额失败:', error.message);
+    window.toastr?.error('调整失败: ' + error.message);
+  }
+}
+
+/**
+ * 按当前筛选导出CSV
+ * @async
+ */
+async function handleExportCSV() {
+  try {
+    const contacts = await loadContacts();
+    const contactNames = {};
+    contacts.forEach(contact => {
+      contactNames[contact.id] = getContactDisplayName(contact);
+    });
+
+    const csv = await exportTransactionsCSV({
+      ...getLedgerQuery(),
+      direction: currentFilter
+    }, contactNames);
+
+    // 加BOM，Excel打开中文不乱码
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `phone-wallet-${ledgerFilter.month === 'all' ? 'all' : ledgerFilter.month}-${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    window.toastr?.success('账单已导出');
+  } catch (error) {
+    logger.error('phone','[WalletUI] 导出CSV失败:', error.message);
+    window.toastr?.error('导出失败: ' + error.message);
+  }
+}
+
+/**
+ * 显示月度账单弹窗（柱状图：近几个月收支；饼图：当月支出构成）
+ * @async
+ *
+ * @description
+ * 默认显示筛选中的月份（全部月份时显示本月），联系人筛选同样生效
+ */
+async function handleShowStatement() {
+  const { showCustomPopupWithData } = await import('../utils/popup-helper.js');
+
+  const currentMonth = getTransactionMonth(Math.floor(Date.now() / 1000));
+  const months = await getTransactionMonths({ contactId: ledgerFilter.contactId || undefined });
+  if (!months.includes(currentMonth)) {
+    months.unshift(currentMonth);
+  }
+  const initialMonth = ledgerFilter.month !== 'all' ? ledgerFilter.month : currentMonth;
+
+  const contentHTML = `
+        <div class="wallet-statement">
+            <select class="wallet-ledger-select wallet-statement-month">
+                ${months.map(month => `<option value="${month}" ${month === initialMonth ? 'selected' : ''}>${formatMonthLabel(month)}</option>`).join('')}
+            </select>
+            <div class="wallet-statement-body"></div>
+        </div>
+    `;
+
+  await showCustomPopupWithData('月度账单', contentHTML, {
+    width: '90%',
+    onShow: (overlay) => {
+      const monthSelect = /** @type {HTMLSelectElement} */ (overlay.querySelector('.wallet-statement-month'));
+      const body = /** @type {HTMLElement} */ (overlay.querySelector('.wallet-statement-body'));
+      const render = () => renderStatementBody(body, monthSelect.value).catch(error => {
+        logger.error('phone','[WalletUI] 渲染月度账单失败:', error.message);
+      });
+      monthSelect.addEventListener('change', render);
+      render();
+    }
+  });
+}
+
+/**
+ * 渲染月度账单内容
+ * @async
+ * @param {HTMLElement} body - 内容容器
+ * @param {string} month - 'YYYY-MM'
+ */
+async function renderStatementBody(body, month) {
+  const contactId = ledgerFilter.contactId || undefined;
+  const [statement, trend] = await Promise.all([
+    getMonthlyStatement(month, { contactId }),
+    getMonthlyTrend(month, TREND_MONTHS, { contactId })
+  ]);
+
+  body.innerHTML = `
+        <div class="wallet-statement-summary">
+            <div>收入 <span style="color: #07c160">¥ ${statement.income.toFixed(2)}</span></div>
+            <div>支出 <span style="color: #fa5151">¥ ${statement.expense.toFixed(2)}</span></div>
+            <div>共 ${statement.count} 笔</div>
+        </div>
+        <div class="wallet-chart-title">近${TREND_MONTHS}个月收支</div>
+        ${createBarChartHTML(trend, month)}
+        <div class="wallet-chart-title">本月支出构成</div>
+        ${createPieChartHTML(statement)}
+    `;
+
+  logger.debug('phone','[WalletUI] 已渲染月度账单:', month, '收入:', statement.income, '支出:', statement.expense);
+}
+
+/**
+ * 柱状图（每月一组：收入、支出两根柱）
+ * @param {Array<{month: string, income: number, expense: number}>} trend - 月度收支
+ * @param {string} selectedMonth - 当前查看的月份（高亮）
+ * @returns {string} HTML字符串
+ */
+function createBarChartHTML(trend, selectedMonth) {
+  const max = Math.max(...trend.map(item => Math.max(item.income, item.expense)), 0);
+
+  const columns = trend.map(item => {
+    const incomeHeight = max > 0 ? (item.income / max) * 100 : 0;
+    const expenseHeight = max > 0 ? (item.expense / max) * 100 : 0;
+    return `
+            <div class="wallet-chart-column ${item.month === selectedMonth ? 'active' : ''}">
+                <div class="wallet-chart-bars">
+                    <div class="wallet-chart-bar income" style="height: ${incomeHeight}%" title="收入 ¥${item.income.toFixed(2)}"></div>
+                    <div class="wallet-chart-bar expense" style="height: ${expenseHeight}%" title="支出 ¥${item.expense.toFixed(2)}"></div>
+                </div>
+                <div class="wallet-chart-label">${Number(item.month.split('-')[1])}月</div>
+            </div>
+        `;
+  }).join('');
+
+  return `
+        <div class="wallet-chart-bar-chart">${columns}</div>
+        <div class="wallet-chart-legend">
+            <span><i class="wallet-chart-dot income"></i>收入</span>
+            <span><i class="wallet-chart-dot expense"></i>支出</span>
+        </div>
+    `;
+}
+
+/**
+ * 饼图（当月各分类支出占比，conic-gradient 绘制）
+ * @param {Object} statement - getMonthlyStatement 的返回值
+ * @returns {string} HTML字符串
+ */
+function createPieChartHTML(statement) {
+  const slices = statement.categories.filter(item => item.expense > 0);
+  if (slices.length === 0) {
+    return '<div class="wallet-empty-state">本月暂无支出</div>';
+  }
+
+  let start = 0;
+  const stops = slices.map(item => {
+    const end = start + (item.expense / statement.expense) * 100;
+    const stop = `${CATEGORY_COLORS[item.category]} ${start}% ${end}%`;
+    start = end;
+    return stop;
+  });
+
+  const legend = slices.map(item => `
+            <div class="wallet-chart-legend-row">
+                <i class="wallet-chart-dot" style="background: ${CATEGORY_COLORS[item.category]}"></i>
+                <span class="wallet-chart-legend-label">${item.label}</span>
+                <span>¥ ${item.expense.toFixed(2)}</span>
+                <span class="wallet-chart-legend-percent">${Math.round((item.expense / statement.expense) * 100)}%</span>
+            </div>
+        `).join('');
+
+  return `
+        <div class="wallet-chart-pie-wrap">
+            <div class="wallet-chart-pie" style="background: conic-gradient(${stops.join(', ')})"></div>
+            <div class="wallet-chart-pie-legend">${legend}</div>
+        </div>
+    `;
+}
@@ -9,6 +9,9 @@
 import logger from '../../../logger.js';
 import { PhoneAPIConfig } from '../ai-integration/phone-api-settings.js';
 import { getPhoneSystem } from '../phone-system.js';
+import { renderFallbackSection } from '../../../shared/api/api-fallback-ui.js';
+import { renderUsageSection } from '../../../shared/api/api-usage-ui.js';
+import { renderInspectorSection } from '../../../shared/api/api-inspector-ui.js';
 
 /**
  * 渲染API设置页面
@@ -47,6 +50,31 @@ export async function renderAPISettings(params) {
   });
   apiConfig.bindApiSettingsEvents();
 
+  // 备用配置链
+  const fallbackContainer = /** @type {HTMLElement|null} */ (page.querySelector('#phoneApiFallback'));
+  if (fallbackContainer) {
+    renderFallbackSection(fallbackContainer, {
+      module: 'phone',
+      getCurrentConfig: () => {
+        const api = phoneSystem?.api;
+        const currentConfig = api?.getCurrentCustomConfig();
+        return currentConfig ? api.buildSharedApiConfig(currentConfig, false) : null;
+      }
+    });
+  }
+
+  // 用量统计
+  const usageContainer = /** @type {HTMLElement|null} */ (page.querySelector('#phoneApiUsage'));
+  if (usageContainer) {
+    renderUsageSection(usageContainer, { module: 'phone' });
+  }
+
+  // 请求检查器
+  const inspectorContainer = /** @type {HTMLElement|null} */ (page.querySelector('#phoneApiInspector'));
+  if (inspectorContainer) {
+    renderInspectorSection(inspectorContainer);
+  }
+
   logger.info('phone','[APISettingsUI] API设置页面渲染完成');
 
   return page;  // ✅ 返回页面元素
@@ -95,10 +123,10 @@ function createAPISettingsHTML() {
         <div class="api-settings-section-title">工具调用（实验性）</div>
         <label class="api-settings-checkbox">
           <input type="checkbox" id="phoneApiToolCalling">
-          <span>启用 Function Calling（别开启）</span>
+          <span>启用 Function Calling</span>
         </label>
         <div class="api-settings-hint">
-          目前仅 GPT 的部分模型稳定支持
+          需要接口支持工具（OpenAI、Claude、Gemini 等）；默认API看酒馆当前的 Chat Completion 连接。模型没调用工具时按普通回复解析
         </div>
       </div>
 
@@ -417,6 +445,15 @@ function createAPISettingsHTML() {
             <!-- 参数将根据选择的API格式动态插入到这里 -->
           </div>
         </div>
+
+        <!-- 备用配置链（三个模块共用，内容由 shared/api/api-fallback-ui.js 渲染） -->
+        <div class="api-settings-section" id="phoneApiFallback"></div>
+
+        <!-- 用量统计 -->
+        <div class="api-settings-section" id="phoneApiUsage"></div>
+
+        <!-- 请求检查器 -->
+        <div class="api-settings-section" id="phoneApiInspector"></div>
       </div>
 
       <!-- TODO占位 -->
@@ -756,11 +756,11 @@ export function getDefaultPresets() {
       {
         id: 'phone-records',
         type: 'fixed',
-        label: '手机相关记录 - 占位符',
+        label: '手机相关记录 - 空间动态',
         role: 'system',
-        content: '空间动态、转账记录等',
-        enabled: false,
-        editable: true,
+        content: '__AUTO_PHONE_RECORDS__',
+        enabled: true,
+        editable: false,
         deletable: false,
         order: 6
       },
@@ -874,6 +874,50 @@ export function getDefaultPresets() {
         deletable: true,
         order: 16
       },
+      {
+        id: 'custom-npc-friend-request',
+        type: 'custom',
+        label: '介绍新朋友',
+        role: 'system',
+        content: '[介绍新朋友]\n剧情里出现{{user}}还没加好友的人（角色的朋友、同事、家人等）时，这个人可以主动加{{user}}好友\n\n格式：\n[角色-新朋友的名字]\n[消息]\n[好友申请]附加消息|人设简介\n\n注意：\n  - 只在剧情自然需要时使用，不要频繁介绍新人\n  - 人设简介写身份、性格、和谁认识，一两句话即可，只在第一条申请里写\n  - 已经是好友的人不要再申请\n[/介绍新朋友]',
+        enabled: true,
+        editable: true,
+        deletable: true,
+        order: 17
+      },
+      {
+        id: 'custom-voice-message',
+        type: 'custom',
+        label: '语音消息',
+        role: 'system',
+        content: '[语音消息]\n角色可以发语音消息（用户看到语音条，点开能看转文字）\n\n格式：[语音]时长|语音内容\n示例：[语音]8秒|刚下班，累死了，你吃饭了吗\n\n注意：\n  - 时长按说话速度估算，大约每秒4个字\n  - 适合语气强烈、懒得打字、撒娇、边走边说等场景，不要每次都发语音\n  - 单独一个气泡，不能和文字同气泡\n[/语音消息]',
+        enabled: true,
+        editable: true,
+        deletable: true,
+        order: 18
+      },
+      {
+        id: 'custom-call-record',
+        type: 'custom',
+        label: '通话记录',
+        role: 'system',
+        content: '[通话记录]\n角色可以给用户打语音/视频电话，聊天里会留下一条通话记录\n\n格式：[通话]语音|时长 或 [通话]视频|时长\n未接通：[通话]语音|未接、[通话]视频|已取消\n示例：[通话]视频|12分30秒\n\n注意：\n  - 角色打了电话但用户没接，用「未接」；角色拨出后自己挂断，用「已取消」\n  - 用户拒绝了角色的来电，用「已拒绝」\n  - 单独一个气泡，不能和文字同气泡，通话内容不用写出来\n[/通话记录]',
+        enabled: true,
+        editable: true,
+        deletable: true,
+        order: 19
+      },
+      {
+        id: 'custom-location-share',
+        type: 'custom',
+        label: '位置分享',
+        role: 'system',
+        content: '[位置分享]\n角色可以分享自己所在的位置（用户看到地图卡片）\n\n格式：[位置]地点名称|地址|附言\n示例：[位置]星巴克（人民广场店）|南京东路88号|我在二楼靠窗\n\n注意：\n  - 地址和附言可以省略：[位置]公司楼下\n  - 角色卡里的[去过的地方]是之前分享过的位置，再提到时名称和地址保持一致\n  - 单独一个气泡，不能和文字同气泡\n[/位置分享]',
+        enabled: true,
+        editable: true,
+        deletable: true,
+        order: 20
+      },
       {
         id: 'custom-1761563217155',
         type: 'custom',
@@ -883,7 +927,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: true,
         deletable: true,
-        order: 17
+        order: 21
       },
       {
         id: 'custom-1761560957639',
@@ -894,7 +938,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: true,
         deletable: true,
-        order: 18
+        order: 22
       },
       {
         id: 'user-pending-ops',
@@ -905,7 +949,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: false,
         deletable: false,
-        order: 19
+        order: 23
       },
       {
         id: 'custom-1761564289893',
@@ -916,7 +960,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: true,
         deletable: true,
-        order: 20
+        order: 24
       },
       {
         id: 'custom-1761735545010',
@@ -927,7 +971,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: true,
         deletable: true,
-        order: 21
+        order: 25
       },
       {
         id: 'format-req',
@@ -938,7 +982,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: true,
         deletable: false,
-        order: 22
+        order: 26
       },
       {
         id: 'footer-jb',
@@ -949,7 +993,7 @@ export function getDefaultPresets() {
         enabled: true,
         editable: true,
         deletable: false,
-        order: 23
+        order: 27
       }
     ]
   };
@@ -8,8 +8,8 @@
  * 
  * 功能列表：
  * - 同步酒馆角色（已实现）
- * - 创建群聊（待添加）
- * - 加好友/群（待添加）
+ * - 创建群聊（已实现）
+ * - 加好友（已实现，不需要角色卡的NPC好友）
  * - 分组管理（已实现）
  * - API设置（已实现）
  * - 清空手机数据（已实现）
@@ -44,13 +44,13 @@ export function createPlusMenu() {
       icon: 'fa-user-plus',
       text: '创建群聊',
       action: 'create-group',
-      enabled: false
+      enabled: true
     },
     {
       icon: 'fa-user-group',
-      text: '加好友/群',
+      text: '加好友',
       action: 'add-friend',
-      enabled: false
+      enabled: true
     },
     {
       icon: 'fa-layer-group',
@@ -19,7 +19,27 @@
  */
 
 import logger from '../../../logger.js';
-import { name1 } from '../../../../../../../script.js';
+import { name1, getThumbnailUrl } from '../../../../../../../script.js';
+
+/* ==================== 联系人头像相关 ==================== */
+
+/**
+ * 获取联系人头像地址
+ *
+ * @description
+ * 上传的头像（avatarUrl，NPC联系人/群聊）优先，其次是酒馆角色卡头像缩略图
+ *
+ * @param {Object} contact - 联系人对象
+ * @param {string} [contact.avatar] - 酒馆角色卡头像文件名
+ * @param {string} [contact.avatarUrl] - 上传的头像路径
+ * @returns {string} 头像地址，都没有时返回空字符串（由调用方决定默认头像）
+ */
+export function getContactAvatarUrl(contact) {
+  if (contact?.avatarUrl) {
+    return contact.avatarUrl;
+  }
+  return contact?.avatar ? getThumbnailUrl('avatar', contact.avatar) : '';
+}
 
 /* ==================== 联系人名称相关 ==================== */
 
@@ -9,10 +9,9 @@
 
 import logger from '../../../logger.js';
 import { loadContacts } from '../contacts/contact-list-data.js';
-import { getContactDisplayName } from './contact-display-helper.js';
+import { getContactDisplayName, getContactAvatarUrl } from './contact-display-helper.js';
 import { showCustomPopupWithData } from './popup-helper.js';
 import { showWarningToast } from '../ui-components/toast-notification.js';
-import { getThumbnailUrl } from '../../../../../../../script.js';
 
 /**
  * 显示联系人选择器弹窗
@@ -137,8 +136,8 @@ function createContactPickerItemHTML(contact, multiple) {
 
   // 获取头像
   let avatarHTML = '<i class="fa-solid fa-user-circle"></i>';
-  if (contact.avatar) {
-    const avatarUrl = getThumbnailUrl('avatar', contact.avatar);
+  const avatarUrl = getContactAvatarUrl(contact);
+  if (avatarUrl) {
     avatarHTML = `<img src="${avatarUrl}" alt="${displayName}">`;
   }
 
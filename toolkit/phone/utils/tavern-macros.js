@@ -17,14 +17,21 @@
 import logger from '../../../logger.js';
 import { macros } from '../../../../../../macros/macro-system.js';
 import { extension_settings } from '../../../../../../extensions.js';
+import { eventSource, event_types } from '../../../../../../../script.js';
 import { getUserDisplayName } from './contact-display-helper.js';
+import { getCachedChatFile, loadChatFile } from '../data-storage/storage-chat-files.js';
+import { formatVoiceMessageForAI } from '../messages/message-types/voice-message.js';
+import { formatCallRecordForAI } from '../messages/message-types/call-record-message.js';
+import { formatLocationMessageForAI } from '../messages/message-types/location-message.js';
+import { resolveWeather, formatWeatherText, getStoryDate } from './weather-helper.js';
 
 // 延迟导入，避免循环依赖
 let loadContacts, buildChatHistoryInfo, buildHistoryChatInfo, loadChatHistory, getChatSendSettings;
 
-/** @type {{ contactListChanged: ((event: Event) => Promise<void>)|null }} 模块级监听器引用 */
+/** @type {{ contactListChanged: ((event: Event) => Promise<void>)|null, chatChanged: (() => void)|null }} 模块级监听器引用 */
 let savedHandlers = {
-  contactListChanged: null
+  contactListChanged: null,
+  chatChanged: null
 };
 
 /** @type {boolean} 宏是否已注册（防止重复注册） */
@@ -59,6 +66,7 @@ export async function registerPhoneMacros() {
 
   registerNewEngineMacros();
   setupContactChangeListener();
+  setupChatPreloadListener();
 
   macrosRegistered = true;
   logger.info('phone','[TavernMacros] ✅ 手机宏注册完成: {{phoneRecent}}, {{phoneHistory}}, {{phoneTime}}, {{phoneWeather}}');
@@ -164,6 +172,45 @@ function setupContactChangeListener() {
   logger.debug('phone','[TavernMacros] 已设置联系人变化监听器');
 }
 
+/**
+ * 切换酒馆聊天时预加载当前角色的手机聊天记录
+ *
+ * @description
+ * 手机聊天记录是按需从文件加载的，而宏替换是同步的，只能读缓存。
+ * 切到某个角色时先把它的手机聊天读进缓存，生成时 {{phoneRecent}} 才有内容。
+ *
+ * @private
+ * @returns {void}
+ */
+function setupChatPreloadListener() {
+  if (savedHandlers.chatChanged) return;
+
+  savedHandlers.chatChanged = () => {
+    const charName = SillyTavern.getContext().name2;
+    const contact = findContactByName(charName);
+    if (contact) {
+      loadChatFile(contact.id).catch(() => { /* 加载失败已在存储层记录 */ });
+    }
+  };
+
+  eventSource.on(event_types.CHAT_CHANGED, savedHandlers.chatChanged);
+  savedHandlers.chatChanged();
+  logger.debug('phone','[TavernMacros] 已设置聊天预加载监听器');
+}
+
+/**
+ * 按角色名查找手机联系人（同步）
+ *
+ * @private
+ * @param {string} charName - 角色名
+ * @returns {Object|null} 联系人对象
+ */
+function findContactByName(charName) {
+  if (!charName) return null;
+  const contacts = extension_settings.acsusPawsPuffs?.phone?.contacts || [];
+  return contacts.find(c => c.name === charName) || null;
+}
+
 /**
  * 获取当前角色的最新消息（用于 {{最新消息}}）
  * 
@@ -229,12 +276,8 @@ function getHistoryMessages() {
  */
 function getMessagesByCharName(type, charName) {
   try {
-    // 从持久化存储读取联系人列表
-    const STORAGE_KEY = 'acsusPawsPuffs';
-    const contacts = extension_settings[STORAGE_KEY]?.phone?.contacts || [];
-
     // 查找匹配的联系人
-    const contact = contacts.find(c => c.name === charName);
+    const contact = findContactByName(charName);
 
     if (!contact) {
       logger.debug('phone',`[TavernMacros] 角色 ${charName} 没有手机联系人记录`);
@@ -253,7 +296,7 @@ function getMessagesByCharName(type, charName) {
  * 
  * @description
  * ⚠️ 同步实现：宏系统不支持Promise
- * 直接从持久化存储读取数据，使用正确的字段名和格式化逻辑
+ * 聊天记录从内存缓存读取（见 setupChatPreloadListener），使用正确的字段名和格式化逻辑
  * 复用 formatTimeForAISync 和消息类型处理逻辑
  * 
  * @param {'recent'|'history'} type - 消息类型
@@ -263,10 +306,13 @@ function getMessagesByCharName(type, charName) {
  */
 function getContactMessages(type, contactId, contact) {
   try {
-    // 从持久化存储读取聊天记录和设置
+    // 聊天记录从缓存读（没加载过就先触发加载，这次返回空）
     const STORAGE_KEY = 'acsusPawsPuffs';
-    const chatKey = `chat_${contactId}`;
-    const allMessages = extension_settings[STORAGE_KEY]?.phone?.chats?.[chatKey] || [];
+    const allMessages = getCachedChatFile(contactId);
+    if (!allMessages) {
+      loadChatFile(contactId).catch(() => { /* 加载失败已在存储层记录 */ });
+      return '';
+    }
     const sendSettings = extension_settings[STORAGE_KEY]?.phone?.chatSendSettings?.[contactId] || {
       recentCount: 20,
       historyCount: 99
@@ -366,6 +412,12 @@ function formatMessageContent(msg) {
   } else if (msg.type === 'recalled') {
     // 撤回消息只显示提示，不显示原内容
     return '撤回了一条消息';
+  } else if (msg.type === 'voice') {
+    return formatVoiceMessageForAI(msg);
+  } else if (msg.type === 'call') {
+    return formatCallRecordForAI(msg);
+  } else if (msg.type === 'location') {
+    return formatLocationMessageForAI(msg);
   } else if (msg.type === 'forwarded') {
     return '[转发聊天记录]';
   } else if (msg.type === 'plan') {
@@ -434,9 +486,10 @@ function getCurrentTime() {
  * 获取当前天气（手机格式）
  * 
  * @description
- * 同步读取用户设置的天气信息
+ * 同步读取用户设置的天气来源（手动/在线缓存/模拟），见 weather-helper.resolveWeather。
+ * 在线来源没联网时退回模拟天气，离线也有内容。
  * 输出简洁格式：城市 天气 温度°C（如"北京 晴 29°C"）
- * 如果用户未设置天气，返回空字符串
+ * 如果用户未设置城市，返回空字符串
  * 
  * @returns {string} 格式化的天气信息或空字符串
  * 
@@ -450,35 +503,7 @@ function getCurrentWeather() {
     const STORAGE_KEY = 'acsusPawsPuffs';
     const userProfile = extension_settings[STORAGE_KEY]?.phone?.userProfile;
 
-    // 检查天气数据是否存在
-    if (!userProfile?.weatherCity || !userProfile?.weatherTemp) {
-      return ''; // 没有设置天气，返回空字符串
-    }
-
-    // 天气图标名到中文的映射
-    const iconToChinese = {
-      'sun': '晴',
-      'cloud-sun': '多云',
-      'cloud': '阴',
-      'cloud-rain': '雨',
-      'cloud-showers-heavy': '大雨',
-      'cloud-bolt': '雷暴',
-      'snowflake': '雪',
-      'smog': '雾霾'
-    };
-
-    // 获取天气中文描述（如果有icon的话）
-    const weatherDesc = userProfile.weatherIcon
-      ? iconToChinese[userProfile.weatherIcon] || ''
-      : '';
-
-    // 简洁格式：城市 天气 温度°C
-    if (weatherDesc) {
-      return `${userProfile.weatherCity} ${weatherDesc} ${userProfile.weatherTemp}°C`;
-    } else {
-      // 没有天气描述，只显示城市和温度
-      return `${userProfile.weatherCity} ${userProfile.weatherTemp}°C`;
-    }
+    return formatWeatherText(resolveWeather(userProfile, getStoryDate(userProfile)));
   } catch (error) {
     logger.error('phone','[TavernMacros] 获取当前天气失败:', error);
     return '';
@@ -510,6 +535,11 @@ export function unregisterPhoneMacros() {
       savedHandlers.contactListChanged = null;
     }
 
+    if (savedHandlers.chatChanged) {
+      eventSource.removeListener(event_types.CHAT_CHANGED, savedHandlers.chatChanged);
+      savedHandlers.chatChanged = null;
+    }
+
     macrosRegistered = false;
 
     logger.info('phone','[TavernMacros] ✅ 已注销所有手机宏');
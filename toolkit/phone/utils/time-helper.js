@@ -146,5 +146,74 @@ export function getCurrentTimestamp() {
   return Math.floor(Date.now() / 1000);
 }
 
+/**
+ * 解析时长文字为秒数（语音、通话消息用）
+ *
+ * @param {string} text - 时长文字
+ * @returns {number|null} 秒数，无法识别返回 null
+ *
+ * @example
+ * parseDurationText('12秒');     // 12
+ * parseDurationText('12"');      // 12
+ * parseDurationText('3分12秒');  // 192
+ * parseDurationText('5分钟');    // 300
+ * parseDurationText('1小时2分'); // 3720
+ * parseDurationText('03:12');    // 192
+ */
+export function parseDurationText(text) {
+  const str = (text || '').trim();
+  if (!str) return null;
+
+  // 时钟格式：mm:ss 或 hh:mm:ss
+  const clockMatch = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clockMatch) {
+    return (parseInt(clockMatch[1] || '0') * 3600) + (parseInt(clockMatch[2]) * 60) + parseInt(clockMatch[3]);
+  }
+
+  const unitMatch = str.match(/^(?:(\d+)\s*(?:小时|h))?\s*(?:(\d+)\s*(?:分钟|分|min|m|'))?\s*(?:(\d+)\s*(?:秒钟|秒|s|"|″))?$/i);
+  if (unitMatch && (unitMatch[1] || unitMatch[2] || unitMatch[3])) {
+    return (parseInt(unitMatch[1] || '0') * 3600) + (parseInt(unitMatch[2] || '0') * 60) + parseInt(unitMatch[3] || '0');
+  }
+
+  // 纯数字按秒算
+  if (/^\d+$/.test(str)) {
+    return parseInt(str);
+  }
+
+  return null;
+}
+
+/**
+ * 格式化秒数为中文时长（AI上下文用，可被 parseDurationText 解析回来）
+ *
+ * @param {number} seconds - 秒数
+ * @returns {string} 如 '12秒' | '3分12秒' | '1小时2分0秒'
+ */
+export function formatDurationText(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) return `${hours}小时${minutes}分${secs}秒`;
+  if (minutes > 0) return `${minutes}分${secs}秒`;
+  return `${secs}秒`;
+}
+
+/**
+ * 格式化秒数为时钟格式（页面UI用）
+ *
+ * @param {number} seconds - 秒数
+ * @returns {string} 如 '00:12' | '03:12' | '1:02:00'
+ */
+export function formatDurationClock(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+}
+
 export { formatTime };
 
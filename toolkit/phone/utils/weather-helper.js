@@ -3,28 +3,337 @@
  * @module phone/utils/weather-helper
  * 
  * @description
- * 使用 wttr.in 免费天气API获取城市天气信息，无需API key。
- * 支持中文城市名，返回温度、天气描述和图标。
+ * 天气来源可切换（天气提供者）：
+ * - live：wttr.in 免费天气API在线获取（无需API key，支持中文城市名），结果按城市缓存
+ * - manual：手动设置，每个城市各存一份温度和图标
+ * - simulated：模拟天气，按城市 + 日期 + 气候类型生成，同一天结果固定，不需要联网（虚构城市也能用）
+ *
+ * {{phoneWeather}} 宏和个人页天气按钮都通过 resolveWeather 同步读取：
+ * 在线来源没有缓存（没联网、获取失败）时退回模拟天气，保证离线也有内容。
+ * 模拟天气按故事日期（storyDate）生成，故事里是冬天就出冬天的天气；没设置时用现实日期。
+ *
+ * 用户配置（phone.userProfile）里的天气字段：
+ * {
+ *   weatherSource: 'manual',         // 天气来源（见 WEATHER_SOURCES）
+ *   weatherCity: '北京',
+ *   weatherClimate: 'temperate',     // 模拟天气的气候类型（见 CLIMATE_PROFILES）
+ *   storyDate: '2024-01-15',         // 故事日期（YYYY-MM-DD），空字符串表示用现实日期
+ *   weatherManualValues: { 北京: { temp: '29', icon: 'sun' } },
+ *   weatherLiveCache: { 北京: { temp: '29', icon: 'sun', weather: '晴', time: 毫秒时间戳 } },
+ *   weatherTemp / weatherIcon        // 旧版的单组手动值（手动来源没存该城市时使用）
+ * }
  */
 
 import logger from '../../../logger.js';
 
 /**
- * 获取城市天气（使用 wttr.in，无需API key）
- * 
+ * 天气图标 → 中文描述
+ * @type {Object<string, string>}
+ */
+export const WEATHER_ICON_TEXT = {
+  'sun': '晴',
+  'cloud-sun': '多云',
+  'cloud': '阴',
+  'cloud-rain': '雨',
+  'cloud-showers-heavy': '大雨',
+  'cloud-bolt': '雷暴',
+  'snowflake': '雪',
+  'smog': '雾霾'
+};
+
+/**
+ * 气候类型（模拟天气用）
+ *
+ * temps：1-12月平均气温（°C），range：日间随机浮动幅度，
+ * wet：1-12月降水概率，snowBelow：低于该气温降水为雪
+ */
+export const CLIMATE_PROFILES = {
+  temperate: {
+    label: '温带季风（如北京）',
+    temps: [-3, 0, 7, 15, 21, 26, 27, 26, 21, 13, 5, -1],
+    range: 5,
+    wet: [0.08, 0.1, 0.12, 0.18, 0.22, 0.32, 0.48, 0.42, 0.26, 0.16, 0.12, 0.08],
+    snowBelow: 1
+  },
+  subtropical: {
+    label: '亚热带（如上海）',
+    temps: [5, 7, 11, 17, 22, 25, 29, 29, 25, 20, 14, 8],
+    range: 4,
+    wet: [0.3, 0.32, 0.38, 0.4, 0.42, 0.55, 0.45, 0.42, 0.35, 0.25, 0.25, 0.25],
+    snowBelow: 0
+  },
+  tropical: {
+    label: '热带（如三亚）',
+    temps: [22, 23, 25, 27, 28, 29, 29, 28, 28, 27, 25, 23],
+    range: 3,
+    wet: [0.1, 0.1, 0.12, 0.18, 0.35, 0.45, 0.45, 0.5, 0.55, 0.4, 0.2, 0.12],
+    snowBelow: -99
+  },
+  cold: {
+    label: '寒带（如哈尔滨）',
+    temps: [-18, -13, -3, 8, 16, 21, 23, 21, 15, 6, -5, -15],
+    range: 6,
+    wet: [0.15, 0.12, 0.15, 0.18, 0.22, 0.35, 0.45, 0.4, 0.25, 0.18, 0.18, 0.18],
+    snowBelow: 1
+  },
+  oceanic: {
+    label: '温带海洋（如伦敦）',
+    temps: [5, 5, 7, 9, 13, 16, 18, 18, 15, 12, 8, 5],
+    range: 3,
+    wet: [0.5, 0.45, 0.42, 0.4, 0.4, 0.38, 0.38, 0.4, 0.42, 0.5, 0.52, 0.52],
+    snowBelow: 0
+  },
+  desert: {
+    label: '干旱沙漠（如吐鲁番）',
+    temps: [-7, 0, 10, 20, 26, 31, 33, 31, 24, 14, 4, -5],
+    range: 7,
+    wet: [0.03, 0.03, 0.03, 0.04, 0.05, 0.06, 0.06, 0.05, 0.04, 0.03, 0.03, 0.03],
+    snowBelow: 0
+  }
+};
+
+/** 默认气候类型 */
+const DEFAULT_CLIMATE = 'temperate';
+
+/**
+ * 天气提供者注册表
+ *
+ * 每个提供者：
+ * - label：显示名称
+ * - fetch(city, profile)：可选，异步获取（在线来源）
+ * - resolve(city, profile, date)：同步取当前天气，取不到返回 null
+ *
+ * @type {Object<string, {label: string, fetch?: Function, resolve: Function}>}
+ */
+const providers = {
+  live: {
+    label: '在线获取',
+    fetch: (city) => fetchLiveWeather(city),
+    resolve: (city, profile) => {
+      const cached = profile.weatherLiveCache?.[city];
+      return cached ? { ...cached, city } : null;
+    }
+  },
+  manual: {
+    label: '手动设置',
+    resolve: (city, profile) => {
+      const manual = profile.weatherManualValues?.[city];
+      if (manual) return { ...manual, city };
+      // 旧版只存了一组手动值
+      if (profile.weatherTemp) {
+        return { temp: profile.weatherTemp, icon: profile.weatherIcon || 'cloud-sun', city };
+      }
+      return null;
+    }
+  },
+  simulated: {
+    label: '模拟天气',
+    resolve: (city, profile, date) => simulateWeather(city, date, profile.weatherClimate)
+  }
+};
+
+/**
+ * 注册天气提供者（供其他模块扩展天气来源）
+ *
+ * @param {string} id - 来源ID（保存在 userProfile.weatherSource）
+ * @param {Object} provider - 提供者
+ * @param {string} provider.label - 显示名称
+ * @param {Function} provider.resolve - (city, profile, date) => 天气数据或null
+ * @param {Function} [provider.fetch] - async (city, profile) => 天气数据
+ */
+export function registerWeatherProvider(id, provider) {
+  if (!id || typeof provider?.resolve !== 'function') {
+    throw new Error('天气提供者缺少 resolve 函数');
+  }
+  providers[id] = provider;
+  logger.debug('phone','[WeatherHelper] 已注册天气提供者:', id);
+}
+
+/**
+ * 获取所有天气来源（设置弹窗的下拉框用）
+ *
+ * @returns {Array<{id: string, label: string}>}
+ */
+export function getWeatherSources() {
+  return Object.entries(providers).map(([id, provider]) => ({ id, label: provider.label }));
+}
+
+/**
+ * 获取城市天气
+ *
  * @async
  * @param {string} city - 城市名（支持中文，如"北京"、"东城"、"上海"）
+ * @param {string} [source='live'] - 天气来源
+ * @param {Object} [profile={}] - 用户配置（手动值、气候类型等）
  * @returns {Promise<Object>} 天气数据 { temp: "29", weather: "晴", icon: "sun", city: "北京" }
- * @throws {Error} 网络错误或城市不存在时
+ * @throws {Error} 城市为空、来源不存在、网络错误或城市不存在时
  * @example
  * const weather = await getWeather('北京');
  * console.log(weather); // { temp: "29", weather: "晴", icon: "sun", city: "北京" }
  */
-export async function getWeather(city) {
+export async function getWeather(city, source = 'live', profile = {}) {
   if (!city || typeof city !== 'string') {
     throw new Error('城市名不能为空');
   }
 
+  const provider = providers[source];
+  if (!provider) {
+    throw new Error(`未知的天气来源: ${source}`);
+  }
+
+  if (provider.fetch) {
+    return provider.fetch(city, profile);
+  }
+
+  const weather = provider.resolve(city, profile, getStoryDate(profile));
+  if (!weather) {
+    throw new Error('该城市还没有设置天气');
+  }
+  return withWeatherText(weather);
+}
+
+/**
+ * 获取故事日期（模拟天气用）
+ *
+ * @param {Object|null|undefined} profile - 用户配置（phone.userProfile）
+ * @returns {Date} 设置了 storyDate 时返回故事日期，否则返回现实的今天
+ */
+export function getStoryDate(profile) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(profile?.storyDate || '');
+  if (!match) return new Date();
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * 同步获取当前天气（宏替换、界面显示用）
+ *
+ * @param {Object|null|undefined} profile - 用户配置（phone.userProfile）
+ * @param {Date} [date] - 日期（模拟天气按日期生成），默认用故事日期（见 getStoryDate）
+ * @returns {Object|null} { temp, weather, icon, city, source, fallback }，没设置城市返回 null
+ *
+ * @description
+ * 当前来源取不到（在线来源没联网、手动来源没填这个城市）时退回模拟天气，fallback=true
+ */
+export function resolveWeather(profile, date = getStoryDate(profile)) {
+  const city = profile?.weatherCity;
+  if (!city) return null;
+
+  const source = providers[profile.weatherSource] ? profile.weatherSource : 'manual';
+
+  let weather = null;
+  try {
+    weather = providers[source].resolve(city, profile, date);
+  } catch (error) {
+    logger.warn('phone','[WeatherHelper.resolveWeather] 天气来源出错，改用模拟天气:', source, error.message);
+  }
+
+  if (weather) {
+    return { ...withWeatherText(weather), source, fallback: false };
+  }
+  return { ...simulateWeather(city, date, profile.weatherClimate), source, fallback: true };
+}
+
+/**
+ * 格式化天气为宏输出文本
+ *
+ * @param {Object|null} weather - resolveWeather 的返回值
+ * @returns {string} 如 "北京 晴 29°C"，没有天气返回空字符串
+ */
+export function formatWeatherText(weather) {
+  if (!weather) return '';
+  return weather.weather
+    ? `${weather.city} ${weather.weather} ${weather.temp}°C`
+    : `${weather.city} ${weather.temp}°C`;
+}
+
+/**
+ * 补全天气描述（手动值只有图标）
+ * @param {Object} weather - 天气数据
+ * @returns {Object}
+ */
+function withWeatherText(weather) {
+  return { ...weather, weather: weather.weather || WEATHER_ICON_TEXT[weather.icon] || '' };
+}
+
+/**
+ * 生成模拟天气
+ *
+ * @param {string} city - 城市名
+ * @param {Date} date - 日期（同一城市同一天结果相同）
+ * @param {string} [climate] - 气候类型（CLIMATE_PROFILES 的键，默认温带）
+ * @returns {{temp: string, weather: string, icon: string, city: string}}
+ */
+export function simulateWeather(city, date, climate = DEFAULT_CLIMATE) {
+  const profile = CLIMATE_PROFILES[climate] || CLIMATE_PROFILES[DEFAULT_CLIMATE];
+  const month = date.getMonth();
+  const dayKey = `${date.getFullYear()}-${month + 1}-${date.getDate()}`;
+  const random = createSeededRandom(`${city}|${dayKey}|${climate}`);
+
+  let temp = Math.round(profile.temps[month] + (random() * 2 - 1) * profile.range);
+  let icon;
+
+  if (random() < profile.wet[month]) {
+    // 降水：雨天比晴天凉一点
+    temp -= 2;
+    if (temp <= profile.snowBelow) {
+      icon = 'snowflake';
+    } else {
+      const roll = random();
+      if (roll < 0.15 && temp >= 20) {
+        icon = 'cloud-bolt';
+      } else if (roll < 0.4) {
+        icon = 'cloud-showers-heavy';
+      } else {
+        icon = 'cloud-rain';
+      }
+    }
+  } else {
+    const roll = random();
+    if (roll < 0.45) {
+      icon = 'sun';
+    } else if (roll < 0.75) {
+      icon = 'cloud-sun';
+    } else if (roll < 0.95) {
+      icon = 'cloud';
+    } else {
+      icon = 'smog';
+    }
+  }
+
+  return { temp: String(temp), weather: WEATHER_ICON_TEXT[icon], icon, city };
+}
+
+/**
+ * 用字符串做种子的伪随机数（FNV-1a 哈希 + mulberry32）
+ * @param {string} seedText - 种子
+ * @returns {function(): number} 返回 [0, 1) 的函数
+ */
+function createSeededRandom(seedText) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seedText.length; i++) {
+    hash ^= seedText.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 在线获取城市天气（使用 wttr.in，无需API key）
+ * 
+ * @async
+ * @param {string} city - 城市名
+ * @returns {Promise<Object>} 天气数据 { temp: "29", weather: "晴", icon: "sun", city: "北京" }
+ * @throws {Error} 网络错误或城市不存在时
+ */
+async function fetchLiveWeather(city) {
   try {
     logger.debug('phone','[WeatherHelper.getWeather] 获取天气:', city);
 
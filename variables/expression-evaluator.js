@@ -0,0 +1,536 @@
+/**
+ * 条件表达式求值器 (Expression Evaluator)
+ *
+ * @description
+ * 表达式触发用的安全求值器：自己做词法和语法分析，不使用 eval / new Function，
+ * 表达式里只能读取变量和聊天状态，不能执行任何代码。
+ *
+ * 支持的写法：
+ * - 变量：{{好感度}}（读取变量当前值）
+ * - 聊天状态：message.length / 消息长度、message.text / 消息内容、
+ *   char.name / 角色名、user.name / 用户名、floor / 楼层
+ *   （也可以用空格连接，如 message length）
+ * - 比较：== != > >= < <=、contains / 包含、is / 是、is not / 不是、不包含
+ * - 逻辑：&& || !、and / or / not、且 / 或 / 非
+ * - 算术：+ - * / %，括号
+ * - 字面量：数字、"字符串" / '字符串' / “字符串” / 「字符串」、true / false
+ *
+ * 未知的单词按字符串处理，所以 `char.name is 艾莉丝` 不用加引号。
+ * 中文关键词两边需要空格（如 `角色名 是 艾莉丝`）。
+ *
+ * @example
+ * evaluator.evaluate('{{好感度}} >= 80', { variables: { 好感度: '85' } }); // true
+ * evaluator.evaluate('message length > 2000', { state: { 'message.length': 120 } }); // false
+ */
+
+// ============================================
+// 常量
+// ============================================
+
+/** 表达式长度上限 */
+const MAX_EXPRESSION_LENGTH = 500;
+
+/** 聊天状态的标准名（由触发管理器填充） */
+export const STATE_KEYS = ['message.length', 'message.text', 'char.name', 'user.name', 'floor'];
+
+/**
+ * 聊天状态别名 → 标准名
+ * @type {Object<string, string>}
+ */
+const STATE_ALIASES = {
+    '消息长度': 'message.length',
+    '消息': 'message.text',
+    '消息内容': 'message.text',
+    '角色名': 'char.name',
+    '用户名': 'user.name',
+    '楼层': 'floor',
+    'chat.length': 'floor'
+};
+
+/**
+ * 单词关键词 → 运算符（英文不区分大小写）
+ * @type {Object<string, string>}
+ */
+const WORD_OPERATORS = {
+    'and': '&&',
+    '且': '&&',
+    '并且': '&&',
+    'or': '||',
+    '或': '||',
+    '或者': '||',
+    'not': '!',
+    '非': '!',
+    'contains': 'contains',
+    '包含': 'contains',
+    '不包含': '!contains',
+    'is': '==',
+    '是': '==',
+    '等于': '==',
+    '不是': '!='
+};
+
+/** 布尔字面量 */
+const BOOLEAN_LITERALS = {
+    'true': true,
+    '真': true,
+    'false': false,
+    '假': false
+};
+
+/** 符号运算符（长的在前，保证 >= 先于 > 匹配） */
+const SYMBOL_OPERATORS = ['>=', '<=', '==', '!=', '&&', '||', '>', '<', '!', '+', '-', '*', '/', '%', '='];
+
+/** 引号配对 */
+const QUOTE_PAIRS = {
+    '"': '"',
+    "'": "'",
+    '“': '”',
+    '「': '」'
+};
+
+// ============================================
+// 类型定义
+// ============================================
+
+/**
+ * 词法单元
+ * @typedef {Object} ExpressionToken
+ * @property {'number'|'string'|'boolean'|'variable'|'ident'|'op'|'('|')'} type
+ * @property {*} value
+ */
+
+/**
+ * 求值上下文
+ * @typedef {Object} ExpressionContext
+ * @property {Object<string, string>} [variables] - 变量名 → 当前值
+ * @property {Object<string, string|number|boolean>} [state] - 聊天状态（message.length 等）
+ */
+
+// ============================================
+// ExpressionEvaluator 类
+// ============================================
+
+/**
+ * 条件表达式求值器类
+ */
+export class ExpressionEvaluator {
+    constructor() {
+        // 无状态，不需要初始化
+    }
+
+    // ========================================
+    // 公开方法
+    // ========================================
+
+    /**
+     * 求值表达式
+     * @param {string} expression
+     * @param {ExpressionContext} [context={}]
+     * @returns {boolean} 表达式结果（按真假转换）
+     * @throws {Error} 语法错误
+     */
+    evaluate(expression, context = {}) {
+        const tokens = this._tokenize(expression);
+        const parser = new ExpressionParser(tokens, context);
+        return toBoolean(parser.parse());
+    }
+
+    /**
+     * 校验表达式语法（用空上下文试算一次）
+     * @param {string} expression
+     * @returns {{valid: boolean, error?: string}}
+     */
+    validate(expression) {
+        if (!expression || !expression.trim()) {
+            return { valid: false, error: '表达式不能为空' };
+        }
+        try {
+            // 聊天状态放占位值，保证 message length 这类写法能按状态名解析
+            const state = Object.fromEntries(STATE_KEYS.map(key => [key, '']));
+            this.evaluate(expression, { state });
+            return { valid: true };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * 提取表达式引用的变量名（求值前先异步读取这些变量）
+     * @param {string} expression
+     * @returns {string[]}
+     */
+    extractVariableNames(expression) {
+        const names = new Set();
+        for (const match of (expression || '').matchAll(/\{\{([^{}]+)\}\}/g)) {
+            names.add(match[1].trim());
+        }
+        return [...names];
+    }
+
+    // ========================================
+    // 词法分析
+    // ========================================
+
+    /**
+     * 拆分词法单元
+     * @private
+     * @param {string} expression
+     * @returns {ExpressionToken[]}
+     * @throws {Error} 无法识别的字符、引号未闭合、表达式过长
+     */
+    _tokenize(expression) {
+        const text = String(expression || '');
+        if (text.length > MAX_EXPRESSION_LENGTH) {
+            throw new Error(`表达式太长（最多 ${MAX_EXPRESSION_LENGTH} 字）`);
+        }
+
+        /** @type {ExpressionToken[]} */
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // 变量 {{名称}}
+            if (text.startsWith('{{', i)) {
+                const end = text.indexOf('}}', i + 2);
+                if (end === -1) {
+                    throw new Error('变量缺少 }}');
+                }
+                tokens.push({ type: 'variable', value: text.slice(i + 2, end).trim() });
+                i = end + 2;
+                continue;
+            }
+
+            // 字符串
+            if (QUOTE_PAIRS[char]) {
+                const end = text.indexOf(QUOTE_PAIRS[char], i + 1);
+                if (end === -1) {
+                    throw new Error('字符串缺少结束引号');
+                }
+                tokens.push({ type: 'string', value: text.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+
+            // 数字
+            const numberMatch = text.slice(i).match(/^\d+(?:\.\d+)?/);
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            // 括号（含全角）
+            if (char === '(' || char === '（') {
+                tokens.push({ type: '(', value: '(' });
+                i++;
+                continue;
+            }
+            if (char === ')' || char === '）') {
+                tokens.push({ type: ')', value: ')' });
+                i++;
+                continue;
+            }
+
+            // 符号运算符
+            const symbol = SYMBOL_OPERATORS.find(op => text.startsWith(op, i));
+            if (symbol) {
+                tokens.push({ type: 'op', value: symbol === '=' ? '==' : symbol });
+                i += symbol.length;
+                continue;
+            }
+
+            // 单词（标识符、关键词）
+            const wordMatch = text.slice(i).match(/^[A-Za-z_\u4e00-\u9fa5][\w.\u4e00-\u9fa5]*/);
+            if (wordMatch) {
+                tokens.push(this._wordToken(wordMatch[0], tokens));
+                i += wordMatch[0].length;
+                continue;
+            }
+
+            throw new Error(`无法识别的字符 "${char}"`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 单词转词法单元（关键词 / 布尔值 / 标识符）
+     * @private
+     * @param {string} word
+     * @param {ExpressionToken[]} tokens - 已有的词法单元（处理 is not）
+     * @returns {ExpressionToken}
+     */
+    _wordToken(word, tokens) {
+        const lower = word.toLowerCase();
+
+        // is not → !=（替换前一个 is）
+        const previous = tokens[tokens.length - 1];
+        if (lower === 'not' && previous?.type === 'op' && previous.value === '==') {
+            tokens.pop();
+            return { type: 'op', value: '!=' };
+        }
+
+        // 只认自身的键，constructor、toString 之类不能从原型上查到
+        if (Object.hasOwn(WORD_OPERATORS, lower)) {
+            return { type: 'op', value: WORD_OPERATORS[lower] };
+        }
+        if (Object.hasOwn(BOOLEAN_LITERALS, lower)) {
+            return { type: 'boolean', value: BOOLEAN_LITERALS[lower] };
+        }
+        return { type: 'ident', value: word };
+    }
+}
+
+// ============================================
+// 语法分析（递归下降，边解析边求值）
+// ============================================
+
+/**
+ * 表达式解析器
+ *
+ * 优先级（低 → 高）：|| → && → ! → 比较 → + - → * / % → 一元负号 → 基本值
+ * @private
+ */
+class ExpressionParser {
+    /**
+     * @param {ExpressionToken[]} tokens
+     * @param {ExpressionContext} context
+     */
+    constructor(tokens, context) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.variables = context.variables || {};
+        this.state = context.state || {};
+    }
+
+    /**
+     * 解析整个表达式
+     * @returns {*}
+     */
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new Error('表达式不能为空');
+        }
+        const value = this._parseOr();
+        if (this.position < this.tokens.length) {
+            throw new Error(`多余的内容 "${this.tokens[this.position].value}"`);
+        }
+        return value;
+    }
+
+    _peek() {
+        return this.tokens[this.position];
+    }
+
+    _next() {
+        return this.tokens[this.position++];
+    }
+
+    /**
+     * 当前是指定运算符时消费并返回 true
+     * @param {...string} ops
+     * @returns {string|null}
+     */
+    _matchOp(...ops) {
+        const token = this._peek();
+        if (token?.type === 'op' && ops.includes(token.value)) {
+            this.position++;
+            return token.value;
+        }
+        return null;
+    }
+
+    _parseOr() {
+        let left = this._parseAnd();
+        while (this._matchOp('||')) {
+            const right = this._parseAnd();
+            left = toBoolean(left) || toBoolean(right);
+        }
+        return left;
+    }
+
+    _parseAnd() {
+        let left = this._parseNot();
+        while (this._matchOp('&&')) {
+            const right = this._parseNot();
+            left = toBoolean(left) && toBoolean(right);
+        }
+        return left;
+    }
+
+    _parseNot() {
+        if (this._matchOp('!')) {
+            return !toBoolean(this._parseNot());
+        }
+        return this._parseComparison();
+    }
+
+    _parseComparison() {
+        const left = this._parseAdditive();
+        const op = this._matchOp('==', '!=', '>', '>=', '<', '<=', 'contains', '!contains');
+        if (!op) return left;
+
+        const right = this._parseAdditive();
+        return compare(left, op, right);
+    }
+
+    _parseAdditive() {
+        let left = this._parseMultiplicative();
+        let op;
+        while ((op = this._matchOp('+', '-'))) {
+            const right = this._parseMultiplicative();
+            left = op === '+' ? Number(left) + Number(right) : Number(left) - Number(right);
+        }
+        return left;
+    }
+
+    _parseMultiplicative() {
+        let left = this._parseUnary();
+        let op;
+        while ((op = this._matchOp('*', '/', '%'))) {
+            const right = Number(this._parseUnary());
+            if (op === '*') left = Number(left) * right;
+            if (op === '/') left = Number(left) / right;
+            if (op === '%') left = Number(left) % right;
+        }
+        return left;
+    }
+
+    _parseUnary() {
+        if (this._matchOp('-')) {
+            return -Number(this._parseUnary());
+        }
+        return this._parsePrimary();
+    }
+
+    _parsePrimary() {
+        const token = this._next();
+        if (!token) {
+            throw new Error('表达式不完整');
+        }
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+            case 'boolean':
+                return token.value;
+            case 'variable':
+                return Object.hasOwn(this.variables, token.value) ? (this.variables[token.value] ?? '') : '';
+            case 'ident':
+                return this._resolveIdentifier(token.value);
+            case '(': {
+                const value = this._parseOr();
+                if (this._next()?.type !== ')') {
+                    throw new Error('缺少右括号');
+                }
+                return value;
+            }
+            default:
+                throw new Error(`这里不能是 "${token.value}"`);
+        }
+    }
+
+    /**
+     * 解析标识符：聊天状态（支持空格连接，如 message length），未知单词按字符串处理
+     * @param {string} word
+     * @returns {*}
+     */
+    _resolveIdentifier(word) {
+        const alias = (key) => Object.hasOwn(STATE_ALIASES, key) ? STATE_ALIASES[key] : null;
+        let name = alias(word) || word;
+
+        // message length → message.length
+        while (this._peek()?.type === 'ident') {
+            const joined = `${name}.${this._peek().value}`;
+            if (!Object.hasOwn(this.state, joined) && !alias(joined)) break;
+            name = alias(joined) || joined;
+            this.position++;
+        }
+
+        return Object.hasOwn(this.state, name) ? this.state[name] : word;
+    }
+}
+
+// ============================================
+// 求值工具
+// ============================================
+
+/**
+ * 是否是数字（或数字字符串）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumeric(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (typeof value !== 'string' || value.trim() === '') return false;
+    return Number.isFinite(Number(value));
+}
+
+/**
+ * 转为真假：false / 0 / 空串 / "false" / "0" 为假
+ * @param {*} value
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        return trimmed !== '' && trimmed !== 'false' && trimmed !== '0';
+    }
+    return !!value;
+}
+
+/**
+ * 比较两个值（两边都是数字时按数字比较）
+ * @param {*} left
+ * @param {string} op
+ * @param {*} right
+ * @returns {boolean}
+ */
+function compare(left, op, right) {
+    const numeric = isNumeric(left) && isNumeric(right);
+
+    switch (op) {
+        case '==':
+            return numeric ? Number(left) === Number(right) : String(left).trim() === String(right).trim();
+        case '!=':
+            return numeric ? Number(left) !== Number(right) : String(left).trim() !== String(right).trim();
+        case 'contains':
+            return String(left).toLowerCase().includes(String(right).toLowerCase());
+        case '!contains':
+            return !String(left).toLowerCase().includes(String(right).toLowerCase());
+        default:
+            // 大小比较只对数字有意义
+            if (!numeric) return false;
+            if (op === '>') return Number(left) > Number(right);
+            if (op === '>=') return Number(left) >= Number(right);
+            if (op === '<') return Number(left) < Number(right);
+            return Number(left) <= Number(right);
+    }
+}
+
+// ============================================
+// 导出单例
+// ============================================
+
+/** @type {ExpressionEvaluator|null} */
+let instance = null;
+
+/**
+ * 获取 ExpressionEvaluator 单例
+ * @returns {ExpressionEvaluator}
+ */
+export function getExpressionEvaluator() {
+    if (!instance) {
+        instance = new ExpressionEvaluator();
+    }
+    return instance;
+}
+
+export default ExpressionEvaluator;
@@ -0,0 +1,185 @@
+/**
+ * 楼层回退管理器 (Floor Rollback Manager)
+ *
+ * @description
+ * 分析结果写入变量时记下来源楼层和 swipe 序号（见 AnalysisSource），
+ * 这里监听酒馆的删除/滑动事件，把来源已经不在的结果丢掉：
+ * - 删除楼层（含重新生成）：来源楼层 >= 当前楼层数的结果失效
+ * - 滑动切换 swipe：来源楼层的 swipe 序号对不上的结果失效
+ * 叠加变量删除对应条目，覆盖变量退回到上一个有效的历史值。
+ * 手动写入的值没有来源，不受影响。
+ */
+
+import logger from '../logger.js';
+import { eventSource, event_types } from '../../../../../script.js';
+import { getContext } from '../../../../extensions.js';
+import { getVariableManagerV2 } from './variable-manager-v2.js';
+
+// ============================================
+// 类型导入（仅用于 JSDoc）
+// ============================================
+
+/**
+ * @typedef {import('./variable-types.js').AnalysisSource} AnalysisSource
+ */
+
+// ============================================
+// 工具函数
+// ============================================
+
+/**
+ * 获取楼层的来源标记
+ * @param {Array<Object>} chat - 聊天消息数组
+ * @param {number} [floor] - 楼层号，默认最后一条消息
+ * @returns {AnalysisSource|null} 聊天为空时返回 null
+ */
+export function getFloorSource(chat, floor) {
+    const index = floor ?? (chat?.length || 0) - 1;
+    const message = chat?.[index];
+    if (!message) return null;
+
+    return {
+        floor: index,
+        swipeId: message.swipe_id ?? 0
+    };
+}
+
+/**
+ * 来源楼层是否已失效（被删除，或 swipe 已切换）
+ * @param {AnalysisSource} source
+ * @param {Array<Object>} chat - 当前聊天消息数组
+ * @returns {boolean}
+ */
+export function isSourceStale(source, chat) {
+    const message = chat?.[source.floor];
+    if (!message) return true;
+    return (message.swipe_id ?? 0) !== source.swipeId;
+}
+
+// ============================================
+// FloorRollbackManager 类
+// ============================================
+
+/**
+ * 楼层回退管理器类
+ */
+export class FloorRollbackManager {
+    constructor() {
+        /** @type {boolean} */
+        this.initialized = false;
+
+        // 绑定事件处理器
+        this._onChatModified = this._onChatModified.bind(this);
+    }
+
+    /**
+     * 初始化
+     */
+    init() {
+        if (this.initialized) {
+            logger.debug('variable', '[FloorRollback] 已初始化，跳过');
+            return;
+        }
+
+        eventSource.on(event_types.MESSAGE_DELETED, this._onChatModified);
+        eventSource.on(event_types.MESSAGE_SWIPED, this._onChatModified);
+
+        this.initialized = true;
+        logger.info('variable', '[FloorRollback] 初始化完成');
+    }
+
+    /**
+     * 销毁
+     */
+    destroy() {
+        eventSource.removeListener(event_types.MESSAGE_DELETED, this._onChatModified);
+        eventSource.removeListener(event_types.MESSAGE_SWIPED, this._onChatModified);
+
+        this.initialized = false;
+        logger.info('variable', '[FloorRollback] 已销毁');
+    }
+
+    // ========================================
+    // 事件处理
+    // ========================================
+
+    /**
+     * 删除楼层 / 切换 swipe 后检查当前聊天
+     * @private
+     */
+    async _onChatModified() {
+        try {
+            await this.rollback();
+        } catch (error) {
+            logger.error('variable', '[FloorRollback] 回退失败:', error);
+        }
+    }
+
+    // ========================================
+    // 回退
+    // ========================================
+
+    /**
+     * 丢弃当前聊天里来源已失效的分析结果
+     * @async
+     * @returns {Promise<number>} 丢弃的条数
+     */
+    async rollback() {
+        const ctx = getContext();
+        const chatId = ctx?.chatId;
+        if (!chatId) return 0;
+
+        const chat = ctx.chat || [];
+        const variableManager = getVariableManagerV2();
+        const isStale = (source) => isSourceStale(source, chat);
+
+        let total = 0;
+        for (const variable of variableManager.getDefinitions()) {
+            const removed = await variableManager.discardStaleResults(variable.id, chatId, isStale);
+            if (removed > 0) {
+                logger.debug('variable', '[FloorRollback] 已回退:', variable.name, removed, '条');
+                total += removed;
+            }
+        }
+
+        if (total > 0) {
+            logger.info('variable', '[FloorRollback] 楼层变动，已回退', total, '条分析结果');
+            toastr.info(`楼层已变动，回退了 ${total} 条变量结果`);
+
+            // UI 监听此事件刷新条目列表
+            eventSource.emit('paws_variables_rolled_back', { chatId, removed: total });
+        }
+
+        return total;
+    }
+}
+
+// ============================================
+// 导出单例
+// ============================================
+
+/** @type {FloorRollbackManager|null} */
+let instance = null;
+
+/**
+ * 获取 FloorRollbackManager 单例
+ * @returns {FloorRollbackManager}
+ */
+export function getFloorRollbackManager() {
+    if (!instance) {
+        instance = new FloorRollbackManager();
+    }
+    return instance;
+}
+
+/**
+ * 重置单例
+ */
+export function resetFloorRollbackManager() {
+    if (instance) {
+        instance.destroy();
+    }
+    instance = null;
+}
+
+export default FloorRollbackManager;
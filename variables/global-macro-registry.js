@@ -479,8 +479,8 @@ function getVariableContentForMacro(variableName, rangeStr) {
       return '';
     }
 
-    // 同步获取变量值（会先确保缓存加载）
-    return getVariableValueSync(variable, chatId, rangeStr);
+    // 同步获取变量值（会先确保缓存加载），类型变量还没有值时显示初始值
+    return getVariableValueSync(variable, chatId, rangeStr) || variableManager.getInitialValue(variable);
   } catch (error) {
     logger.error('variable', '[GlobalMacroRegistry] 获取变量内容失败:', variableName, error.message);
     return '';
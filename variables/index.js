@@ -15,11 +15,14 @@ import { getSuiteManager, resetSuiteManager } from './suite-manager.js';
 import { getVariableManagerV2, resetVariableManagerV2 } from './variable-manager-v2.js';
 import { getMacroProcessor, resetMacroProcessor } from './macro-processor.js';
 import { getTagParser, resetTagParser } from './tag-parser.js';
+import { getExpressionEvaluator } from './expression-evaluator.js';
 import { getTriggerManager, resetTriggerManager } from './trigger-manager.js';
+import { getFloorRollbackManager, resetFloorRollbackManager } from './floor-rollback-manager.js';
 import { getVariableAnalyzerV2, resetVariableAnalyzerV2 } from './variable-analyzer-v2.js';
 import { getChatContentProcessor, resetChatContentProcessor } from './chat-content-processor.js';
 import { getSendQueueManager } from './send-queue-manager.js';
 import { registerAllGlobalMacros, destroyGlobalMacros } from './global-macro-registry.js';
+import { registerVariableSlashCommands, unregisterVariableSlashCommands } from './slash-commands.js';
 import { initBranchInherit, destroyBranchInherit } from './branch-inherit-manager.js';
 
 // 存储模块
@@ -233,7 +236,7 @@ export async function initVariables() {
                 return contents.join('\n\n');
             } else {
                 const value = await variableManager.getReplaceValue(variable.id, context.chatId);
-                return value.currentValue;
+                return value.currentValue || variableManager.getInitialValue(variable);
             }
         });
 
@@ -244,9 +247,15 @@ export async function initVariables() {
             return await analyzer.analyze(suiteId, signal);
         });
 
+        // 初始化楼层回退（删除楼层、切换 swipe 时回退对应的分析结果）
+        getFloorRollbackManager().init();
+
         // 6. 注册全局宏（让变量在酒馆任何地方可用）
         await registerAllGlobalMacros();
 
+        // 注册斜杠命令（快速回复 / STscript 读写变量、触发套装）
+        registerVariableSlashCommands();
+
         // 7. 初始化分支继承监听
         initBranchInherit();
 
@@ -314,6 +323,9 @@ export function destroyVariables() {
         // 销毁触发管理器
         resetTriggerManager();
 
+        // 销毁楼层回退监听
+        resetFloorRollbackManager();
+
         // 销毁分析器
         resetVariableAnalyzerV2();
 
@@ -325,6 +337,7 @@ export function destroyVariables() {
     }
 
     destroyGlobalMacros();
+    unregisterVariableSlashCommands();
 
     // 清理存储缓存
     variableStorage.invalidateCacheV2();
@@ -342,7 +355,9 @@ export {
     getVariableManagerV2,
     getMacroProcessor,
     getTagParser,
+    getExpressionEvaluator,
     getTriggerManager,
+    getFloorRollbackManager,
     getVariableAnalyzerV2,
     getChatContentProcessor,
     getSendQueueManager,
@@ -372,7 +387,9 @@ export default {
     getVariableManagerV2,
     getMacroProcessor,
     getTagParser,
+    getExpressionEvaluator,
     getTriggerManager,
+    getFloorRollbackManager,
     getVariableAnalyzerV2,
     getChatContentProcessor,
     getSendQueueManager,
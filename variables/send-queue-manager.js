@@ -12,6 +12,7 @@
 import logger from '../logger.js';
 import { getContext } from '../../../../extensions.js';
 import { eventSource, event_types } from '../../../../../script.js';
+import { getFloorSource, isSourceStale } from './floor-rollback-manager.js';
 
 // ============================================
 // 类型定义
@@ -25,8 +26,10 @@ import { eventSource, event_types } from '../../../../../script.js';
  * @property {'pending' | 'processing' | 'paused'} status - 任务状态
  * @property {number} chatLengthSnapshot - 入队时的聊天楼层数（快照模式用）
  * @property {string} chatIdSnapshot - 入队时的聊天ID
+ * @property {import('./variable-types.js').AnalysisSource|null} sourceSnapshot - 入队时的最后一楼（快照模式用，结果按它回退）
  * @property {number} createdAt - 创建时间戳
- * @property {string} [triggerType] - 触发类型：'manual' | 'interval' | 'keyword'
+ * @property {string} [triggerType] - 触发类型：'manual' | 'interval' | 'keyword' | 'expression'
+ * @property {number} [assignedCount] - 分配的变量数（成功完成后才有）
  */
 
 // ============================================
@@ -59,7 +62,7 @@ class SendQueueManager {
      * 添加任务到队列
      * @param {string} suiteId - 套装ID
      * @param {string} suiteName - 套装名称
-     * @param {'manual' | 'interval' | 'keyword'} [triggerType='manual'] - 触发类型
+     * @param {'manual' | 'interval' | 'keyword' | 'expression'} [triggerType='manual'] - 触发类型
      * @returns {QueueTask} 创建的任务
      */
     enqueue(suiteId, suiteName, triggerType = 'manual') {
@@ -72,6 +75,7 @@ class SendQueueManager {
             status: 'pending',
             chatLengthSnapshot: ctx?.chat?.length || 0,
             chatIdSnapshot: ctx?.chatId || '',
+            sourceSnapshot: getFloorSource(ctx?.chat),
             createdAt: Date.now(),
             triggerType
         };
@@ -319,16 +323,27 @@ class SendQueueManager {
             const chatLength = this._useSnapshot
                 ? task.chatLengthSnapshot
                 : (getContext()?.chat?.length || 0);
+            const source = this._useSnapshot
+                ? task.sourceSnapshot
+                : getFloorSource(getContext()?.chat);
 
             logger.info('variable', '[SendQueueManager] 开始处理任务:', task.suiteName, '楼层:', chatLength);
 
             // 执行分析（注意：analyze 第二个参数是 AbortSignal，不是对象）
             const result = await analyzer.analyze(task.suiteId, this._currentAbortController.signal);
 
-            if (result.success && result.results) {
+            const ctx = getContext();
+            const sourceGone = source && ctx?.chatId === task.chatIdSnapshot && isSourceStale(source, ctx.chat);
+
+            if (result.success && result.results && sourceGone) {
+                // 分析期间来源楼层被删除或滑走，结果已经过时
+                logger.info('variable', '[SendQueueManager] 来源楼层已变动，丢弃结果:', task.suiteName, '楼层:', source.floor);
+                toastr.info(`${task.suiteName}: 楼层已变动，本次分析结果已丢弃`);
+            } else if (result.success && result.results) {
                 // 自动分配结果
                 const floorRange = analyzer.getLastFloorRange() || String(chatLength);
-                const assignResult = await analyzer.assignResults(result.results, task.chatIdSnapshot, floorRange);
+                const assignResult = await analyzer.assignResults(result.results, task.chatIdSnapshot, floorRange, source);
+                task.assignedCount = assignResult.assigned;
 
                 logger.info('variable', '[SendQueueManager] 任务完成:', task.suiteName, '结果数:', result.results.length, '已分配:', assignResult.assigned);
 
@@ -0,0 +1,446 @@
+/**
+ * 变量斜杠命令 (Variable Slash Commands)
+ *
+ * @description
+ * 给快速回复和 STscript 用的变量读写命令，结果通过管道返回：
+ * - /pvar-list                         列出所有变量（JSON）
+ * - /pvar-get name=变量 [range=1-3]     读取变量当前值
+ * - /pvar-set name=变量 值              覆盖变量写入（类型变量支持 +5、.add(剑) 等运算）
+ * - /pvar-add-entry name=变量 内容      叠加变量添加条目，返回条目 ID
+ * - /pvar-history name=变量 [index=N]   覆盖变量历史 / 叠加变量条目（JSON），index 取单条
+ * - /pvar-run-suite [套装] [await=true] 触发套装分析，await 时等分析结束并返回分配的变量数
+ *
+ * 全局宏只能读，这些命令补上写入和触发。
+ */
+
+import logger from '../logger.js';
+import { getContext } from '../../../../extensions.js';
+import { SlashCommandParser } from '../../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../../slash-commands/SlashCommandEnumValue.js';
+import { eventSource } from '../../../../../script.js';
+import { getVariableManagerV2 } from './variable-manager-v2.js';
+import { getSuiteManager } from './suite-manager.js';
+import { getTagParser } from './tag-parser.js';
+import { getMacroProcessor } from './macro-processor.js';
+import { getTriggerManager } from './trigger-manager.js';
+import { getSendQueueManager } from './send-queue-manager.js';
+
+// ============================================
+// 常量
+// ============================================
+
+/** 注册的命令名（销毁时逐个移除） */
+const COMMAND_NAMES = ['pvar-list', 'pvar-get', 'pvar-set', 'pvar-add-entry', 'pvar-history', 'pvar-run-suite'];
+
+/** @type {boolean} */
+let registered = false;
+
+// ============================================
+// 注册 / 注销
+// ============================================
+
+/**
+ * 注册变量斜杠命令
+ */
+export function registerVariableSlashCommands() {
+    if (registered) {
+        logger.debug('variable', '[SlashCommands] 已注册，跳过');
+        return;
+    }
+
+    const nameArgument = () => SlashCommandNamedArgument.fromProps({
+        name: 'name',
+        description: '变量名（也可以写标签，如 [摘要]）',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: true,
+        enumProvider: variableEnumProvider
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pvar-list',
+        callback: handleList,
+        returns: '变量列表 JSON：[{name, tag, mode, valueType}]',
+        helpString: '列出动态变量系统的所有变量。'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pvar-get',
+        callback: handleGet,
+        returns: '变量当前值',
+        namedArgumentList: [
+            nameArgument(),
+            SlashCommandNamedArgument.fromProps({
+                name: 'range',
+                description: '叠加变量的条目范围，与宏相同，如 1-3、end、1-2,5',
+                typeList: [ARGUMENT_TYPE.STRING]
+            })
+        ],
+        helpString: `
+            <div>读取变量当前值（叠加变量返回可见条目，用空行分隔）。</div>
+            <div><code>/pvar-get name=好感度 | /echo</code></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pvar-set',
+        callback: handleSet,
+        returns: '写入后的值',
+        namedArgumentList: [nameArgument()],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '新值；类型变量可以写运算，如 +5、=30、.add(剑)、.hp-10',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        helpString: `
+            <div>写入覆盖变量（旧值进入历史）。类型变量按运算校验，不合法时不写入。</div>
+            <div><code>/pvar-set name=好感度 +5</code></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pvar-add-entry',
+        callback: handleAddEntry,
+        returns: '新条目 ID',
+        namedArgumentList: [nameArgument()],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '条目内容',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        helpString: '<div>给叠加变量添加一条条目，楼层记为当前楼层。</div>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pvar-history',
+        callback: handleHistory,
+        returns: '历史/条目列表 JSON，或指定序号的内容',
+        namedArgumentList: [
+            nameArgument(),
+            SlashCommandNamedArgument.fromProps({
+                name: 'index',
+                description: '序号（从 1 开始，1 是最早的），只返回这一条的内容',
+                typeList: [ARGUMENT_TYPE.NUMBER]
+            })
+        ],
+        helpString: `
+            <div>覆盖变量返回历史版本：[{index, content, floorRange, timestamp}]（不含当前值）。</div>
+            <div>叠加变量返回全部条目：[{index, id, content, floorRange, hidden}]。</div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pvar-run-suite',
+        callback: handleRunSuite,
+        returns: '任务 ID；await=true 时返回分配的变量数',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'await',
+                description: '等分析结束再继续执行',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false']
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '套装名称或 ID（不填用当前套装）',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: suiteEnumProvider
+            })
+        ],
+        helpString: `
+            <div>把套装分析加入发送队列。</div>
+            <div><code>/pvar-run-suite await=true 状态追踪 | /echo 已更新 {{pipe}} 个变量</code></div>
+        `
+    }));
+
+    registered = true;
+    logger.info('variable', '[SlashCommands] 已注册变量斜杠命令:', COMMAND_NAMES.length, '个');
+}
+
+/**
+ * 注销变量斜杠命令（关闭变量系统时调用）
+ */
+export function unregisterVariableSlashCommands() {
+    if (!registered) return;
+
+    for (const name of COMMAND_NAMES) {
+        delete SlashCommandParser.commands[name];
+    }
+
+    registered = false;
+    logger.info('variable', '[SlashCommands] 已注销变量斜杠命令');
+}
+
+// ============================================
+// 命令处理
+// ============================================
+
+/**
+ * /pvar-list
+ * @returns {Promise<string>}
+ */
+async function handleList() {
+    const variables = getVariableManagerV2().getDefinitions().map(v => ({
+        name: v.name,
+        tag: v.tag,
+        mode: v.mode,
+        valueType: v.valueType || 'text'
+    }));
+    return JSON.stringify(variables);
+}
+
+/**
+ * /pvar-get name=变量 [range=范围]
+ * @param {Object} args
+ * @returns {Promise<string>}
+ */
+async function handleGet(args) {
+    const target = resolveTarget(args.name);
+    if (!target) return '';
+
+    const { variable, chatId } = target;
+    const variableManager = getVariableManagerV2();
+
+    if (variable.mode === 'stack' && args.range) {
+        const value = await variableManager.getStackValue(variable.id, chatId);
+        const macroProcessor = getMacroProcessor();
+        const ranges = macroProcessor.parseRanges(String(args.range));
+        return macroProcessor.extractEntriesByRanges(value.entries, ranges).join('\n\n');
+    }
+
+    return await variableManager.getVariableValue(variable.id, chatId);
+}
+
+/**
+ * /pvar-set name=变量 值
+ * @param {Object} args
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+async function handleSet(args, value) {
+    const target = resolveTarget(args.name);
+    if (!target) return '';
+
+    const { variable, chatId } = target;
+    const variableManager = getVariableManagerV2();
+    const content = String(value ?? '');
+
+    if (variable.mode === 'stack') {
+        toastr.warning(`「${variable.name}」是叠加变量，请用 /pvar-add-entry`);
+        return '';
+    }
+
+    const tagParser = getTagParser();
+    if (tagParser.isTypedVariable(variable)) {
+        const operations = tagParser.parseOperations(content);
+        const result = await variableManager.applyOperations(variable.id, chatId, operations, getCurrentFloor());
+        if (!result.success) {
+            toastr.warning(`「${variable.name}」未写入：${result.errors.join('；')}`);
+            return await variableManager.getVariableValue(variable.id, chatId);
+        }
+        return result.value;
+    }
+
+    await variableManager.setValue(variable.id, chatId, content, getCurrentFloor());
+    logger.debug('variable', '[SlashCommands] /pvar-set:', variable.name);
+    return content;
+}
+
+/**
+ * /pvar-add-entry name=变量 内容
+ * @param {Object} args
+ * @param {string} content
+ * @returns {Promise<string>}
+ */
+async function handleAddEntry(args, content) {
+    const target = resolveTarget(args.name);
+    if (!target) return '';
+
+    const { variable, chatId } = target;
+    if (variable.mode !== 'stack') {
+        toastr.warning(`「${variable.name}」是覆盖变量，请用 /pvar-set`);
+        return '';
+    }
+
+    const text = String(content ?? '').trim();
+    if (!text) {
+        toastr.warning('条目内容不能为空');
+        return '';
+    }
+
+    const entry = await getVariableManagerV2().addEntry(variable.id, chatId, text, getCurrentFloor());
+    logger.debug('variable', '[SlashCommands] /pvar-add-entry:', variable.name, 'entryId:', entry.id);
+    return String(entry.id);
+}
+
+/**
+ * /pvar-history name=变量 [index=N]
+ * @param {Object} args
+ * @returns {Promise<string>}
+ */
+async function handleHistory(args) {
+    const target = resolveTarget(args.name);
+    if (!target) return '';
+
+    const { variable, chatId } = target;
+    const variableManager = getVariableManagerV2();
+
+    let list;
+    if (variable.mode === 'stack') {
+        const value = await variableManager.getStackValue(variable.id, chatId);
+        list = value.entries.map((entry, i) => ({
+            index: i + 1,
+            id: entry.id,
+            content: entry.content,
+            floorRange: entry.floorRange,
+            hidden: entry.hidden
+        }));
+    } else {
+        const value = await variableManager.getReplaceValue(variable.id, chatId);
+        list = value.history.map((entry, i) => ({
+            index: i + 1,
+            content: entry.content,
+            // 兼容旧数据
+            floorRange: entry.floorRange || String(entry.floor || 0),
+            timestamp: entry.timestamp
+        }));
+    }
+
+    if (args.index !== undefined && args.index !== '') {
+        const item = list[Number(args.index) - 1];
+        return item ? item.content : '';
+    }
+
+    return JSON.stringify(list);
+}
+
+/**
+ * /pvar-run-suite [套装] [await=true]
+ * @param {Object} args
+ * @param {string} suiteRef - 套装名称或 ID
+ * @returns {Promise<string>}
+ */
+async function handleRunSuite(args, suiteRef) {
+    const suiteManager = getSuiteManager();
+    const ref = String(suiteRef ?? '').trim();
+    const suite = ref
+        ? (suiteManager.getSuite(ref) || suiteManager.getSuites().find(s => s.name === ref))
+        : suiteManager.getActiveSuite();
+
+    if (!suite) {
+        toastr.warning(ref ? `套装不存在：${ref}` : '没有当前套装');
+        return '';
+    }
+
+    const queueManager = getSendQueueManager();
+    await getTriggerManager().triggerAnalysis(suite.id, 'manual');
+
+    // triggerAnalysis 只负责入队，从队列里找到刚加入的任务
+    const task = queueManager.getTasks().filter(t => t.suiteId === suite.id).pop();
+    if (!task) return '';
+
+    if (String(args.await) !== 'true') {
+        return task.id;
+    }
+
+    const assigned = await waitForTask(task);
+    return String(assigned);
+}
+
+// ============================================
+// 工具函数
+// ============================================
+
+/**
+ * 按名称或标签找到变量，并确认有活跃聊天
+ * @param {string} name
+ * @returns {{variable: Object, chatId: string}|null}
+ */
+function resolveTarget(name) {
+    const chatId = getContext()?.chatId;
+    if (!chatId) {
+        toastr.warning('没有活跃的聊天');
+        return null;
+    }
+
+    const variableManager = getVariableManagerV2();
+    const key = String(name ?? '').trim();
+    const variable = variableManager.getDefinitionByName(key) || variableManager.getDefinitionByTag(key);
+    if (!variable) {
+        toastr.warning(`变量不存在：${key}`);
+        return null;
+    }
+
+    return { variable, chatId };
+}
+
+/**
+ * 当前楼层（命令写入的值按当前楼层记录）
+ * @returns {string}
+ */
+function getCurrentFloor() {
+    return String(getContext()?.chat?.length || 0);
+}
+
+/**
+ * 等待队列任务结束
+ *
+ * @description
+ * 成功时以 paws_queue_task_complete 事件为准。该事件不等待监听器，任务会先出队，
+ * 所以出队只在任务没有成功完成（失败、中止、被移除）时才作为结束信号。
+ *
+ * @param {import('./send-queue-manager.js').QueueTask} task
+ * @returns {Promise<number>} 分配的变量数（失败或中止为 0）
+ */
+function waitForTask(task) {
+    const queueManager = getSendQueueManager();
+
+    return new Promise((resolve) => {
+        const finish = (assigned) => {
+            queueManager.removeListener(onQueueChange);
+            eventSource.removeListener('paws_queue_task_complete', onComplete);
+            resolve(assigned);
+        };
+
+        const onComplete = (data) => {
+            if (data?.taskId === task.id) {
+                finish(data.assignedCount || 0);
+            }
+        };
+
+        const onQueueChange = (tasks) => {
+            if (tasks.some(t => t.id === task.id)) return;
+            // 成功完成的任务等完成事件
+            if (task.assignedCount !== undefined) return;
+            finish(0);
+        };
+
+        eventSource.on('paws_queue_task_complete', onComplete);
+        queueManager.addListener(onQueueChange);
+        onQueueChange(queueManager.getTasks());
+    });
+}
+
+/**
+ * 变量名自动补全
+ * @returns {SlashCommandEnumValue[]}
+ */
+function variableEnumProvider() {
+    return getVariableManagerV2().getDefinitions()
+        .map(v => new SlashCommandEnumValue(v.name, `${v.tag} · ${v.mode === 'stack' ? '叠加' : '覆盖'}`));
+}
+
+/**
+ * 套装名自动补全
+ * @returns {SlashCommandEnumValue[]}
+ */
+function suiteEnumProvider() {
+    return getSuiteManager().getSuites().map(s => new SlashCommandEnumValue(s.name));
+}
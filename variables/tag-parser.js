@@ -6,11 +6,47 @@
  * - [标签]...[/标签] 格式
  * - [标签]... 到下一个标签格式
  * - 多个相同标签的合并
+ * - 类型变量（数值/开关/枚举/JSON）的运算语法，如 [好感]+5、[背包].add(剑)、[状态].hp=30
  * - 生成标签格式说明
  */
 
 import logger from '../logger.js';
 
+// ============================================
+// 常量
+// ============================================
+
+/**
+ * 运算语法：可选的属性路径 + 运算
+ * - .add(值) / .remove(值) / .toggle()
+ * - =值 / +数 / -数 / +=数 / -=数
+ * 例：+5、=30、.hp=30、.hp-10、.add(剑)、.装备.remove(木剑)
+ */
+const OPERATION_PATTERN = /^((?:\.[^.=+\-()\s]+)*?)\s*(?:\.(add|remove|toggle)\(([\s\S]*)\)|(\+=?|-=?|=)\s*([\s\S]*))$/;
+
+/** 运算符 → 运算类型 */
+const OPERATOR_TYPES = {
+    '=': 'set',
+    '+': 'add',
+    '+=': 'add',
+    '-': 'subtract',
+    '-=': 'subtract'
+};
+
+/** 方法名 → 运算类型 */
+const METHOD_TYPES = {
+    add: 'push',
+    remove: 'remove',
+    toggle: 'toggle'
+};
+
+/** 不允许出现在属性路径里的键（防止改写 Object.prototype） */
+const UNSAFE_PATH_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+/** 开关变量认可的真/假写法 */
+const BOOLEAN_TRUE = ['true', '是', '1', 'yes', 'on', '开'];
+const BOOLEAN_FALSE = ['false', '否', '0', 'no', 'off', '关'];
+
 // ============================================
 // 类型导入（仅用于 JSDoc）
 // ============================================
@@ -18,6 +54,7 @@ import logger from '../logger.js';
 /**
  * @typedef {import('./variable-types.js').ParsedContent} ParsedContent
  * @typedef {import('./variable-types.js').VariableDefinitionV2} VariableDefinitionV2
+ * @typedef {import('./variable-types.js').VariableOperation} VariableOperation
  */
 
 // ============================================
@@ -62,16 +99,33 @@ export class TagParser {
             const content = this._extractContent(response, tagName, tagNames);
 
             if (content) {
-                results.push({
+                /** @type {ParsedContent} */
+                const result = {
                     tag: variable.tag,
                     content: content.trim()
-                });
+                };
+
+                // 类型变量：内容按运算解析，分配时在当前值上计算
+                if (this.isTypedVariable(variable)) {
+                    result.operations = this.parseOperations(result.content);
+                }
+
+                results.push(result);
             }
         }
 
         return results;
     }
 
+    /**
+     * 是否是类型变量（非纯文本）
+     * @param {VariableDefinitionV2} variable
+     * @returns {boolean}
+     */
+    isTypedVariable(variable) {
+        return !!variable?.valueType && variable.valueType !== 'text';
+    }
+
     /**
      * 从标签格式中提取标签名
      * @private
@@ -128,6 +182,385 @@ export class TagParser {
         return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+    // ========================================
+    // 类型变量运算
+    // ========================================
+
+    /**
+     * 解析运算内容（每行一个运算）
+     * @param {string} content - 标签内容，如 "+5" 或 ".add(剑)\n.hp=30"
+     * @returns {VariableOperation[]}
+     *
+     * @description
+     * 不符合运算语法的行视为整体赋值（如 "50"、"战斗中"）。
+     * 整段内容是合法 JSON 时作为一次赋值（多行格式化的 JSON 不拆行）。
+     */
+    parseOperations(content) {
+        const text = (content || '').trim();
+        if (!text) return [];
+
+        if (/^[{[]/.test(text)) {
+            try {
+                JSON.parse(text);
+                return [{ op: 'set', path: [], value: text, raw: text }];
+            } catch {
+                // 不是完整 JSON，按行解析
+            }
+        }
+
+        return text.split(/\n+/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => this._parseOperationLine(line));
+    }
+
+    /**
+     * 解析单行运算
+     * @private
+     * @param {string} line
+     * @returns {VariableOperation}
+     */
+    _parseOperationLine(line) {
+        const match = line.match(OPERATION_PATTERN);
+        if (!match) {
+            return { op: 'set', path: [], value: line, raw: line };
+        }
+
+        const [, pathText, method, methodArg, operator, operand] = match;
+        const path = pathText ? pathText.split('.').filter(Boolean) : [];
+
+        if (method) {
+            return { op: METHOD_TYPES[method], path, value: (methodArg || '').trim(), raw: line };
+        }
+        return { op: OPERATOR_TYPES[operator], path, value: (operand || '').trim(), raw: line };
+    }
+
+    /**
+     * 在当前值上应用运算（逐条校验，不合法的运算跳过）
+     * @param {VariableDefinitionV2} variable - 变量定义（valueType、typeConfig）
+     * @param {string} currentValue - 当前值（字符串形式，空串表示还没有值）
+     * @param {VariableOperation[]} operations
+     * @returns {{value: string, applied: number, errors: string[]}}
+     */
+    applyOperations(variable, currentValue, operations) {
+        let value = currentValue;
+        let applied = 0;
+        const errors = [];
+
+        for (const operation of operations || []) {
+            try {
+                value = this._applyOperation(variable, value, operation);
+                applied++;
+            } catch (error) {
+                errors.push(`${operation.raw}：${error.message}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            logger.warn('variable', '[TagParser] 变量运算未通过校验:', variable.name, errors);
+        }
+
+        return { value, applied, errors };
+    }
+
+    /**
+     * 应用单条运算
+     * @private
+     * @param {VariableDefinitionV2} variable
+     * @param {string} current
+     * @param {VariableOperation} operation
+     * @returns {string} 新值
+     * @throws {Error} 运算不合法
+     */
+    _applyOperation(variable, current, operation) {
+        switch (variable.valueType) {
+            case 'number':
+                return this._applyNumberOperation(variable, current, operation);
+            case 'boolean':
+                return this._applyBooleanOperation(current, operation);
+            case 'enum':
+                return this._applyEnumOperation(variable, current, operation);
+            case 'json':
+                return this._applyJsonOperation(current, operation);
+            default:
+                throw new Error(`未知的变量类型: ${variable.valueType}`);
+        }
+    }
+
+    /**
+     * 数值运算：=、+、-，结果按 min/max 截断或拒绝
+     * @private
+     * @param {VariableDefinitionV2} variable
+     * @param {string} current
+     * @param {VariableOperation} operation
+     * @returns {string}
+     */
+    _applyNumberOperation(variable, current, operation) {
+        if (operation.path.length > 0) {
+            throw new Error('数值变量没有属性');
+        }
+        if (!['set', 'add', 'subtract'].includes(operation.op)) {
+            throw new Error('数值变量只支持 =、+、-');
+        }
+
+        const operand = this._parseNumber(operation.value);
+        const base = Number(current) || 0;
+
+        let next = operand;
+        if (operation.op === 'add') next = base + operand;
+        if (operation.op === 'subtract') next = base - operand;
+
+        // 去掉浮点误差（0.1 + 0.2）
+        next = Math.round(next * 1e6) / 1e6;
+
+        const { min, max, clamp = true } = variable.typeConfig || {};
+        const hasMin = typeof min === 'number';
+        const hasMax = typeof max === 'number';
+        if ((hasMin && next < min) || (hasMax && next > max)) {
+            if (!clamp) {
+                throw new Error(`结果 ${next} 超出范围 ${hasMin ? min : ''}~${hasMax ? max : ''}`);
+            }
+            if (hasMin) next = Math.max(min, next);
+            if (hasMax) next = Math.min(max, next);
+        }
+
+        return String(next);
+    }
+
+    /**
+     * 开关运算：=真/假、.toggle()
+     * @private
+     * @param {string} current
+     * @param {VariableOperation} operation
+     * @returns {string}
+     */
+    _applyBooleanOperation(current, operation) {
+        if (operation.path.length > 0) {
+            throw new Error('开关变量没有属性');
+        }
+        if (operation.op === 'toggle') {
+            return current === 'true' ? 'false' : 'true';
+        }
+        if (operation.op !== 'set') {
+            throw new Error('开关变量只支持 = 和 .toggle()');
+        }
+        return String(this._parseBoolean(operation.value));
+    }
+
+    /**
+     * 枚举运算：=选项，+N/-N 在选项列表中前后移动（到头为止）
+     * @private
+     * @param {VariableDefinitionV2} variable
+     * @param {string} current
+     * @param {VariableOperation} operation
+     * @returns {string}
+     */
+    _applyEnumOperation(variable, current, operation) {
+        const options = variable.typeConfig?.options || [];
+        if (operation.path.length > 0) {
+            throw new Error('枚举变量没有属性');
+        }
+
+        if (operation.op === 'set') {
+            if (!options.includes(operation.value)) {
+                throw new Error(`"${operation.value}" 不在可选值中（${options.join('/')}）`);
+            }
+            return operation.value;
+        }
+
+        if (operation.op === 'add' || operation.op === 'subtract') {
+            const step = this._parseNumber(operation.value || '1');
+            const index = Math.max(0, options.indexOf(current));
+            const offset = operation.op === 'add' ? step : -step;
+            const nextIndex = Math.min(options.length - 1, Math.max(0, index + Math.trunc(offset)));
+            return options[nextIndex];
+        }
+
+        throw new Error('枚举变量只支持 =、+、-');
+    }
+
+    /**
+     * JSON 运算：整体赋值、属性赋值/加减、列表 add/remove、删除属性
+     * @private
+     * @param {string} current
+     * @param {VariableOperation} operation
+     * @returns {string}
+     */
+    _applyJsonOperation(current, operation) {
+        let root;
+        try {
+            root = current ? JSON.parse(current) : {};
+        } catch {
+            throw new Error('当前值不是有效的 JSON');
+        }
+
+        const { op, path, value } = operation;
+        this._assertSafePath(path);
+
+        // 整体赋值
+        if (op === 'set' && path.length === 0) {
+            try {
+                const parsed = JSON.parse(value);
+                if (typeof parsed !== 'object' || parsed === null) {
+                    throw new Error();
+                }
+                return JSON.stringify(parsed);
+            } catch {
+                throw new Error('整体赋值需要 JSON 对象或列表');
+            }
+        }
+
+        const target = this._getAtPath(root, path);
+
+        switch (op) {
+            case 'set':
+                root = this._setAtPath(root, path, this._parseLooseValue(value));
+                break;
+            case 'add':
+            case 'subtract': {
+                if (target !== undefined && typeof target !== 'number') {
+                    throw new Error(`${path.join('.') || '值'} 不是数字`);
+                }
+                const operand = this._parseNumber(value);
+                const next = (target || 0) + (op === 'add' ? operand : -operand);
+                root = this._setAtPath(root, path, Math.round(next * 1e6) / 1e6);
+                break;
+            }
+            case 'push': {
+                // JSON 变量的初始值是 {}，整体还是空对象时第一次 .add() 把它变成列表
+                const emptyRoot = path.length === 0 && !Array.isArray(target)
+                    && typeof target === 'object' && target !== null && Object.keys(target).length === 0;
+                if (target !== undefined && !emptyRoot && !Array.isArray(target)) {
+                    throw new Error(`${path.join('.') || '值'} 不是列表`);
+                }
+                const list = emptyRoot ? [] : (target || []);
+                list.push(this._parseLooseValue(value));
+                root = this._setAtPath(root, path, list);
+                break;
+            }
+            case 'remove': {
+                if (Array.isArray(target)) {
+                    const item = JSON.stringify(this._parseLooseValue(value));
+                    const index = target.findIndex(v => JSON.stringify(v) === item);
+                    if (index === -1) {
+                        throw new Error(`列表里没有 ${value}`);
+                    }
+                    target.splice(index, 1);
+                } else if (target && typeof target === 'object') {
+                    this._assertSafePath([value]);
+                    if (!Object.hasOwn(target, value)) {
+                        throw new Error(`没有属性 ${value}`);
+                    }
+                    delete target[value];
+                } else {
+                    throw new Error(`${path.join('.') || '值'} 不是列表或对象`);
+                }
+                break;
+            }
+            case 'toggle':
+                root = this._setAtPath(root, path, !target);
+                break;
+            default:
+                throw new Error('不支持的运算');
+        }
+
+        return JSON.stringify(root);
+    }
+
+    /**
+     * 读取对象路径上的值
+     * @private
+     * @param {*} root
+     * @param {string[]} path
+     * @returns {*}
+     */
+    _getAtPath(root, path) {
+        // 只走自身属性，不读原型链上的东西
+        return path.reduce((node, key) => (
+            node != null && typeof node === 'object' && Object.hasOwn(node, key) ? node[key] : undefined
+        ), root);
+    }
+
+    /**
+     * 写入对象路径（中间缺失的层级自动创建为对象）
+     * @private
+     * @param {*} root
+     * @param {string[]} path
+     * @param {*} value
+     * @returns {*} 新的根值
+     */
+    _setAtPath(root, path, value) {
+        if (path.length === 0) return value;
+        this._assertSafePath(path);
+
+        let node = root;
+        for (const key of path.slice(0, -1)) {
+            if (!Object.hasOwn(node, key) || node[key] == null || typeof node[key] !== 'object') {
+                node[key] = {};
+            }
+            node = node[key];
+        }
+        node[path[path.length - 1]] = value;
+        return root;
+    }
+
+    /**
+     * 校验属性路径（AI 输出的路径不能碰 __proto__ 等原型相关的键）
+     * @private
+     * @param {string[]} path
+     * @throws {Error} 路径里有不允许的键
+     */
+    _assertSafePath(path) {
+        const unsafe = path.find(key => UNSAFE_PATH_KEYS.includes(key));
+        if (unsafe) {
+            throw new Error(`不允许的属性名 ${unsafe}`);
+        }
+    }
+
+    /**
+     * 解析数字（允许数字后面跟说明文字，如 "5（被夸奖了）"）
+     * @private
+     * @param {string} text
+     * @returns {number}
+     * @throws {Error} 不是数字
+     */
+    _parseNumber(text) {
+        const match = String(text).trim().match(/^[+-]?\d+(?:\.\d+)?/);
+        if (!match) {
+            throw new Error(`"${text}" 不是数字`);
+        }
+        return Number(match[0]);
+    }
+
+    /**
+     * 解析真/假
+     * @private
+     * @param {string} text
+     * @returns {boolean}
+     * @throws {Error} 无法识别
+     */
+    _parseBoolean(text) {
+        const normalized = String(text).trim().toLowerCase();
+        if (BOOLEAN_TRUE.includes(normalized)) return true;
+        if (BOOLEAN_FALSE.includes(normalized)) return false;
+        throw new Error(`"${text}" 不是真/假`);
+    }
+
+    /**
+     * 宽松解析值：能按 JSON 解析就解析（数字、true、对象），否则当字符串
+     * @private
+     * @param {string} text
+     * @returns {*}
+     */
+    _parseLooseValue(text) {
+        const trimmed = String(text).trim();
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return trimmed.replace(/^["'](.*)["']$/, '$1');
+        }
+    }
+
     // ========================================
     // 标签指令生成
     // ========================================
@@ -149,6 +582,10 @@ export class TagParser {
 
         for (const variable of variables) {
             const tagName = this._extractTagName(variable.tag);
+            if (this.isTypedVariable(variable)) {
+                lines.push(this._generateTypedInstruction(variable, tagName));
+                continue;
+            }
             const modeDesc = variable.mode === 'stack' ? '（可多条）' : '（单条）';
             lines.push(`[${tagName}]你的${tagName}内容${modeDesc}[/${tagName}]`);
         }
@@ -156,6 +593,34 @@ export class TagParser {
         return lines.join('\n');
     }
 
+    /**
+     * 生成类型变量的格式说明
+     * @private
+     * @param {VariableDefinitionV2} variable
+     * @param {string} tagName
+     * @returns {string}
+     */
+    _generateTypedInstruction(variable, tagName) {
+        const config = variable.typeConfig || {};
+
+        switch (variable.valueType) {
+            case 'number': {
+                const range = typeof config.min === 'number' || typeof config.max === 'number'
+                    ? `，范围 ${config.min ?? ''}~${config.max ?? ''}`
+                    : '';
+                return `[${tagName}]+数值 或 -数值 或 =数值（数值${range}，没有变化就不输出）`;
+            }
+            case 'boolean':
+                return `[${tagName}]=是 或 =否 或 .toggle()（开关，没有变化就不输出）`;
+            case 'enum':
+                return `[${tagName}]=${(config.options || []).join('/')}（只能选其中一个，没有变化就不输出）`;
+            case 'json':
+                return `[${tagName}]每行一个修改：.属性=值、.属性+数值、.add(项)、.remove(项)、.属性.add(项)（没有变化就不输出）`;
+            default:
+                return `[${tagName}]你的${tagName}内容[/${tagName}]`;
+        }
+    }
+
     /**
      * 生成简洁的标签格式示例
      * @param {VariableDefinitionV2[]} variables
@@ -5,6 +5,7 @@
  * 管理各套装的触发逻辑，支持：
  * - 消息计数（间隔触发）
  * - 关键词检测
+ * - 条件表达式（变量值、聊天状态，边沿/电平两种触发方式）
  * - 手动触发
  */
 
@@ -13,6 +14,8 @@ import { eventSource, event_types } from '../../../../../script.js';
 import { getContext } from '../../../../extensions.js';
 import { getSuiteManager } from './suite-manager.js';
 import { getSendQueueManager } from './send-queue-manager.js';
+import { getVariableManagerV2 } from './variable-manager-v2.js';
+import { getExpressionEvaluator } from './expression-evaluator.js';
 import * as storage from './variable-storage.js';
 import { refreshVariableMacros, preloadAllVariableValues } from './global-macro-registry.js';
 
@@ -35,6 +38,8 @@ export class TriggerManager {
     constructor() {
         /** @type {Object<string, Object<string, number>>} AI回复计数 {suiteId: {chatId: count}} */
         this.messageCounts = {};
+        /** @type {Object<string, Object<string, boolean>>} 表达式上次结果 {suiteId: {chatId: 是否满足}} */
+        this.expressionStates = {};
         /** @type {boolean} */
         this.initialized = false;
 
@@ -56,6 +61,7 @@ export class TriggerManager {
         // 加载消息计数
         const settings = await storage.getSettingsV2();
         this.messageCounts = settings.messageCounts || {};
+        this.expressionStates = settings.expressionStates || {};
 
         // 注册事件监听（只监听AI回复）
         eventSource.on(event_types.MESSAGE_RECEIVED, this._onMessageReceived);
@@ -130,6 +136,12 @@ export class TriggerManager {
                     logger.info('variable', '[TriggerManager] 关键词触发:', suite.name);
                     await this.triggerAnalysis(suite.id, 'keyword');
                 }
+            } else if (trigger.type === 'expression') {
+                // 表达式触发
+                if (await this.checkExpression(suite, chatId, latestMessage)) {
+                    logger.info('variable', '[TriggerManager] 表达式触发:', suite.name, trigger.expression);
+                    await this.triggerAnalysis(suite.id, 'expression');
+                }
             }
             // manual 类型不自动触发
         }
@@ -227,6 +239,112 @@ export class TriggerManager {
         );
     }
 
+    // ========================================
+    // 表达式检测
+    // ========================================
+
+    /**
+     * 检查表达式触发条件
+     * @param {PromptSuite} suite
+     * @param {string} chatId
+     * @param {Object} [message] - 最新的 AI 消息
+     * @returns {Promise<boolean>} 本次是否应该触发
+     *
+     * @description
+     * - edge（默认）：上次不满足、这次满足时触发一次，条件一直满足不会重复触发
+     * - level：每次 AI 回复时条件满足就触发
+     * 表达式出错按不满足处理
+     */
+    async checkExpression(suite, chatId, message) {
+        let result = false;
+        try {
+            result = await this.evaluateExpression(suite.trigger.expression || '', message);
+        } catch (error) {
+            logger.warn('variable', '[TriggerManager] 表达式求值失败:', suite.name, error.message);
+        }
+
+        const previous = this.getExpressionState(suite.id, chatId);
+        if (result !== previous) {
+            await this._setExpressionState(suite.id, chatId, result);
+        }
+
+        if (!result) return false;
+        return suite.trigger.triggerMode === 'level' || !previous;
+    }
+
+    /**
+     * 按当前聊天求值表达式
+     * @param {string} expression
+     * @param {Object} [message] - 参与求值的消息（默认最新一条）
+     * @returns {Promise<boolean>}
+     * @throws {Error} 表达式语法错误
+     */
+    async evaluateExpression(expression, message) {
+        const ctx = getContext();
+        const chat = ctx?.chat || [];
+        const chatId = ctx?.chatId;
+        const targetMessage = message || chat[chat.length - 1];
+        const evaluator = getExpressionEvaluator();
+
+        // 先读取表达式引用的变量（求值器本身是同步的）
+        const variableManager = getVariableManagerV2();
+        const variables = {};
+        for (const name of evaluator.extractVariableNames(expression)) {
+            variables[name] = chatId ? await variableManager.getValueByName(name, chatId) : '';
+        }
+
+        const state = {
+            'message.length': (targetMessage?.mes || '').length,
+            'message.text': targetMessage?.mes || '',
+            'char.name': ctx?.name2 || '',
+            'user.name': ctx?.name1 || '',
+            'floor': chat.length
+        };
+
+        return evaluator.evaluate(expression, { variables, state });
+    }
+
+    /**
+     * 获取表达式上次的结果
+     * @param {string} suiteId
+     * @param {string} chatId
+     * @returns {boolean}
+     */
+    getExpressionState(suiteId, chatId) {
+        return this.expressionStates[suiteId]?.[chatId] || false;
+    }
+
+    /**
+     * 记录表达式结果（edge 模式靠它判断变化）
+     * @private
+     * @param {string} suiteId
+     * @param {string} chatId
+     * @param {boolean} value
+     */
+    async _setExpressionState(suiteId, chatId, value) {
+        if (!this.expressionStates[suiteId]) {
+            this.expressionStates[suiteId] = {};
+        }
+        this.expressionStates[suiteId][chatId] = value;
+
+        const settings = await storage.getSettingsV2();
+        settings.expressionStates = this.expressionStates;
+        await storage.saveSettingsV2(settings);
+    }
+
+    /**
+     * 重置表达式状态（修改表达式后调用，下次满足时重新触发）
+     * @param {string} suiteId
+     */
+    async resetExpressionState(suiteId) {
+        if (this.expressionStates[suiteId]) {
+            delete this.expressionStates[suiteId];
+            const settings = await storage.getSettingsV2();
+            settings.expressionStates = this.expressionStates;
+            await storage.saveSettingsV2(settings);
+        }
+    }
+
     // ========================================
     // 触发分析（改为入队）
     // ========================================
@@ -234,7 +352,7 @@ export class TriggerManager {
     /**
      * 触发分析（将任务加入队列）
      * @param {string} suiteId
-     * @param {'manual' | 'interval' | 'keyword'} [triggerType='manual'] - 触发类型
+     * @param {'manual' | 'interval' | 'keyword' | 'expression'} [triggerType='manual'] - 触发类型
      * @returns {Promise<void>}
      */
     async triggerAnalysis(suiteId, triggerType = 'manual') {
@@ -17,6 +17,9 @@
 import logger from '../../logger.js';
 import { VariableAPIConfig } from '../variable-api-settings.js';
 import { getVariableAPI } from '../variable-api-manager.js';
+import { renderFallbackSection } from '../../shared/api/api-fallback-ui.js';
+import { renderUsageSection } from '../../shared/api/api-usage-ui.js';
+import { renderInspectorSection } from '../../shared/api/api-inspector-ui.js';
 
 /** @type {HTMLElement|null} */
 let popupOverlay = null;
@@ -62,6 +65,30 @@ export function openAPISettingsPage() {
   // 绑定事件
   apiConfig.bindApiSettingsEvents();
 
+  // 备用配置链
+  const fallbackContainer = /** @type {HTMLElement|null} */ (popupOverlay.querySelector('#var-v2ApiFallback'));
+  if (fallbackContainer) {
+    renderFallbackSection(fallbackContainer, {
+      module: 'variables',
+      getCurrentConfig: () => {
+        const currentConfig = api.getCurrentCustomConfig();
+        return currentConfig ? api.buildRequestConfig(currentConfig, false) : null;
+      }
+    });
+  }
+
+  // 用量统计
+  const usageContainer = /** @type {HTMLElement|null} */ (popupOverlay.querySelector('#var-v2ApiUsage'));
+  if (usageContainer) {
+    renderUsageSection(usageContainer, { module: 'variables' });
+  }
+
+  // 请求检查器
+  const inspectorContainer = /** @type {HTMLElement|null} */ (popupOverlay.querySelector('#var-v2ApiInspector'));
+  if (inspectorContainer) {
+    renderInspectorSection(inspectorContainer);
+  }
+
   // 绑定关闭按钮
   const closeBtn = popupOverlay.querySelector('#var-v2-api-popup-close');
   if (closeBtn) {
@@ -320,6 +347,15 @@ function createAPISettingsHTML() {
           <div id="var-v2ApiParamsContainer" class="inline-drawer-content" style="display: none; margin-top: 0.5em;">
           </div>
         </div>
+
+        <!-- 备用配置链（三个模块共用） -->
+        <div class="api-settings-section var-v2-api-settings-section" id="var-v2ApiFallback"></div>
+
+        <!-- 用量统计 -->
+        <div class="api-settings-section var-v2-api-settings-section" id="var-v2ApiUsage"></div>
+
+        <!-- 请求检查器 -->
+        <div class="api-settings-section var-v2-api-settings-section" id="var-v2ApiInspector"></div>
       </div>
     </div>
   `;
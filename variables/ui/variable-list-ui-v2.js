@@ -15,9 +15,10 @@ import logger from '../../logger.js';
 import { getContext } from '../../../../../extensions.js';
 import { eventSource, event_types } from '../../../../../../script.js';
 import { getSuiteManager } from '../suite-manager.js';
-import { getVariableManagerV2 } from '../variable-manager-v2.js';
+import { getVariableManagerV2, VALUE_TYPE_LABELS } from '../variable-manager-v2.js';
 import { getVariableAnalyzerV2 } from '../variable-analyzer-v2.js';
 import { getTriggerManager } from '../trigger-manager.js';
+import { getExpressionEvaluator } from '../expression-evaluator.js';
 import { getMacroProcessor } from '../macro-processor.js';
 import { getChatContentProcessor } from '../chat-content-processor.js';
 import { getSendQueueManager } from '../send-queue-manager.js';
@@ -358,6 +359,9 @@ async function openWindow() {
   // 注册任务完成事件监听，更新返回预览
   eventSource.on('paws_queue_task_complete', onTaskComplete);
 
+  // 注册楼层回退事件监听，刷新条目列表
+  eventSource.on('paws_variables_rolled_back', onVariablesRolledBack);
+
   // 初始化徽章显示
   updateQueueBadge(queueManager.getLength());
 
@@ -409,6 +413,14 @@ function onTaskComplete(data) {
   logger.debug('variable', '[VariableListUIV2] 任务完成回调:', data.suiteName, '结果:', data.resultsCount);
 }
 
+/**
+ * 楼层回退回调（删除楼层/切换 swipe 后变量值可能已变）
+ */
+function onVariablesRolledBack() {
+  if (!windowElement) return;
+  refreshItemsList();
+}
+
 /**
  * 切换到指定标签页
  * @param {'items' | 'send-preview' | 'response-preview'} tabName
@@ -463,6 +475,7 @@ function closeWindow() {
 
   // 移除任务完成事件监听
   eventSource.removeListener('paws_queue_task_complete', onTaskComplete);
+  eventSource.removeListener('paws_variables_rolled_back', onVariablesRolledBack);
 
   // 保存位置
   savePosition();
@@ -627,6 +640,9 @@ function buildTriggerBadge(suite) {
   } else if (trigger.type === 'keyword') {
     icon = 'fa-key';
     text = '关键词';
+  } else if (trigger.type === 'expression') {
+    icon = 'fa-code-branch';
+    text = '条件';
   }
 
   const statusClass = suite.enabled ? 'enabled' : 'disabled';
@@ -648,6 +664,8 @@ function buildTriggerInfo(suite) {
     triggerText = `每 ${trigger.interval || 5} 楼自动`;
   } else if (trigger.type === 'keyword') {
     triggerText = `关键词: ${(trigger.keywords || []).join(', ')}`;
+  } else if (trigger.type === 'expression') {
+    triggerText = `条件: ${escapeHtml(trigger.expression || '')}`;
   }
 
   const status = suite.enabled ? '已启用' : '已禁用';
@@ -764,7 +782,7 @@ async function buildItemsList(suite, variables, currentCharId) {
       // 变量条目
       const varDef = variables.find(v => v.id === item.id);
       const varName = varDef?.name || '未知变量';
-      const varMode = varDef?.mode === 'stack' ? '叠加' : '覆盖';
+      const varMode = getVariableModeLabel(varDef);
       
       // 从预先获取的 map 中读取楼层信息
       const floorInfo = floorInfoMap[item.id] || '';
@@ -796,6 +814,18 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * 变量的模式标签（类型变量显示值类型）
+ * @param {Object|null|undefined} variable - 变量定义
+ * @returns {string}
+ */
+function getVariableModeLabel(variable) {
+  if (variable?.valueType && variable.valueType !== 'text') {
+    return VALUE_TYPE_LABELS[variable.valueType] || '覆盖';
+  }
+  return variable?.mode === 'stack' ? '叠加' : '覆盖';
+}
+
 // ============================================
 // 第四部分：位置管理
 // ============================================
@@ -1467,6 +1497,7 @@ function updateResponsePreview(content) {
  * @param {string} title
  * @param {string} contentHTML
  * @param {Object} options
+ * @param {Function} [options.beforeClose] - (buttonValue, overlay) => 弹窗结果；返回 false 时不关闭（如校验不通过）
  * @returns {Promise<any>}
  */
 async function showInternalPopup(title, contentHTML, options = {}) {
@@ -1511,6 +1542,7 @@ async function showInternalPopup(title, contentHTML, options = {}) {
         } catch (e) {
           logger.error('variable', '[VariableListUIV2] beforeClose 错误:', e);
         }
+        if (result === false) return;
       }
 
       overlay.classList.remove('show');
@@ -1577,6 +1609,7 @@ async function openSuiteEditPopup() {
                     <option value="manual" ${suite.trigger.type === 'manual' ? 'selected' : ''}>手动触发</option>
                     <option value="interval" ${suite.trigger.type === 'interval' ? 'selected' : ''}>间隔触发</option>
                     <option value="keyword" ${suite.trigger.type === 'keyword' ? 'selected' : ''}>关键词触发</option>
+                    <option value="expression" ${suite.trigger.type === 'expression' ? 'selected' : ''}>条件触发</option>
                 </select>
             </div>
             <div class="var-v2-form-row" id="var-v2-interval-row" style="${suite.trigger.type === 'interval' ? '' : 'display:none'}">
@@ -1587,6 +1620,17 @@ async function openSuiteEditPopup() {
                 <label>关键词（逗号分隔）</label>
                 <input type="text" id="var-v2-trigger-keywords" value="${(suite.trigger.keywords || []).join(', ')}">
             </div>
+            <div class="var-v2-form-row" id="var-v2-expression-row" style="${suite.trigger.type === 'expression' ? '' : 'display:none'}">
+                <label>触发条件</label>
+                <input type="text" id="var-v2-trigger-expression" value="${escapeHtml(suite.trigger.expression || '').replace(/"/g, '&quot;')}"
+                       placeholder="如：{{好感度}} >= 80">
+                <span class="var-v2-hint">每次 AI 回复后检查。可用 {{变量名}}、message.length、char.name、user.name、floor，
+                    比较 == != > >= < <= contains，逻辑 and or not。例：char.name is 艾莉丝 and message.length > 2000</span>
+                <select id="var-v2-trigger-mode" class="var-v2-select">
+                    <option value="edge" ${suite.trigger.triggerMode !== 'level' ? 'selected' : ''}>条件刚变为满足时触发一次</option>
+                    <option value="level" ${suite.trigger.triggerMode === 'level' ? 'selected' : ''}>条件满足期间每次回复都触发</option>
+                </select>
+            </div>
             <div class="var-v2-form-row" id="var-v2-snapshot-row" style="${suite.trigger.type !== 'manual' ? '' : 'display:none'}">
                 <label class="checkbox_label">
                     <input type="checkbox" id="var-v2-use-snapshot" ${suite.useSnapshotMode !== false ? 'checked' : ''}>
@@ -1607,22 +1651,38 @@ async function openSuiteEditPopup() {
         const type = /** @type {HTMLSelectElement} */ (e.target).value;
         const intervalRow = overlay.querySelector('#var-v2-interval-row');
         const keywordRow = overlay.querySelector('#var-v2-keyword-row');
+        const expressionRow = overlay.querySelector('#var-v2-expression-row');
         const snapshotRow = overlay.querySelector('#var-v2-snapshot-row');
         if (intervalRow) intervalRow.style.display = type === 'interval' ? '' : 'none';
         if (keywordRow) keywordRow.style.display = type === 'keyword' ? '' : 'none';
+        if (expressionRow) expressionRow.style.display = type === 'expression' ? '' : 'none';
         if (snapshotRow) snapshotRow.style.display = type !== 'manual' ? '' : 'none';
       });
     },
     beforeClose: (buttonValue, overlay) => {
       if (buttonValue === 'save') {
+        const triggerType = /** @type {HTMLSelectElement} */ (overlay.querySelector('#var-v2-trigger-type'))?.value;
+        const expression = /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-trigger-expression'))?.value?.trim() || '';
+
+        // 条件写错时留在弹窗里改，其他改动不丢
+        if (triggerType === 'expression') {
+          const validation = getExpressionEvaluator().validate(expression);
+          if (!validation.valid) {
+            toastr.error(`触发条件有误：${validation.error}`);
+            return false;
+          }
+        }
+
         return {
           action: 'save',
           name: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-suite-name'))?.value,
           enabled: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-suite-enabled'))?.checked,
-          triggerType: /** @type {HTMLSelectElement} */ (overlay.querySelector('#var-v2-trigger-type'))?.value,
+          triggerType,
           interval: parseInt(/** @type {HTMLInputElement} */(overlay.querySelector('#var-v2-trigger-interval'))?.value) || 5,
           keywords: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-trigger-keywords'))?.value
             .split(',').map(k => k.trim()).filter(k => k),
+          expression,
+          triggerMode: /** @type {HTMLSelectElement} */ (overlay.querySelector('#var-v2-trigger-mode'))?.value || 'edge',
           useSnapshotMode: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-use-snapshot'))?.checked
         };
       }
@@ -1631,10 +1691,21 @@ async function openSuiteEditPopup() {
   });
 
   if (result?.action === 'save') {
+    // 条件改了就重新开始判断（edge 模式下次满足时会再触发）
+    if (result.expression !== (suite.trigger.expression || '')) {
+      await getTriggerManager().resetExpressionState(suite.id);
+    }
+
     suiteManager.updateSuite(suite.id, {
       name: result.name || suite.name,
       enabled: result.enabled,
-      trigger: { type: result.triggerType, interval: result.interval, keywords: result.keywords },
+      trigger: {
+        type: result.triggerType,
+        interval: result.interval,
+        keywords: result.keywords,
+        expression: result.expression,
+        triggerMode: result.triggerMode
+      },
       useSnapshotMode: result.useSnapshotMode
     });
     refreshSuiteSelect();
@@ -1715,7 +1786,7 @@ async function openVariableSelectPopup() {
   // 已添加的变量
   const addedVars = existingIds.map(id => {
     const v = variables.find(x => x.id === id);
-    return v ? { id, name: v.name, mode: v.mode, enabled: suite.items.find(i => i.id === id)?.enabled } : null;
+    return v ? { id, name: v.name, modeLabel: getVariableModeLabel(v), enabled: suite.items.find(i => i.id === id)?.enabled } : null;
   }).filter(Boolean);
 
   const html = `
@@ -1727,7 +1798,7 @@ async function openVariableSelectPopup() {
                         ${addedVars.map(v => `
                             <div class="var-v2-added-var-item" data-id="${v.id}">
                                 <span class="var-v2-added-var-name">{{${v.name}}}</span>
-                                <span class="var-v2-added-var-mode">${v.mode === 'stack' ? '叠加' : '覆盖'}</span>
+                                <span class="var-v2-added-var-mode">${v.modeLabel}</span>
                                 <i class="fa-solid fa-trash var-v2-remove-added-var" data-id="${v.id}" title="从套装移除"></i>
                             </div>
                         `).join('')}
@@ -1739,7 +1810,7 @@ async function openVariableSelectPopup() {
                 <label>${availableVars.length > 0 ? '添加变量' : '可用的变量'}</label>
                 ${availableVars.length > 0 ? `
                     <select id="var-v2-select-variable" class="var-v2-select">
-                        ${availableVars.map(v => `<option value="${v.id}">{{${v.name}}} (${v.mode === 'stack' ? '叠加' : '覆盖'})</option>`).join('')}
+                        ${availableVars.map(v => `<option value="${v.id}">{{${v.name}}} (${getVariableModeLabel(v)})</option>`).join('')}
                     </select>
                 ` : `
                     <div class="var-v2-empty" style="padding: 12px; text-align: center;">所有变量已添加到当前套装</div>
@@ -1998,12 +2069,44 @@ async function openNewVariablePopup() {
                 <span class="var-v2-hint">AI 输出时使用的标签</span>
             </div>
             <div class="var-v2-form-row">
+                <label>值类型</label>
+                <select id="var-v2-new-type" class="var-v2-select">
+                    <option value="text">文本 - AI 输出的内容原样保存</option>
+                    <option value="number">数值 - 如 [好感]+5，可限制范围</option>
+                    <option value="boolean">开关 - 如 [醒着]=否</option>
+                    <option value="enum">枚举 - 只能是几个固定值之一</option>
+                    <option value="json">JSON - 如 [背包].add(剑)、[状态].hp=30</option>
+                </select>
+                <span class="var-v2-hint">非文本类型按运算修改当前值，不合法的修改会被丢弃</span>
+            </div>
+            <div class="var-v2-form-row" id="var-v2-new-mode-row">
                 <label>模式</label>
                 <select id="var-v2-new-mode" class="var-v2-select">
                     <option value="stack">叠加模式 - 内容追加为新条目</option>
                     <option value="replace">覆盖模式 - 内容替换当前值</option>
                 </select>
             </div>
+            <div class="var-v2-form-row" id="var-v2-new-range-row" style="display:none">
+                <label>范围（可留空）</label>
+                <div class="var-v2-inline-inputs">
+                    <input type="number" id="var-v2-new-min" placeholder="最小值">
+                    <input type="number" id="var-v2-new-max" placeholder="最大值">
+                </div>
+                <label class="checkbox_label">
+                    <input type="checkbox" id="var-v2-new-clamp" checked>
+                    <span>超出范围时截断到边界</span>
+                </label>
+                <span class="var-v2-hint">不勾选：超出范围的修改直接丢弃</span>
+            </div>
+            <div class="var-v2-form-row" id="var-v2-new-options-row" style="display:none">
+                <label>可选值</label>
+                <input type="text" id="var-v2-new-options" placeholder="如：陌生,朋友,恋人">
+                <span class="var-v2-hint">用逗号分隔，按顺序排列（+1/-1 会前后移动）</span>
+            </div>
+            <div class="var-v2-form-row" id="var-v2-new-default-row" style="display:none">
+                <label>初始值（可留空）</label>
+                <input type="text" id="var-v2-new-default" placeholder="如：50、陌生、{&quot;hp&quot;:100}">
+            </div>
         </div>
     `;
 
@@ -2012,13 +2115,35 @@ async function openNewVariablePopup() {
       { text: '取消', value: null },
       { text: '创建', value: 'create', class: 'primary' }
     ],
+    onShow: (overlay) => {
+      overlay.querySelector('#var-v2-new-type')?.addEventListener('change', (e) => {
+        const type = /** @type {HTMLSelectElement} */ (e.target).value;
+        const show = (selector, visible) => {
+          const row = /** @type {HTMLElement} */ (overlay.querySelector(selector));
+          if (row) row.style.display = visible ? '' : 'none';
+        };
+        show('#var-v2-new-mode-row', type === 'text');
+        show('#var-v2-new-range-row', type === 'number');
+        show('#var-v2-new-options-row', type === 'enum');
+        show('#var-v2-new-default-row', type !== 'text');
+      });
+    },
     beforeClose: (buttonValue, overlay) => {
       if (buttonValue === 'create') {
+        const getValue = (selector) => /** @type {HTMLInputElement} */ (overlay.querySelector(selector))?.value?.trim();
         return {
           action: 'create',
-          name: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-new-name'))?.value?.trim(),
-          tag: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-new-tag'))?.value?.trim(),
-          mode: /** @type {HTMLSelectElement} */ (overlay.querySelector('#var-v2-new-mode'))?.value
+          name: getValue('#var-v2-new-name'),
+          tag: getValue('#var-v2-new-tag'),
+          mode: getValue('#var-v2-new-mode'),
+          valueType: getValue('#var-v2-new-type') || 'text',
+          typeConfig: {
+            min: getValue('#var-v2-new-min'),
+            max: getValue('#var-v2-new-max'),
+            clamp: /** @type {HTMLInputElement} */ (overlay.querySelector('#var-v2-new-clamp'))?.checked,
+            options: (getValue('#var-v2-new-options') || '').split(/[,，]/),
+            defaultValue: getValue('#var-v2-new-default')
+          }
         };
       }
       return null;
@@ -2026,13 +2151,13 @@ async function openNewVariablePopup() {
   });
 
   if (result?.action === 'create') {
-    const { name, tag, mode } = result;
+    const { name, tag, mode, valueType, typeConfig } = result;
     if (!name || !tag) {
       toastr.warning('请填写变量名和标签');
       return;
     }
 
-    const createResult = await variableManager.createVariable({ name, tag, mode });
+    const createResult = await variableManager.createVariable({ name, tag, mode, valueType, typeConfig });
     if (createResult.success) {
       const suiteManager = getSuiteManager();
       const suite = suiteManager.getActiveSuite();
@@ -2216,7 +2341,9 @@ async function handleExportSuite() {
       .map(v => ({
         name: v.name,
         tag: v.tag,
-        mode: v.mode
+        mode: v.mode,
+        valueType: v.valueType,
+        typeConfig: v.typeConfig
       }));
 
     // 准备导出数据
@@ -2325,13 +2452,14 @@ async function handleImportSuite() {
 
         if (importData.version >= 2 && variablesInfo.length > 0) {
           for (const varDef of variablesInfo) {
-            const { name, tag, mode } = varDef;
+            const { name, tag, mode, valueType, typeConfig } = varDef;
             
             // 检查是否已存在同名变量
             const existingByName = variableManager.getDefinitionByName(name);
             if (existingByName) {
               // 已存在同名变量，检查标签和模式是否一致
-              if (existingByName.tag === tag && existingByName.mode === mode) {
+              if (existingByName.tag === tag && existingByName.mode === mode &&
+                (existingByName.valueType || 'text') === (valueType || 'text')) {
                 // 完全一致，复用
                 variableNameMap.set(name, existingByName.id);
                 logger.info('variable', `[导入] 复用已有变量: ${name}`);
@@ -2352,7 +2480,9 @@ async function handleImportSuite() {
                 const createResult = await variableManager.createVariable({
                   name: newName,
                   tag: tag,
-                  mode: mode
+                  mode: mode,
+                  valueType: valueType,
+                  typeConfig: typeConfig
                 });
                 
                 if (createResult.success) {
@@ -2367,7 +2497,9 @@ async function handleImportSuite() {
               const createResult = await variableManager.createVariable({
                 name: name,
                 tag: tag,
-                mode: mode
+                mode: mode,
+                valueType: valueType,
+                typeConfig: typeConfig
               });
               
               if (createResult.success) {
@@ -2623,6 +2755,9 @@ async function showReplaceDetailPage(varId, variable) {
             </button>
             <span class="var-v2-detail-title">{{${variable.name}}}</span>
             <span class="var-v2-detail-mode">覆盖</span>
+            <button class="var-v2-header-btn" id="var-v2-history-timeline" title="历史时间线">
+                <i class="fa-solid fa-clock-rotate-left"></i>
+            </button>
             <button class="var-v2-header-btn" id="var-v2-import-value" title="导入变量值">
                 <i class="fa-solid fa-file-import"></i>
             </button>
@@ -3009,6 +3144,7 @@ function bindStackDetailPageEvents(container, varId, chatId, variable, signal) {
  * 为覆盖模式详情页绑定事件，处理：
  * - 历史导航（上一条/下一条）
  * - 应用历史版本为当前值
+ * - 打开历史时间线（全部版本、对比、从某个版本分支）
  *
  * @param {HTMLElement} container - 详情页容器元素
  * @param {string} varId - 变量ID
@@ -3047,6 +3183,11 @@ function bindReplaceDetailPageEvents(container, varId, chatId, variable, signal)
     if (deleteCurrentBtn) deleteCurrentBtn.disabled = !hasValue;
   };
 
+  // 历史时间线
+  container.querySelector('#var-v2-history-timeline')?.addEventListener('click', () => {
+    openHistoryTimelinePopup(varId, chatId, variable, refresh);
+  }, { signal });
+
   // 导出变量值
   container.querySelector('#var-v2-export-value')?.addEventListener('click', async () => {
     const value = await variableManager.getReplaceValue(varId, chatId);
@@ -3169,6 +3310,256 @@ function bindReplaceDetailPageEvents(container, varId, chatId, variable, signal)
   }, { signal });
 }
 
+/**
+ * 打开覆盖变量的历史时间线弹窗
+ *
+ * @description
+ * 从旧到新列出所有版本（楼层、时间、内容预览），底部按词对比任意两个版本。
+ * 「从这里分支」把旧版本设为当前值，之后的版本都留在历史里。
+ *
+ * @param {string} varId - 变量ID
+ * @param {string} chatId - 聊天ID
+ * @param {Object} variable - 变量定义对象
+ * @param {Function} onChange - 当前值变化后回调（刷新详情页）
+ */
+function openHistoryTimelinePopup(varId, chatId, variable, onChange) {
+  const variableManager = getVariableManagerV2();
+
+  /** @type {Array<Object>} */
+  let versions = [];
+
+  const renderDiff = (root) => {
+    const fromSelect = /** @type {HTMLSelectElement} */ (root.querySelector('#var-v2-diff-from'));
+    const toSelect = /** @type {HTMLSelectElement} */ (root.querySelector('#var-v2-diff-to'));
+    const body = root.querySelector('#var-v2-diff-body');
+    const stat = root.querySelector('#var-v2-diff-stat');
+    if (!fromSelect || !toSelect || !body) return;
+
+    const from = versions[Number(fromSelect.value) - 1];
+    const to = versions[Number(toSelect.value) - 1];
+    if (!from || !to) return;
+
+    const diff = diffWords(from.content, to.content);
+    body.innerHTML = renderDiffHtml(diff.parts) || '<span class="var-v2-timeline-empty">（空）</span>';
+    if (stat) {
+      stat.textContent = diff.added || diff.removed ? `+${diff.added} / -${diff.removed}` : '无差异';
+    }
+  };
+
+  const render = async (root) => {
+    versions = await variableManager.getHistoryVersions(varId, chatId);
+
+    if (versions.length === 0) {
+      root.innerHTML = '<div class="var-v2-timeline-empty">暂无值</div>';
+      return;
+    }
+
+    const options = versions.map(v =>
+      `<option value="${v.version}">v${v.version}${v.isCurrent ? '（当前）' : ''} · 第 ${escapeHtml(v.floorRange)} 楼</option>`
+    ).join('');
+
+    root.innerHTML = `
+            <div class="var-v2-timeline-list">
+                ${versions.map(v => `
+                    <div class="var-v2-timeline-item ${v.isCurrent ? 'current' : ''}" data-version="${v.version}">
+                        <div class="var-v2-timeline-dot"></div>
+                        <div class="var-v2-timeline-info">
+                            <div class="var-v2-timeline-meta">
+                                <span class="var-v2-timeline-version">v${v.version}</span>
+                                ${v.isCurrent ? '<span class="var-v2-timeline-badge">当前</span>' : ''}
+                                <span>第 ${escapeHtml(v.floorRange)} 楼</span>
+                                <span>${v.timestamp ? formatTime(v.timestamp) : '时间未知'}</span>
+                            </div>
+                            <div class="var-v2-timeline-preview">${escapeHtml(v.content.slice(0, 80))}</div>
+                        </div>
+                        <div class="var-v2-timeline-actions">
+                            <button class="var-v2-btn small" data-action="compare" title="与最新版本对比">对比</button>
+                            ${v.isCurrent ? '' : '<button class="var-v2-btn small" data-action="branch" title="设为当前值，之后的版本保留在历史中">从这里分支</button>'}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="var-v2-timeline-diff" ${versions.length < 2 ? 'style="display:none"' : ''}>
+                <div class="var-v2-timeline-diff-head">
+                    <select class="var-v2-select-compact" id="var-v2-diff-from">${options}</select>
+                    <i class="fa-solid fa-arrow-right"></i>
+                    <select class="var-v2-select-compact" id="var-v2-diff-to">${options}</select>
+                    <span class="var-v2-timeline-diff-stat" id="var-v2-diff-stat"></span>
+                </div>
+                <div class="var-v2-timeline-diff-body" id="var-v2-diff-body"></div>
+            </div>
+        `;
+
+    // 默认对比上一个版本和最新版本
+    if (versions.length >= 2) {
+      /** @type {HTMLSelectElement} */ (root.querySelector('#var-v2-diff-from')).value = String(versions.length - 1);
+      /** @type {HTMLSelectElement} */ (root.querySelector('#var-v2-diff-to')).value = String(versions.length);
+      renderDiff(root);
+    }
+  };
+
+  const bindEvents = (root) => {
+    root.addEventListener('change', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      if (target.id === 'var-v2-diff-from' || target.id === 'var-v2-diff-to') {
+        renderDiff(root);
+      }
+    });
+
+    root.addEventListener('click', async (e) => {
+      const btn = /** @type {HTMLElement} */ (e.target).closest('[data-action]');
+      if (!btn) return;
+
+      const item = btn.closest('.var-v2-timeline-item');
+      const version = versions[Number(item?.dataset.version) - 1];
+      if (!version) return;
+
+      if (btn.dataset.action === 'compare') {
+        /** @type {HTMLSelectElement} */ (root.querySelector('#var-v2-diff-from')).value = String(version.version);
+        /** @type {HTMLSelectElement} */ (root.querySelector('#var-v2-diff-to')).value = String(versions.length);
+        renderDiff(root);
+        root.querySelector('.var-v2-timeline-diff')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        return;
+      }
+
+      if (btn.dataset.action === 'branch') {
+        const confirmed = await showInternalConfirm(
+          '从这里分支',
+          `将 v${version.version} 设为当前值？之后的版本都会保留在历史中。`,
+          { okButton: '分支' }
+        );
+        if (!confirmed) return;
+
+        const result = await variableManager.applyHistoryVersion(varId, chatId, version.historyIndex);
+        if (!result.success) {
+          toastr.error(result.error || '分支失败');
+          return;
+        }
+
+        await render(root);
+        await onChange();
+        toastr.success(`已从 v${version.version} 分支`);
+      }
+    });
+  };
+
+  showInternalPopup(`历史时间线 · ${escapeHtml(variable.name)}`, '<div class="var-v2-timeline" id="var-v2-timeline"></div>', {
+    buttons: [{ text: '关闭', value: null }],
+    onShow: async (overlay) => {
+      const root = overlay.querySelector('#var-v2-timeline');
+      if (!root) return;
+      bindEvents(root);
+      await render(root);
+    }
+  });
+}
+
+/** 逐词对比的最大计算量（超过则整段替换，避免长文本卡顿） */
+const DIFF_MAX_CELLS = 2000000;
+
+/**
+ * 分词（中文按字，英文/数字按词，空白和标点单独成词）
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeForDiff(text) {
+  return String(text || '').match(/[\u4e00-\u9fa5]|[A-Za-z0-9_]+|\s+|[^\sA-Za-z0-9_\u4e00-\u9fa5]/g) || [];
+}
+
+/**
+ * 按词对比两个版本（最长公共子序列）
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{parts: Array<{type: 'same'|'add'|'del', text: string}>, added: number, removed: number}}
+ */
+function diffWords(oldText, newText) {
+  const a = tokenizeForDiff(oldText);
+  const b = tokenizeForDiff(newText);
+
+  // 先去掉相同的开头和结尾，缩小计算范围
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  /** @type {Array<{type: 'same'|'add'|'del', text: string}>} */
+  const tokens = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > DIFF_MAX_CELLS) {
+    midA.forEach(text => tokens.push({ type: 'del', text }));
+    midB.forEach(text => tokens.push({ type: 'add', text }));
+  } else {
+    // lcs[i * (m + 1) + j] = midA[i..] 和 midB[j..] 的最长公共子序列长度
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        tokens.push({ type: 'same', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        tokens.push({ type: 'del', text: midA[i++] });
+      } else {
+        tokens.push({ type: 'add', text: midB[j++] });
+      }
+    }
+    while (i < n) tokens.push({ type: 'del', text: midA[i++] });
+    while (j < m) tokens.push({ type: 'add', text: midB[j++] });
+  }
+
+  a.slice(endA).forEach(text => tokens.push({ type: 'same', text }));
+
+  // 统计（不算空白），合并相邻同类片段
+  let added = 0;
+  let removed = 0;
+  const parts = [];
+  for (const token of tokens) {
+    if (token.text.trim()) {
+      if (token.type === 'add') added++;
+      if (token.type === 'del') removed++;
+    }
+    const last = parts[parts.length - 1];
+    if (last && last.type === token.type) {
+      last.text += token.text;
+    } else {
+      parts.push({ ...token });
+    }
+  }
+
+  return { parts, added, removed };
+}
+
+/**
+ * 渲染对比结果
+ * @param {Array<{type: 'same'|'add'|'del', text: string}>} parts
+ * @returns {string}
+ */
+function renderDiffHtml(parts) {
+  return parts.map(part => {
+    const text = escapeHtml(part.text);
+    if (part.type === 'add') return `<ins class="var-v2-diff-add">${text}</ins>`;
+    if (part.type === 'del') return `<del class="var-v2-diff-del">${text}</del>`;
+    return text;
+  }).join('');
+}
+
 // 保留旧函数名作为兼容（内部调用新函数）
 // 注意：这些函数已被新的页面切换版本替代
 
@@ -3866,7 +4257,8 @@ function buildQueueTaskItem(task) {
   const triggerIcon = {
     'manual': 'fa-hand-pointer',
     'interval': 'fa-clock',
-    'keyword': 'fa-key'
+    'keyword': 'fa-key',
+    'expression': 'fa-code-branch'
   }[task.triggerType || 'manual'];
 
   return `
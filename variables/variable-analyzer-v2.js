@@ -30,6 +30,7 @@ import * as storage from './variable-storage.js';
  * @typedef {import('./variable-types.js').VariableDefinitionV2} VariableDefinitionV2
  * @typedef {import('./variable-types.js').MacroContext} MacroContext
  * @typedef {import('./variable-types.js').ParsedContent} ParsedContent
+ * @typedef {import('./variable-types.js').AnalysisSource} AnalysisSource
  */
 
 // ============================================
@@ -173,9 +174,10 @@ export class VariableAnalyzerV2 {
      * @param {ParsedContent[]} results - 解析结果
      * @param {string} chatId - 聊天 ID
      * @param {string} floorRange - 楼层范围（如 "56-65"）
+     * @param {AnalysisSource|null} [source=null] - 来源楼层（楼层被删除或滑走时据此回退）
      * @returns {Promise<{success: boolean, assigned: number}>}
      */
-    async assignResults(results, chatId, floorRange) {
+    async assignResults(results, chatId, floorRange, source = null) {
         const variableManager = getVariableManagerV2();
         let assigned = 0;
 
@@ -188,12 +190,19 @@ export class VariableAnalyzerV2 {
             }
 
             try {
-                if (variable.mode === 'stack') {
+                if (result.operations) {
+                    // 类型变量：在当前值上应用运算（校验不过的运算跳过，不覆盖原值）
+                    const applyResult = await variableManager.applyOperations(variable.id, chatId, result.operations, floorRange, source);
+                    if (!applyResult.success) {
+                        logger.warn('[VariableAnalyzerV2] 变量运算全部无效:', variable.name, applyResult.errors);
+                        continue;
+                    }
+                } else if (variable.mode === 'stack') {
                     // 叠加模式：添加条目
-                    await variableManager.addEntry(variable.id, chatId, result.content, floorRange);
+                    await variableManager.addEntry(variable.id, chatId, result.content, floorRange, source);
                 } else {
                     // 覆盖模式：设置值
-                    await variableManager.setValue(variable.id, chatId, result.content, floorRange);
+                    await variableManager.setValue(variable.id, chatId, result.content, floorRange, source);
                 }
                 assigned++;
                 logger.debug('[VariableAnalyzerV2] 已分配到变量:', variable.name);
@@ -352,9 +361,9 @@ export class VariableAnalyzerV2 {
                 const contents = macroProcessor.extractEntriesByRanges(value.entries, ranges);
                 return contents.join('\n\n');
             } else {
-                // 覆盖模式：返回当前值
+                // 覆盖模式：返回当前值（类型变量没有值时返回初始值）
                 const value = await variableManager.getReplaceValue(variable.id, context.chatId);
-                return value.currentValue;
+                return value.currentValue || variableManager.getInitialValue(variable);
             }
         };
     }
@@ -181,6 +181,25 @@ export class VariableAPI {
         return config;
     }
 
+    /**
+     * 把自定义配置转换为共享 API 层的请求配置。
+     *
+     * @param {Object} currentConfig - getCurrentCustomConfig() 的返回值。
+     * @param {boolean} stream - 是否流式。
+     * @returns {Object} 共享 API 层配置。
+     */
+    buildRequestConfig(currentConfig, stream) {
+        return {
+            source: currentConfig.format || 'openai',
+            model: currentConfig.model,
+            baseUrl: currentConfig.baseUrl,
+            apiKey: currentConfig.apiKey,
+            useDefault: false,
+            stream: Boolean(stream),
+            ...normalizeParams(currentConfig.params || {}),
+        };
+    }
+
     /**
      * 获取 API 类型默认端点。
      *
@@ -253,15 +272,7 @@ export class VariableAPI {
                 throw new Error('未找到 API 配置，请先在设置中保存一个配置');
             }
 
-            const requestConfig = {
-                source: currentConfig.format || 'openai',
-                model: currentConfig.model,
-                baseUrl: currentConfig.baseUrl,
-                apiKey: currentConfig.apiKey,
-                useDefault: false,
-                stream: Boolean(apiSettings.stream),
-                ...normalizeParams(currentConfig.params || {}),
-            };
+            const requestConfig = this.buildRequestConfig(currentConfig, apiSettings.stream);
 
             if (!requestConfig.model) {
                 throw new Error('未配置模型名称，请先在设置中选择模型');
@@ -345,14 +356,18 @@ export class VariableAPI {
             throw new Error('API 配置错误：缺少模型名称');
         }
 
+        // 测试连接时传入 fallback: false，避免备用配置掩盖当前配置的错误
+        const fallback = apiConfig.fallback !== false;
         const response = requestConfig.stream
             ? await generateStream(requestConfig, messages, {
                 signal,
                 module: 'variables',
+                fallback,
             })
             : await generate(requestConfig, messages, {
                 signal,
                 module: 'variables',
+                fallback,
             });
 
         return {
@@ -1533,7 +1533,8 @@ export class VariableAPIConfig {
       baseUrl: baseUrl,
       apiKey: apiKey,
       format: format,
-      model: model || 'gpt-4o-mini'
+      model: model || 'gpt-4o-mini',
+      fallback: false
     };
 
     if (source === 'azure_openai') {
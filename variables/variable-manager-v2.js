@@ -6,11 +6,30 @@
  * - tag（AI 输出标签）和 mode（叠加/覆盖模式）
  * - 叠加模式：条目管理（添加、编辑、删除、隐藏）
  * - 覆盖模式：历史导航和版本切换
+ * - 类型变量（数值/开关/枚举/JSON）：按运算在当前值上计算，结果经校验后写入
+ * - 分析结果记录来源楼层，楼层被删除或滑走时可以丢弃（见 floor-rollback-manager.js）
  */
 
 import logger from '../logger.js';
 import * as storage from './variable-storage.js';
 import { registerVariableMacro, unregisterVariableMacro } from './global-macro-registry.js';
+import { getTagParser } from './tag-parser.js';
+
+// ============================================
+// 常量
+// ============================================
+
+/**
+ * 值类型 → 显示名称
+ * @type {Object<string, string>}
+ */
+export const VALUE_TYPE_LABELS = {
+    text: '文本',
+    number: '数值',
+    boolean: '开关',
+    enum: '枚举',
+    json: 'JSON'
+};
 
 // ============================================
 // 类型导入（仅用于 JSDoc）
@@ -22,6 +41,9 @@ import { registerVariableMacro, unregisterVariableMacro } from './global-macro-r
  * @typedef {import('./variable-types.js').StackVariableValue} StackVariableValue
  * @typedef {import('./variable-types.js').ReplaceVariableValue} ReplaceVariableValue
  * @typedef {import('./variable-types.js').VariableValueV2} VariableValueV2
+ * @typedef {import('./variable-types.js').VariableTypeConfig} VariableTypeConfig
+ * @typedef {import('./variable-types.js').VariableOperation} VariableOperation
+ * @typedef {import('./variable-types.js').AnalysisSource} AnalysisSource
  */
 
 // ============================================
@@ -124,6 +146,59 @@ export class VariableManagerV2 {
         return { valid: true };
     }
 
+    /**
+     * 验证并规范化值类型配置
+     * @param {string} valueType
+     * @param {Object} [typeConfig]
+     * @returns {{valid: boolean, error?: string, config?: VariableTypeConfig}}
+     */
+    validateTypeConfig(valueType, typeConfig = {}) {
+        if (!VALUE_TYPE_LABELS[valueType]) {
+            return { valid: false, error: `未知的值类型: ${valueType}` };
+        }
+
+        /** @type {VariableTypeConfig} */
+        const config = {};
+
+        if (valueType === 'number') {
+            const min = typeConfig.min === '' || typeConfig.min == null ? undefined : Number(typeConfig.min);
+            const max = typeConfig.max === '' || typeConfig.max == null ? undefined : Number(typeConfig.max);
+            if (Number.isNaN(min) || Number.isNaN(max)) {
+                return { valid: false, error: '最小值/最大值必须是数字' };
+            }
+            if (min !== undefined && max !== undefined && min > max) {
+                return { valid: false, error: '最小值不能大于最大值' };
+            }
+            if (min !== undefined) config.min = min;
+            if (max !== undefined) config.max = max;
+            config.clamp = typeConfig.clamp !== false;
+        }
+
+        if (valueType === 'enum') {
+            const options = [...new Set((typeConfig.options || []).map(o => String(o).trim()).filter(Boolean))];
+            if (options.length === 0) {
+                return { valid: false, error: '枚举变量至少需要一个可选值' };
+            }
+            config.options = options;
+        }
+
+        const defaultValue = typeof typeConfig.defaultValue === 'string' ? typeConfig.defaultValue.trim() : '';
+        if (defaultValue && valueType !== 'text') {
+            // 初始值按一次赋值运算校验（范围、可选值、JSON 格式）
+            const check = getTagParser().applyOperations(
+                { name: '初始值', valueType, typeConfig: config },
+                '',
+                [{ op: 'set', path: [], value: defaultValue, raw: defaultValue }]
+            );
+            if (check.applied === 0) {
+                return { valid: false, error: `初始值无效：${check.errors[0] || defaultValue}` };
+            }
+            config.defaultValue = check.value;
+        }
+
+        return { valid: true, config };
+    }
+
     /**
      * 检查变量名是否重复
      * @param {string} name
@@ -151,7 +226,9 @@ export class VariableManagerV2 {
      * @param {Object} data
      * @param {string} data.name - 变量名
      * @param {string} data.tag - AI 输出标签
-     * @param {'stack' | 'replace'} data.mode - 模式
+     * @param {'stack' | 'replace'} data.mode - 模式（类型变量固定为 replace）
+     * @param {string} [data.valueType='text'] - 值类型
+     * @param {Object} [data.typeConfig] - 值类型配置（min/max/clamp/options/defaultValue）
      * @returns {Promise<{success: boolean, variable?: VariableDefinitionV2, error?: string}>}
      */
     async createVariable(data) {
@@ -175,8 +252,16 @@ export class VariableManagerV2 {
             return { success: false, error: `标签 "${data.tag}" 已被使用` };
         }
 
+        // 验证值类型（类型变量的值是单个当前值，固定用覆盖模式）
+        const valueType = data.valueType || 'text';
+        const typeValidation = this.validateTypeConfig(valueType, data.typeConfig);
+        if (!typeValidation.valid) {
+            return { success: false, error: typeValidation.error };
+        }
+        const mode = valueType === 'text' ? data.mode : 'replace';
+
         // 验证模式
-        if (!['stack', 'replace'].includes(data.mode)) {
+        if (!['stack', 'replace'].includes(mode)) {
             return { success: false, error: '模式必须是 stack 或 replace' };
         }
 
@@ -188,18 +273,23 @@ export class VariableManagerV2 {
             id,
             name: data.name.trim(),
             tag: data.tag.trim(),
-            mode: data.mode,
+            mode,
             createdAt: now,
             updatedAt: now
         };
 
+        if (valueType !== 'text') {
+            variable.valueType = valueType;
+            variable.typeConfig = typeValidation.config;
+        }
+
         this.variables[id] = variable;
         await this._save();
 
         // 同步注册全局宏
         registerVariableMacro(variable.name);
 
-        logger.info('variable', '[VariableManagerV2] 创建变量:', variable.name, '模式:', variable.mode);
+        logger.info('variable', '[VariableManagerV2] 创建变量:', variable.name, '模式:', variable.mode, '类型:', valueType);
 
         return { success: true, variable };
     }
@@ -289,9 +379,10 @@ export class VariableManagerV2 {
      * @param {string} chatId
      * @param {string} content
      * @param {string} floorRange - 楼层范围（如 "56-65" 或 "65"）
+     * @param {AnalysisSource|null} [source=null] - 来源楼层（分析结果才有）
      * @returns {Promise<VariableEntry>}
      */
-    async addEntry(variableId, chatId, content, floorRange) {
+    async addEntry(variableId, chatId, content, floorRange, source = null) {
         const value = await this.getStackValue(variableId, chatId);
 
         /** @type {VariableEntry} */
@@ -300,7 +391,8 @@ export class VariableManagerV2 {
             content,
             floorRange,
             timestamp: Date.now(),
-            hidden: false
+            hidden: false,
+            source
         };
 
         value.entries.push(entry);
@@ -469,9 +561,10 @@ export class VariableManagerV2 {
      * @param {string} chatId
      * @param {string} content
      * @param {string} floorRange - 楼层范围（如 "56-65" 或 "65"）
+     * @param {AnalysisSource|null} [source=null] - 来源楼层（分析结果才有）
      * @returns {Promise<void>}
      */
-    async setValue(variableId, chatId, content, floorRange) {
+    async setValue(variableId, chatId, content, floorRange, source = null) {
         const value = await this.getReplaceValue(variableId, chatId);
 
         // 如果有当前值，先保存到历史
@@ -481,8 +574,9 @@ export class VariableManagerV2 {
                 id: value.history.length + 1,
                 content: value.currentValue,
                 floorRange: value.currentFloorRange || String(value.currentFloor || 0),
-                timestamp: Date.now(),
-                hidden: false
+                timestamp: value.currentTimestamp || Date.now(),
+                hidden: false,
+                source: value.currentSource || null
             };
             value.history.push(historyEntry);
         }
@@ -490,6 +584,8 @@ export class VariableManagerV2 {
         // 设置新值
         value.currentValue = content;
         value.currentFloorRange = floorRange;
+        value.currentTimestamp = Date.now();
+        value.currentSource = source;
         value.currentFloor = undefined; // 兼容旧字段，标记为已迁移
         value.historyIndex = -1;  // 重置为当前值
 
@@ -548,6 +644,10 @@ export class VariableManagerV2 {
 
     /**
      * 应用历史版本（覆盖模式）
+     *
+     * @description
+     * 相当于从该版本分支：当前值进入历史，之后的版本全部保留
+     *
      * @async
      * @param {string} variableId
      * @param {string} chatId
@@ -569,16 +669,20 @@ export class VariableManagerV2 {
             const currentAsHistory = {
                 id: value.history.length + 1,
                 content: value.currentValue,
-                floor: value.currentFloor,
-                timestamp: Date.now(),
-                hidden: false
+                floorRange: value.currentFloorRange || String(value.currentFloor || 0),
+                timestamp: value.currentTimestamp || Date.now(),
+                hidden: false,
+                source: value.currentSource || null
             };
             value.history.push(currentAsHistory);
         }
 
-        // 应用历史版本
+        // 应用历史版本（手动选择的版本不再跟随楼层回退）
         value.currentValue = historyEntry.content;
-        value.currentFloor = historyEntry.floor;
+        value.currentFloorRange = historyEntry.floorRange || String(historyEntry.floor || 0);
+        value.currentFloor = undefined;
+        value.currentTimestamp = historyEntry.timestamp;
+        value.currentSource = null;
         value.historyIndex = -1;
 
         await storage.setValueV2(variableId, chatId, value);
@@ -610,11 +714,15 @@ export class VariableManagerV2 {
             value.currentValue = lastHistory.content;
             // @ts-ignore
             value.currentFloor = lastHistory.floor;
+            value.currentFloorRange = lastHistory.floorRange;
+            value.currentTimestamp = lastHistory.timestamp;
+            value.currentSource = lastHistory.source || null;
             value.history.pop();
         } else {
             // 没有历史，直接清空
             value.currentValue = '';
             value.currentFloor = 0;
+            value.currentSource = null;
         }
 
         value.historyIndex = -1;
@@ -624,6 +732,166 @@ export class VariableManagerV2 {
         return { success: true };
     }
 
+    /**
+     * 获取全部版本（覆盖模式，时间线用）
+     * @async
+     * @param {string} variableId
+     * @param {string} chatId
+     * @returns {Promise<Array<{version: number, historyIndex: number, content: string, floorRange: string, timestamp: number|null, isCurrent: boolean}>>}
+     *          从旧到新，version 从 1 开始；当前值 historyIndex 为 -1
+     */
+    async getHistoryVersions(variableId, chatId) {
+        const value = await this.getReplaceValue(variableId, chatId);
+
+        const versions = value.history.map((entry, i) => ({
+            version: i + 1,
+            historyIndex: i,
+            content: entry.content,
+            // 兼容旧数据
+            floorRange: entry.floorRange || String(entry.floor || 0),
+            timestamp: entry.timestamp || null,
+            isCurrent: false
+        }));
+
+        if (value.currentValue) {
+            versions.push({
+                version: versions.length + 1,
+                historyIndex: -1,
+                content: value.currentValue,
+                floorRange: value.currentFloorRange || String(value.currentFloor || 0),
+                timestamp: value.currentTimestamp || null,
+                isCurrent: true
+            });
+        }
+
+        return versions;
+    }
+
+    // ========================================
+    // 类型变量 - 运算
+    // ========================================
+
+    /**
+     * 获取类型变量的初始值（还没有值时运算的基础）
+     * @param {VariableDefinitionV2} variable
+     * @returns {string}
+     */
+    getInitialValue(variable) {
+        const config = variable?.typeConfig || {};
+        if (config.defaultValue) {
+            return config.defaultValue;
+        }
+
+        switch (variable?.valueType) {
+            case 'number':
+                // 0 不在范围内时从最小值开始
+                return String(typeof config.min === 'number' && config.min > 0 ? config.min : 0);
+            case 'boolean':
+                return 'false';
+            case 'enum':
+                return config.options?.[0] || '';
+            case 'json':
+                // 第一次 .add() 会把空对象变成列表（见 TagParser._applyJsonOperation）
+                return '{}';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * 在当前值上应用运算（类型变量）
+     *
+     * @description
+     * 逐条校验运算，不合法的跳过；有运算生效且结果变化时才写入（旧值进历史）
+     *
+     * @async
+     * @param {string} variableId
+     * @param {string} chatId
+     * @param {VariableOperation[]} operations
+     * @param {string} floorRange - 楼层范围（如 "56-65" 或 "65"）
+     * @param {AnalysisSource|null} [source=null] - 来源楼层（分析结果才有）
+     * @returns {Promise<{success: boolean, value?: string, applied: number, errors: string[]}>}
+     */
+    async applyOperations(variableId, chatId, operations, floorRange, source = null) {
+        const variable = this.variables[variableId];
+        if (!variable) {
+            return { success: false, applied: 0, errors: ['变量不存在'] };
+        }
+
+        const value = await this.getReplaceValue(variableId, chatId);
+        const current = value.currentValue || this.getInitialValue(variable);
+        const result = getTagParser().applyOperations(variable, current, operations);
+
+        if (result.applied === 0) {
+            return { success: false, applied: 0, errors: result.errors };
+        }
+
+        if (result.value !== value.currentValue) {
+            await this.setValue(variableId, chatId, result.value, floorRange, source);
+        }
+
+        logger.debug('variable', '[VariableManagerV2] 应用运算:', variable.name, current, '→', result.value);
+        return { success: true, value: result.value, applied: result.applied, errors: result.errors };
+    }
+
+    // ========================================
+    // 楼层回退
+    // ========================================
+
+    /**
+     * 丢弃来源楼层已失效的分析结果
+     *
+     * @description
+     * - 叠加模式：删除来源失效的条目
+     * - 覆盖模式：删除来源失效的历史；当前值失效时退回到最近一条有效历史，没有则清空
+     * 没有来源的值（手动写入、旧数据）保留不动
+     *
+     * @async
+     * @param {string} variableId
+     * @param {string} chatId
+     * @param {(source: AnalysisSource) => boolean} isStale - 判断来源是否失效
+     * @returns {Promise<number>} 丢弃的条数
+     */
+    async discardStaleResults(variableId, chatId, isStale) {
+        const variable = this.variables[variableId];
+        if (!variable) return 0;
+
+        const stale = (item) => !!item?.source && isStale(item.source);
+
+        if (variable.mode === 'stack') {
+            const value = await this.getStackValue(variableId, chatId);
+            const kept = value.entries.filter(entry => !stale(entry));
+            const removed = value.entries.length - kept.length;
+
+            if (removed > 0) {
+                value.entries = kept;
+                await storage.setValueV2(variableId, chatId, value);
+            }
+            return removed;
+        }
+
+        const value = await this.getReplaceValue(variableId, chatId);
+        const history = value.history.filter(entry => !stale(entry));
+        let removed = value.history.length - history.length;
+
+        if (value.currentSource && isStale(value.currentSource)) {
+            const previous = history.pop();
+            value.currentValue = previous?.content || '';
+            value.currentFloorRange = previous?.floorRange;
+            value.currentTimestamp = previous?.timestamp;
+            value.currentSource = previous?.source || null;
+            value.currentFloor = undefined;
+            removed++;
+        }
+
+        if (removed > 0) {
+            value.history = history;
+            value.historyIndex = -1;
+            await storage.setValueV2(variableId, chatId, value);
+        }
+        return removed;
+    }
+
     /**
      * 获取当前显示的值（覆盖模式）
      * @async
@@ -674,7 +942,7 @@ export class VariableManagerV2 {
             return entries.map(e => e.content).join('\n\n');
         } else {
             const value = await this.getReplaceValue(variableId, chatId);
-            return value.currentValue;
+            return value.currentValue || this.getInitialValue(variable);
         }
     }
 
@@ -75,7 +75,8 @@ const DEFAULT_DATA_V2 = {
             format: 'openai',
             params: {}
         },
-        messageCounts: {}
+        messageCounts: {},
+        expressionStates: {}
     }
 };
 
@@ -13,9 +13,11 @@
 /**
  * 触发配置
  * @typedef {Object} TriggerConfig
- * @property {'manual' | 'interval' | 'keyword'} type - 触发类型
+ * @property {'manual' | 'interval' | 'keyword' | 'expression'} type - 触发类型
  * @property {number} [interval] - 间隔楼层数（type='interval' 时使用）
  * @property {string[]} [keywords] - 触发关键词（type='keyword' 时使用）
+ * @property {string} [expression] - 条件表达式（type='expression' 时使用，如 "{{好感度}} >= 80"）
+ * @property {'edge' | 'level'} [triggerMode] - 表达式触发方式：edge=条件从不满足变为满足时触发一次（默认），level=满足期间每次 AI 回复都触发
  */
 
 /**
@@ -126,10 +128,29 @@
  * @property {string} name - 变量名（用于宏 {{变量名}}）
  * @property {string} tag - AI 输出标签，如 "[摘要]"
  * @property {'stack' | 'replace'} mode - 叠加/覆盖模式
+ * @property {'text' | 'number' | 'boolean' | 'enum' | 'json'} [valueType] - 值类型（缺省为 text；非 text 时固定为覆盖模式）
+ * @property {VariableTypeConfig} [typeConfig] - 值类型配置
  * @property {number} createdAt - 创建时间戳
  * @property {number} updatedAt - 更新时间戳
  */
 
+/**
+ * 值类型配置
+ * @typedef {Object} VariableTypeConfig
+ * @property {number} [min] - 最小值（number）
+ * @property {number} [max] - 最大值（number）
+ * @property {boolean} [clamp] - 超出范围时截断到边界（number，默认 true；false=拒绝这次运算）
+ * @property {string[]} [options] - 可选值（enum）
+ * @property {string} [defaultValue] - 初始值（还没有值时，运算以它为基础）
+ */
+
+/**
+ * 分析结果的来源楼层（楼层被删除或滑走时据此回退）
+ * @typedef {Object} AnalysisSource
+ * @property {number} floor - 触发分析时最后一条消息的楼层号（mesId）
+ * @property {number} swipeId - 该楼层当时的 swipe 序号
+ */
+
 /**
  * 变量条目（叠加模式下的单个条目）
  * @typedef {Object} VariableEntry
@@ -139,6 +160,7 @@
  * @property {number} timestamp - 生成时间
  * @property {boolean} hidden - 是否隐藏
  * @property {string} [exportedToWorldBook] - 导出的世界书条目 ID
+ * @property {AnalysisSource|null} [source] - 来源楼层（手动写入的没有，不参与回退）
  */
 
 /**
@@ -155,6 +177,8 @@
  * @property {number} currentFloor - 当前值生成时的楼层
  * @property {VariableEntry[]} history - 历史记录
  * @property {number} historyIndex - 当前查看的历史索引（-1 表示当前值）
+ * @property {number} [currentTimestamp] - 当前值的生成时间
+ * @property {AnalysisSource|null} [currentSource] - 当前值的来源楼层
  */
 
 /**
@@ -184,6 +208,7 @@
  * @property {string} activeSuiteId - 当前激活的套装 ID
  * @property {APIConfig} apiConfig - API 配置
  * @property {Object<string, Object<string, number>>} messageCounts - 按套装的消息计数
+ * @property {Object<string, Object<string, boolean>>} [expressionStates] - 表达式触发上次的结果 {suiteId: {chatId: 是否满足}}
  */
 
 // ============================================
@@ -241,6 +266,16 @@
  * @typedef {Object} ParsedContent
  * @property {string} tag - 标签名
  * @property {string} content - 内容
+ * @property {VariableOperation[]} [operations] - 运算列表（类型变量）
+ */
+
+/**
+ * 类型变量运算（AI 输出的 [好感]+5、[背包].add(剑)、[状态].hp=30）
+ * @typedef {Object} VariableOperation
+ * @property {'set' | 'add' | 'subtract' | 'push' | 'remove' | 'toggle'} op - 运算类型
+ * @property {string[]} path - 属性路径（json，如 ['hp']；空数组表示整个值）
+ * @property {string} value - 操作数原文
+ * @property {string} raw - 整行原文（校验失败时提示用）
  */
 
 // ============================================